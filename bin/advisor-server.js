@@ -0,0 +1,65 @@
+#!/usr/bin/env node
+// Local stand-in for an inlet type advisor endpoint: answers the app's endpoint provider with the offline
+// rule engine, so the endpoint path can be used and tested without a language-model service. A real proxy
+// takes the same request ({ task, options, facts, prompt }) and replies with the same JSON.
+//
+//   advisor-server [--port 8787]
+
+import { createServer } from 'node:http';
+import { adviseInletType } from '../src/calc/advisor.js';
+
+const USAGE = `Usage: advisor-server [--port <port>]
+
+Serves POST /advise for the calculator's advisor endpoint setting (default http://localhost:8787/advise).
+  --port, -p   port to listen on (default 8787)
+  --help, -h   show this help`;
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type',
+};
+
+const send = (response, status, body) => {
+  response.writeHead(status, { ...CORS_HEADERS, 'Content-Type': 'application/json' });
+  response.end(JSON.stringify(body));
+};
+
+const readBody = (request) => new Promise((resolve, reject) => {
+  const chunks = [];
+  request.on('data', chunk => chunks.push(chunk));
+  request.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+  request.on('error', reject);
+});
+
+const handle = async (request, response) => {
+  if (request.method === 'OPTIONS') {
+    response.writeHead(204, CORS_HEADERS);
+    response.end();
+    return;
+  }
+  if (request.method !== 'POST' || new URL(request.url, 'http://localhost').pathname !== '/advise') {
+    send(response, 404, { error: 'POST /advise' });
+    return;
+  }
+  try {
+    const { facts } = JSON.parse(await readBody(request));
+    send(response, 200, adviseInletType(facts));
+  } catch (error) {
+    send(response, 400, { error: error.message });
+  }
+};
+
+const args = process.argv.slice(2);
+if (args.includes('--help') || args.includes('-h')) {
+  console.log(USAGE);
+} else {
+  const portIndex = args.findIndex(arg => arg === '--port' || arg === '-p');
+  const port = portIndex >= 0 ? Number(args[portIndex + 1]) : 8787;
+  if (!Number.isInteger(port) || port <= 0) {
+    console.error(`Unknown port "${args[portIndex + 1] ?? ''}".`);
+    process.exitCode = 1;
+  } else {
+    createServer(handle).listen(port, () => console.log(`Inlet type advisor listening on http://localhost:${port}/advise`));
+  }
+}
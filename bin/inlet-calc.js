@@ -0,0 +1,96 @@
+#!/usr/bin/env node
+// Command-line inlet calculations: reads project files saved by the app and writes the results as JSON or CSV.
+//
+//   inlet-calc project.inlets.json [more.inlets.json ...] [--format json|csv] [--output results.csv]
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { basename } from 'node:path';
+import { computeCheckStorm, computeProject } from '../src/calc/engine.js';
+import { computeScenarios } from '../src/calc/scenarios.js';
+import { validateProject } from '../src/calc/validation.js';
+import { toCSV } from '../src/csv.js';
+import { parseProject } from '../src/project.js';
+import { buildInletTable, buildResultsJson } from '../src/report.js';
+
+const USAGE = `Usage: inlet-calc <project.json> [...] [--format json|csv] [--output <file>]
+
+Computes every inlet in each project file and prints the results (JSON output includes the storm scenarios and
+input and design-check issues).
+  --format, -f   json (default) or csv (the summary inlet table; a File column is added for several projects)
+  --output, -o   write to a file instead of standard output
+  --help, -h     show this help`;
+
+const parseArgs = (argv) => {
+  const options = { files: [], format: 'json', output: '' };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--help' || arg === '-h') options.help = true;
+    else if (arg === '--format' || arg === '-f') options.format = (argv[++i] || '').toLowerCase();
+    else if (arg.startsWith('--format=')) options.format = arg.slice('--format='.length).toLowerCase();
+    else if (arg === '--output' || arg === '-o') options.output = argv[++i] || '';
+    else if (arg.startsWith('--output=')) options.output = arg.slice('--output='.length);
+    else if (arg.startsWith('-')) throw new Error(`Unknown option ${arg}`);
+    else options.files.push(arg);
+  }
+  if (!['json', 'csv'].includes(options.format)) throw new Error(`Unknown format "${options.format}"; use json or csv.`);
+  return options;
+};
+
+const runProject = async (file) => {
+  const project = parseProject(await readFile(file, 'utf8'));
+  const results = computeProject(project);
+  return {
+    file, project, results, checkResults: computeCheckStorm(project), scenarioRuns: computeScenarios(project, { profileModel: results.profileModel }),
+  };
+};
+
+const formatJson = (runs) => {
+  const output = runs.map(({ file, project, results, checkResults, scenarioRuns }) => ({
+    file: basename(file),
+    ...buildResultsJson(project, results, checkResults, scenarioRuns),
+    issues: validateProject(project, results, { checkResults, scenarioRuns }),
+  }));
+  return `${JSON.stringify(output.length === 1 ? output[0] : output, null, 2)}\n`;
+};
+
+const formatCsv = (runs) => {
+  const tables = runs.map(({ results, checkResults }) => buildInletTable(results.inlets, {
+    routes: results.routing.routes, incoming: results.bypass.incoming, check: checkResults?.inlets,
+  }));
+  if (runs.length === 1) return `${toCSV(tables[0])}\r\n`;
+  const rows = [['File', ...tables[0][0]]];
+  tables.forEach((table, i) => table.slice(1).forEach(row => rows.push([basename(runs[i].file), ...row])));
+  return `${toCSV(rows)}\r\n`;
+};
+
+const main = async () => {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.help || options.files.length === 0) {
+    console.log(USAGE);
+    return options.help ? 0 : 1;
+  }
+
+  const runs = [];
+  let failed = 0;
+  for (const file of options.files) {
+    try {
+      runs.push(await runProject(file));
+    } catch (error) {
+      failed++;
+      console.error(`${file}: ${error.message}`);
+    }
+  }
+  if (runs.length > 0) {
+    const text = options.format === 'csv' ? formatCsv(runs) : formatJson(runs);
+    if (options.output) await writeFile(options.output, text);
+    else process.stdout.write(text);
+  }
+  return failed > 0 ? 1 : 0;
+};
+
+main().then(code => {
+  process.exitCode = code;
+}).catch(error => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
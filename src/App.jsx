@@ -1,78 +1,46 @@
 import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
-import { PlusCircle, Trash2, Sparkles, ChevronsUpDown } from 'lucide-react'; // Import icons
-
-// Constants for Rainfall Intensity Coefficients (from LA DOTD Hydraulics Manual, Figures 3.4-3, 3.4-4, 3.4-5)
-const RAINFALL_COEFFICIENTS = {
-  'Region 1': {
-    '2-Year': { a: 2.815, b: 0.282, c: -0.899 },
-    '5-Year': { a: 3.536, b: 0.330, c: -0.851 },
-    '10-Year': { a: 4.016, b: 0.347, c: -0.826 },
-    '25-Year': { a: 4.611, b: 0.346, c: -0.798 },
-    '50-Year': { a: 5.097, b: 0.351, c: -0.783 },
-    '100-Year': { a: 5.487, b: 0.334, c: -0.759 },
-  },
-  'Region 2': {
-    '2-Year': { a: 2.375, b: 0.221, c: -0.922 },
-    '5-Year': { a: 2.976, b: 0.251, c: -0.865 },
-    '10-Year': { a: 3.447, b: 0.277, c: -0.839 },
-    '25-Year': { a: 4.092, b: 0.297, c: -0.808 },
-    '50-Year': { a: 4.640, b: 0.318, c: -0.791 },
-    '100-Year': { a: 5.195, b: 0.335, c: -0.771 },
-  },
-  'Region 3': {
-    '2-Year': { a: 2.138, b: 0.192, c: -0.891 },
-    '5-Year': { a: 2.701, b: 0.220, c: -0.847 },
-    '10-Year': { a: 3.086, b: 0.231, c: -0.826 },
-    '25-Year': { a: 3.592, b: 0.238, c: -0.809 },
-    '50-Year': { a: 3.934, b: 0.227, c: -0.794 },
-    '100-Year': { a: 4.286, b: 0.223, c: -0.780 },
-  },
-};
+import { PlusCircle, Trash2, Sparkles, ChevronsUpDown, Ruler, CloudRain, Upload, FilePlus, FolderOpen, Save, BookOpen, History, Download, FileSpreadsheet, Printer, AlertTriangle, ZoomIn, ZoomOut, Maximize2, ArrowDownToLine, ArrowUpDown, Table2, LayoutList } from 'lucide-react'; // Import icons
+import { DEBRIS_RISKS, getAdvisorFacts } from './calc/advisor.js';
+import { CATALOG_INLET_TYPES, CATALOG_SOURCES, OTHER_STRUCTURE_TYPE, createCatalogEntry, createDefaultCatalog, findCatalogEntry, mergeCatalog, nextCatalogId, parseCatalog, serializeCatalog } from './calc/catalog.js';
+import { DEFAULT_CROSS_SLOPE } from './calc/hydraulics.js';
+import { ROADWAY_CLASSIFICATIONS, DEFAULT_SPREAD_CRITERIA, HIGH_SPEED_THRESHOLD, createRoadwaySegment, describeSpreadRule, getAllowableSpread } from './calc/criteria.js';
+import { MAX_DRAINAGE_K, reviewVerticalCurves } from './calc/curves.js';
+import { computeProject, computeCheckStorm } from './calc/engine.js';
+import { DEFAULT_MANNINGS_N, MIN_GUTTER_GRADE } from './calc/gutter.js';
+import { getInletTableColumns, formatInletCell, setInletCell, buildInletInputTable, parseInletTable, sortInletsByStation } from './calc/inletTable.js';
+import { GRATE_TYPES } from './calc/interception.js';
+import { JUNCTION_LOSS_COEFFICIENTS, NETWORK_OUTFALL, PIPE_MATERIALS, createPipe } from './calc/network.js';
+import { createProfileModel } from './calc/profile.js';
+import { parseProfileFile, buildLandXML } from './calc/profileFiles.js';
+import { BUILT_IN_RAINFALL, IDF_FORMS, TABLE_FORM, evaluateIdfCurve, validateIdfCurve, parseRainfallCSV, parseRainfallJSON, loadCustomRainfall, saveCustomRainfall } from './calc/rainfall.js';
+import { BYPASS_OFFSITE, ROADWAY_SIDES } from './calc/routing.js';
+import { DEFAULT_LAND_USES, RUNOFF_FREQUENCY_FACTORS, AREA_UNITS, createSubArea, getFrequencyFactor, nextLandUseId } from './calc/runoff.js';
+import { SCENARIO_SPREAD_CRITERIA, compareScenarios, computeScenarios, createDefaultScenarios, createScenario, getScenarioName } from './calc/scenarios.js';
+import { SENSITIVITY_OUTPUTS, SENSITIVITY_PARAMETERS, buildTornado, createSensitivitySettings, runSensitivity } from './calc/sensitivity.js';
+import { createProposedInlets, designInletSpacing } from './calc/spacing.js';
+import { SEVERITIES, validateProject, groupIssuesByField } from './calc/validation.js';
+import { createInlet } from './inlets.js';
+import { DEFAULT_ADVISOR_ENDPOINT, getAdvisorProviders, loadAdvisorSettings, requestAdvice, saveAdvisorSettings } from './advisor.js';
+import { PROJECT_FILE_EXTENSION, createEmptyProject, createSampleProject, serializeProject, parseProject, writeAutosave, readAutosave, clearAutosave } from './project.js';
+import { readFileAsText, downloadFile, toCSV } from './csv.js';
+import { describeBypassRoute, buildInletTable, buildProfileTable, buildCurveReviewTable, buildProjectTable, buildDrainageTable, buildPipeTable, buildScenarioTable, buildCatalogTable, buildSensitivityTable, buildStructureTable, buildTornadoTable } from './report.js';
+import { buildXlsx, XLSX_MIME_TYPE } from './xlsx.js';
+import { PROFILE_MARGIN, VERTICAL_SCALES, LABEL_LINE_HEIGHT, TRACK_HEIGHT, getFullStationRange, sampleStations, createProfileView, getTicks, zoomStationRange, clampStationRange, placeLabels, createTrackView, buildInletMarkers, findInletMarker } from './profileView.js';
+import { buildCalculationPackage, printCalculationPackage } from './calcPackage.js';
 
 // Helper function to format numbers to a fixed decimal place
 const formatNumber = (num, fixed = 2) => {
-  if (typeof num !== 'number' || isNaN(num)) return '';
-  return num.toFixed(fixed);
-};
-
-// Calculations Utility Functions
-const calculateTC = (HL, C, S) => {
-  if (HL <= 0 || C <= 0 || S <= 0) return 0;
-  const tc = 0.7039 * Math.pow(HL, 0.3917) * Math.pow(C, -1.1309) * Math.pow(S, -0.1985);
-  return Math.max(tc, 5);
-};
-
-const calculateIntensity = (tcMinutes, region, returnPeriod) => {
-  const coeffs = RAINFALL_COEFFICIENTS[region]?.[returnPeriod];
-  if (!coeffs || tcMinutes <= 0) return 0;
-  const D = tcMinutes / 60;
-  const I = coeffs.a * Math.pow(D + coeffs.b, coeffs.c);
-  return I;
-};
-
-const calculateQ = (intensity, sumAC) => {
-  if (intensity <= 0 || sumAC <= 0) return 0;
-  return intensity * sumAC;
+  if (typeof num !== 'number' || isNaN(num)) return '';
+  return num.toFixed(fixed);
 };
 
-const calculateWidthOfFlooding = (qTotal, longitudinalSlopePercent, crossSlope, n = 0.015) => {
-  if (qTotal <= 0 || longitudinalSlopePercent <= 0 || crossSlope <= 0 || n <= 0) return 0;
-  const S_longitudinal = longitudinalSlopePercent / 100;
-  const numerator = qTotal * n;
-  const denominator = 0.56 * Math.pow(crossSlope, 5 / 3) * Math.pow(S_longitudinal, 1 / 2);
-  if (denominator === 0) return 0;
-  const T = Math.pow(numerator / denominator, 3 / 8);
-  return T;
-};
-
-
 // Custom Modal Component for messages
 const Modal = ({ message, onClose }) => {
-  if (!message) return null;
-  return (
-    <div className="fixed inset-0 bg-gray-800 bg-opacity-75 flex items-center justify-center z-50 p-4 transition-opacity duration-300">
-      <div className="bg-white rounded-xl shadow-2xl p-6 max-w-md w-full transform transition-all duration-300 scale-95 opacity-0 animate-modalShow">
-        <style jsx global>{`
+  if (!message) return null;
+  return (
+    <div className="fixed inset-0 bg-gray-800 bg-opacity-75 flex items-center justify-center z-50 p-4 transition-opacity duration-300">
+      <div className="bg-white rounded-xl shadow-2xl p-6 max-w-md w-full transform transition-all duration-300 scale-95 opacity-0 animate-modalShow">
+        <style jsx global>{`
           @keyframes modalShow {
             to {
               opacity: 1;
@@ -89,796 +57,3360 @@ const Modal = ({ message, onClose }) => {
             <svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><line x1="18" y1="6" x2="6" y2="18"></line><line x1="6" y1="6" x2="18" y2="18"></line></svg>
           </button>
         </div>
-        <p className="text-gray-700 mb-6 whitespace-pre-wrap">{message}</p>
-        <div className="flex justify-end">
-          <button
-            onClick={onClose}
-            className="px-5 py-2.5 bg-blue-600 text-white rounded-lg hover:bg-blue-700 focus:outline-none focus:ring-4 focus:ring-blue-300 transition-all duration-150 ease-in-out shadow-md hover:shadow-lg text-sm font-medium"
-          >
-            Close
-          </button>
-        </div>
-      </div>
-    </div>
-  );
+        <p className="text-gray-700 mb-6 whitespace-pre-wrap">{message}</p>
+        <div className="flex justify-end">
+          <button
+            onClick={onClose}
+            className="px-5 py-2.5 bg-blue-600 text-white rounded-lg hover:bg-blue-700 focus:outline-none focus:ring-4 focus:ring-blue-300 transition-all duration-150 ease-in-out shadow-md hover:shadow-lg text-sm font-medium"
+          >
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Input border colors and message colors by issue severity
+const ISSUE_INPUT_CLASSES = { error: 'border-red-500 ring-1 ring-red-500', warning: 'border-amber-500 ring-1 ring-amber-400', info: '' };
+const ISSUE_TEXT_CLASSES = { error: 'text-red-600', warning: 'text-amber-700', info: 'text-gray-500' };
+
+// The input an issue refers to: profile and trunk line settings by id, PVI, inlet, pipe and scenario fields by name inside their card or row
+const issueElement = ({ scope, index, field }) => {
+  if (scope === 'profile') return document.getElementById(field);
+  if (scope === 'network') return document.getElementById(`network-${field}`);
+  return document.querySelector(`#${scope}-${index} [name="${field}"], #${scope}-${index} [data-field="${field}"]`) || document.getElementById(`${scope}-${index}`);
+};
+
+const focusIssue = (issue) => {
+  const element = issueElement(issue);
+  if (!element) return;
+  element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  element.focus({ preventScroll: true });
 };
 
+// Inline list of the issues for one card
+const IssueList = ({ issues }) => {
+  if (issues.length === 0) return null;
+  return (
+    <ul className="mb-4 space-y-1">
+      {issues.map((issue, i) => (
+        <li key={i} className={`text-xs ${ISSUE_TEXT_CLASSES[issue.severity]}`}>
+          <button type="button" onClick={() => focusIssue(issue)} className="text-left hover:underline">{issue.message}</button>
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+// Consolidated issues panel: every validation and design-check finding, each linking to its field
+const IssuesPanel = ({ issues, inlets }) => {
+  const counts = SEVERITIES.map(severity => [severity, issues.filter(issue => issue.severity === severity).length]);
+  const location = ({ scope, index }) => {
+    if (scope === 'profile') return 'Profile';
+    if (scope === 'pvi') return `PVI ${index + 1}`;
+    if (scope === 'network') return 'Storm Drain';
+    if (scope === 'pipe') return `Pipe ${index + 1}`;
+    if (scope === 'scenario') return `Scenario ${index + 1}`;
+    if (scope === 'catalog') return `Catalog entry ${index + 1}`;
+    return `Inlet ${index + 1}${inlets[index]?.strId ? ` (${inlets[index].strId})` : ''}`;
+  };
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-6 sm:p-8 mb-8">
+      <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-2 mb-4 pb-3 border-b border-gray-200">
+        <h2 className="flex items-center text-2xl font-semibold text-gray-800"><AlertTriangle size={22} className="mr-2 text-amber-500" /> Issues</h2>
+        <p className="text-sm text-gray-600">{counts.map(([severity, count]) => `${count} ${severity}${count === 1 ? '' : 's'}`).join(' · ')}</p>
+      </div>
+      {issues.length === 0 ? (
+        <p className="text-sm text-green-700">No input problems or design-check failures found.</p>
+      ) : (
+        <table className="min-w-full text-sm">
+          <tbody className="divide-y divide-gray-100">
+            {issues.map((issue, i) => (
+              <tr key={i}>
+                <td className={`py-1.5 pr-4 font-semibold uppercase text-xs ${ISSUE_TEXT_CLASSES[issue.severity]}`}>{issue.severity}</td>
+                <td className="py-1.5 pr-4 whitespace-nowrap">
+                  <button type="button" onClick={() => focusIssue(issue)} className="text-blue-600 hover:underline">{location(issue)}</button>
+                </td>
+                <td className="py-1.5 text-gray-700">{issue.message}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
 
 // Profile Definition Component
-const ProfileDefinition = ({ profile, setProfile, addPVI, removePVI, displayMessage }) => {
-  const canvasRef = useRef(null);
+const PassFail = ({ passes }) => {
+  if (passes === null || passes === undefined) return null;
+  return <span className={`font-semibold ${passes ? 'text-green-600' : 'text-red-600'}`}>{passes ? 'Pass' : 'Fail'}</span>;
+};
+
+// Inlet marker colors by spread check status
+const INLET_STATUS_COLORS = { pass: '#16A34A', fail: '#DC2626', unchecked: '#6B7280' };
+
+// Profile Canvas: zoom and pan along the stations, crosshair readout, and PVIs and curve ends that drag to edit.
+// Inlets sit on the profile colored by their spread check, with a track underneath for flow, spread and bypass.
+const ProfileCanvas = ({ profileModel, setProfile, canvasRef, inletMarkers, onSelectInlet }) => {
+  const containerRef = useRef(null);
+  const [width, setWidth] = useState(800);
+  const profileHeight = 340;
+  const height = inletMarkers.length > 0 ? profileHeight + TRACK_HEIGHT : profileHeight;
+  const [stationWindow, setStationWindow] = useState(null); // null shows the whole project
+  const [verticalScale, setVerticalScale] = useState('fit');
+  const [hover, setHover] = useState(null); // cursor position { x, y } in CSS px
+  const [drag, setDrag] = useState(null); // { type: 'pan' | 'pvi' | 'bvc' | 'evc', index, x, stationRange, visibleElevations }
+
+  const { pviDetails, limits, evaluate } = profileModel;
+  const fullRange = useMemo(() => getFullStationRange(limits), [limits]);
+  const stationRange = useMemo(() => (stationWindow ? clampStationRange(stationWindow, fullRange) : fullRange), [stationWindow, fullRange]);
+
+  const profilePoints = useMemo(() => sampleStations(pviDetails, stationRange, width - PROFILE_MARGIN.left - PROFILE_MARGIN.right)
+    .map(s => evaluate(s))
+    .filter(p => p && !isNaN(p.elevation)), [pviDetails, stationRange, width, evaluate]);
+  // Elevations visible in the window; held while a point is dragged so the scale does not move under the cursor
+  const visibleElevations = useMemo(() => {
+    if (drag?.visibleElevations) return drag.visibleElevations;
+    const elevations = profilePoints.map(p => p.elevation);
+    return elevations.length > 0 ? [Math.min(...elevations), Math.max(...elevations)] : [0, 10];
+  }, [profilePoints, drag]);
+  const view = useMemo(
+    () => createProfileView({ width, height: profileHeight, stationRange, elevationRange: visibleElevations, verticalScale }),
+    [width, stationRange, visibleElevations, verticalScale],
+  );
+
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!container) return undefined;
+    const observer = new ResizeObserver(([entry]) => setWidth(Math.max(Math.floor(entry.contentRect.width), 320)));
+    observer.observe(container);
+    return () => observer.disconnect();
+  }, []);
+
+  // Wheel zoom needs a non-passive listener to keep the page from scrolling
+  const viewRef = useRef(view);
+  viewRef.current = view;
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return undefined;
+    const handleWheel = (e) => {
+      e.preventDefault();
+      const { toStation, stationRange: current } = viewRef.current;
+      const anchor = toStation(e.offsetX);
+      setStationWindow(zoomStationRange(current, e.deltaY < 0 ? 0.8 : 1.25, anchor, fullRange));
+    };
+    canvas.addEventListener('wheel', handleWheel, { passive: false });
+    return () => canvas.removeEventListener('wheel', handleWheel);
+  }, [canvasRef, fullRange]);
+
+  // Draggable points: PVIs, and the BVC/EVC of curves as curve length handles
+  const handles = useMemo(() => pviDetails.flatMap((pvi, index) => [
+    { type: 'pvi', index, x: view.toX(pvi.PVI_station), y: view.toY(pvi.PVI_elevation) },
+    ...(pvi.L_curve > 0 ? [
+      { type: 'bvc', index, x: view.toX(pvi.BVC_station), y: view.toY(pvi.BVC_elevation) },
+      { type: 'evc', index, x: view.toX(pvi.EVC_station), y: view.toY(pvi.EVC_elevation) },
+    ] : []),
+  ]), [pviDetails, view]);
+  const findHandle = (x, y) => handles.find(h => Math.hypot(h.x - x, h.y - y) <= 8) || null;
+
+  const track = useMemo(() => (inletMarkers.length > 0 ? createTrackView(view, profileHeight, {
+    maxQ: Math.max(...inletMarkers.map(m => m.qTotal)),
+    maxSpread: Math.max(...inletMarkers.flatMap(m => [m.spread, Number.isFinite(m.allowableSpread) ? m.allowableSpread : 0])),
+  }) : null), [inletMarkers, view]);
+  // Inlets are picked on the profile marker or anywhere in the track at their station
+  const inletPoints = useMemo(() => inletMarkers.map(marker => {
+    const point = evaluate(marker.station);
+    return { ...marker, x: view.toX(marker.station), y: point && !isNaN(point.elevation) ? view.toY(point.elevation) : NaN };
+  }), [inletMarkers, evaluate, view]);
+  const findInlet = (x, y) => findInletMarker(inletPoints, x, y, track?.box);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+    const ratio = window.devicePixelRatio || 1;
+    canvas.width = width * ratio;
+    canvas.height = height * ratio;
+    const ctx = canvas.getContext('2d');
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    ctx.fillStyle = '#FFFFFF';
+    ctx.fillRect(0, 0, width, height);
+
+    const { plot, toX, toY } = view;
+    const [start, end] = view.stationRange;
+    ctx.font = '10px Inter';
+
+    // Grid and axes
+    ctx.strokeStyle = '#E5E7EB';
+    ctx.lineWidth = 1;
+    ctx.fillStyle = '#6B7280';
+    ctx.textAlign = 'center';
+    getTicks([start, end], Math.max(Math.floor(plot.width / 90), 2)).forEach(station => {
+      const x = toX(station);
+      ctx.beginPath();
+      ctx.moveTo(x, plot.top);
+      ctx.lineTo(x, plot.bottom);
+      if (track) {
+        ctx.moveTo(x, track.box.top);
+        ctx.lineTo(x, track.box.bottom);
+      }
+      ctx.stroke();
+      ctx.fillText(formatNumber(station, station % 1 === 0 ? 0 : 1), x, plot.bottom + 14);
+    });
+    ctx.textAlign = 'right';
+    getTicks(view.elevationRange, Math.max(Math.floor(plot.height / 40), 2)).forEach(elevation => {
+      const y = toY(elevation);
+      ctx.beginPath();
+      ctx.moveTo(plot.left, y);
+      ctx.lineTo(plot.right, y);
+      ctx.stroke();
+      ctx.fillText(formatNumber(elevation, elevation % 1 === 0 ? 0 : 1), plot.left - 6, y + 3);
+    });
+    ctx.textAlign = 'center';
+    ctx.fillText('Station (ft)', (plot.left + plot.right) / 2, profileHeight - 6);
+    ctx.save();
+    ctx.translate(12, (plot.top + plot.bottom) / 2);
+    ctx.rotate(-Math.PI / 2);
+    ctx.fillText(`Elevation (ft)${verticalScale === 'fit' ? '' : `, ${verticalScale}× vertical`}`, 0, 0);
+    ctx.restore();
+    ctx.strokeStyle = '#9CA3AF';
+    ctx.strokeRect(plot.left, plot.top, plot.width, plot.height);
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(plot.left, plot.top, plot.width, plot.height);
+    ctx.clip();
+
+    if (profilePoints.length >= 2) {
+      ctx.beginPath();
+      ctx.strokeStyle = '#3B82F6';
+      ctx.lineWidth = 2;
+      profilePoints.forEach((p, i) => {
+        if (i === 0) ctx.moveTo(toX(p.station), toY(p.elevation));
+        else ctx.lineTo(toX(p.station), toY(p.elevation));
+      });
+      ctx.stroke();
+    }
+
+    const dot = (x, y, radius, color) => {
+      ctx.fillStyle = color;
+      ctx.beginPath();
+      ctx.arc(x, y, radius, 0, Math.PI * 2);
+      ctx.fill();
+    };
+    handles.forEach(h => {
+      if (h.type === 'pvi') dot(h.x, h.y, 5, '#EF4444');
+      else {
+        dot(h.x, h.y, 4, '#10B981');
+        ctx.strokeStyle = '#FFFFFF';
+        ctx.lineWidth = 1;
+        ctx.stroke();
+      }
+    });
+    pviDetails.forEach(pvi => {
+      if (pvi.lowHighPoint) dot(toX(pvi.lowHighPoint.station), toY(pvi.lowHighPoint.elevation), 4, '#9D174D');
+    });
+
+    // Inlets on the profile, colored by the spread check in the design and check storms
+    const inletLabels = inletPoints.filter(m => Number.isFinite(m.y)).map(m => {
+      ctx.fillStyle = INLET_STATUS_COLORS[m.status];
+      ctx.fillRect(m.x - 5, m.y - 5, 10, 10);
+      ctx.strokeStyle = '#FFFFFF';
+      ctx.lineWidth = 1.5;
+      ctx.strokeRect(m.x - 5, m.y - 5, 10, 10);
+      const lines = [`${m.label}${m.type ? ` ${m.type}` : ''}`];
+      if (m.status === 'fail') lines.push(`Spread fails${m.failingStorms ? ` (${m.failingStorms})` : ''}`);
+      return { x: m.x, y: m.y, lines, color: INLET_STATUS_COLORS[m.status], offsets: [[0, -10 - (lines.length - 1) * LABEL_LINE_HEIGHT, 'center'], [0, 20, 'center'], [8, -6, 'left'], [-8, -6, 'right']] };
+    });
+
+    // Tangent grade labels at the midpoint of each tangent run
+    const gradeLabels = [];
+    let tangentStart = limits.startStation;
+    [...pviDetails.map(pvi => [pvi.BVC_station, pvi.EVC_station]), [limits.endStation, null]].forEach(([tangentEnd, nextStart]) => {
+      const middle = (tangentStart + tangentEnd) / 2;
+      const point = tangentEnd > tangentStart ? evaluate(middle) : null;
+      tangentStart = nextStart;
+      if (!point || isNaN(point.elevation)) return;
+      gradeLabels.push({ x: toX(middle), y: toY(point.elevation), lines: [`${formatNumber(point.grade, 2)}%`], color: '#1D4ED8', offsets: [[0, -8, 'center'], [0, 18, 'center']] });
+    });
+
+    // Labels in order of importance; whatever no longer fits without overlapping is left to the crosshair
+    const markerBoxes = [...handles, ...inletPoints].map(h => ({ left: h.x - 5, right: h.x + 5, top: h.y - 5, bottom: h.y + 5 }));
+    const labels = [
+      ...inletLabels,
+      ...pviDetails.filter(p => p.lowHighPoint).map(p => ({
+        x: toX(p.lowHighPoint.station), y: toY(p.lowHighPoint.elevation), color: '#9D174D',
+        lines: [`${p.lowHighPoint.type} Sta ${formatNumber(p.lowHighPoint.station)}`, `Elev ${formatNumber(p.lowHighPoint.elevation)}`],
+      })),
+      ...pviDetails.map(p => ({ x: toX(p.PVI_station), y: toY(p.PVI_elevation), color: '#000000', lines: [`PVI Sta ${formatNumber(p.PVI_station, 0)}`, `Elev ${formatNumber(p.PVI_elevation)}`] })),
+      ...gradeLabels,
+      ...pviDetails.filter(p => p.L_curve > 0).flatMap(p => [
+        { x: toX(p.BVC_station), y: toY(p.BVC_elevation), color: '#047857', lines: [`BVC ${formatNumber(p.BVC_station, 0)}`] },
+        { x: toX(p.EVC_station), y: toY(p.EVC_elevation), color: '#047857', lines: [`EVC ${formatNumber(p.EVC_station, 0)}`] },
+      ]),
+    ];
+    placeLabels(labels, (text) => ctx.measureText(text).width, plot, markerBoxes).forEach(({ lines, color, x, y, align }) => {
+      ctx.fillStyle = color;
+      ctx.textAlign = align;
+      lines.forEach((line, i) => ctx.fillText(line, x, y + i * LABEL_LINE_HEIGHT));
+    });
+
+    ctx.restore();
+
+    // Track: gutter flow split into intercepted and bypassed flow (cfs, left axis), spread against the allowable
+    // (ft, right axis) and arrows from each inlet to where its bypass goes
+    if (track) {
+      const { box, toYQ, toYSpread } = track;
+      ctx.strokeStyle = '#E5E7EB';
+      ctx.lineWidth = 1;
+      ctx.font = '10px Inter';
+      ctx.fillStyle = '#6B7280';
+      getTicks(track.qRange, 3).forEach(q => {
+        ctx.beginPath();
+        ctx.moveTo(box.left, toYQ(q));
+        ctx.lineTo(box.right, toYQ(q));
+        ctx.stroke();
+        ctx.textAlign = 'right';
+        ctx.fillText(formatNumber(q, q % 1 === 0 ? 0 : 1), box.left - 6, toYQ(q) + 3);
+      });
+      ctx.textAlign = 'left';
+      getTicks(track.spreadRange, 3).forEach(spread => ctx.fillText(formatNumber(spread, spread % 1 === 0 ? 0 : 1), box.right + 6, toYSpread(spread) + 3));
+      ctx.strokeStyle = '#9CA3AF';
+      ctx.strokeRect(box.left, box.top, box.width, box.height);
+      ctx.fillStyle = '#374151';
+      ctx.fillText('Q (cfs): intercepted / bypassed', box.left + 4, box.bottom + 11);
+      ctx.textAlign = 'right';
+      ctx.fillText('Spread (ft) ◆ vs allowable ─', box.right - 4, box.bottom + 11);
+
+      ctx.save();
+      ctx.beginPath();
+      ctx.rect(box.left, box.top - 10, box.width, box.height + 10);
+      ctx.clip();
+      inletPoints.forEach(m => {
+        ctx.fillStyle = '#22C55E';
+        ctx.fillRect(m.x - 4, toYQ(m.qi), 8, box.bottom - toYQ(m.qi));
+        ctx.fillStyle = '#F97316';
+        ctx.fillRect(m.x - 4, toYQ(m.qTotal), 8, toYQ(m.qi) - toYQ(m.qTotal));
+        if (Number.isFinite(m.allowableSpread)) {
+          ctx.strokeStyle = '#DC2626';
+          ctx.lineWidth = 2;
+          ctx.beginPath();
+          ctx.moveTo(m.x + 4, toYSpread(m.allowableSpread));
+          ctx.lineTo(m.x + 16, toYSpread(m.allowableSpread));
+          ctx.stroke();
+        }
+        const y = toYSpread(m.spread);
+        ctx.fillStyle = INLET_STATUS_COLORS[m.status];
+        ctx.beginPath();
+        ctx.moveTo(m.x + 10, y - 5);
+        ctx.lineTo(m.x + 15, y);
+        ctx.lineTo(m.x + 10, y + 5);
+        ctx.lineTo(m.x + 5, y);
+        ctx.closePath();
+        ctx.fill();
+      });
+      inletPoints.filter(m => m.bypassTo).forEach(m => {
+        const x2 = view.toX(m.bypassTo.station);
+        const yStart = toYQ(m.qTotal);
+        const lift = Math.min(Math.abs(x2 - m.x) / 4 + 10, box.height / 2);
+        const apexY = Math.max(Math.min(yStart, box.bottom - 10) - lift, box.top + 2);
+        ctx.strokeStyle = m.bypassTo.lost ? '#DC2626' : '#F97316';
+        ctx.lineWidth = 1.5;
+        ctx.setLineDash(m.bypassTo.lost ? [4, 3] : []);
+        ctx.beginPath();
+        ctx.moveTo(m.x, yStart);
+        ctx.quadraticCurveTo((m.x + x2) / 2, apexY - lift / 2, x2, box.top + box.height / 3);
+        ctx.stroke();
+        ctx.setLineDash([]);
+        const direction = x2 >= m.x ? 1 : -1;
+        const tipY = box.top + box.height / 3;
+        ctx.fillStyle = ctx.strokeStyle;
+        ctx.beginPath();
+        ctx.moveTo(x2, tipY);
+        ctx.lineTo(x2 - 7 * direction, tipY - 5);
+        ctx.lineTo(x2 - 7 * direction, tipY + 3);
+        ctx.closePath();
+        ctx.fill();
+        ctx.textAlign = 'center';
+        ctx.fillText(`${formatNumber(m.qBypass)} cfs`, (m.x + x2) / 2, Math.max(apexY - 2, box.top + 8));
+      });
+      ctx.restore();
+    }
+
+    // Crosshair with the station, elevation and grade under the cursor
+    const point = hover && !drag ? evaluate(view.toStation(hover.x)) : null;
+    if (point && !isNaN(point.elevation) && hover.x >= plot.left && hover.x <= plot.right) {
+      const x = toX(point.station);
+      const y = toY(point.elevation);
+      ctx.setLineDash([4, 3]);
+      ctx.strokeStyle = '#6B7280';
+      ctx.lineWidth = 1;
+      ctx.beginPath();
+      ctx.moveTo(x, plot.top);
+      ctx.lineTo(x, track ? track.box.bottom : plot.bottom);
+      const onPlot = y >= plot.top && y <= plot.bottom;
+      if (onPlot) {
+        ctx.moveTo(plot.left, y);
+        ctx.lineTo(plot.right, y);
+      }
+      ctx.stroke();
+      ctx.setLineDash([]);
+      if (onPlot) dot(x, y, 3, '#111827');
+      const lines = [`Sta ${formatNumber(point.station)}`, `Elev ${formatNumber(point.elevation)}`, `Grade ${formatNumber(point.grade, 3)}%`];
+      const boxWidth = Math.max(...lines.map(line => ctx.measureText(line).width)) + 10;
+      const boxX = x + boxWidth + 12 > plot.right ? x - boxWidth - 8 : x + 8;
+      const boxY = plot.top + 4;
+      ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
+      ctx.fillRect(boxX, boxY, boxWidth, lines.length * LABEL_LINE_HEIGHT + 6);
+      ctx.strokeStyle = '#9CA3AF';
+      ctx.strokeRect(boxX, boxY, boxWidth, lines.length * LABEL_LINE_HEIGHT + 6);
+      ctx.fillStyle = '#111827';
+      ctx.textAlign = 'left';
+      lines.forEach((line, i) => ctx.fillText(line, boxX + 5, boxY + 13 + i * LABEL_LINE_HEIGHT));
+    }
+    ctx.textAlign = 'left';
+  }, [canvasRef, width, height, view, profilePoints, handles, pviDetails, limits, evaluate, inletPoints, track, hover, drag, verticalScale]);
+
+  const pointerPosition = (e) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+  };
+  const handlePointerDown = (e) => {
+    const { x, y } = pointerPosition(e);
+    const handle = findHandle(x, y);
+    const inlet = handle ? null : findInlet(x, y);
+    if (inlet) {
+      onSelectInlet(inlet.index);
+      return;
+    }
+    e.currentTarget.setPointerCapture(e.pointerId);
+    setDrag({ type: handle ? handle.type : 'pan', index: handle?.index, x, stationRange: view.stationRange, visibleElevations: handle ? visibleElevations : null });
+  };
+  const handlePointerMove = (e) => {
+    const { x, y } = pointerPosition(e);
+    setHover({ x, y });
+    if (!drag) return;
+    if (drag.type === 'pan') {
+      const shift = view.toStation(drag.x) - view.toStation(x);
+      setStationWindow(clampStationRange(drag.stationRange.map(s => s + shift), fullRange));
+      return;
+    }
+    const station = Math.round(view.toStation(x));
+    const pvi = pviDetails[drag.index];
+    if (drag.type === 'pvi') {
+      // Keep the PVI between its neighbours so the order does not change under the cursor
+      const previous = pviDetails[drag.index - 1]?.PVI_station ?? -Infinity;
+      const next = pviDetails[drag.index + 1]?.PVI_station ?? Infinity;
+      const elevation = Math.round(view.toElevation(y) * 100) / 100;
+      setProfile(prev => ({
+        ...prev,
+        pvis: prev.pvis.map((p, i) => (i === drag.index ? { ...p, station: Math.min(Math.max(station, previous + 1), next - 1), elevation } : p)),
+      }));
+    } else {
+      const length = Math.max(2 * Math.round(Math.abs(station - pvi.PVI_station)), 0);
+      setProfile(prev => ({ ...prev, pvis: prev.pvis.map((p, i) => (i === drag.index ? { ...p, length } : p)) }));
+    }
+  };
+  const endDrag = () => setDrag(null);
+  let cursor = 'crosshair';
+  if (drag) cursor = drag.type === 'pan' ? 'grabbing' : 'move';
+  else if (hover && findHandle(hover.x, hover.y)) cursor = findHandle(hover.x, hover.y).type === 'pvi' ? 'move' : 'ew-resize';
+  else if (hover && findInlet(hover.x, hover.y)) cursor = 'pointer';
+
+  const zoomBy = (factor) => setStationWindow(zoomStationRange(stationRange, factor, (stationRange[0] + stationRange[1]) / 2, fullRange));
+  const toolButtonClasses = "flex items-center px-3 py-1.5 bg-white text-blue-700 border border-blue-200 rounded-md hover:bg-blue-100 focus:outline-none focus:ring-2 focus:ring-blue-300 text-xs font-medium";
+
+  return (
+    <div ref={containerRef}>
+      <div className="flex flex-wrap items-center gap-2 mb-2">
+        <button onClick={() => zoomBy(0.5)} className={toolButtonClasses} title="Zoom in"><ZoomIn size={14} className="mr-1" /> Zoom In</button>
+        <button onClick={() => zoomBy(2)} className={toolButtonClasses} title="Zoom out"><ZoomOut size={14} className="mr-1" /> Zoom Out</button>
+        <button onClick={() => setStationWindow(null)} className={toolButtonClasses} title="Show the whole project"><Maximize2 size={14} className="mr-1" /> Fit</button>
+        <select
+          aria-label="Vertical scale"
+          value={verticalScale}
+          onChange={(e) => setVerticalScale(e.target.value === 'fit' ? 'fit' : parseFloat(e.target.value))}
+          className="rounded-md border-gray-300 shadow-sm p-1.5 text-xs"
+        >
+          {VERTICAL_SCALES.map(({ value, label }) => <option key={value} value={value}>{label}</option>)}
+        </select>
+        <span className="text-xs text-blue-700">
+          Sta {formatNumber(stationRange[0], 0)} to {formatNumber(stationRange[1], 0)}{verticalScale === 'fit' ? `, ${formatNumber(view.exaggeration, 1)}× vertical` : ''}
+        </span>
+      </div>
+      <canvas
+        ref={canvasRef}
+        style={{ height, cursor, touchAction: 'none' }}
+        className="bg-white border border-gray-300 rounded-md w-full shadow-sm select-none"
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={endDrag}
+        onPointerCancel={endDrag}
+        onPointerLeave={() => setHover(null)}
+        onDoubleClick={() => setStationWindow(null)}
+      ></canvas>
+    </div>
+  );
+};
+
+// Vertical Curve Review: K, sight distance, drainage K and flat zone for every PVI (from reviewVerticalCurves)
+const VerticalCurveReview = ({ review }) => {
+  if (review.length === 0) return null;
+  return (
+    <div className="mt-8">
+      <h3 className="text-lg sm:text-xl font-semibold text-gray-700 mb-3">Vertical Curve Review</h3>
+      <div className="overflow-x-auto">
+        <table className="min-w-full bg-white border border-gray-300 rounded-lg text-xs sm:text-sm">
+          <thead className="bg-gray-50">
+            <tr className="text-gray-600 uppercase text-xxs">
+              <th className="py-2.5 px-3 border-b text-left font-semibold">PVI</th>
+              <th className="py-2.5 px-3 border-b text-right font-semibold">Sta</th>
+              <th className="py-2.5 px-3 border-b text-left font-semibold">Curve</th>
+              <th className="py-2.5 px-3 border-b text-right font-semibold">A (%)</th>
+              <th className="py-2.5 px-3 border-b text-right font-semibold">L (ft)</th>
+              <th className="py-2.5 px-3 border-b text-right font-semibold">K (ft/%)</th>
+              <th className="py-2.5 px-3 border-b text-right font-semibold">Speed (mph)</th>
+              <th className="py-2.5 px-3 border-b text-left font-semibold">Sight Distance</th>
+              <th className="py-2.5 px-3 border-b text-right font-semibold">Required L (ft)</th>
+              <th className="py-2.5 px-3 border-b text-right font-semibold">Required K</th>
+              <th className="py-2.5 px-3 border-b text-center font-semibold">Check</th>
+              <th className="py-2.5 px-3 border-b text-left font-semibold">Drainage</th>
+              <th className="py-2.5 px-3 border-b text-left font-semibold">Flat Zone (&lt; {MIN_GUTTER_GRADE}%)</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {review.map(curve => (
+              <tr key={curve.index} className={`text-gray-700 ${curve.sightDistancePasses === false || curve.exceedsDrainageK ? 'bg-red-50' : ''}`}>
+                <td className="py-2 px-3 border-b text-left">{curve.index + 1}</td>
+                <td className="py-2 px-3 border-b text-right">{formatNumber(curve.station)}</td>
+                <td className="py-2 px-3 border-b text-left">{curve.type}</td>
+                <td className="py-2 px-3 border-b text-right">{formatNumber(curve.A, 3)}</td>
+                <td className="py-2 px-3 border-b text-right">{formatNumber(curve.L, 0)}</td>
+                <td className="py-2 px-3 border-b text-right font-semibold">{formatNumber(curve.K, 1)}</td>
+                <td className="py-2 px-3 border-b text-right">{formatNumber(curve.designSpeed, 0)}</td>
+                <td className="py-2 px-3 border-b text-left whitespace-nowrap">{curve.sightDistanceType && `${curve.sightDistanceType} ${formatNumber(curve.sightDistance, 0)} ft`}</td>
+                <td className="py-2 px-3 border-b text-right">{formatNumber(curve.requiredLength, 0)}</td>
+                <td className="py-2 px-3 border-b text-right">{formatNumber(curve.requiredK, 1)}</td>
+                <td className="py-2 px-3 border-b text-center"><PassFail passes={curve.sightDistancePasses} /></td>
+                <td className={`py-2 px-3 border-b text-left ${curve.exceedsDrainageK ? 'text-red-600 font-semibold' : ''}`}>{curve.exceedsDrainageK ? `K > ${MAX_DRAINAGE_K}` : ''}</td>
+                <td className="py-2 px-3 border-b text-left whitespace-nowrap">
+                  {curve.flatZone && `Sta ${formatNumber(curve.flatZone.startStation)} to ${formatNumber(curve.flatZone.endStation)} (${formatNumber(curve.flatZone.length, 0)} ft)`}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <p className="text-xs text-gray-500 mt-2">Crest curves are checked for stopping sight distance and sag curves for headlight sight distance (AASHTO) at the roadway design speed for the PVI station.</p>
+      <p className="text-xs text-gray-500 mt-1">Sag curves with K over {MAX_DRAINAGE_K} drain poorly on curbed roads; within the flat zone around a low point the gutter grade is under {MIN_GUTTER_GRADE}%, so flanking inlets belong there.</p>
+    </div>
+  );
+};
+
+// Profile Import preview: the profiles read from a LandXML or CSV file, one chosen at a time, drawn and tabled
+// before it replaces the current profile
+const ProfileImport = ({ fileName, profiles, onApply, onCancel }) => {
+  const [selected, setSelected] = useState(() => Math.max(profiles.findIndex(p => p.profile), 0));
+  const choice = profiles[selected];
+  const preview = useMemo(() => {
+    if (!choice?.profile) return null;
+    const model = createProfileModel(choice.profile);
+    const { startStation, endStation } = choice.profile;
+    const points = [];
+    for (let i = 0; i <= 200; i++) {
+      const station = startStation + (endStation - startStation) * i / 200;
+      points.push([station, model.evaluate(station).elevation]);
+    }
+    const elevations = points.map(([, elevation]) => elevation);
+    const [low, high] = [Math.min(...elevations), Math.max(...elevations)];
+    const toX = station => 4 + (station - startStation) / (endStation - startStation || 1) * 592;
+    const toY = elevation => 116 - (elevation - low) / (high - low || 1) * 112;
+    return {
+      model,
+      line: points.map(([station, elevation]) => `${toX(station).toFixed(1)},${toY(elevation).toFixed(1)}`).join(' '),
+      pvis: model.pviDetails.map(p => [toX(p.PVI_station), toY(p.PVI_elevation)]),
+    };
+  }, [choice]);
+
+  return (
+    <div className="mb-6 p-4 bg-blue-50 rounded-lg border border-blue-200">
+      <h3 className="text-lg font-semibold text-blue-700 mb-2">Import Profile: {fileName}</h3>
+      {profiles.length > 1 && (
+        <div className="mb-3 max-w-md">
+          <label className="block text-xs font-medium text-gray-600 mb-1">Profile ({profiles.length} in file)</label>
+          <select value={selected} onChange={(e) => setSelected(Number(e.target.value))} className="block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 p-2 text-sm">
+            {profiles.map((p, i) => <option key={i} value={i}>{[p.alignment, p.name].filter(Boolean).join(' / ')}{p.profile ? '' : ' (unreadable)'}</option>)}
+          </select>
+        </div>
+      )}
+      {preview && (
+        <>
+          <svg viewBox="0 0 600 120" className="w-full h-32 bg-white rounded border border-gray-200 mb-3">
+            <polyline points={preview.line} fill="none" stroke="#2563eb" strokeWidth="2" vectorEffect="non-scaling-stroke" />
+            {preview.pvis.map(([x, y], i) => <circle key={i} cx={x} cy={y} r="3" fill="#dc2626" />)}
+          </svg>
+          <p className="text-sm text-gray-700 mb-2">
+            Sta {formatNumber(choice.profile.startStation)} to {formatNumber(choice.profile.endStation)};
+            beginning grade {formatNumber(choice.profile.beginningGrade, 3)}%, ending grade {formatNumber(choice.profile.endingGrade, 3)}%.
+          </p>
+          <div className="overflow-x-auto mb-2">
+            <table className="min-w-full bg-white border border-gray-300 rounded-lg text-xs sm:text-sm">
+              <thead className="bg-gray-50">
+                <tr className="text-gray-600 uppercase text-xxs">
+                  <th className="py-2 px-3 border-b text-left font-semibold">PVI</th>
+                  <th className="py-2 px-3 border-b text-right font-semibold">Station</th>
+                  <th className="py-2 px-3 border-b text-right font-semibold">Elevation</th>
+                  <th className="py-2 px-3 border-b text-right font-semibold">Curve Length (ft)</th>
+                  <th className="py-2 px-3 border-b text-right font-semibold">Grade In (%)</th>
+                  <th className="py-2 px-3 border-b text-right font-semibold">Grade Out (%)</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {preview.model.pviDetails.map((p, i) => (
+                  <tr key={i} className="text-gray-700">
+                    <td className="py-1.5 px-3 border-b text-left">{i + 1}</td>
+                    <td className="py-1.5 px-3 border-b text-right">{formatNumber(p.PVI_station)}</td>
+                    <td className="py-1.5 px-3 border-b text-right">{formatNumber(p.PVI_elevation, 3)}</td>
+                    <td className="py-1.5 px-3 border-b text-right">{formatNumber(p.L_curve, 0)}</td>
+                    <td className="py-1.5 px-3 border-b text-right">{formatNumber(p.g_in_percent, 3)}</td>
+                    <td className="py-1.5 px-3 border-b text-right">{formatNumber(p.g_out_percent, 3)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+      {choice?.notes.length > 0 && (
+        <ul className="text-xs text-amber-700 list-disc pl-5 mb-2">
+          {choice.notes.map((note, i) => <li key={i}>{note}</li>)}
+        </ul>
+      )}
+      <div className="flex gap-3 mt-3">
+        <button
+          onClick={() => onApply(choice.profile)}
+          disabled={!choice?.profile}
+          className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 focus:outline-none focus:ring-4 focus:ring-blue-300 text-sm font-medium transition-colors shadow-md disabled:opacity-50"
+        >
+          Replace Profile
+        </button>
+        <button onClick={onCancel} className="px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 focus:outline-none focus:ring-4 focus:ring-gray-300 text-sm font-medium transition-colors">
+          Cancel
+        </button>
+      </div>
+      <p className="text-xs text-gray-500 mt-2">Replacing the profile keeps the inlets; check their stations against the new limits.</p>
+    </div>
+  );
+};
+
+const ProfileDefinition = ({ profile, profileModel, setProfile, addPVI, removePVI, canvasRef, issues, inletMarkers, onSelectInlet, curveReview, onExportLandXML, displayMessage }) => {
   const formInputClasses = "mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 p-2 text-sm";
+  const inputClasses = (scope, index, field) => {
+    const [issue] = groupIssuesByField(issues, scope, index)[field] || [];
+    return `${formInputClasses} ${ISSUE_INPUT_CLASSES[issue?.severity] || ''}`;
+  };
+
+  const handleProfileChange = (e) => {
+    const { name, value } = e.target;
+    setProfile(prev => ({ ...prev, [name]: value === '' ? '' : (parseFloat(value) || (value === '0' ? 0 : parseFloat(value) || '')) }));
+  };
+
+  const fileInputRef = useRef(null);
+  const [imported, setImported] = useState(null);
+  const importProfileFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const name = file.name.replace(/\.[^.]+$/, '');
+      setImported({ fileName: file.name, profiles: parseProfileFile(await readFileAsText(file), { name }) });
+    } catch (error) {
+      displayMessage(`${file.name}: ${error.message}`);
+    }
+  };
+  const applyImportedProfile = (importedProfile) => {
+    setProfile(importedProfile);
+    setImported(null);
+  };
+
+  const handlePVIChange = (index, e) => {
+    const { name, value } = e.target;
+    setProfile(prev => {
+      const newPVIs = [...prev.pvis];
+      newPVIs[index] = { ...newPVIs[index], [name]: value === '' ? '' : (parseFloat(value) || (value === '0' ? 0 : parseFloat(value) || '')) };
+      return { ...prev, pvis: newPVIs };
+    });
+  };
 
-  const drawProfile = useCallback(() => {
-    const canvas = canvasRef.current;
-    if (!canvas) return;
-    const ctx = canvas.getContext('2d');
-    ctx.clearRect(0, 0, canvas.width, canvas.height);
-
-    const profilePointsForDrawing = [];
-    const plotStep = 5;
-
-    const getTangentElevation = (startStation, startElevation, gradePercent, targetStation) => {
-        if (isNaN(startStation) || isNaN(startElevation) || isNaN(gradePercent) || isNaN(targetStation)) return NaN;
-        return startElevation + (gradePercent / 100) * (targetStation - startStation);
-    };
-
-    const pviDetails = profile.pvis.map((pvi, i) => {
-        const L_curve = parseFloat(pvi.length) || 0;
-        const PVI_station = parseFloat(pvi.station) || 0;
-        const PVI_elevation = parseFloat(pvi.elevation) || 0;
-
-        let g_in_percent;
-        if (i === 0) {
-            g_in_percent = parseFloat(profile.beginningGrade);
-            if(isNaN(g_in_percent)) g_in_percent = 0;
-        } else {
-            const prevPVI = profile.pvis[i - 1];
-            const prevPVI_station = parseFloat(prevPVI.station) || 0;
-            const prevPVI_elevation = parseFloat(prevPVI.elevation) || 0;
-            if (PVI_station === prevPVI_station) {
-                g_in_percent = 0;
-            } else {
-                g_in_percent = (PVI_elevation - prevPVI_elevation) / (PVI_station - prevPVI_station) * 100;
-            }
-        }
-        if (isNaN(g_in_percent)) g_in_percent = 0;
-
-        let g_out_percent;
-        if (i === profile.pvis.length - 1) {
-            g_out_percent = parseFloat(profile.endingGrade);
-            if(isNaN(g_out_percent)) g_out_percent = 0;
-        } else {
-            const nextPVI = profile.pvis[i + 1];
-            const nextPVI_station = parseFloat(nextPVI.station) || 0;
-            const nextPVI_elevation = parseFloat(nextPVI.elevation) || 0;
-            if (nextPVI_station === PVI_station) {
-                g_out_percent = 0;
-            } else {
-                g_out_percent = (nextPVI_elevation - PVI_elevation) / (nextPVI_station - PVI_station) * 100;
-            }
-        }
-        if (isNaN(g_out_percent)) g_out_percent = 0;
-
-        let BVC_station, EVC_station, BVC_elevation;
-        if (L_curve > 0) {
-            BVC_station = PVI_station - L_curve / 2;
-            EVC_station = PVI_station + L_curve / 2;
-            BVC_elevation = PVI_elevation - (g_in_percent / 100) * (L_curve / 2);
-        } else {
-            BVC_station = PVI_station;
-            EVC_station = PVI_station;
-            BVC_elevation = PVI_elevation;
-        }
-
-        const A_percent = g_out_percent - g_in_percent;
-
-        let lowHighPoint = null;
-        if (L_curve > 0 && A_percent !== 0) {
-            const x_low_high = (-g_in_percent / A_percent) * L_curve;
-            if (x_low_high >= 0 && x_low_high <= L_curve) {
-                const lowHighStation = BVC_station + x_low_high;
-                const lowHighElevation = BVC_elevation + (g_in_percent / 100) * x_low_high + (A_percent / 100 / (2 * L_curve)) * x_low_high * x_low_high;
-                lowHighPoint = { station: lowHighStation, elevation: lowHighElevation, type: A_percent > 0 ? 'Low Point' : 'High Point' };
-            }
-        }
-
-        return {
-            ...pvi, L_curve, PVI_station, PVI_elevation,
-            BVC_station, EVC_station, BVC_elevation,
-            g_in_percent, g_out_percent, A_percent, lowHighPoint
-        };
-    });
-
-     let minOverallStation = 0;
-     let maxOverallStation = 1000;
-
-     if (pviDetails.length > 0) {
-         minOverallStation = pviDetails.reduce((min, p) => Math.min(min, p.BVC_station), pviDetails[0].BVC_station) - 200;
-         maxOverallStation = pviDetails.reduce((max, p) => Math.max(max, p.EVC_station), pviDetails[0].EVC_station) + 200;
-     } else if (profile.beginningGrade !== '' || profile.endingGrade !== '') {
-         minOverallStation = 0;
-         maxOverallStation = 1000;
-     }
-     if (minOverallStation < 0) {
-         minOverallStation = 0;
-     }
-
-     let lastPointStation = minOverallStation;
-     let lastPointElevation;
-     const parsedBeginningGrade = parseFloat(profile.beginningGrade);
-
-     if (pviDetails.length > 0) {
-         const firstPVIDetail = pviDetails[0];
-         const initialGrade = !isNaN(parsedBeginningGrade) ? parsedBeginningGrade : 0;
-         lastPointElevation = getTangentElevation(firstPVIDetail.BVC_station, firstPVIDetail.BVC_elevation, initialGrade, minOverallStation);
-     } else if (!isNaN(parsedBeginningGrade)) {
-         lastPointElevation = 100;
-     } else {
-         lastPointElevation = 0;
-     }
-     if(isNaN(lastPointElevation)) lastPointElevation = 0;
-     profilePointsForDrawing.push({ station: lastPointStation, elevation: lastPointElevation });
-
-     for (let i = 0; i < pviDetails.length; i++) {
-         const pvi = pviDetails[i];
-         if (pvi.BVC_station > lastPointStation) {
-             const tangentStartStation = lastPointStation;
-             const tangentStartElevation = lastPointElevation;
-             const stationDiff = pvi.BVC_station - tangentStartStation;
-             const tangentGrade = stationDiff === 0 ? 0 : (pvi.BVC_elevation - tangentStartElevation) / stationDiff * 100;
-             for (let s = tangentStartStation + plotStep; s < pvi.BVC_station; s += plotStep) {
-                 profilePointsForDrawing.push({ station: s, elevation: getTangentElevation(tangentStartStation, tangentStartElevation, tangentGrade, s) });
-             }
-             profilePointsForDrawing.push({ station: pvi.BVC_station, elevation: pvi.BVC_elevation });
-         }
-
-         if (pvi.L_curve > 0) {
-             for (let s = pvi.BVC_station; s < pvi.EVC_station; s += plotStep) {
-                 const x = s - pvi.BVC_station;
-                 const elevation = pvi.BVC_elevation + (pvi.g_in_percent / 100) * x + (pvi.A_percent / 100 / (2 * pvi.L_curve)) * x * x;
-                 profilePointsForDrawing.push({ station: s, elevation });
-             }
-             const evcElevationOnTangent = getTangentElevation(pvi.PVI_station, pvi.PVI_elevation, pvi.g_out_percent, pvi.EVC_station);
-             profilePointsForDrawing.push({ station: pvi.EVC_station, elevation: evcElevationOnTangent });
-             lastPointStation = pvi.EVC_station;
-             lastPointElevation = evcElevationOnTangent;
-         } else {
-             profilePointsForDrawing.push({ station: pvi.PVI_station, elevation: pvi.PVI_elevation });
-             lastPointStation = pvi.PVI_station;
-             lastPointElevation = pvi.PVI_elevation;
-         }
-         if(isNaN(lastPointElevation)) lastPointElevation = pvi.PVI_elevation;
-     }
-
-     const parsedEndingGrade = parseFloat(profile.endingGrade);
-     if (lastPointStation < maxOverallStation) {
-         const finalGrade = !isNaN(parsedEndingGrade) ? parsedEndingGrade : (!isNaN(parsedBeginningGrade) && pviDetails.length === 0 ? parsedBeginningGrade : 0);
-         for (let s = lastPointStation + plotStep; s <= maxOverallStation; s += plotStep) {
-             profilePointsForDrawing.push({ station: s, elevation: getTangentElevation(lastPointStation, lastPointElevation, finalGrade, s) });
-         }
-     } else if (pviDetails.length === 0 && (!isNaN(parsedBeginningGrade) || !isNaN(parsedEndingGrade))) {
-       if (profilePointsForDrawing.length <= 1) {
-           if(profilePointsForDrawing.length > 0) profilePointsForDrawing.pop();
-           const gradeToUse = !isNaN(parsedEndingGrade) ? parsedEndingGrade : (!isNaN(parsedBeginningGrade) ? parsedBeginningGrade : 0);
-           const startElev = !isNaN(parsedBeginningGrade) ? 100 : 0;
-           if(profilePointsForDrawing.length === 0) profilePointsForDrawing.push({station: minOverallStation, elevation: startElev});
-           for (let s = minOverallStation + plotStep; s <= maxOverallStation; s += plotStep) {
-               profilePointsForDrawing.push({ station: s, elevation: getTangentElevation(minOverallStation, startElev, gradeToUse, s) });
-           }
-       }
-   }
-
-     profilePointsForDrawing.sort((a, b) => a.station - b.station);
-     const uniqueProfilePoints = [];
-     if (profilePointsForDrawing.length > 0) {
-         uniqueProfilePoints.push(profilePointsForDrawing[0]);
-         for (let i = 1; i < profilePointsForDrawing.length; i++) {
-             const prev = uniqueProfilePoints[uniqueProfilePoints.length - 1];
-             const curr = profilePointsForDrawing[i];
-             if (curr.station !== prev.station || Math.abs(curr.elevation - prev.elevation) > 0.001) {
-               if(!isNaN(curr.elevation)) uniqueProfilePoints.push(curr);
-             }
-         }
-     }
-
-     if (uniqueProfilePoints.length < 2) return;
-
-     const allStations = uniqueProfilePoints.map(p => p.station);
-     const allElevations = uniqueProfilePoints.map(p => p.elevation).filter(e => !isNaN(e));
-     if(allElevations.length === 0) return;
-
-     const minStation = Math.min(...allStations);
-     const maxStation = Math.max(...allStations);
-     const minElevation = Math.min(...allElevations);
-     const maxElevation = Math.max(...allElevations);
-
-     const stationRange = maxStation - minStation;
-     const elevationRange = maxElevation - minElevation;
-
-     const displayMinStation = minStation - (stationRange === 0 ? 50 : stationRange * 0.05);
-     const displayMaxStation = maxStation + (stationRange === 0 ? 50 : stationRange * 0.05);
-     const displayMinElevation = minElevation - (elevationRange === 0 ? 5 : elevationRange * 0.1);
-     const displayMaxElevation = maxElevation + (elevationRange === 0 ? 5 : elevationRange * 0.1);
-
-     if (displayMaxStation - displayMinStation === 0 || displayMaxElevation - displayMinElevation === 0) return;
-
-     const scaleX = canvas.width / (displayMaxStation - displayMinStation);
-     const scaleY = canvas.height / (displayMaxElevation - displayMinElevation);
-
-     ctx.beginPath();
-     ctx.strokeStyle = '#3B82F6';
-     ctx.lineWidth = 2;
-     uniqueProfilePoints.forEach((p, i) => {
-       if(isNaN(p.elevation)) return;
-         const x = (p.station - displayMinStation) * scaleX;
-         const y = canvas.height - ((p.elevation - displayMinElevation) * scaleY);
-         if (i === 0) ctx.moveTo(x, y);
-         else ctx.lineTo(x, y);
-     });
-     ctx.stroke();
-
-     ctx.fillStyle = '#EF4444';
-     profile.pvis.forEach(pviInput => {
-       const pviStation = parseFloat(pviInput.station);
-       const pviElevation = parseFloat(pviInput.elevation);
-       if (isNaN(pviStation) || isNaN(pviElevation)) return;
-         const x = (pviStation - displayMinStation) * scaleX;
-         const y = canvas.height - ((pviElevation - displayMinElevation) * scaleY);
-         ctx.beginPath();
-         ctx.arc(x, y, 5, 0, Math.PI * 2);
-         ctx.fill();
-         ctx.fillStyle = '#000000';
-         ctx.font = '10px Inter';
-         ctx.textAlign = 'left';
-         ctx.fillText(`PVI Sta: ${formatNumber(pviStation,0)}`, x + 10, y - 5);
-         ctx.fillText(`Elev: ${formatNumber(pviElevation)}`, x + 10, y + 10);
-     });
-
-     pviDetails.forEach(pvi => {
-         if (!isNaN(pvi.L_curve) && pvi.L_curve > 0) {
-             ctx.fillStyle = '#10B981';
-             let x_bvc = (pvi.BVC_station - displayMinStation) * scaleX;
-             let y_bvc = canvas.height - ((pvi.BVC_elevation - displayMinElevation) * scaleY);
-             if(!isNaN(pvi.BVC_elevation)) {
-                 ctx.beginPath();
-                 ctx.arc(x_bvc, y_bvc, 4, 0, Math.PI * 2);
-                 ctx.fill();
-                 ctx.fillStyle = '#000000';
-                 ctx.fillText(`BVC Sta: ${formatNumber(pvi.BVC_station, 0)}`, x_bvc + 8, y_bvc - 5);
-                 ctx.fillText(`Elev: ${formatNumber(pvi.BVC_elevation)}`, x_bvc + 8, y_bvc + 10);
-             }
-
-             const evc_tangent_elevation = getTangentElevation(pvi.PVI_station, pvi.PVI_elevation, pvi.g_out_percent, pvi.EVC_station);
-             let x_evc = (pvi.EVC_station - displayMinStation) * scaleX;
-             let y_evc = canvas.height - ((evc_tangent_elevation - displayMinElevation) * scaleY);
-             if(!isNaN(evc_tangent_elevation)) {
-                 ctx.fillStyle = '#10B981';
-                 ctx.beginPath();
-                 ctx.arc(x_evc, y_evc, 4, 0, Math.PI * 2);
-                 ctx.fill();
-                 ctx.fillStyle = '#000000';
-                 ctx.textAlign = 'right';
-                 ctx.fillText(`EVC Sta: ${formatNumber(pvi.EVC_station, 0)}`, x_evc - 8, y_evc - 5);
-                 ctx.fillText(`Elev: ${formatNumber(evc_tangent_elevation)}`, x_evc - 8, y_evc + 10);
-                 ctx.textAlign = 'left';
-             }
-
-             if (pvi.lowHighPoint && !isNaN(pvi.lowHighPoint.elevation)) {
-                 let x_lh = (pvi.lowHighPoint.station - displayMinStation) * scaleX;
-                 let y_lh = canvas.height - ((pvi.lowHighPoint.elevation - displayMinElevation) * scaleY);
-                 ctx.fillStyle = '#9D174D';
-                 ctx.beginPath();
-                 ctx.arc(x_lh, y_lh, 4, 0, Math.PI * 2);
-                 ctx.fill();
-                 ctx.fillStyle = '#000000';
-                 ctx.fillText(`${pvi.lowHighPoint.type} Sta: ${formatNumber(pvi.lowHighPoint.station, 0)}`, x_lh + 8, y_lh - 5);
-                 ctx.fillText(`Elev: ${formatNumber(pvi.lowHighPoint.elevation)}`, x_lh + 8, y_lh + 10);
-             }
-         }
-     });
-
-     ctx.fillStyle = '#000000';
-     ctx.font = '12px Inter';
-     ctx.textAlign = 'center';
-
-     if (pviDetails.length === 0) {
-         const beginningGradeVal = parseFloat(profile.beginningGrade);
-         const endingGradeVal = parseFloat(profile.endingGrade);
-         const startElevForLine = (!isNaN(beginningGradeVal) ? 100 : 0);
-         let effectiveGradeToLabel = null;
-         if (!isNaN(endingGradeVal)) { effectiveGradeToLabel = endingGradeVal; }
-         else if (!isNaN(beginningGradeVal)) { effectiveGradeToLabel = beginningGradeVal; }
-
-         if (effectiveGradeToLabel !== null) {
-             const midStation = (minOverallStation + maxOverallStation) / 2;
-             const midElevation = getTangentElevation(minOverallStation, startElevForLine, effectiveGradeToLabel, midStation);
-             if (!isNaN(midElevation)) {
-                 const x_mid = (midStation - displayMinStation) * scaleX;
-                 const y_mid = canvas.height - ((midElevation - displayMinElevation) * scaleY);
-                 if (isFinite(x_mid) && isFinite(y_mid)) {
-                     ctx.fillText(`${formatNumber(effectiveGradeToLabel, 2)}%`, x_mid, y_mid - 10);
-                 }
-             }
-         }
-     } else {
-         const beginningGradeVal = parseFloat(profile.beginningGrade);
-         if (!isNaN(beginningGradeVal)) {
-             const firstPVIDetail = pviDetails[0];
-             if (firstPVIDetail.BVC_station > minOverallStation) {
-                 const midStation = (minOverallStation + firstPVIDetail.BVC_station) / 2;
-                 const startElevationForLabelTangent = getTangentElevation(firstPVIDetail.BVC_station, firstPVIDetail.BVC_elevation, beginningGradeVal, minOverallStation);
-                 const midElevation = getTangentElevation(minOverallStation, startElevationForLabelTangent, beginningGradeVal, midStation);
-                  if (!isNaN(midElevation)) {
-                     const x_mid = (midStation - displayMinStation) * scaleX;
-                     const y_mid = canvas.height - ((midElevation - displayMinElevation) * scaleY);
-                     if (isFinite(x_mid) && isFinite(y_mid)) {
-                         ctx.fillText(`${formatNumber(beginningGradeVal, 2)}%`, x_mid, y_mid - 10);
-                     }
-                 }
-             }
-         }
-
-         for (let i = 0; i < pviDetails.length - 1; i++) {
-             const pvi1 = pviDetails[i];
-             const pvi2 = pviDetails[i+1];
-             if (!isNaN(pvi1.g_out_percent) && pvi2.BVC_station > pvi1.EVC_station) {
-                 const midStation = (pvi1.EVC_station + pvi2.BVC_station) / 2;
-                 const evc1_tangent_elev = getTangentElevation(pvi1.PVI_station, pvi1.PVI_elevation, pvi1.g_out_percent, pvi1.EVC_station);
-                 const midElevation = getTangentElevation(pvi1.EVC_station, evc1_tangent_elev, pvi1.g_out_percent, midStation);
-                 if (!isNaN(midElevation)) {
-                     const x_mid = (midStation - displayMinStation) * scaleX;
-                     const y_mid = canvas.height - ((midElevation - displayMinElevation) * scaleY);
-                     if (isFinite(x_mid) && isFinite(y_mid)) {
-                         ctx.fillText(`${formatNumber(pvi1.g_out_percent, 2)}%`, x_mid, y_mid - 10);
-                     }
-                 }
-             }
-         }
-         const endingGradeVal = parseFloat(profile.endingGrade);
-         if (!isNaN(endingGradeVal)) {
-             const lastPVIDetail = pviDetails[pviDetails.length - 1];
-             if (maxOverallStation > lastPVIDetail.EVC_station) {
-                 const midStation = (lastPVIDetail.EVC_station + maxOverallStation) / 2;
-                 const evc_last_tangent_elevation = getTangentElevation(lastPVIDetail.PVI_station, lastPVIDetail.PVI_elevation, lastPVIDetail.g_out_percent, lastPVIDetail.EVC_station);
-                 const midElevation = getTangentElevation(lastPVIDetail.EVC_station, evc_last_tangent_elevation, endingGradeVal, midStation);
-                 if (!isNaN(midElevation)) {
-                     const x_mid = (midStation - displayMinStation) * scaleX;
-                     const y_mid = canvas.height - ((midElevation - displayMinElevation) * scaleY);
-                     if (isFinite(x_mid) && isFinite(y_mid)) {
-                         ctx.fillText(`${formatNumber(endingGradeVal, 2)}%`, x_mid, y_mid - 10);
-                     }
-                 }
-             }
-         }
-     }
-     ctx.textAlign = 'left';
-
-  }, [profile]);
-
-  useEffect(() => {
-    drawProfile();
-    const handleResize = () => drawProfile();
-    window.addEventListener('resize', handleResize);
-    return () => window.removeEventListener('resize', handleResize);
-  }, [profile, drawProfile]);
-
-  const handleProfileChange = (e) => {
-    const { name, value } = e.target;
-    setProfile(prev => ({ ...prev, [name]: value === '' ? '' : (parseFloat(value) || (value === '0' ? 0 : parseFloat(value) || '')) }));
-  };
-
-  const handlePVIChange = (index, e) => {
-    const { name, value } = e.target;
-    setProfile(prev => {
-      const newPVIs = [...prev.pvis];
-      newPVIs[index] = { ...newPVIs[index], [name]: value === '' ? '' : (parseFloat(value) || (value === '0' ? 0 : parseFloat(value) || '')) };
-      return { ...prev, pvis: newPVIs };
-    });
-  };
-
-  return (
-    <div className="bg-white rounded-xl shadow-lg p-6 sm:p-8 mb-8"> {/* Card styling for this section */}
-      <h2 className="text-2xl font-semibold text-gray-800 mb-6 pb-3 border-b border-gray-200">1. Profile Definition</h2>
-      <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-6">
-        <div>
-          <label htmlFor="beginningGrade" className="block text-sm font-medium text-gray-700 mb-1">Beginning Grade (%)</label>
-          <input type="number" step="any" id="beginningGrade" name="beginningGrade" value={profile.beginningGrade} onChange={handleProfileChange} className={formInputClasses} />
-        </div>
-        <div>
-          <label htmlFor="endingGrade" className="block text-sm font-medium text-gray-700 mb-1">Ending Grade (%)</label>
-          <input type="number" step="any" id="endingGrade" name="endingGrade" value={profile.endingGrade} onChange={handleProfileChange} className={formInputClasses} />
-        </div>
-      </div>
-
-      <h3 className="text-lg sm:text-xl font-semibold text-gray-700 mb-4">PVI Points</h3>
-      {profile.pvis.map((pvi, index) => (
-        <div key={index} className="grid grid-cols-1 md:grid-cols-4 gap-4 bg-gray-50 p-4 rounded-lg mb-4 items-end border border-gray-200">
-          <p className="col-span-full text-md sm:text-lg font-semibold text-blue-600 mb-2">PVI {index + 1}</p>
-          <div>
-            <label className="block text-xs font-medium text-gray-600">Station</label>
-            <input type="number" step="any" name="station" value={pvi.station} onChange={(e) => handlePVIChange(index, e)} className={formInputClasses} />
-          </div>
-          <div>
-            <label className="block text-xs font-medium text-gray-600">Elevation</label>
-            <input type="number" step="any" name="elevation" value={pvi.elevation} onChange={(e) => handlePVIChange(index, e)} className={formInputClasses} />
-          </div>
-          <div>
-            <label className="block text-xs font-medium text-gray-600">Curve Length (ft)</label>
-            <input type="number" step="any" name="length" value={pvi.length} onChange={(e) => handlePVIChange(index, e)} className={formInputClasses} />
-          </div>
-          <div className="flex items-end">
-            <button
-              onClick={() => removePVI(index)}
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-6 sm:p-8 mb-8"> {/* Card styling for this section */}
+      <div className="flex flex-wrap justify-between items-center gap-3 mb-6 pb-3 border-b border-gray-200">
+        <h2 className="text-2xl font-semibold text-gray-800">1. Profile Definition</h2>
+        <div className="flex gap-2">
+          <input ref={fileInputRef} type="file" accept=".xml,.csv,.txt,application/xml,text/xml,text/csv" onChange={importProfileFile} className="hidden" />
+          <button
+            onClick={() => fileInputRef.current?.click()}
+            title="LandXML <ProfAlign> or a CSV of station, elevation and curve length"
+            className="flex items-center px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 focus:outline-none focus:ring-4 focus:ring-blue-300 text-sm font-medium transition-colors shadow-md"
+          >
+            <Upload size={16} className="mr-2" /> Import Profile
+          </button>
+          <button
+            onClick={onExportLandXML}
+            className="flex items-center px-4 py-2 bg-gray-700 text-white rounded-lg hover:bg-gray-800 focus:outline-none focus:ring-4 focus:ring-gray-300 text-sm font-medium transition-colors shadow-md"
+          >
+            <Download size={16} className="mr-2" /> Export LandXML
+          </button>
+        </div>
+      </div>
+      {imported && (
+        <ProfileImport
+          key={imported.fileName}
+          fileName={imported.fileName}
+          profiles={imported.profiles}
+          onApply={applyImportedProfile}
+          onCancel={() => setImported(null)}
+        />
+      )}
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-6">
+        <div>
+          <label htmlFor="beginningGrade" className="block text-sm font-medium text-gray-700 mb-1">Beginning Grade (%)</label>
+          <input type="number" step="any" id="beginningGrade" name="beginningGrade" value={profile.beginningGrade} onChange={handleProfileChange} className={inputClasses('profile', null, 'beginningGrade')} />
+        </div>
+        <div>
+          <label htmlFor="endingGrade" className="block text-sm font-medium text-gray-700 mb-1">Ending Grade (%)</label>
+          <input type="number" step="any" id="endingGrade" name="endingGrade" value={profile.endingGrade} onChange={handleProfileChange} className={inputClasses('profile', null, 'endingGrade')} />
+        </div>
+        <div>
+          <label htmlFor="startStation" className="block text-sm font-medium text-gray-700 mb-1">Project Start Station</label>
+          <input type="number" step="any" id="startStation" name="startStation" value={profile.startStation ?? ''} onChange={handleProfileChange} placeholder={formatNumber(profileModel.limits.startStation)} className={inputClasses('profile', null, 'startStation')} />
+        </div>
+        <div>
+          <label htmlFor="endStation" className="block text-sm font-medium text-gray-700 mb-1">Project End Station</label>
+          <input type="number" step="any" id="endStation" name="endStation" value={profile.endStation ?? ''} onChange={handleProfileChange} placeholder={formatNumber(profileModel.limits.endStation)} className={inputClasses('profile', null, 'endStation')} />
+          <p className="text-xs text-gray-500 mt-1">Bypass that passes these stations leaves the project. Blank uses 200 ft beyond the outer curves.</p>
+        </div>
+      </div>
+
+      <IssueList issues={issues.filter(issue => issue.scope === 'profile')} />
+
+      <h3 className="text-lg sm:text-xl font-semibold text-gray-700 mb-4">PVI Points</h3>
+      {profile.pvis.map((pvi, index) => (
+        <div key={index} id={`pvi-${index}`} className="grid grid-cols-1 md:grid-cols-4 gap-4 bg-gray-50 p-4 rounded-lg mb-4 items-end border border-gray-200">
+          <p className="col-span-full text-md sm:text-lg font-semibold text-blue-600 mb-2">PVI {index + 1}</p>
+          <div className="col-span-full empty:hidden"><IssueList issues={issues.filter(issue => issue.scope === 'pvi' && issue.index === index)} /></div>
+          <div>
+            <label className="block text-xs font-medium text-gray-600">Station</label>
+            <input type="number" step="any" name="station" value={pvi.station} onChange={(e) => handlePVIChange(index, e)} className={inputClasses('pvi', index, 'station')} />
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-600">Elevation</label>
+            <input type="number" step="any" name="elevation" value={pvi.elevation} onChange={(e) => handlePVIChange(index, e)} className={inputClasses('pvi', index, 'elevation')} />
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-600">Curve Length (ft)</label>
+            <input type="number" step="any" name="length" value={pvi.length} onChange={(e) => handlePVIChange(index, e)} className={inputClasses('pvi', index, 'length')} />
+          </div>
+          <div className="flex items-end">
+            <button
+              onClick={() => removePVI(index)}
               className="w-full flex items-center justify-center px-3 py-2 bg-red-500 text-white rounded-md hover:bg-red-600 focus:outline-none focus:ring-2 focus:ring-red-500 focus:ring-offset-2 text-sm font-medium transition-colors"
-            >
-              <Trash2 size={16} className="mr-2" /> Remove
-            </button>
-          </div>
-        </div>
-      ))}
-      <button
-        onClick={addPVI}
+            >
+              <Trash2 size={16} className="mr-2" /> Remove
+            </button>
+          </div>
+        </div>
+      ))}
+      <button
+        onClick={addPVI}
         className="flex items-center px-4 py-2.5 bg-green-600 text-white rounded-lg hover:bg-green-700 focus:outline-none focus:ring-4 focus:ring-green-300 mt-4 text-sm font-medium transition-colors shadow-md hover:shadow-lg"
-      >
-        <PlusCircle size={18} className="mr-2" /> Add PVI Point
-      </button>
-
-      <div className="mt-8 p-4 bg-blue-50 rounded-lg border border-blue-200">
-        <h3 className="text-lg sm:text-xl font-semibold text-blue-700 mb-3">Vertical Profile Visual</h3>
-        <canvas ref={canvasRef} width={800} height={300} className="bg-white border border-gray-300 rounded-md w-full max-w-full h-auto aspect-[8/3] shadow-sm"></canvas>
-        <p className="text-xs sm:text-sm text-blue-600 mt-2">Note: This visual includes parabolic vertical curves based on PVI length and adjacent grades, with labels for PVI, BVC/EVC, Low/High points, and tangent grades.</p>
-      </div>
-    </div>
-  );
+      >
+        <PlusCircle size={18} className="mr-2" /> Add PVI Point
+      </button>
+
+      <div className="mt-8 p-4 bg-blue-50 rounded-lg border border-blue-200">
+        <h3 className="text-lg sm:text-xl font-semibold text-blue-700 mb-3">Vertical Profile Visual</h3>
+        <ProfileCanvas profileModel={profileModel} setProfile={setProfile} canvasRef={canvasRef} inletMarkers={inletMarkers} onSelectInlet={onSelectInlet} />
+        <p className="text-xs sm:text-sm text-blue-600 mt-2">Scroll to zoom, drag to pan and double-click to fit. Drag a red PVI to move it, or a green BVC/EVC handle to change the curve length. Labels that would overlap are left off; hover for station, elevation and grade.</p>
+        {inletMarkers.length > 0 && (
+          <p className="text-xs sm:text-sm text-blue-600 mt-1">Inlets are green when spread passes, red when it fails in the design or check storm and gray with no allowable spread; click one to open its card. The lower track shows intercepted (green) and bypassed (orange) flow, spread against the allowable, and where each bypass goes (dashed red when it is lost).</p>
+        )}
+      </div>
+
+      <VerticalCurveReview review={curveReview} />
+    </div>
+  );
 };
 
-// Inlet Input Component
-const InletInput = ({ inlet, index, handleInletChange, removeInlet, rainfallRegion, returnPeriod, prevBypassQ, displayMessage }) => {
-  const { strId, structureType, station, areaEnteringInlet, runoffCoefficient, longestFlowPath, slopeOfFlowPath, gutterGrade, isLowPoint, interceptionRatio, manualQi, manualWidthOfFlooding, } = inlet;
+// Project Panel: metadata plus new/open/save of project files
+const ProjectPanel = ({ info, setInfo, onNew, onOpen, onSave, onSample, autosavedAt }) => {
   const formInputClasses = "mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 p-2 text-sm";
+  const fileInputRef = useRef(null);
+  const handleInfoChange = (e) => setInfo(prev => ({ ...prev, [e.target.name]: e.target.value }));
+  const buttonClasses = "flex items-center px-4 py-2 rounded-lg focus:outline-none focus:ring-4 text-sm font-medium transition-colors";
 
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-6 sm:p-8 mb-8">
+      <div className="flex flex-col sm:flex-row sm:justify-between sm:items-center mb-6 pb-3 border-b border-gray-200 gap-3">
+        <h2 className="text-2xl font-semibold text-gray-800">Project</h2>
+        <div className="flex flex-wrap gap-2">
+          <button onClick={onNew} className={`${buttonClasses} bg-gray-100 text-gray-700 hover:bg-gray-200 focus:ring-gray-300`}>
+            <FilePlus size={16} className="mr-2" /> New
+          </button>
+          <input ref={fileInputRef} type="file" accept=".json,application/json" className="hidden" onChange={(e) => { const file = e.target.files?.[0]; e.target.value = ''; if (file) onOpen(file); }} />
+          <button onClick={() => fileInputRef.current?.click()} className={`${buttonClasses} bg-gray-100 text-gray-700 hover:bg-gray-200 focus:ring-gray-300`}>
+            <FolderOpen size={16} className="mr-2" /> Open
+          </button>
+          <button onClick={onSave} className={`${buttonClasses} bg-blue-600 text-white hover:bg-blue-700 focus:ring-blue-300 shadow-md`}>
+            <Save size={16} className="mr-2" /> Save
+          </button>
+          <button onClick={onSample} className={`${buttonClasses} bg-gray-100 text-gray-700 hover:bg-gray-200 focus:ring-gray-300`}>
+            <BookOpen size={16} className="mr-2" /> Sample
+          </button>
+        </div>
+      </div>
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+        {[['name', 'Project Name', 'text'], ['route', 'Route', 'text'], ['engineer', 'Engineer', 'text'], ['date', 'Date', 'date']].map(([name, label, type]) => (
+          <div key={name}>
+            <label htmlFor={`project-${name}`} className="block text-sm font-medium text-gray-700 mb-1">{label}</label>
+            <input type={type} id={`project-${name}`} name={name} value={info[name]} onChange={handleInfoChange} className={formInputClasses} />
+          </div>
+        ))}
+      </div>
+      <p className="text-xs text-gray-500 mt-3">
+        Projects save as {PROJECT_FILE_EXTENSION} files. {autosavedAt ? `Autosaved in this browser at ${autosavedAt.toLocaleTimeString()}.` : 'Changes are autosaved in this browser.'}
+      </p>
+    </div>
+  );
+};
 
-  const tc = useMemo(() => calculateTC(parseFloat(longestFlowPath), parseFloat(runoffCoefficient), parseFloat(slopeOfFlowPath)), [longestFlowPath, runoffCoefficient, slopeOfFlowPath]);
-  const intensity = useMemo(() => calculateIntensity(tc, rainfallRegion, returnPeriod), [tc, rainfallRegion, returnPeriod]);
-  const qEnteringFromArea = useMemo(() => calculateQ(intensity, parseFloat(areaEnteringInlet)), [intensity, areaEnteringInlet]);
-  const qTotal = useMemo(() => qEnteringFromArea + prevBypassQ, [qEnteringFromArea, prevBypassQ]);
+// Rainfall Data Manager: imports IDF curves (CSV/JSON tables or equations) and lists the available data sets
+const RainfallDataManager = ({ rainfallData, onSave, onRemove, displayMessage }) => {
+  const formInputClasses = "mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 p-2 text-sm";
+  const [importOptions, setImportOptions] = useState({ name: '', valueType: 'intensity', durationUnit: 'min' });
+  const [equation, setEquation] = useState({ name: '', returnPeriod: '10-Year', form: 'general', a: '', b: '', c: '' });
+  const fileInputRef = useRef(null);
+
+  const handleImportOptionChange = (e) => setImportOptions(prev => ({ ...prev, [e.target.name]: e.target.value }));
+  const handleEquationChange = (e) => setEquation(prev => ({ ...prev, [e.target.name]: e.target.value }));
+
+  const importFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    const name = importOptions.name.trim() || file.name.replace(/\.[^.]+$/, '');
+    if (BUILT_IN_RAINFALL[name]) {
+      displayMessage(`"${name}" is a built-in data set. Choose another name.`);
+      return;
+    }
+    try {
+      const text = await readFileAsText(file);
+      const datasets = /\.json$/i.test(file.name)
+        ? parseRainfallJSON(text, { name })
+        : [parseRainfallCSV(text, { name, source: file.name, valueType: importOptions.valueType, durationUnit: importOptions.durationUnit })];
+      onSave(datasets);
+      displayMessage(`Imported ${datasets.map(d => `"${d.name}" (${Object.keys(d.returnPeriods).length} return periods)`).join(', ')}.`);
+    } catch (error) {
+      displayMessage(error.message);
+    }
+  };
+
+  const addEquation = () => {
+    const name = equation.name.trim();
+    const form = IDF_FORMS[equation.form];
+    const curve = { form: equation.form, ...Object.fromEntries(form.params.map(p => [p, parseFloat(equation[p])])) };
+    const error = !name ? 'Enter a data set name.' : (BUILT_IN_RAINFALL[name] ? `"${name}" is a built-in data set. Choose another name.` : validateIdfCurve(curve));
+    if (error) {
+      displayMessage(error);
+      return;
+    }
+    const existing = rainfallData[name];
+    onSave([{ name, source: existing?.source || 'Entered equations', builtIn: false, returnPeriods: { ...existing?.returnPeriods, [equation.returnPeriod.trim()]: curve } }]);
+  };
 
-  const widthOfFloodingCalculated = useMemo(() => {
-    const qTotalNum = parseFloat(qTotal);
-    const gutterGradeNum = parseFloat(gutterGrade);
-    if (isLowPoint || qTotalNum <= 0 || gutterGradeNum <= 0) return 0;
-    return calculateWidthOfFlooding(qTotalNum, gutterGradeNum, 0.025);
-  }, [qTotal, gutterGrade, isLowPoint]);
+  const describeCurve = (curve) => (curve.form === TABLE_FORM
+    ? `Table, ${curve.durations.length} durations (${formatNumber(curve.durations[0], 0)}–${formatNumber(curve.durations[curve.durations.length - 1], 0)} min)`
+    : `${IDF_FORMS[curve.form]?.label || curve.form}; ${IDF_FORMS[curve.form]?.params.map(p => `${p} = ${curve[p]}`).join(', ')}`);
 
-  const qi = useMemo(() => {
-    const qTotalNum = parseFloat(qTotal);
-    const manualQiNum = parseFloat(manualQi);
-    const interceptionRatioNum = parseFloat(interceptionRatio);
-    return isLowPoint ? (manualQiNum || 0) : (qTotalNum * (interceptionRatioNum || 0));
-  }, [isLowPoint, manualQi, qTotal, interceptionRatio]);
+  return (
+    <div className="mt-6 p-4 sm:p-6 bg-blue-50 rounded-lg border border-blue-200">
+      <h3 className="text-lg sm:text-xl font-semibold text-blue-700 mb-2">Rainfall Data Manager</h3>
+      <p className="text-xs text-blue-600 mb-4">Import intensity or depth-duration tables (e.g. a NOAA Atlas 14 CSV export; values between durations are interpolated log-log) or IDF equations as CSV (Return Period, Form, a, b, c) or JSON. Custom data sets are kept in this browser and listed in the Rainfall Region select.</p>
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-4 items-end">
+        <div>
+          <label className="block text-xs font-medium text-gray-600 mb-1">Data Set Name</label>
+          <input type="text" name="name" value={importOptions.name} onChange={handleImportOptionChange} placeholder="File name" className={formInputClasses} />
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-600 mb-1">Table Values (CSV)</label>
+          <select name="valueType" value={importOptions.valueType} onChange={handleImportOptionChange} className={formInputClasses}>
+            <option value="intensity">Intensity (in/hr)</option>
+            <option value="depth">Depth (in)</option>
+          </select>
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-600 mb-1">Unitless Durations (CSV)</label>
+          <select name="durationUnit" value={importOptions.durationUnit} onChange={handleImportOptionChange} className={formInputClasses}>
+            <option value="min">Minutes</option>
+            <option value="hr">Hours</option>
+          </select>
+        </div>
+        <div>
+          <input ref={fileInputRef} type="file" accept=".csv,.json,text/csv,application/json" onChange={importFile} className="hidden" />
+          <button
+            onClick={() => fileInputRef.current?.click()}
+            className="flex items-center justify-center w-full px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 focus:outline-none focus:ring-4 focus:ring-blue-300 text-sm font-medium transition-colors shadow-md"
+          >
+            <Upload size={16} className="mr-2" /> Import CSV / JSON
+          </button>
+        </div>
+      </div>
 
-  const qBypass = useMemo(() => parseFloat(qTotal) - qi, [qTotal, qi]);
+      <h4 className="text-md font-semibold text-gray-700 mt-6 mb-2">Add an IDF Equation</h4>
+      <div className="grid grid-cols-2 md:grid-cols-7 gap-3 items-end">
+        <div className="col-span-2 md:col-span-1">
+          <label className="block text-xs font-medium text-gray-600 mb-1">Data Set</label>
+          <input type="text" name="name" value={equation.name} onChange={handleEquationChange} className={formInputClasses} />
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-600 mb-1">Return Period</label>
+          <input type="text" name="returnPeriod" value={equation.returnPeriod} onChange={handleEquationChange} className={formInputClasses} />
+        </div>
+        <div className="col-span-2">
+          <label className="block text-xs font-medium text-gray-600 mb-1">Form</label>
+          <select name="form" value={equation.form} onChange={handleEquationChange} className={formInputClasses}>
+            {Object.entries(IDF_FORMS).map(([key, form]) => <option key={key} value={key}>{form.label}</option>)}
+          </select>
+        </div>
+        {['a', 'b', 'c'].map(p => (
+          <div key={p}>
+            <label className="block text-xs font-medium text-gray-600 mb-1">{p}</label>
+            <input type="number" step="any" name={p} value={equation[p]} onChange={handleEquationChange} disabled={!IDF_FORMS[equation.form].params.includes(p)} className={`${formInputClasses} disabled:bg-gray-100`} />
+          </div>
+        ))}
+      </div>
+      <button
+        onClick={addEquation}
+        className="flex items-center px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 focus:outline-none focus:ring-4 focus:ring-blue-300 mt-3 text-sm font-medium transition-colors shadow-md"
+      >
+        <PlusCircle size={16} className="mr-2" /> Add Equation
+      </button>
+
+      <div className="overflow-x-auto mt-6">
+        <table className="min-w-full bg-white border border-gray-300 rounded-lg text-xs sm:text-sm">
+          <thead className="bg-gray-50">
+            <tr className="text-gray-600 uppercase text-xxs">
+              <th className="py-2 px-3 border-b text-left font-semibold">Data Set</th>
+              <th className="py-2 px-3 border-b text-left font-semibold">Return Period</th>
+              <th className="py-2 px-3 border-b text-left font-semibold">Curve</th>
+              <th className="py-2 px-3 border-b text-right font-semibold">i 5 min</th>
+              <th className="py-2 px-3 border-b text-right font-semibold">i 15 min</th>
+              <th className="py-2 px-3 border-b text-right font-semibold">i 60 min</th>
+              <th className="py-2 px-3 border-b"></th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {Object.values(rainfallData).flatMap(dataset => Object.entries(dataset.returnPeriods).map(([period, curve], i) => (
+              <tr key={`${dataset.name}-${period}`} className="text-gray-700">
+                <td className="py-2 px-3 border-b text-left">{i === 0 ? <><span className="font-medium">{dataset.name}</span><span className="block text-xxs text-gray-500">{dataset.builtIn ? 'Built-in' : dataset.source}</span></> : ''}</td>
+                <td className="py-2 px-3 border-b text-left">{period}</td>
+                <td className="py-2 px-3 border-b text-left text-xs">{describeCurve(curve)}</td>
+                {[5, 15, 60].map(t => <td key={t} className="py-2 px-3 border-b text-right">{formatNumber(evaluateIdfCurve(curve, t))}</td>)}
+                <td className="py-2 px-3 border-b text-right">
+                  {i === 0 && !dataset.builtIn && (
+                    <button onClick={() => onRemove(dataset.name)} className="text-red-500 hover:text-red-700" title="Remove data set">
+                      <Trash2 size={16} />
+                    </button>
+                  )}
+                </td>
+              </tr>
+            )))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
 
-  const widthOfFloodingOutput = useMemo(() => {
-    const manualWidthNum = parseFloat(manualWidthOfFlooding);
-    return isLowPoint ? (manualWidthNum || 0) : widthOfFloodingCalculated;
-  }, [isLowPoint, manualWidthOfFlooding, widthOfFloodingCalculated]);
+// Roadway Criteria: classification, lane layout and check storm that set the allowable spread, with
+// station ranges that differ from the project values and the editable criteria table
+const RoadwayCriteria = ({ roadway, setRoadway, checkPeriods, profileModel }) => {
+  const formInputClasses = "mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 p-2 text-sm";
+  const cellInputClasses = "w-full rounded border-gray-300 p-1 text-xs";
+  const [showCriteria, setShowCriteria] = useState(false);
+  const readValue = (e) => (e.target.type === 'number' && e.target.value !== '' ? parseFloat(e.target.value) : e.target.value);
+  const handleChange = (e) => {
+    const { name } = e.target;
+    const value = readValue(e);
+    setRoadway(prev => ({ ...prev, [name]: value }));
+  };
+  const handleSegmentChange = (index, e) => {
+    const { name } = e.target;
+    const value = readValue(e);
+    setRoadway(prev => ({ ...prev, segments: prev.segments.map((segment, i) => (i === index ? { ...segment, [name]: value } : segment)) }));
+  };
+  const addSegment = () => setRoadway(prev => ({
+    ...prev,
+    segments: [...prev.segments, createRoadwaySegment({ classification: prev.classification, designSpeed: prev.designSpeed, laneWidth: prev.laneWidth, shoulderWidth: prev.shoulderWidth })],
+  }));
+  const removeSegment = (index) => setRoadway(prev => ({ ...prev, segments: prev.segments.filter((_, i) => i !== index) }));
+  const handleRuleChange = (row, storm, key, e) => {
+    const value = readValue(e);
+    setRoadway(prev => ({ ...prev, criteria: prev.criteria.map((r, i) => (i === row ? { ...r, [storm]: { ...r[storm], [key]: value } } : r)) }));
+  };
+  const resetCriteria = () => setRoadway(prev => ({ ...prev, criteria: DEFAULT_SPREAD_CRITERIA.map(row => ({ ...row, design: { ...row.design }, check: { ...row.check } })) }));
+
+  const start = profileModel.limits.startStation;
+  const designSpread = getAllowableSpread({ ...roadway, segments: [] }, start, 'design');
+  const checkSpread = getAllowableSpread({ ...roadway, segments: [] }, start, 'check');
 
-  const suggestInletType = async () => {
-    const qTotalNum = parseFloat(qTotal);
-    const gutterGradeNum = parseFloat(gutterGrade);
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-6 sm:p-8 mb-8">
+      <div className="flex justify-between items-center mb-6 pb-3 border-b border-gray-200">
+        <h2 className="text-2xl font-semibold text-gray-800">Roadway & Spread Criteria</h2>
+        <button
+          onClick={() => setShowCriteria(prev => !prev)}
+          className="flex items-center px-4 py-2 bg-blue-100 text-blue-700 rounded-lg hover:bg-blue-200 focus:outline-none focus:ring-4 focus:ring-blue-300 text-sm font-medium transition-colors"
+        >
+          {showCriteria ? 'Hide Criteria Table' : 'Criteria Table'}
+        </button>
+      </div>
+      <div className="grid grid-cols-1 md:grid-cols-5 gap-4">
+        <div className="relative">
+          <label htmlFor="roadway-classification" className="block text-sm font-medium text-gray-700 mb-1">Classification</label>
+          <select id="roadway-classification" name="classification" value={roadway.classification} onChange={handleChange} className={`${formInputClasses} appearance-none pr-8`}>
+            {Object.entries(ROADWAY_CLASSIFICATIONS).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+          </select>
+          <ChevronsUpDown className="absolute right-3 top-1/2 -translate-y-1/2 mt-1.5 h-4 w-4 text-gray-400 pointer-events-none" />
+        </div>
+        {[['designSpeed', 'Design Speed (mph)'], ['laneWidth', 'Lane Width (ft)'], ['shoulderWidth', 'Shoulder Width (ft)']].map(([name, label]) => (
+          <div key={name}>
+            <label htmlFor={`roadway-${name}`} className="block text-sm font-medium text-gray-700 mb-1">{label}</label>
+            <input type="number" step="any" id={`roadway-${name}`} name={name} value={roadway[name]} onChange={handleChange} className={formInputClasses} />
+          </div>
+        ))}
+        <div className="relative">
+          <label htmlFor="roadway-checkReturnPeriod" className="block text-sm font-medium text-gray-700 mb-1">Check Storm</label>
+          <select id="roadway-checkReturnPeriod" name="checkReturnPeriod" value={roadway.checkReturnPeriod} onChange={handleChange} className={`${formInputClasses} appearance-none pr-8`}>
+            {!checkPeriods.includes(roadway.checkReturnPeriod) && <option value={roadway.checkReturnPeriod}>{roadway.checkReturnPeriod} (not in data set)</option>}
+            {checkPeriods.map(period => <option key={period} value={period}>{period}</option>)}
+          </select>
+          <ChevronsUpDown className="absolute right-3 top-1/2 -translate-y-1/2 mt-1.5 h-4 w-4 text-gray-400 pointer-events-none" />
+        </div>
+      </div>
+      <p className="text-sm text-gray-700 mt-4">
+        Allowable spread: <strong>{formatNumber(designSpread) || '—'} ft</strong> in the design storm, <strong>{formatNumber(checkSpread) || '—'} ft</strong> in the {roadway.checkReturnPeriod} check storm
+        {parseFloat(roadway.designSpeed) >= HIGH_SPEED_THRESHOLD ? ` (high speed, ${HIGH_SPEED_THRESHOLD} mph or more)` : ''}.
+      </p>
+      <p className="text-xs text-gray-500 mt-1">Applies to every inlet without its own allowable spread (after HEC-22 Table 3-1).</p>
+
+      <h3 className="text-lg font-semibold text-gray-700 mt-6 mb-2">Station Ranges</h3>
+      {roadway.segments.length === 0 ? (
+        <p className="text-gray-600 italic text-sm">The project values apply at every station.</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full text-xs border border-gray-300">
+            <thead className="bg-gray-50 text-gray-600">
+              <tr>
+                <th className="py-2 px-2 border-b text-left">Start Sta</th>
+                <th className="py-2 px-2 border-b text-left">End Sta</th>
+                <th className="py-2 px-2 border-b text-left">Classification</th>
+                <th className="py-2 px-2 border-b text-left">Speed (mph)</th>
+                <th className="py-2 px-2 border-b text-left">Lane (ft)</th>
+                <th className="py-2 px-2 border-b text-left">Shoulder (ft)</th>
+                <th className="py-2 px-2 border-b text-right">Design / Check (ft)</th>
+                <th className="py-2 px-2 border-b" />
+              </tr>
+            </thead>
+            <tbody>
+              {roadway.segments.map((segment, index) => {
+                const atSegment = { ...roadway, segments: [segment] };
+                const station = parseFloat(segment.startStation);
+                return (
+                  <tr key={index}>
+                    {['startStation', 'endStation'].map(name => (
+                      <td key={name} className="py-1 px-2 border-b"><input type="number" step="any" name={name} value={segment[name]} onChange={(e) => handleSegmentChange(index, e)} className={cellInputClasses} /></td>
+                    ))}
+                    <td className="py-1 px-2 border-b">
+                      <select name="classification" value={segment.classification} onChange={(e) => handleSegmentChange(index, e)} className={cellInputClasses}>
+                        {Object.entries(ROADWAY_CLASSIFICATIONS).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+                      </select>
+                    </td>
+                    {['designSpeed', 'laneWidth', 'shoulderWidth'].map(name => (
+                      <td key={name} className="py-1 px-2 border-b"><input type="number" step="any" name={name} value={segment[name]} onChange={(e) => handleSegmentChange(index, e)} className={cellInputClasses} /></td>
+                    ))}
+                    <td className="py-1 px-2 border-b text-right whitespace-nowrap">
+                      {formatNumber(getAllowableSpread(atSegment, station, 'design')) || '—'} / {formatNumber(getAllowableSpread(atSegment, station, 'check')) || '—'}
+                    </td>
+                    <td className="py-1 px-2 border-b text-center">
+                      <button onClick={() => removeSegment(index)} className="text-red-500 hover:text-red-700" title="Remove station range"><Trash2 size={16} /></button>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+          <p className="text-xs text-gray-500 mt-1">Where ranges overlap, the first one listed applies.</p>
+        </div>
+      )}
+      <button onClick={addSegment} className="flex items-center px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 focus:outline-none focus:ring-4 focus:ring-gray-300 mt-3 text-sm font-medium transition-colors">
+        <PlusCircle size={16} className="mr-2" /> Add Station Range
+      </button>
+
+      {showCriteria && (
+        <div className="mt-6 pt-4 border-t border-gray-200">
+          <div className="flex justify-between items-center mb-2">
+            <h3 className="text-lg font-semibold text-gray-700">Allowable Spread Criteria</h3>
+            <button onClick={resetCriteria} className="px-3 py-1.5 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 text-xs font-medium">Reset to Defaults</button>
+          </div>
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-xs border border-gray-300">
+              <thead className="bg-gray-50 text-gray-600">
+                <tr>
+                  <th className="py-2 px-2 border-b text-left">Classification</th>
+                  <th className="py-2 px-2 border-b text-left">Speed</th>
+                  <th className="py-2 px-2 border-b text-left">Design Lanes</th>
+                  <th className="py-2 px-2 border-b text-left">Design Extra (ft)</th>
+                  <th className="py-2 px-2 border-b text-left">Check Lanes</th>
+                  <th className="py-2 px-2 border-b text-left">Check Extra (ft)</th>
+                  <th className="py-2 px-2 border-b text-left">Design Storm</th>
+                  <th className="py-2 px-2 border-b text-left">Check Storm</th>
+                </tr>
+              </thead>
+              <tbody>
+                {roadway.criteria.map((row, index) => (
+                  <tr key={`${row.classification}-${row.highSpeed}`}>
+                    <td className="py-1 px-2 border-b">{ROADWAY_CLASSIFICATIONS[row.classification] || row.classification}</td>
+                    <td className="py-1 px-2 border-b whitespace-nowrap">{row.highSpeed ? `≥ ${HIGH_SPEED_THRESHOLD} mph` : `< ${HIGH_SPEED_THRESHOLD} mph`}</td>
+                    {[['design', 'lanes'], ['design', 'extra'], ['check', 'lanes'], ['check', 'extra']].map(([storm, key]) => (
+                      <td key={`${storm}-${key}`} className="py-1 px-2 border-b">
+                        <input type="number" step="any" min="0" value={row[storm][key]} onChange={(e) => handleRuleChange(index, storm, key, e)} className={cellInputClasses} />
+                      </td>
+                    ))}
+                    <td className="py-1 px-2 border-b whitespace-nowrap">{describeSpreadRule(row.design)}</td>
+                    <td className="py-1 px-2 border-b whitespace-nowrap">{describeSpreadRule(row.check)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <p className="text-xs text-gray-500 mt-1">Allowable spread = shoulder width + lanes × lane width + extra. Criteria are saved with the project.</p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Runoff Coefficients: the land-use C table sub-areas pick from and the frequency factor for rarer storms
+const RunoffCoefficients = ({ runoff, setRunoff, returnPeriod, checkReturnPeriod }) => {
+  const cellInputClasses = "w-full rounded border-gray-300 p-1 text-xs";
+  const [showTable, setShowTable] = useState(false);
+  const handleLandUseChange = (index, e) => {
+    const { name, value } = e.target;
+    setRunoff(prev => ({
+      ...prev,
+      landUses: prev.landUses.map((landUse, i) => (i === index ? { ...landUse, [name]: name === 'c' && value !== '' ? parseFloat(value) : value } : landUse)),
+    }));
+  };
+  const addLandUse = () => setRunoff(prev => ({ ...prev, landUses: [...prev.landUses, { id: nextLandUseId(prev.landUses), name: 'New land use', c: 0.5 }] }));
+  const removeLandUse = (index) => setRunoff(prev => ({ ...prev, landUses: prev.landUses.filter((_, i) => i !== index) }));
+  const resetLandUses = () => setRunoff(prev => ({ ...prev, landUses: DEFAULT_LAND_USES.map(landUse => ({ ...landUse })) }));
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-6 sm:p-8 mb-8">
+      <div className="flex justify-between items-center mb-6 pb-3 border-b border-gray-200">
+        <h2 className="text-2xl font-semibold text-gray-800">Runoff Coefficients</h2>
+        <button
+          onClick={() => setShowTable(prev => !prev)}
+          className="flex items-center px-4 py-2 bg-blue-100 text-blue-700 rounded-lg hover:bg-blue-200 focus:outline-none focus:ring-4 focus:ring-blue-300 text-sm font-medium transition-colors"
+        >
+          {showTable ? 'Hide Land-Use Table' : `Land-Use Table (${runoff.landUses.length})`}
+        </button>
+      </div>
+      <label className="inline-flex items-center text-sm text-gray-700 cursor-pointer">
+        <input
+          type="checkbox"
+          checked={Boolean(runoff.applyFrequencyFactor)}
+          onChange={(e) => setRunoff(prev => ({ ...prev, applyFrequencyFactor: e.target.checked }))}
+          className="form-checkbox h-4 w-4 text-blue-600 rounded border-gray-300 focus:ring-blue-500"
+        />
+        <span className="ml-2">Apply frequency factor Cf to C ({RUNOFF_FREQUENCY_FACTORS.slice().reverse().map(({ years, cf }) => `${cf} for ${years}-year`).join(', ')}; C × Cf ≤ 1.0)</span>
+      </label>
+      <p className="text-xs text-gray-500 mt-1">
+        Cf = {getFrequencyFactor(returnPeriod, runoff.applyFrequencyFactor)} in the {returnPeriod} design storm
+        {checkReturnPeriod && ` and ${getFrequencyFactor(checkReturnPeriod, runoff.applyFrequencyFactor)} in the ${checkReturnPeriod} check storm`}.
+        It scales the peak flow only; the tc formula uses C without it.
+      </p>
+
+      {showTable && (
+        <div className="mt-6 pt-4 border-t border-gray-200">
+          <div className="flex justify-between items-center mb-2">
+            <h3 className="text-lg font-semibold text-gray-700">Land Uses</h3>
+            <div className="flex gap-2">
+              <button onClick={addLandUse} className="px-3 py-1.5 bg-green-600 text-white rounded-lg hover:bg-green-700 text-xs font-medium">Add Land Use</button>
+              <button onClick={resetLandUses} className="px-3 py-1.5 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 text-xs font-medium">Reset to Defaults</button>
+            </div>
+          </div>
+          <table className="min-w-full text-xs border border-gray-300 max-w-2xl">
+            <thead className="bg-gray-50 text-gray-600">
+              <tr>
+                <th className="py-2 px-2 border-b text-left">Land Use</th>
+                <th className="py-2 px-2 border-b text-left w-24">C</th>
+                <th className="py-2 px-2 border-b w-10"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {runoff.landUses.map((landUse, index) => (
+                <tr key={landUse.id}>
+                  <td className="py-1 px-2 border-b"><input type="text" name="name" value={landUse.name} onChange={(e) => handleLandUseChange(index, e)} className={cellInputClasses} /></td>
+                  <td className="py-1 px-2 border-b"><input type="number" step="any" min="0" max="1" name="c" value={landUse.c} onChange={(e) => handleLandUseChange(index, e)} className={cellInputClasses} /></td>
+                  <td className="py-1 px-2 border-b text-center">
+                    <button onClick={() => removeLandUse(index)} className="text-red-500 hover:text-red-700" title="Remove land use"><Trash2 size={14} /></button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <p className="text-xs text-gray-500 mt-1">Typical values from HEC-22 Table 3-1. Sub-areas refer to these entries, so a changed C updates every inlet using it. The table is saved with the project.</p>
+        </div>
+      )}
+    </div>
+  );
+};
 
-    if (isNaN(qTotalNum) || qTotalNum <= 0 || isNaN(gutterGradeNum) ) {
-        displayMessage("Please ensure 'Q Total' is a positive value and 'Gutter Grade' is valid before suggesting an inlet type.");
-        return;
+// Inlet structure catalog: the LADOTD standard inlets and any manufacturer or custom structures the Structure
+// Type select offers. Ids are committed on blur so inlets follow a renamed entry without passing through
+// partial ids; the LADOTD entries keep their ids and cannot be removed.
+const InletCatalog = ({ catalog, setCatalog, inlets, issues, onRenameType, displayMessage }) => {
+  const cellInputClasses = "w-full rounded border-gray-300 p-1 text-xs disabled:bg-gray-100 disabled:text-gray-400";
+  const [showTable, setShowTable] = useState(false);
+  const fileInputRef = useRef(null);
+  const catalogIssues = issues.filter(issue => issue.scope === 'catalog');
+  const usage = (id) => inlets.filter(inlet => inlet.structureType === id).length;
+  const cellClasses = (index, field) => `${cellInputClasses} ${ISSUE_INPUT_CLASSES[groupIssuesByField(issues, 'catalog', index)[field]?.[0].severity] || ''}`;
+
+  const handleEntryChange = (index, e) => {
+    const { name, value, type } = e.target;
+    const processed = type === 'number' && value !== '' ? parseFloat(value) : value;
+    setCatalog(prev => prev.map((entry, i) => (i === index ? { ...entry, [name]: processed } : entry)));
+  };
+  const commitId = (index, e) => {
+    const from = catalog[index].id;
+    const to = e.target.value.trim();
+    if (to === from) return;
+    let problem = '';
+    if (!to) problem = 'A catalog entry needs an id.';
+    else if (to === OTHER_STRUCTURE_TYPE) problem = `"${OTHER_STRUCTURE_TYPE}" is reserved for inlets without a catalog entry.`;
+    else if (catalog.some(entry => entry.id === to)) problem = `Another catalog entry already has the id "${to}".`;
+    if (problem) {
+      e.target.value = from;
+      displayMessage(problem);
+      return;
     }
-    displayMessage('Getting inlet type suggestion from Gemini API...');
-    const prompt = `Given the following hydraulic parameters for a roadway storm drain inlet:
-    - Total Flow (Q Total) approaching the inlet: ${formatNumber(qTotalNum)} cfs
-    - Longitudinal Gutter Grade at inlet: ${formatNumber(gutterGradeNum)} %
-    - Calculated/Allowed Width of Flooding (Spread): ${formatNumber(widthOfFloodingOutput)} ft
-    - Is the inlet at a Low Point (Sag): ${isLowPoint ? 'Yes' : 'No'}
-    Based on typical civil engineering hydraulic design principles (e.g., from a hydraulics manual like LADOTD or HEC-22), suggest the most suitable *general type* of inlet from these options:
-    1.  **Curb-Opening Inlet (e.g., LADOTD CB-06 like)**: Good for continuous grades, less prone to clogging.
-    2.  **Grate Inlet (e.g., LADOTD CB-07 like)**: Efficient interception, but can clog.
-    3.  **Combination Inlet (Grate + Curb Opening, e.g., LADOTD CB-08 like)**: High capacity, good for sags or high flow.
-    Provide the suggested type and a brief (1-2 sentences) reasoning. Consider factors like flow rate, grade, and if it's a sag location.`;
-
-    try {
-      let chatHistory = [];
-      chatHistory.push({ role: "user", parts: [{ text: prompt }] });
-      const payload = { contents: chatHistory };
-      const apiKey = import.meta.env.VITE_GEMINI_API_KEY || "";
-      if (!apiKey) {
-        displayMessage("Gemini API key is not configured. Please set VITE_GEMINI_API_KEY in your .env file for this feature.");
-      }
-      const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent?key=${apiKey}`;
-      const response = await fetch(apiUrl, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(payload)
-      });
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => ({ error: { message: "Unknown API error" } }));
-        throw new Error(`API request failed with status ${response.status}: ${errorData.error?.message || response.statusText}`);
-      }
-      const result = await response.json();
-      if (result.candidates && result.candidates.length > 0 &&
-          result.candidates[0].content && result.candidates[0].content.parts &&
-          result.candidates[0].content.parts.length > 0) {
-        const text = result.candidates[0].content.parts[0].text;
-        displayMessage(`Gemini API Suggestion:\n\n${text}`);
-      } else {
-        let errorMessage = 'Failed to get a suggestion from Gemini API. The response was empty or malformed.';
-        if (result.promptFeedback && result.promptFeedback.blockReason) {
-            errorMessage += `\nReason: ${result.promptFeedback.blockReason}`;
-             if (result.promptFeedback.safetyRatings) {
-                errorMessage += `\nSafety Ratings: ${JSON.stringify(result.promptFeedback.safetyRatings)}`;
-            }
-        } else if (result.error) {
-            errorMessage += `\nError: ${result.error.message}`;
-        }
-        displayMessage(errorMessage);
-      }
-    } catch (error) {
-      console.error('Error calling Gemini API:', error);
-      displayMessage(`An error occurred while fetching suggestion: ${error.message}. Check console for details.`);
-    }
-  };
-
-  useEffect(() => {
-    handleInletChange(index, { tc, intensity, qEnteringFromArea, qTotal, qi, qBypass, widthOfFloodingOutput, }, true);
-  }, [tc, intensity, qEnteringFromArea, qTotal, qi, qBypass, widthOfFloodingOutput, index, handleInletChange]);
-
-  return (
-    <div className="p-4 sm:p-6 bg-gray-50 rounded-lg shadow-md mb-6 border border-gray-200"> {/* InletInput specific card styling */}
-      <h3 className="text-lg sm:text-xl font-semibold text-blue-600 mb-4">Inlet {index + 1}</h3>
-      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-x-4 gap-y-5">
-        <div>
-          <label className="block text-xs font-medium text-gray-600 mb-1">Structure ID</label>
-          <input type="text" name="strId" value={strId} onChange={(e) => handleInletChange(index, e)} className={formInputClasses} />
-        </div>
-        <div className="relative">
-          <label className="block text-xs font-medium text-gray-600 mb-1">Structure Type</label>
-          <select name="structureType" value={structureType} onChange={(e) => handleInletChange(index, e)} className={`${formInputClasses} appearance-none pr-8`}>
-            <option value="">Select Type</option>
-            <option value="CB-06">CB-06 (Curb)</option>
-            <option value="CB-07">CB-07 (Grate)</option>
-            <option value="CB-08">CB-08 (Combo)</option>
-            <option value="Other">Other</option>
-          </select>
+    setCatalog(prev => prev.map((entry, i) => (i === index ? { ...entry, id: to } : entry)));
+    if (from) onRenameType(from, to);
+  };
+  const addEntry = () => setCatalog(prev => [...prev, createCatalogEntry({
+    id: nextCatalogId(prev), name: 'New grate', source: 'manufacturer', inletType: 'grate', grateLength: 3, grateWidth: 2, grateType: 'P-1-7/8',
+  })]);
+  const removeEntry = (index) => {
+    const count = usage(catalog[index].id);
+    if (count > 0 && !window.confirm(`${count} inlet${count === 1 ? ' uses' : 's use'} ${catalog[index].id}. Remove it? Those inlets will need their interception entered manually.`)) return;
+    setCatalog(prev => prev.filter((_, i) => i !== index));
+  };
+  // Puts back the LADOTD standard dimensions and keeps every other entry
+  const resetStandard = () => {
+    if (!window.confirm('Reset the LADOTD standard inlets to their standard dimensions?')) return;
+    const defaults = createDefaultCatalog();
+    setCatalog(prev => [...defaults, ...prev.filter(entry => !defaults.some(standard => standard.id === entry.id))]);
+  };
+  const importCatalog = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const { catalog: merged, added, replaced } = mergeCatalog(catalog, parseCatalog(await readFileAsText(file)));
+      setCatalog(merged);
+      setShowTable(true);
+      displayMessage(`${file.name}: ${added.length} entr${added.length === 1 ? 'y' : 'ies'} added${replaced.length ? `, ${replaced.join(', ')} replaced` : ''}.`);
+    } catch (error) {
+      displayMessage(`${file.name}: ${error.message}`);
+    }
+  };
+  const exportCatalog = () => downloadFile(serializeCatalog(catalog), 'inlet-catalog.json', 'application/json');
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-6 sm:p-8 mb-8">
+      <div className="flex justify-between items-center mb-6 pb-3 border-b border-gray-200">
+        <h2 className="text-2xl font-semibold text-gray-800">Inlet Structure Catalog</h2>
+        <button
+          onClick={() => setShowTable(prev => !prev)}
+          className="flex items-center px-4 py-2 bg-blue-100 text-blue-700 rounded-lg hover:bg-blue-200 focus:outline-none focus:ring-4 focus:ring-blue-300 text-sm font-medium transition-colors"
+        >
+          {showTable ? 'Hide Catalog' : `Catalog (${catalog.length})`}
+        </button>
+      </div>
+      <p className="text-sm text-gray-700">
+        {catalog.map(entry => entry.id).filter(Boolean).join(', ')}: inlets refer to these entries by id, and the on-grade interception, sag capacity and report use their dimensions.
+      </p>
+      <IssueList issues={catalogIssues} />
+
+      {(showTable || catalogIssues.length > 0) && (
+        <div className="mt-6 pt-4 border-t border-gray-200">
+          <div className="flex flex-wrap justify-between items-center gap-2 mb-2">
+            <h3 className="text-lg font-semibold text-gray-700">Structures</h3>
+            <div className="flex flex-wrap gap-2">
+              <button onClick={addEntry} className="px-3 py-1.5 bg-green-600 text-white rounded-lg hover:bg-green-700 text-xs font-medium">Add Structure</button>
+              <input ref={fileInputRef} type="file" accept=".json,application/json" onChange={importCatalog} className="hidden" />
+              <button onClick={() => fileInputRef.current?.click()} className="flex items-center px-3 py-1.5 bg-blue-100 text-blue-700 rounded-lg hover:bg-blue-200 text-xs font-medium"><Upload size={14} className="mr-1" /> Import JSON</button>
+              <button onClick={exportCatalog} className="flex items-center px-3 py-1.5 bg-blue-100 text-blue-700 rounded-lg hover:bg-blue-200 text-xs font-medium"><Download size={14} className="mr-1" /> Export JSON</button>
+              <button onClick={resetStandard} className="px-3 py-1.5 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 text-xs font-medium">Reset LADOTD Standards</button>
+            </div>
+          </div>
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-xs border border-gray-300">
+              <thead className="bg-gray-50 text-gray-600">
+                <tr>
+                  <th className="py-2 px-2 border-b text-left w-24">Id</th>
+                  <th className="py-2 px-2 border-b text-left">Description</th>
+                  <th className="py-2 px-2 border-b text-left w-28">Source</th>
+                  <th className="py-2 px-2 border-b text-left">Manufacturer</th>
+                  <th className="py-2 px-2 border-b text-left w-28">Inlet Type</th>
+                  <th className="py-2 px-2 border-b text-left w-16">Curb L (ft)</th>
+                  <th className="py-2 px-2 border-b text-left w-16">Curb H (ft)</th>
+                  <th className="py-2 px-2 border-b text-left w-16">Grate L (ft)</th>
+                  <th className="py-2 px-2 border-b text-left w-16">Grate W (ft)</th>
+                  <th className="py-2 px-2 border-b text-left w-32">Bar Configuration</th>
+                  <th className="py-2 px-2 border-b text-left w-16">Local Depr. (in)</th>
+                  <th className="py-2 px-2 border-b text-left w-16">Depr. Width (ft)</th>
+                  <th className="py-2 px-2 border-b text-left w-16">Grate Clog</th>
+                  <th className="py-2 px-2 border-b text-left w-16">Curb Clog</th>
+                  <th className="py-2 px-2 border-b text-right w-12">Inlets</th>
+                  <th className="py-2 px-2 border-b w-10"></th>
+                </tr>
+              </thead>
+              <tbody>
+                {catalog.map((entry, index) => {
+                  const standard = entry.source === 'ladotd';
+                  const noCurb = entry.inletType === 'grate';
+                  const noGrate = entry.inletType === 'curb';
+                  const numberCell = (name, disabled = false, extra = {}) => (
+                    <td className="py-1 px-2 border-b"><input type="number" step="any" min="0" name={name} value={entry[name]} disabled={disabled} onChange={(e) => handleEntryChange(index, e)} className={cellClasses(index, name)} {...extra} /></td>
+                  );
+                  return (
+                    <tr key={index} id={`catalog-${index}`}>
+                      <td className="py-1 px-2 border-b">
+                        <input type="text" name="id" key={entry.id} defaultValue={entry.id} readOnly={standard} onBlur={(e) => commitId(index, e)} className={`${cellClasses(index, 'id')} ${standard ? 'bg-gray-100' : ''}`} />
+                      </td>
+                      <td className="py-1 px-2 border-b"><input type="text" name="name" value={entry.name} onChange={(e) => handleEntryChange(index, e)} className={cellInputClasses} /></td>
+                      <td className="py-1 px-2 border-b">
+                        <select name="source" value={entry.source} onChange={(e) => handleEntryChange(index, e)} className={cellInputClasses}>
+                          {Object.entries(CATALOG_SOURCES).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+                        </select>
+                      </td>
+                      <td className="py-1 px-2 border-b"><input type="text" name="manufacturer" value={entry.manufacturer} disabled={entry.source !== 'manufacturer'} onChange={(e) => handleEntryChange(index, e)} className={cellInputClasses} /></td>
+                      <td className="py-1 px-2 border-b">
+                        <select name="inletType" value={entry.inletType} onChange={(e) => handleEntryChange(index, e)} className={cellInputClasses}>
+                          {Object.entries(CATALOG_INLET_TYPES).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+                        </select>
+                      </td>
+                      {numberCell('curbOpeningLength', noCurb)}
+                      {numberCell('curbOpeningHeight', noCurb)}
+                      {numberCell('grateLength', noGrate)}
+                      {numberCell('grateWidth', noGrate)}
+                      <td className="py-1 px-2 border-b">
+                        <select name="grateType" value={entry.grateType} disabled={noGrate} onChange={(e) => handleEntryChange(index, e)} className={cellClasses(index, 'grateType')}>
+                          <option value="">Select</option>
+                          {Object.entries(GRATE_TYPES).map(([key, type]) => <option key={key} value={key}>{type.label}</option>)}
+                        </select>
+                      </td>
+                      {numberCell('localDepression')}
+                      {numberCell('localDepressionWidth')}
+                      {numberCell('grateClogging', noGrate, { max: 1 })}
+                      {numberCell('curbClogging', noCurb, { max: 1 })}
+                      <td className="py-1 px-2 border-b text-right">{usage(entry.id)}</td>
+                      <td className="py-1 px-2 border-b text-center">
+                        {!standard && <button onClick={() => removeEntry(index)} className="text-red-500 hover:text-red-700" title="Remove structure"><Trash2 size={14} /></button>}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+          <p className="text-xs text-gray-500 mt-1">
+            LADOTD dimensions are typical; verify them against the current standard plans. Manufacturer grates take their clear dimensions and bar configuration
+            from the product data. A local depression is added to the gutter depression at the inlet only, over its width from the curb. Clogging factors apply in a sag.
+            Dimensions or clogging entered on an inlet replace the catalog values for that inlet. The catalog is saved with the project.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Inlet type advisor choice: the offline rules or a provider plugin, with the endpoint URL for those that post to one
+const AdvisorSettings = ({ settings, setSettings }) => {
+  const providers = getAdvisorProviders();
+  const provider = providers[settings.provider] || providers.rules;
+  return (
+    <div className="flex flex-wrap items-center gap-2 mb-4 text-sm text-gray-700">
+      <label htmlFor="advisor-provider" className="flex items-center"><Sparkles size={14} className="mr-1 text-purple-600" /> Inlet type advisor</label>
+      <select id="advisor-provider" value={settings.provider} onChange={(e) => setSettings(prev => ({ ...prev, provider: e.target.value }))} className="rounded-md border-gray-300 p-1.5 text-sm">
+        {Object.entries(providers).map(([id, { label }]) => <option key={id} value={id}>{label}</option>)}
+      </select>
+      {provider.usesEndpoint && (
+        <input
+          type="url"
+          aria-label="Advisor endpoint URL"
+          value={settings.endpoint}
+          onChange={(e) => setSettings(prev => ({ ...prev, endpoint: e.target.value }))}
+          placeholder={DEFAULT_ADVISOR_ENDPOINT}
+          className="flex-1 min-w-[16rem] rounded-md border-gray-300 p-1.5 text-sm"
+        />
+      )}
+      <span className="text-xs text-gray-500">
+        {provider.usesEndpoint ? 'Posts the inlet facts and expects { structureType, reason, rule } JSON; npm run advisor serves a local stand-in.' : 'Deterministic HEC-22 selection rules; nothing leaves the browser.'}
+      </span>
+    </div>
+  );
+};
+
+// Inlet Input Component
+const InletInput = ({ inlet, result, details, issues, index, handleInletChange, onUpdateInlet, removeInlet, onAddInlets, bypassRoute, bypassSources, inletOptions, runoff, advisorSettings, catalog }) => {
+  const { strId, structureType, station, side, bypassTo, areaEnteringInlet, runoffCoefficient, longestFlowPath, slopeOfFlowPath, gutterGrade, gutterGradeOverride, isLowPoint, isLowPointOverride, interceptionRatio, interceptionRatioOverride, curbOpeningLength, curbOpeningHeight, grateLength, grateWidth, grateType, grateClogging, curbClogging, allowableDepth, allowableSpread, flankingDepth, sagCapacityOverride, manualQi, manualWidthOfFlooding, crossSlope, manningsN, gutterWidth, gutterDepression, debrisRisk, bicycleTraffic, subAreas = [] } = inlet;
+  const formInputClasses = "mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 p-2 text-sm";
+
+  // Everything calculated comes from the engine run in App; this component only edits inputs and displays results
+  const { effectiveGutterGrade, effectiveIsLowPoint, interceptionRatioUsed, interceptionIsManual, sagDepth, sagPasses, sagIsManual, gutterDepth, gutterVelocity, frontalFlowRatio, localTc, travelTime, tc, intensity, sumAC, weightedC, frequencyFactor, adjustedSumAC, qEnteringFromArea, qTotal, qi, qBypass, widthOfFloodingOutput, allowableSpreadUsed, spreadSource, spreadPasses } = result;
+  const { profileAtStation, gutterSection, geometry, interception, sagAnalysis, flanking, incomingBypassQ, upstreamTc, upstreamControls, drainage } = details;
+  const fieldIssues = groupIssuesByField(issues, 'inlet', index);
+  const inputClasses = (field) => `${formInputClasses} ${ISSUE_INPUT_CLASSES[fieldIssues[field]?.[0].severity] || ''}`;
+  const inletIssues = issues.filter(issue => issue.scope === 'inlet' && issue.index === index);
+  const cellInputClasses = "w-full rounded border-gray-300 p-1 text-xs";
+  const catalogEntry = findCatalogEntry(catalog, structureType);
+
+  const hasSubAreas = subAreas.length > 0;
+  const setSubAreas = (next) => onUpdateInlet(index, { subAreas: next });
+  const handleSubAreaChange = (i, e) => {
+    const { name, value, type } = e.target;
+    const processed = type === 'number' && value !== '' ? parseFloat(value) : value;
+    setSubAreas(subAreas.map((subArea, j) => (j === i ? { ...subArea, [name]: processed } : subArea)));
+  };
+  // The first sub-area carries over the entered ΣAC and C, so switching to a table does not change Q
+  const addSubArea = () => {
+    const enteredC = parseFloat(runoffCoefficient);
+    const enteredAC = parseFloat(areaEnteringInlet);
+    const carried = !hasSubAreas && enteredC > 0 && enteredAC > 0
+      ? { description: 'Direct drainage', area: Math.round(enteredAC / enteredC * 10000) / 10000, c: enteredC }
+      : {};
+    setSubAreas([...subAreas, createSubArea(carried)]);
+  };
+  const removeSubArea = (i) => setSubAreas(subAreas.filter((_, j) => j !== i));
+
+  // Advice from the configured provider, shown for confirmation before it changes the structure type
+  const [advice, setAdvice] = useState(null);
+  const suggestInletType = async () => {
+    setAdvice({ status: 'loading' });
+    try {
+      setAdvice({ status: 'done', ...await requestAdvice(getAdvisorFacts(result, catalog), advisorSettings) });
+    } catch (error) {
+      setAdvice({ status: 'error', message: error.message });
+    }
+  };
+  const applyAdvice = () => {
+    // The catalog may have changed since the advice was given
+    if (!findCatalogEntry(catalog, advice.structureType)) {
+      setAdvice({ status: 'error', message: `"${advice.structureType}" is not in the inlet catalog, so it was not applied.` });
+      return;
+    }
+    onUpdateInlet(index, { structureType: advice.structureType });
+    setAdvice(null);
+  };
+
+  return (
+    <div id={`inlet-${index}`} className="p-4 sm:p-6 bg-gray-50 rounded-lg shadow-md mb-6 border border-gray-200"> {/* InletInput specific card styling */}
+      <h3 className="text-lg sm:text-xl font-semibold text-blue-600 mb-4">Inlet {index + 1}</h3>
+      <IssueList issues={inletIssues} />
+      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-x-4 gap-y-5">
+        <div>
+          <label className="block text-xs font-medium text-gray-600 mb-1">Structure ID</label>
+          <input type="text" name="strId" value={strId} onChange={(e) => handleInletChange(index, e)} className={inputClasses('strId')} />
+        </div>
+        <div className="relative">
+          <label className="block text-xs font-medium text-gray-600 mb-1">Structure Type</label>
+          <select name="structureType" value={structureType} onChange={(e) => handleInletChange(index, e)} className={`${inputClasses('structureType')} appearance-none pr-8`}>
+            <option value="">Select Type</option>
+            {catalog.filter(entry => entry.id).map(entry => (
+              <option key={entry.id} value={entry.id}>{entry.id} ({CATALOG_INLET_TYPES[entry.inletType]}{entry.source === 'manufacturer' && entry.manufacturer ? `, ${entry.manufacturer}` : ''})</option>
+            ))}
+            {structureType && structureType !== OTHER_STRUCTURE_TYPE && !catalogEntry && <option value={structureType}>{structureType} (not in catalog)</option>}
+            <option value={OTHER_STRUCTURE_TYPE}>Other</option>
+          </select>
           <ChevronsUpDown className="absolute right-3 top-1/2 -translate-y-1/2 mt-1.5 h-4 w-4 text-gray-400 pointer-events-none" />
-        </div>
+          {catalogEntry && (catalogEntry.name || geometry?.localDepression > 0) && (
+            <p className="text-xs text-gray-500 mt-1">
+              {catalogEntry.name}
+              {geometry?.localDepression > 0 && `${catalogEntry.name ? '; ' : ''}${formatNumber(geometry.localDepression, 1)} in local depression over ${formatNumber(geometry.localDepressionWidth)} ft`}
+            </p>
+          )}
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-600 mb-1">Station</label>
+          <input type="number" step="any" name="station" value={station} onChange={(e) => handleInletChange(index, e)} className={inputClasses('station')}/>
+        </div>
+        <div className="relative">
+          <label className="block text-xs font-medium text-gray-600 mb-1">Roadway Side</label>
+          <select name="side" value={side} onChange={(e) => handleInletChange(index, e)} className={`${inputClasses('side')} appearance-none pr-8`}>
+            {ROADWAY_SIDES.map(s => <option key={s} value={s}>{s}</option>)}
+          </select>
+          <ChevronsUpDown className="absolute right-3 top-1/2 -translate-y-1/2 mt-1.5 h-4 w-4 text-gray-400 pointer-events-none" />
+        </div>
+        <div className="relative">
+          <label className="block text-xs font-medium text-gray-600 mb-1">Bypass To</label>
+          <select name="bypassTo" value={bypassTo} onChange={(e) => handleInletChange(index, e)} className={`${inputClasses('bypassTo')} appearance-none pr-8`}>
+            <option value="">Auto (downhill on profile)</option>
+            {inletOptions.filter(id => id !== strId).map(id => <option key={id} value={id}>{id}</option>)}
+            <option value={BYPASS_OFFSITE}>Leaves project</option>
+          </select>
+          <ChevronsUpDown className="absolute right-3 top-1/2 -translate-y-1/2 mt-1.5 h-4 w-4 text-gray-400 pointer-events-none" />
+          <p className={`text-xs mt-1 ${bypassRoute.error ? 'text-red-600' : 'text-gray-500'}`}>
+            {bypassRoute.error || `Bypass goes to: ${bypassRoute.label}`}
+            {bypassSources.length > 0 && ` · Receives bypass from ${bypassSources.join(', ')}`}
+          </p>
+        </div>
         <div>
-          <label className="block text-xs font-medium text-gray-600 mb-1">Station</label>
-          <input type="number" step="any" name="station" value={station} onChange={(e) => handleInletChange(index, e)} className={formInputClasses}/>
-        </div>
+          <label className="block text-xs font-medium text-gray-600 mb-1">Sum of (Area * C) (ΣAC)</label>
+          {hasSubAreas ? (
+            <input type="text" readOnly value={formatNumber(sumAC)} className={`${formInputClasses} bg-gray-100 text-gray-600`}/>
+          ) : (
+            <input type="number" step="any" name="areaEnteringInlet" value={areaEnteringInlet} onChange={(e) => handleInletChange(index, e)} className={inputClasses('areaEnteringInlet')}/>
+          )}
+          <p className="text-xs text-gray-500 mt-1">{hasSubAreas ? 'Tabulated from the drainage sub-areas below.' : "Σ(Area * Runoff Coeff.) for this inlet's direct drainage."}</p>
+        </div>
         <div>
-          <label className="block text-xs font-medium text-gray-600 mb-1">Sum of (Area * C) (ΣAC)</label>
-          <input type="number" step="any" name="areaEnteringInlet" value={areaEnteringInlet} onChange={(e) => handleInletChange(index, e)} className={formInputClasses}/>
-          <p className="text-xs text-gray-500 mt-1">Σ(Area * Runoff Coeff.) for this inlet's direct drainage.</p>
-        </div>
+          <label className="block text-xs font-medium text-gray-600 mb-1">Runoff Coeff. (C) <span className="text-xxs">(for TC calc)</span></label>
+          {hasSubAreas ? (
+            <input type="text" readOnly value={formatNumber(weightedC)} className={`${formInputClasses} bg-gray-100 text-gray-600`}/>
+          ) : (
+            <input type="number" step="any" name="runoffCoefficient" value={runoffCoefficient} onChange={(e) => handleInletChange(index, e)} className={inputClasses('runoffCoefficient')} />
+          )}
+          <p className="text-xs text-gray-500 mt-1">{hasSubAreas ? 'Area-weighted C of the sub-areas.' : 'Weighted C for the longest flow path area.'}</p>
+        </div>
+        <div className="col-span-full p-3 bg-white rounded-md border border-gray-200" data-field="subAreas">
+          <div className="flex justify-between items-center mb-2">
+            <p className="text-xs font-semibold text-gray-600">Drainage Sub-areas</p>
+            <button onClick={addSubArea} className="flex items-center px-3 py-1 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 text-xs font-medium">
+              <PlusCircle size={14} className="mr-1" /> Add Sub-area
+            </button>
+          </div>
+          {hasSubAreas ? (
+            <div className="overflow-x-auto">
+              <table className={`min-w-full text-xs border ${fieldIssues.subAreas ? 'border-red-400' : 'border-gray-300'}`}>
+                <thead className="bg-gray-50 text-gray-600">
+                  <tr>
+                    <th className="py-2 px-2 border-b text-left">Description</th>
+                    <th className="py-2 px-2 border-b text-left">Land Use</th>
+                    <th className="py-2 px-2 border-b text-left w-24">Area</th>
+                    <th className="py-2 px-2 border-b text-left w-20">Unit</th>
+                    <th className="py-2 px-2 border-b text-left w-20">C</th>
+                    <th className="py-2 px-2 border-b text-right">A (ac)</th>
+                    <th className="py-2 px-2 border-b text-right">A × C (ac)</th>
+                    <th className="py-2 px-2 border-b w-10" />
+                  </tr>
+                </thead>
+                <tbody>
+                  {subAreas.map((subArea, i) => {
+                    const row = drainage.rows[i] || {};
+                    const landUse = runoff.landUses.find(entry => entry.id === subArea.landUse);
+                    return (
+                      <tr key={i}>
+                        <td className="py-1 px-2 border-b"><input type="text" name="description" value={subArea.description} onChange={(e) => handleSubAreaChange(i, e)} className={cellInputClasses} /></td>
+                        <td className="py-1 px-2 border-b">
+                          <select name="landUse" value={subArea.landUse} onChange={(e) => handleSubAreaChange(i, e)} className={cellInputClasses}>
+                            {!landUse && <option value={subArea.landUse}>{subArea.landUse} (not in table)</option>}
+                            {runoff.landUses.map(entry => <option key={entry.id} value={entry.id}>{entry.name}</option>)}
+                          </select>
+                        </td>
+                        <td className="py-1 px-2 border-b"><input type="number" step="any" min="0" name="area" value={subArea.area} onChange={(e) => handleSubAreaChange(i, e)} className={cellInputClasses} /></td>
+                        <td className="py-1 px-2 border-b">
+                          <select name="unit" value={subArea.unit} onChange={(e) => handleSubAreaChange(i, e)} className={cellInputClasses}>
+                            {Object.entries(AREA_UNITS).map(([key, unit]) => <option key={key} value={key}>{unit.label}</option>)}
+                          </select>
+                        </td>
+                        <td className="py-1 px-2 border-b"><input type="number" step="any" min="0" max="1" name="c" value={subArea.c} placeholder={landUse ? String(landUse.c) : ''} onChange={(e) => handleSubAreaChange(i, e)} className={cellInputClasses} title="Blank uses the land use's C" /></td>
+                        <td className="py-1 px-2 border-b text-right">{formatNumber(row.acres) || '—'}</td>
+                        <td className="py-1 px-2 border-b text-right">{formatNumber(row.ac) || '—'}</td>
+                        <td className="py-1 px-2 border-b text-center">
+                          <button onClick={() => removeSubArea(i)} className="text-red-500 hover:text-red-700" title="Remove sub-area"><Trash2 size={14} /></button>
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          ) : (
+            <p className="text-xs text-gray-500 italic">No sub-areas; the entered ΣAC and C are used. Add sub-areas to tabulate them by land use.</p>
+          )}
+          <p className="text-xs text-gray-600 mt-2">
+            {hasSubAreas && <>Total area <strong>{formatNumber(drainage.totalArea) || '—'} ac</strong> · </>}
+            ΣAC <strong>{formatNumber(sumAC) || '—'} ac</strong> · C <strong>{formatNumber(weightedC) || '—'}</strong> · Cf <strong>{formatNumber(frequencyFactor)}</strong> · ΣAC × Cf <strong>{formatNumber(adjustedSumAC) || '—'} ac</strong> (C × Cf ≤ 1.0)
+          </p>
+        </div>
         <div>
-          <label className="block text-xs font-medium text-gray-600 mb-1">Runoff Coeff. (C) <span className="text-xxs">(for TC calc)</span></label>
-          <input type="number" step="any" name="runoffCoefficient" value={runoffCoefficient} onChange={(e) => handleInletChange(index, e)} className={formInputClasses} />
-          <p className="text-xs text-gray-500 mt-1">Weighted C for the longest flow path area.</p>
-        </div>
+          <label className="block text-xs font-medium text-gray-600 mb-1">Longest Flow Path (HL) (ft)</label>
+          <input type="number" step="any" name="longestFlowPath" value={longestFlowPath} onChange={(e) => handleInletChange(index, e)} className={inputClasses('longestFlowPath')} />
+        </div>
         <div>
-          <label className="block text-xs font-medium text-gray-600 mb-1">Longest Flow Path (HL) (ft)</label>
-          <input type="number" step="any" name="longestFlowPath" value={longestFlowPath} onChange={(e) => handleInletChange(index, e)} className={formInputClasses} />
-        </div>
+          <label className="block text-xs font-medium text-gray-600 mb-1">Slope of Flow Path (S) (%)</label>
+          <input type="number" step="any" name="slopeOfFlowPath" value={slopeOfFlowPath} onChange={(e) => handleInletChange(index, e)} className={inputClasses('slopeOfFlowPath')} />
+        </div>
         <div>
-          <label className="block text-xs font-medium text-gray-600 mb-1">Slope of Flow Path (S) (%)</label>
-          <input type="number" step="any" name="slopeOfFlowPath" value={slopeOfFlowPath} onChange={(e) => handleInletChange(index, e)} className={formInputClasses} />
-        </div>
+          <label className="block text-xs font-medium text-gray-600 mb-1">Gutter Grade (%)</label>
+          {gutterGradeOverride ? (
+            <input type="number" step="any" name="gutterGrade" value={gutterGrade} onChange={(e) => handleInletChange(index, e)} className={inputClasses('gutterGrade')}/>
+          ) : (
+            <input type="text" readOnly value={formatNumber(effectiveGutterGrade)} className={`${formInputClasses} bg-gray-100 text-gray-600`}/>
+          )}
+          <label className="inline-flex items-center text-xs text-gray-600 mt-1 cursor-pointer">
+            <input type="checkbox" name="gutterGradeOverride" checked={Boolean(gutterGradeOverride)} onChange={(e) => handleInletChange(index, e)} className="form-checkbox h-3 w-3 text-blue-600 rounded border-gray-300 focus:ring-blue-500"/>
+            <span className="ml-1">Override profile grade</span>
+          </label>
+          <p className="text-xs text-gray-500 mt-1">
+            {gutterGradeOverride
+              ? 'Manual longitudinal roadway slope at inlet.'
+              : (profileAtStation ? `From profile at Sta ${formatNumber(profileAtStation.station)} (${formatNumber(profileAtStation.grade)}%).` : 'Enter a station to read the grade from the profile.')}
+          </p>
+        </div>
+        <div className="col-span-full md:col-span-1 flex flex-col justify-center mt-2">
+          <label className={`inline-flex items-center text-gray-700 ${isLowPointOverride ? 'cursor-pointer' : ''}`}>
+            {isLowPointOverride ? (
+              <input type="checkbox" name="isLowPoint" checked={Boolean(isLowPoint)} onChange={(e) => handleInletChange(index, e)} className="form-checkbox h-4 w-4 text-blue-600 rounded border-gray-300 focus:ring-blue-500"/>
+            ) : (
+              <input type="checkbox" checked={effectiveIsLowPoint} disabled className="form-checkbox h-4 w-4 text-gray-400 rounded border-gray-300"/>
+            )}
+            <span className="ml-2 text-sm font-medium">Is Low Point (Sag)?</span>
+          </label>
+          <label className="inline-flex items-center text-xs text-gray-600 mt-1 cursor-pointer">
+            <input type="checkbox" name="isLowPointOverride" checked={Boolean(isLowPointOverride)} onChange={(e) => handleInletChange(index, e)} className="form-checkbox h-3 w-3 text-blue-600 rounded border-gray-300 focus:ring-blue-500"/>
+            <span className="ml-1">Override profile sag status</span>
+          </label>
+          {!isLowPointOverride && profileAtStation?.nearestLowPoint && (
+            <p className="text-xs text-gray-500 mt-1">Nearest profile low point: Sta {formatNumber(profileAtStation.nearestLowPoint.station)}</p>
+          )}
+        </div>
+        <div className="col-span-full grid grid-cols-2 md:grid-cols-4 gap-x-4 gap-y-2 p-3 bg-white rounded-md border border-gray-200">
+          <p className="col-span-full text-xs font-semibold text-gray-600">Gutter Section {gutterSection.isComposite ? '(composite, depressed gutter)' : '(uniform cross slope)'}</p>
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">Cross Slope Sx (ft/ft)</label>
+            <input type="number" step="any" name="crossSlope" value={crossSlope} placeholder={`${DEFAULT_CROSS_SLOPE} (default)`} onChange={(e) => handleInletChange(index, e)} className={inputClasses('crossSlope')} />
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">Manning's n</label>
+            <input type="number" step="any" name="manningsN" value={manningsN} placeholder={`${DEFAULT_MANNINGS_N} (default)`} onChange={(e) => handleInletChange(index, e)} className={inputClasses('manningsN')} />
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">Gutter Width W (ft)</label>
+            <input type="number" step="any" name="gutterWidth" value={gutterWidth} placeholder="0 (none)" onChange={(e) => handleInletChange(index, e)} className={inputClasses('gutterWidth')} />
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">Gutter Depression a (in)</label>
+            <input type="number" step="any" name="gutterDepression" value={gutterDepression} placeholder="0 (none)" onChange={(e) => handleInletChange(index, e)} className={inputClasses('gutterDepression')} />
+          </div>
+        </div>
         <div>
-          <label className="block text-xs font-medium text-gray-600 mb-1">Gutter Grade (%)</label>
-          <input type="number" step="any" name="gutterGrade" value={gutterGrade} onChange={(e) => handleInletChange(index, e)} className={formInputClasses}/>
-          <p className="text-xs text-gray-500 mt-1">Longitudinal roadway slope at inlet.</p>
-        </div>
-        <div className="col-span-full md:col-span-1 flex items-center mt-2">
-          <label className="inline-flex items-center text-gray-700 cursor-pointer">
-            <input type="checkbox" name="isLowPoint" checked={Boolean(isLowPoint)} onChange={(e) => handleInletChange(index, e)} className="form-checkbox h-4 w-4 text-blue-600 rounded border-gray-300 focus:ring-blue-500"/>
-            <span className="ml-2 text-sm font-medium">Is Low Point (Sag)?</span>
-          </label>
-        </div>
-        {isLowPoint && (
+          <label className="block text-xs font-medium text-gray-600 mb-1">Allowable Spread (ft)</label>
+          <input type="number" step="any" name="allowableSpread" value={allowableSpread} placeholder={spreadSource === 'Criteria' ? `${formatNumber(allowableSpreadUsed)} (roadway criteria)` : ''} onChange={(e) => handleInletChange(index, e)} className={inputClasses('allowableSpread')} />
+          <p className="text-xs text-gray-500 mt-1">
+            Checked against the calculated width of flooding; leave blank to use the roadway criteria.
+            {spreadPasses !== null && spreadPasses !== undefined && (
+              <span className={`ml-1 font-semibold ${spreadPasses ? 'text-green-600' : 'text-red-600'}`}>{spreadPasses ? 'Pass' : 'Fail'}</span>
+            )}
+          </p>
+        </div>
+        {effectiveIsLowPoint && sagIsManual && (
              <p className="col-span-full text-xs text-red-600 -mt-3 mb-1">
-                For low points, Qi and Width of Flooding are typically from charts (e.g., LADOTD Fig 8-A.8-5). Input manually below.
+                {geometry
+                  ? 'Sag capacity overridden. Enter Qi and Width of Flooding from charts (e.g., LADOTD Fig 8-A.8-5) below.'
+                  : 'No catalog geometry for this structure type. Enter Qi and Width of Flooding from charts (e.g., LADOTD Fig 8-A.8-5) below.'}
              </p>
         )}
-        {!isLowPoint && (
-          <div className="relative">
-            <label className="block text-xs font-medium text-gray-600 mb-1">Interception Ratio (Qi/Q)</label>
-            <input type="number" step="any" name="interceptionRatio" value={interceptionRatio} onChange={(e) => handleInletChange(index, e)} min="0" max="1" className={formInputClasses} />
-            <p className="text-xs text-red-600 mt-1">
-              From charts or manufacturer data. Input manually.
-            </p>
-          </div>
-        )}
-        {isLowPoint && (
-          <>
-            <div>
-              <label className="block text-xs font-medium text-gray-600 mb-1">Manual Qi (cfs)</label>
-              <input type="number" step="any" name="manualQi" value={manualQi} onChange={(e) => handleInletChange(index, e)} className={formInputClasses} />
-            </div>
-            <div>
-              <label className="block text-xs font-medium text-gray-600 mb-1">Manual Width of Flooding (ft)</label>
-              <input type="number" step="any" name="manualWidthOfFlooding" value={manualWidthOfFlooding} onChange={(e) => handleInletChange(index, e)} className={formInputClasses} />
-            </div>
-          </>
-        )}
-      </div>
-
-      <div className="mt-6 pt-4 border-t border-gray-200">
-        <h4 className="text-md sm:text-lg font-semibold text-gray-700 mb-3">Calculated Outputs for Inlet {index + 1}:</h4>
+        {geometry && (geometry.inletType === 'curb' || geometry.inletType === 'combination') && (
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">Curb Opening Length (ft)</label>
+            <input type="number" step="any" name="curbOpeningLength" value={curbOpeningLength} placeholder={`${catalogEntry.curbOpeningLength} (catalog)`} onChange={(e) => handleInletChange(index, e)} className={inputClasses('curbOpeningLength')} />
+          </div>
+        )}
+        {effectiveIsLowPoint && geometry && (geometry.inletType === 'curb' || geometry.inletType === 'combination') && (
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">Curb Opening Height (ft)</label>
+            <input type="number" step="any" name="curbOpeningHeight" value={curbOpeningHeight} placeholder={`${catalogEntry.curbOpeningHeight} (catalog)`} onChange={(e) => handleInletChange(index, e)} className={inputClasses('curbOpeningHeight')} />
+          </div>
+        )}
+        {geometry && (geometry.inletType === 'grate' || geometry.inletType === 'combination') && (
+          <>
+            <div>
+              <label className="block text-xs font-medium text-gray-600 mb-1">Grate Length x Width (ft)</label>
+              <div className="flex space-x-2">
+                <input type="number" step="any" name="grateLength" value={grateLength} placeholder={`${catalogEntry.grateLength}`} onChange={(e) => handleInletChange(index, e)} className={inputClasses('grateLength')} />
+                <input type="number" step="any" name="grateWidth" value={grateWidth} placeholder={`${catalogEntry.grateWidth}`} onChange={(e) => handleInletChange(index, e)} className={inputClasses('grateWidth')} />
+              </div>
+            </div>
+            <div className="relative">
+              <label className="block text-xs font-medium text-gray-600 mb-1">Grate Type</label>
+              <select name="grateType" value={grateType} onChange={(e) => handleInletChange(index, e)} className={`${inputClasses('grateType')} appearance-none pr-8`}>
+                <option value="">Catalog ({GRATE_TYPES[catalogEntry.grateType]?.label || GRATE_TYPES['P-1-7/8'].label})</option>
+                {Object.entries(GRATE_TYPES).map(([key, type]) => (
+                  <option key={key} value={key}>{type.label}</option>
+                ))}
+              </select>
+              <ChevronsUpDown className="absolute right-3 top-1/2 -translate-y-1/2 mt-1.5 h-4 w-4 text-gray-400 pointer-events-none" />
+            </div>
+          </>
+        )}
+        {!effectiveIsLowPoint && (
+          <div className="relative">
+            <label className="block text-xs font-medium text-gray-600 mb-1">Interception Ratio (Qi/Q)</label>
+            {interceptionIsManual ? (
+              <input type="number" step="any" name="interceptionRatio" value={interceptionRatio} onChange={(e) => handleInletChange(index, e)} min="0" max="1" className={inputClasses('interceptionRatio')} />
+            ) : (
+              <input type="text" readOnly value={formatNumber(interceptionRatioUsed, 3)} className={`${formInputClasses} bg-gray-100 text-gray-600`}/>
+            )}
+            {geometry && (
+              <label className="inline-flex items-center text-xs text-gray-600 mt-1 cursor-pointer">
+                <input type="checkbox" name="interceptionRatioOverride" checked={Boolean(interceptionRatioOverride)} onChange={(e) => handleInletChange(index, e)} className="form-checkbox h-3 w-3 text-blue-600 rounded border-gray-300 focus:ring-blue-500"/>
+                <span className="ml-1">Override HEC-22 efficiency</span>
+              </label>
+            )}
+            {interceptionIsManual ? (
+              <p className="text-xs text-red-600 mt-1">
+                From charts or manufacturer data. Input manually.
+              </p>
+            ) : interception && (
+              <p className="text-xs text-gray-500 mt-1">
+                HEC-22 on grade:
+                {interception.lt > 0 && ` LT = ${formatNumber(interception.lt)} ft, E curb = ${formatNumber(interception.curbEfficiency, 3)}.`}
+                {interception.grate && ` Grate V = ${formatNumber(interception.grate.velocity)} ft/s, Vo = ${formatNumber(interception.grate.splashOverVelocity)} ft/s, Eo = ${formatNumber(interception.grate.eo, 3)}, Rf = ${formatNumber(interception.grate.rf, 3)}, Rs = ${formatNumber(interception.grate.rs, 3)}.`}
+              </p>
+            )}
+          </div>
+        )}
+        {effectiveIsLowPoint && geometry && (
+          <>
+            {(geometry.inletType === 'grate' || geometry.inletType === 'combination') && (
+              <div>
+                <label className="block text-xs font-medium text-gray-600 mb-1">Grate Clogging Factor</label>
+                <input type="number" step="any" name="grateClogging" value={grateClogging} placeholder={`${catalogEntry.grateClogging} (catalog)`} onChange={(e) => handleInletChange(index, e)} min="0" max="1" className={inputClasses('grateClogging')} />
+              </div>
+            )}
+            {(geometry.inletType === 'curb' || geometry.inletType === 'combination') && (
+              <div>
+                <label className="block text-xs font-medium text-gray-600 mb-1">Curb Opening Clogging Factor</label>
+                <input type="number" step="any" name="curbClogging" value={curbClogging} placeholder={`${catalogEntry.curbClogging} (catalog)`} onChange={(e) => handleInletChange(index, e)} min="0" max="1" className={inputClasses('curbClogging')} />
+              </div>
+            )}
+            <div>
+              <label className="block text-xs font-medium text-gray-600 mb-1">Allowable Ponded Depth (ft)</label>
+              <input type="number" step="any" name="allowableDepth" value={allowableDepth} onChange={(e) => handleInletChange(index, e)} className={inputClasses('allowableDepth')} />
+            </div>
+            <div className="col-span-full">
+              <label className="inline-flex items-center text-xs text-gray-600 cursor-pointer">
+                <input type="checkbox" name="sagCapacityOverride" checked={Boolean(sagCapacityOverride)} onChange={(e) => handleInletChange(index, e)} className="form-checkbox h-3 w-3 text-blue-600 rounded border-gray-300 focus:ring-blue-500"/>
+                <span className="ml-1">Override computed sag capacity with chart values</span>
+              </label>
+              {!sagIsManual && sagAnalysis && (
+                <p className={`text-xs mt-1 ${sagPasses === false ? 'text-red-600' : 'text-gray-500'}`}>
+                  {sagAnalysis.converged
+                    ? `Ponded depth ${formatNumber(sagAnalysis.depth, 3)} ft (${sagAnalysis.control} control), spread ${formatNumber(sagAnalysis.spread)} ft.`
+                    : `Inlet cannot pass ${formatNumber(parseFloat(qTotal))} cfs within ${formatNumber(sagAnalysis.depth)} ft of ponding.`}
+                  {sagPasses !== null && ` Depth ${sagAnalysis.depthOk ? 'OK' : 'exceeds allowable'}, spread ${sagAnalysis.spreadOk ? 'OK' : 'exceeds allowable'}.`}
+                </p>
+              )}
+            </div>
+          </>
+        )}
+        {effectiveIsLowPoint && sagIsManual && (
+          <>
+            <div>
+              <label className="block text-xs font-medium text-gray-600 mb-1">Manual Qi (cfs)</label>
+              <input type="number" step="any" name="manualQi" value={manualQi} onChange={(e) => handleInletChange(index, e)} className={inputClasses('manualQi')} />
+            </div>
+            <div>
+              <label className="block text-xs font-medium text-gray-600 mb-1">Manual Width of Flooding (ft)</label>
+              <input type="number" step="any" name="manualWidthOfFlooding" value={manualWidthOfFlooding} onChange={(e) => handleInletChange(index, e)} className={inputClasses('manualWidthOfFlooding')} />
+            </div>
+          </>
+        )}
+        {flanking && (
+          <div className="col-span-full p-3 bg-blue-50 rounded-md border border-blue-200">
+            <div className="flex flex-col sm:flex-row sm:items-end sm:space-x-4">
+              <div className="sm:w-48">
+                <label className="block text-xs font-medium text-gray-600 mb-1">Flanking Rise Above Low Point (ft)</label>
+                <input type="number" step="any" name="flankingDepth" value={flankingDepth} placeholder="0.2 (default)" onChange={(e) => handleInletChange(index, e)} className={inputClasses('flankingDepth')} />
+              </div>
+              <p className="text-xs text-blue-700 mt-2 sm:mt-0 flex-1">
+                Flanking inlets: {flanking.backStation !== null ? `Sta ${formatNumber(flanking.backStation)}` : 'none (profile does not rise enough back)'} and {flanking.aheadStation !== null ? `Sta ${formatNumber(flanking.aheadStation)}` : 'none (profile does not rise enough ahead)'}
+                {!isNaN(flanking.x) && ` (x = (200dK)^0.5 = ${formatNumber(flanking.x, 1)} ft, K = ${formatNumber(flanking.K, 1)})`}.
+              </p>
+              {onAddInlets && (flanking.backStation !== null || flanking.aheadStation !== null) && (
+                <button
+                  onClick={() => onAddInlets([flanking.backStation, flanking.aheadStation]
+                    .filter(s => s !== null)
+                    .map((s, i) => createInlet({ strId: `${strId}-FL${i + 1}`, structureType, station: Math.round(s * 100) / 100, runoffCoefficient })))}
+                  className="mt-2 sm:mt-0 flex items-center justify-center px-3 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 text-xs font-medium transition-colors"
+                >
+                  <PlusCircle size={14} className="mr-1" /> Add Flanking Inlets
+                </button>
+              )}
+            </div>
+          </div>
+        )}
+      </div>
+
+      <div className="mt-6 pt-4 border-t border-gray-200">
+        <h4 className="text-md sm:text-lg font-semibold text-gray-700 mb-3">Calculated Outputs for Inlet {index + 1}:</h4>
         <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-x-4 gap-y-2 text-sm">
-          <div className="p-2 bg-gray-100 rounded-md"><span className="font-medium text-gray-600">TC:</span> {formatNumber(tc)} min</div>
-          <div className="p-2 bg-gray-100 rounded-md"><span className="font-medium text-gray-600">Intensity:</span> {formatNumber(intensity)} in/hr</div>
-          <div className="p-2 bg-gray-100 rounded-md"><span className="font-medium text-gray-600">Q from Area:</span> {formatNumber(qEnteringFromArea)} cfs</div>
-          <div className="p-2 bg-gray-100 rounded-md"><span className="font-medium text-gray-600">Q Bypass (Prev):</span> {formatNumber(prevBypassQ)} cfs</div>
-          <div className="p-2 bg-blue-100 rounded-md font-semibold"><span className="font-medium text-blue-700">Q Total:</span> {formatNumber(qTotal)} cfs</div>
-          <div className="p-2 bg-green-100 rounded-md font-semibold"><span className="font-medium text-green-700">Qi (Intercepted):</span> {formatNumber(qi)} cfs</div>
-          <div className="p-2 bg-red-100 rounded-md font-semibold"><span className="font-medium text-red-700">Q Bypass (Current):</span> {formatNumber(qBypass)} cfs</div>
-          <div className="p-2 bg-yellow-100 rounded-md font-semibold"><span className="font-medium text-yellow-700">Width of Flooding:</span> {formatNumber(widthOfFloodingOutput)} ft</div>
-        </div>
-      </div>
-
-      <div className="flex flex-col sm:flex-row justify-end mt-6 space-y-2 sm:space-y-0 sm:space-x-3">
-        <button
-          onClick={suggestInletType}
-          className="flex items-center justify-center px-4 py-2.5 bg-purple-600 text-white rounded-lg hover:bg-purple-700 focus:outline-none focus:ring-4 focus:ring-purple-300 text-sm font-medium transition-colors shadow-md hover:shadow-lg w-full sm:w-auto"
-        >
-          <Sparkles size={16} className="mr-2" /> Suggest Inlet Type
-        </button>
-        <button
-          onClick={() => removeInlet(index)}
+          <div className="p-2 bg-gray-100 rounded-md">
+            <span className="font-medium text-gray-600">TC:</span> {formatNumber(tc)} min
+            <span className="block text-xs text-gray-500">
+              {upstreamControls
+                ? `Upstream ${upstreamTc.label}: ${formatNumber(upstreamTc.tc - upstreamTc.travelTime)} + ${formatNumber(travelTime)} min gutter travel (local ${formatNumber(localTc)} min)`
+                : `Local overland flow${upstreamTc ? ` (upstream ${formatNumber(upstreamTc.tc)} min)` : ''}`}
+            </span>
+          </div>
+          <div className="p-2 bg-gray-100 rounded-md"><span className="font-medium text-gray-600">Intensity:</span> {formatNumber(intensity)} in/hr</div>
+          <div className="p-2 bg-gray-100 rounded-md"><span className="font-medium text-gray-600">Q from Area:</span> {formatNumber(qEnteringFromArea)} cfs</div>
+          <div className="p-2 bg-gray-100 rounded-md"><span className="font-medium text-gray-600">Q Bypass In:</span> {formatNumber(incomingBypassQ)} cfs</div>
+          <div className="p-2 bg-blue-100 rounded-md font-semibold"><span className="font-medium text-blue-700">Q Total:</span> {formatNumber(qTotal)} cfs</div>
+          <div className="p-2 bg-green-100 rounded-md font-semibold"><span className="font-medium text-green-700">Qi (Intercepted):</span> {formatNumber(qi)} cfs</div>
+          <div className="p-2 bg-red-100 rounded-md font-semibold"><span className="font-medium text-red-700">Q Bypass (Current):</span> {formatNumber(qBypass)} cfs</div>
+          <div className="p-2 bg-yellow-100 rounded-md font-semibold"><span className="font-medium text-yellow-700">Width of Flooding:</span> {formatNumber(widthOfFloodingOutput)} ft</div>
+          {!effectiveIsLowPoint && (
+            <>
+              <div className="p-2 bg-gray-100 rounded-md"><span className="font-medium text-gray-600">Depth at Curb:</span> {formatNumber(gutterDepth, 3)} ft</div>
+              <div className="p-2 bg-gray-100 rounded-md"><span className="font-medium text-gray-600">Gutter Velocity:</span> {formatNumber(gutterVelocity)} ft/s</div>
+              {gutterSection.gutterWidth > 0 && (
+                <div className="p-2 bg-gray-100 rounded-md"><span className="font-medium text-gray-600">Eo (Frontal Flow Ratio):</span> {formatNumber(frontalFlowRatio, 3)}</div>
+              )}
+            </>
+          )}
+          {effectiveIsLowPoint && !sagIsManual && (
+            <div className={`p-2 rounded-md font-semibold ${sagPasses === false ? 'bg-red-100' : 'bg-gray-100'}`}>
+              <span className="font-medium text-gray-600">Ponded Depth:</span> {formatNumber(sagDepth, 3)} ft{sagPasses !== null && ` (${sagPasses ? 'Pass' : 'Fail'})`}
+            </div>
+          )}
+        </div>
+      </div>
+
+      {advice && (
+        <div className="mt-6 p-3 rounded-md border border-purple-200 bg-purple-50 text-sm" aria-live="polite">
+          {advice.status === 'loading' && <p className="text-gray-600">Asking the advisor ({(getAdvisorProviders()[advisorSettings.provider] || getAdvisorProviders().rules).label})…</p>}
+          {advice.status === 'error' && <p className="text-red-600">{advice.message}</p>}
+          {advice.status === 'done' && (
+            <>
+              <p className="font-semibold text-purple-800">Suggested: {advice.structureType} <span className="font-normal text-gray-500">· {advice.source}</span></p>
+              <p className="text-gray-700 mt-1">{advice.reason}</p>
+              {advice.rule && <p className="text-xs text-gray-500 mt-1">Rule: {advice.rule.title} ({advice.rule.id})</p>}
+              {advice.notes.length > 0 && (
+                <ul className="list-disc list-inside text-xs text-amber-700 mt-1">
+                  {advice.notes.map((note, i) => <li key={i}>{note}</li>)}
+                </ul>
+              )}
+            </>
+          )}
+          <div className="flex gap-2 mt-2">
+            {advice.status === 'done' && advice.structureType !== structureType && (
+              <button onClick={applyAdvice} className="px-3 py-1.5 bg-purple-600 text-white rounded-md hover:bg-purple-700 text-xs font-medium">Use {advice.structureType}</button>
+            )}
+            {advice.status === 'done' && advice.structureType === structureType && <span className="text-xs text-gray-600 self-center">The inlet is already {structureType}.</span>}
+            <button onClick={() => setAdvice(null)} className="px-3 py-1.5 bg-white border border-gray-300 text-gray-700 rounded-md hover:bg-gray-100 text-xs font-medium">Dismiss</button>
+          </div>
+        </div>
+      )}
+
+      <div className="flex flex-col sm:flex-row sm:items-center justify-end mt-6 space-y-2 sm:space-y-0 sm:space-x-3">
+        <div className="flex items-center gap-3 text-xs text-gray-600 sm:mr-auto">
+          <label className="flex items-center gap-1">
+            Debris risk
+            <select name="debrisRisk" value={debrisRisk} onChange={(e) => handleInletChange(index, e)} className="rounded border-gray-300 p-1 text-xs">
+              {Object.entries(DEBRIS_RISKS).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+            </select>
+          </label>
+          <label className="flex items-center gap-1">
+            <input type="checkbox" name="bicycleTraffic" checked={Boolean(bicycleTraffic)} onChange={(e) => handleInletChange(index, e)} />
+            Bicycles in gutter
+          </label>
+        </div>
+        <button
+          onClick={suggestInletType}
+          disabled={advice?.status === 'loading'}
+          className="flex items-center justify-center px-4 py-2.5 bg-purple-600 text-white rounded-lg hover:bg-purple-700 focus:outline-none focus:ring-4 focus:ring-purple-300 text-sm font-medium transition-colors shadow-md hover:shadow-lg w-full sm:w-auto disabled:opacity-50"
+        >
+          <Sparkles size={16} className="mr-2" /> Suggest Inlet Type
+        </button>
+        <button
+          onClick={() => removeInlet(index)}
           className="flex items-center justify-center px-4 py-2.5 bg-red-500 text-white rounded-lg hover:bg-red-600 focus:outline-none focus:ring-4 focus:ring-red-300 text-sm font-medium transition-colors shadow-md hover:shadow-lg w-full sm:w-auto"
-        >
-          <Trash2 size={16} className="mr-2" /> Remove Inlet
-        </button>
-      </div>
-    </div>
-  );
+        >
+          <Trash2 size={16} className="mr-2" /> Remove Inlet
+        </button>
+      </div>
+    </div>
+  );
+};
+
+const ISSUE_CELL_CLASSES = { error: 'bg-red-50 ring-1 ring-inset ring-red-400', warning: 'bg-amber-50 ring-1 ring-inset ring-amber-400', info: '' };
+
+// Inlet Grid: every inlet as one row of the inlet table columns. Arrow keys and Tab move, Enter/F2 or typing edits,
+// Delete clears, Ctrl+D fills down, and copy/paste use tab-separated text so ranges go to and from Excel.
+// Pasted rows beyond the last inlet add inlets. A few results are shown read-only at the right.
+const InletGrid = ({ inlets, setInlets, results, issues, columns }) => {
+  const [active, setActive] = useState({ row: 0, col: 0 });
+  const [anchor, setAnchor] = useState({ row: 0, col: 0 });
+  const [editing, setEditing] = useState(null);
+  const [checkedRows, setCheckedRows] = useState([]);
+  const [errors, setErrors] = useState([]);
+  const gridRef = useRef(null);
+  const draggingRef = useRef(false);
+  const lastCol = columns.length - 1;
+
+  const range = {
+    top: Math.min(active.row, anchor.row), bottom: Math.max(active.row, anchor.row),
+    left: Math.min(active.col, anchor.col), right: Math.max(active.col, anchor.col),
+  };
+  const inRange = (row, col) => row >= range.top && row <= range.bottom && col >= range.left && col <= range.right;
+
+  useEffect(() => {
+    const stop = () => { draggingRef.current = false; };
+    window.addEventListener('mouseup', stop);
+    return () => window.removeEventListener('mouseup', stop);
+  }, []);
+  useEffect(() => {
+    if (inlets.length === 0) return;
+    if (active.row >= inlets.length || anchor.row >= inlets.length) {
+      setActive(prev => ({ ...prev, row: Math.min(prev.row, inlets.length - 1) }));
+      setAnchor(prev => ({ ...prev, row: Math.min(prev.row, inlets.length - 1) }));
+    }
+  }, [inlets.length, active.row, anchor.row]);
+
+  const select = (cell, extend = false) => {
+    const next = { row: Math.max(0, Math.min(cell.row, inlets.length - 1)), col: Math.max(0, Math.min(cell.col, lastCol)) };
+    setActive(next);
+    if (!extend) setAnchor(next);
+  };
+  const label = (row) => inlets[row]?.strId || `Inlet ${row + 1}`;
+
+  // Applies [{ row, col, text }]; rows past the end become new inlets. Cells that do not parse are skipped
+  // and listed under the grid.
+  const applyCells = (cells) => {
+    const next = [...inlets];
+    const problems = [];
+    cells.forEach(({ row, col, text }) => {
+      while (next.length <= row) next.push(createInlet({ strId: `INLET-${next.length + 1}` }));
+      const column = columns[col];
+      const { inlet, error } = setInletCell(next[row], column, text);
+      next[row] = inlet;
+      if (error) problems.push(`Row ${row + 1} (${next[row].strId || `Inlet ${row + 1}`}), ${column.header}: ${error}`);
+    });
+    setInlets(next);
+    setErrors(problems);
+  };
+  const rangeCells = (text) => {
+    const cells = [];
+    for (let row = range.top; row <= range.bottom; row++) {
+      for (let col = range.left; col <= range.right; col++) cells.push({ row, col, text: typeof text === 'function' ? text(row, col) : text });
+    }
+    return cells;
+  };
+
+  // Starts editing the active cell unless it is calculated (ΣAC and C tabulated from sub-areas)
+  const startEdit = (value) => {
+    const column = columns[active.col];
+    const locked = column.locked?.(inlets[active.row]);
+    if (locked) {
+      setErrors([`Row ${active.row + 1} (${label(active.row)}), ${column.header} is ${locked}.`]);
+      return;
+    }
+    setAnchor(active);
+    setEditing({ value: value ?? formatInletCell(inlets[active.row], column) });
+  };
+  const commitEdit = (move) => {
+    if (!editing) return;
+    applyCells([{ row: active.row, col: active.col, text: editing.value }]);
+    setEditing(null);
+    if (move) select({ row: active.row + move.row, col: active.col + move.col });
+    gridRef.current?.focus();
+  };
+  const fillDown = () => {
+    const source = range.top === range.bottom ? range.top - 1 : range.top;
+    if (source < 0) return;
+    applyCells(rangeCells((row, col) => formatInletCell(inlets[source], columns[col], results[source])).filter(cell => cell.row !== source));
+  };
+  const deleteRows = () => {
+    const rows = checkedRows.length > 0 ? checkedRows : Array.from({ length: range.bottom - range.top + 1 }, (_, i) => range.top + i);
+    if (!window.confirm(`Delete ${rows.length === 1 ? label(rows[0]) : `${rows.length} inlets`}?`)) return;
+    setInlets(inlets.filter((_, i) => !rows.includes(i)));
+    setCheckedRows([]);
+    select({ row: Math.min(...rows), col: active.col });
+  };
+  const sortByStation = () => {
+    setInlets(sortInletsByStation(inlets));
+    setCheckedRows([]);
+  };
+  const addRow = () => {
+    setInlets([...inlets, createInlet({ strId: `INLET-${inlets.length + 1}` })]);
+    select({ row: inlets.length, col: 0 });
+  };
+
+  const handleKeyDown = (e) => {
+    if (editing || inlets.length === 0) return;
+    const ctrl = e.ctrlKey || e.metaKey;
+    const moves = { ArrowUp: [-1, 0], ArrowDown: [1, 0], ArrowLeft: [0, -1], ArrowRight: [0, 1] };
+    if (moves[e.key]) {
+      e.preventDefault();
+      select({ row: active.row + moves[e.key][0], col: active.col + moves[e.key][1] }, e.shiftKey);
+    } else if (e.key === 'Tab') {
+      e.preventDefault();
+      select({ row: active.row, col: active.col + (e.shiftKey ? -1 : 1) });
+    } else if (e.key === 'Enter' || e.key === 'F2') {
+      e.preventDefault();
+      startEdit();
+    } else if (e.key === 'Delete' || e.key === 'Backspace') {
+      e.preventDefault();
+      applyCells(rangeCells(''));
+    } else if (ctrl && e.key.toLowerCase() === 'd') {
+      e.preventDefault();
+      fillDown();
+    } else if (e.key === 'Escape') {
+      setAnchor(active);
+    } else if (e.key.length === 1 && !ctrl && !e.altKey) {
+      e.preventDefault();
+      startEdit(e.key);
+    }
+  };
+  const handleCopy = (e) => {
+    if (editing || inlets.length === 0) return;
+    e.preventDefault();
+    const rows = [];
+    for (let row = range.top; row <= range.bottom; row++) {
+      rows.push(columns.slice(range.left, range.right + 1).map(column => formatInletCell(inlets[row], column, results[row])).join('\t'));
+    }
+    e.clipboardData.setData('text/plain', rows.join('\n'));
+  };
+  const handlePaste = (e) => {
+    if (editing) return;
+    e.preventDefault();
+    const rows = e.clipboardData.getData('text/plain').replace(/\r/g, '').replace(/\n+$/, '').split('\n').map(line => line.split('\t'));
+    if (rows.length === 1 && rows[0].length === 1) {
+      applyCells(rangeCells(rows[0][0]));
+      return;
+    }
+    const top = inlets.length === 0 ? 0 : range.top;
+    applyCells(rows.flatMap((cells, r) => cells.slice(0, lastCol - range.left + 1).map((text, c) => ({ row: top + r, col: range.left + c, text }))));
+  };
+
+  const resultColumns = [
+    { header: 'Q Total (cfs)', value: (result) => formatNumber(result?.qTotal, 2) },
+    { header: 'Spread (ft)', value: (result) => formatNumber(result?.widthOfFloodingOutput, 2) },
+    { header: 'Spread Check', value: (result) => <PassFail passes={result?.spreadPasses} /> },
+  ];
+  const buttonClasses = "flex items-center px-3 py-1.5 rounded-md text-xs font-medium transition-colors focus:outline-none focus:ring-2";
+
+  return (
+    <div className="mb-6">
+      <div className="flex flex-wrap gap-2 mb-3">
+        <button onClick={addRow} className={`${buttonClasses} bg-blue-600 text-white hover:bg-blue-700 focus:ring-blue-300`}>
+          <PlusCircle size={14} className="mr-1.5" /> Add Row
+        </button>
+        <button onClick={fillDown} className={`${buttonClasses} bg-gray-100 text-gray-700 hover:bg-gray-200 focus:ring-gray-300`}>
+          <ArrowDownToLine size={14} className="mr-1.5" /> Fill Down
+        </button>
+        <button onClick={sortByStation} className={`${buttonClasses} bg-gray-100 text-gray-700 hover:bg-gray-200 focus:ring-gray-300`}>
+          <ArrowUpDown size={14} className="mr-1.5" /> Sort by Station
+        </button>
+        <button onClick={deleteRows} disabled={inlets.length === 0} className={`${buttonClasses} bg-red-500 text-white hover:bg-red-600 focus:ring-red-300 disabled:opacity-50`}>
+          <Trash2 size={14} className="mr-1.5" /> {checkedRows.length > 0 ? `Delete ${checkedRows.length} Checked` : 'Delete Selected Rows'}
+        </button>
+      </div>
+      <div
+        ref={gridRef}
+        tabIndex={0}
+        onKeyDown={handleKeyDown}
+        onCopy={handleCopy}
+        onPaste={handlePaste}
+        className="overflow-auto max-h-[32rem] border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-300"
+      >
+        <table className="min-w-full text-xs border-collapse select-none">
+          <thead className="bg-gray-100 sticky top-0 z-10">
+            <tr className="text-gray-600">
+              <th className="px-2 py-2 border-b border-r text-center">
+                <input
+                  type="checkbox"
+                  checked={inlets.length > 0 && checkedRows.length === inlets.length}
+                  onChange={(e) => setCheckedRows(e.target.checked ? inlets.map((_, i) => i) : [])}
+                  aria-label="Check all rows"
+                />
+              </th>
+              <th className="px-2 py-2 border-b border-r text-right font-semibold">#</th>
+              {columns.map(column => <th key={column.field} className="px-2 py-2 border-b border-r text-left font-semibold whitespace-nowrap">{column.header}</th>)}
+              {resultColumns.map(column => <th key={column.header} className="px-2 py-2 border-b border-r text-right font-semibold whitespace-nowrap bg-gray-200">{column.header}</th>)}
+            </tr>
+          </thead>
+          <tbody>
+            {inlets.map((inlet, row) => {
+              const fieldIssues = groupIssuesByField(issues, 'inlet', row);
+              return (
+                <tr key={row} id={`inlet-${row}`} className={checkedRows.includes(row) ? 'bg-blue-50' : 'bg-white'}>
+                  <td className="px-2 py-1 border-b border-r text-center">
+                    <input
+                      type="checkbox"
+                      checked={checkedRows.includes(row)}
+                      onChange={(e) => setCheckedRows(prev => (e.target.checked ? [...prev, row] : prev.filter(i => i !== row)))}
+                      aria-label={`Check ${label(row)}`}
+                    />
+                  </td>
+                  <td className="px-2 py-1 border-b border-r text-right text-gray-500">{row + 1}</td>
+                  {columns.map((column, col) => {
+                    const isActive = active.row === row && active.col === col;
+                    const [issue] = fieldIssues[column.field] || [];
+                    return (
+                      <td
+                        key={column.field}
+                        data-field={column.field}
+                        tabIndex={-1}
+                        title={issue?.message}
+                        onMouseDown={(e) => {
+                          if (isActive && editing) return;
+                          commitEdit();
+                          select({ row, col }, e.shiftKey);
+                          draggingRef.current = true;
+                        }}
+                        onMouseEnter={() => draggingRef.current && select({ row, col }, true)}
+                        onDoubleClick={() => startEdit()}
+                        onFocus={() => !isActive && select({ row, col })}
+                        className={`px-2 py-1 border-b border-r whitespace-nowrap min-w-[5rem] ${inRange(row, col) ? 'bg-blue-100' : ISSUE_CELL_CLASSES[issue?.severity] || ''} ${column.locked?.(inlet) ? 'text-gray-500 italic' : ''} ${isActive ? 'outline outline-2 outline-blue-600 -outline-offset-2' : ''}`}
+                      >
+                        {isActive && editing ? (
+                          <input
+                            autoFocus
+                            list={column.options ? `inlet-grid-${column.field}` : undefined}
+                            value={editing.value}
+                            onChange={(e) => setEditing({ value: e.target.value })}
+                            onBlur={() => commitEdit()}
+                            onKeyDown={(e) => {
+                              if (e.key === 'Enter') { e.preventDefault(); commitEdit({ row: 1, col: 0 }); }
+                              else if (e.key === 'Tab') { e.preventDefault(); commitEdit({ row: 0, col: e.shiftKey ? -1 : 1 }); }
+                              else if (e.key === 'Escape') { setEditing(null); gridRef.current?.focus(); }
+                            }}
+                            className="w-full min-w-[6rem] p-0 border-0 text-xs focus:ring-0"
+                          />
+                        ) : formatInletCell(inlet, column, results[row])}
+                      </td>
+                    );
+                  })}
+                  {resultColumns.map(column => <td key={column.header} className="px-2 py-1 border-b border-r text-right bg-gray-50 text-gray-600">{column.value(results[row])}</td>)}
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+        {columns.filter(column => column.options).map(column => (
+          <datalist key={column.field} id={`inlet-grid-${column.field}`}>
+            {column.options.map(option => <option key={option} value={option} />)}
+          </datalist>
+        ))}
+      </div>
+      {errors.length > 0 && (
+        <ul className="mt-2 text-xs text-red-600 space-y-0.5">
+          {errors.map((error, i) => <li key={i}>{error}</li>)}
+        </ul>
+      )}
+      <p className="text-xs text-gray-500 mt-2">
+        Click or drag to select, Shift+arrows to extend. Type, Enter or F2 to edit; Enter and Tab save and move on, Esc cancels.
+        Delete clears, Ctrl+D fills down, and Ctrl+C / Ctrl+V copy and paste ranges to and from Excel (pasting past the last row adds inlets).
+        Blank Gutter S, Sag and Qi/Q cells use the profile and HEC-22; blank dimensions use the standard ones for the type.
+      </p>
+    </div>
+  );
+};
+
+// Inlet Import preview: what an inlet CSV holds and the cells that did not parse, before the inlets are added
+const InletImport = ({ fileName, inlets, errors, ignored, onApply, onCancel }) => (
+  <div className="mb-6 p-4 bg-blue-50 rounded-lg border border-blue-200">
+    <h3 className="text-lg font-semibold text-blue-700 mb-2">Import Inlets: {fileName}</h3>
+    <p className="text-sm text-gray-700">
+      {inlets.length} inlet{inlets.length === 1 ? '' : 's'}: {inlets.slice(0, 8).map((inlet, i) => inlet.strId || `Row ${i + 1}`).join(', ')}{inlets.length > 8 ? ', …' : ''}
+    </p>
+    {errors.length > 0 && (
+      <>
+        <p className="text-sm font-semibold text-red-600 mt-3">{errors.length} value{errors.length === 1 ? '' : 's'} could not be read and will be left blank:</p>
+        <ul className="text-xs text-red-600 list-disc pl-5 max-h-40 overflow-y-auto">
+          {errors.map((error, i) => <li key={i}>Row {error.row}, {error.header}: {error.message}</li>)}
+        </ul>
+      </>
+    )}
+    {ignored.length > 0 && <p className="text-xs text-gray-500 mt-2">Columns that are not inlet inputs are ignored: {ignored.join(', ')}.</p>}
+    <div className="flex flex-wrap gap-3 mt-3">
+      <button onClick={() => onApply(true)} className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 focus:outline-none focus:ring-4 focus:ring-blue-300 text-sm font-medium transition-colors shadow-md">
+        Replace Inlets
+      </button>
+      <button onClick={() => onApply(false)} className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 focus:outline-none focus:ring-4 focus:ring-green-300 text-sm font-medium transition-colors shadow-md">
+        Append to Inlets
+      </button>
+      <button onClick={onCancel} className="px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 focus:outline-none focus:ring-4 focus:ring-gray-300 text-sm font-medium transition-colors">
+        Cancel
+      </button>
+    </div>
+  </div>
+);
+
+// Inlet Spacing Designer Component
+const InletSpacingDesigner = ({ profileModel, rainfallRegion, returnPeriod, rainfallData, onAccept }) => {
+  const formInputClasses = "mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 p-2 text-sm";
+  const [criteria, setCriteria] = useState({
+    startStation: profileModel.limits.startStation,
+    endStation: profileModel.limits.endStation,
+    drainageWidth: 40,
+    runoffCoefficient: 0.9,
+    allowableSpread: 8,
+    interceptionRatio: 0.75,
+    crossSlope: 0.025,
+    manningsN: DEFAULT_MANNINGS_N,
+    longestFlowPath: 40,
+    slopeOfFlowPath: 2.5,
+  });
+  const [proposal, setProposal] = useState(null);
+
+  const handleCriteriaChange = (e) => {
+    const { name, value } = e.target;
+    setCriteria(prev => ({ ...prev, [name]: value === '' ? '' : parseFloat(value) }));
+    setProposal(null);
+  };
+
+  const proposeInlets = () => {
+    setProposal(designInletSpacing({
+      ...criteria,
+      crossSlope: parseFloat(criteria.crossSlope) || 0.025,
+      n: parseFloat(criteria.manningsN) || DEFAULT_MANNINGS_N,
+      profileModel, rainfallRegion, returnPeriod, rainfallData,
+    }));
+  };
+
+  const toInlets = (firstNumber) => createProposedInlets(proposal, criteria, firstNumber);
+
+  const fields = [
+    ['startStation', 'Start Station'],
+    ['endStation', 'End Station'],
+    ['drainageWidth', 'Drainage Width (ft)'],
+    ['runoffCoefficient', 'Runoff Coeff. (C)'],
+    ['allowableSpread', 'Allowable Spread (ft)'],
+    ['interceptionRatio', 'Interception Ratio (Qi/Q)'],
+    ['crossSlope', 'Cross Slope (ft/ft)'],
+    ['manningsN', "Manning's n"],
+    ['longestFlowPath', 'Longest Flow Path (ft)'],
+    ['slopeOfFlowPath', 'Flow Path Slope (%)'],
+  ];
+
+  return (
+    <div className="p-4 sm:p-6 bg-blue-50 rounded-lg border border-blue-200 mb-6">
+      <h3 className="text-lg sm:text-xl font-semibold text-blue-700 mb-2">Design Spacing</h3>
+      <p className="text-xs text-blue-600 mb-4">Walks each run of the profile downhill from its high point, accumulating gutter flow from the drainage width, and places an inlet wherever the spread reaches the allowable. An inlet is always placed at each sag. TC comes from the longest flow path and its slope; where the gutter grade is under {MIN_GUTTER_GRADE}% the spread is not checked and the flat zone is reported instead.</p>
+      <div className="grid grid-cols-1 md:grid-cols-3 lg:grid-cols-4 gap-4">
+        {fields.map(([name, label]) => (
+          <div key={name}>
+            <label className="block text-xs font-medium text-gray-600 mb-1">{label}</label>
+            <input type="number" step="any" name={name} value={criteria[name]} onChange={handleCriteriaChange} className={formInputClasses} />
+          </div>
+        ))}
+      </div>
+      <button
+        onClick={proposeInlets}
+        className="flex items-center px-4 py-2.5 bg-blue-600 text-white rounded-lg hover:bg-blue-700 focus:outline-none focus:ring-4 focus:ring-blue-300 mt-4 text-sm font-medium transition-colors shadow-md hover:shadow-lg"
+      >
+        <Ruler size={16} className="mr-2" /> Propose Inlets
+      </button>
+
+      {proposal && (
+        <div className="mt-4">
+          <p className="text-sm text-gray-700 mb-2">TC: {formatNumber(proposal.tc)} min, Intensity: {formatNumber(proposal.intensity)} in/hr, {proposal.inlets.length} inlet(s) proposed.</p>
+          {proposal.warnings.map((warning, i) => (
+            <p key={i} className="text-xs text-red-600 mb-1">{warning}</p>
+          ))}
+          {proposal.inlets.length > 0 && (
+            <div className="overflow-x-auto">
+              <table className="min-w-full bg-white border border-gray-300 rounded-lg text-xs sm:text-sm">
+                <thead className="bg-gray-50">
+                  <tr className="text-gray-600 uppercase text-xxs">
+                    <th className="py-2 px-3 border-b text-right font-semibold">Sta</th>
+                    <th className="py-2 px-3 border-b text-center font-semibold">Sag</th>
+                    <th className="py-2 px-3 border-b text-right font-semibold">Gutter S (%)</th>
+                    <th className="py-2 px-3 border-b text-right font-semibold">ΣAC</th>
+                    <th className="py-2 px-3 border-b text-right font-semibold">Q Total (cfs)</th>
+                    <th className="py-2 px-3 border-b text-right font-semibold">Qi (cfs)</th>
+                    <th className="py-2 px-3 border-b text-right font-semibold">Q Bypass (cfs)</th>
+                    <th className="py-2 px-3 border-b text-right font-semibold">Spread (ft)</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200">
+                  {proposal.inlets.map((p, i) => (
+                    <tr key={i} className="text-gray-700">
+                      <td className="py-2 px-3 border-b text-right">{formatNumber(p.station)}</td>
+                      <td className="py-2 px-3 border-b text-center">{p.isSag ? 'Yes' : 'No'}</td>
+                      <td className="py-2 px-3 border-b text-right">{formatNumber(p.grade)}</td>
+                      <td className="py-2 px-3 border-b text-right">{formatNumber(p.sumAC, 3)}</td>
+                      <td className="py-2 px-3 border-b text-right">{formatNumber(p.qTotal)}</td>
+                      <td className="py-2 px-3 border-b text-right">{formatNumber(p.qi)}</td>
+                      <td className="py-2 px-3 border-b text-right">{formatNumber(p.qBypass)}</td>
+                      <td className="py-2 px-3 border-b text-right">{formatNumber(p.spread)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <div className="flex flex-col sm:flex-row mt-3 space-y-2 sm:space-y-0 sm:space-x-3">
+                <button
+                  onClick={() => { onAccept(toInlets, true); setProposal(null); }}
+                  className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 focus:outline-none focus:ring-4 focus:ring-green-300 text-sm font-medium transition-colors shadow-md"
+                >
+                  Replace Inlets
+                </button>
+                <button
+                  onClick={() => { onAccept(toInlets, false); setProposal(null); }}
+                  className="px-4 py-2 bg-gray-600 text-white rounded-lg hover:bg-gray-700 focus:outline-none focus:ring-4 focus:ring-gray-300 text-sm font-medium transition-colors shadow-md"
+                >
+                  Append to Inlets
+                </button>
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Storm Drain Trunk Line: pipes from inlet to inlet and to the outfall, with the sized pipes and the HGL at each structure
+const STRUCTURE_STATUS_CLASSES = { OK: 'text-green-700', Freeboard: 'text-amber-700 font-semibold', Flooded: 'text-red-600 font-semibold' };
+const STRUCTURE_STATUS_LABELS = { OK: 'Pass', Freeboard: 'Within freeboard', Flooded: 'Overflows' };
+
+const StormDrain = ({ network, setNetwork, result, inlets, issues }) => {
+  const cellInputClasses = "w-full rounded border-gray-300 p-1 text-xs";
+  const formInputClasses = "mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 p-2 text-sm";
+  const networkIssues = groupIssuesByField(issues, 'network', null);
+  const settingClasses = (field) => `${formInputClasses} ${ISSUE_INPUT_CLASSES[networkIssues[field]?.[0].severity] || ''}`;
+  const inletIds = inlets.map(inlet => inlet.strId).filter(Boolean);
+
+  const numberValue = (value) => (value === '' ? '' : parseFloat(value));
+  const handleSettingChange = (e) => {
+    const { name, value } = e.target;
+    setNetwork(prev => ({ ...prev, [name]: numberValue(value) }));
+  };
+  const handleOutfallChange = (e) => {
+    const { name, value, type } = e.target;
+    setNetwork(prev => ({ ...prev, outfall: { ...prev.outfall, [name]: type === 'number' ? numberValue(value) : value } }));
+  };
+  const handlePipeChange = (index, e) => {
+    const { name, value, type } = e.target;
+    setNetwork(prev => ({ ...prev, pipes: prev.pipes.map((pipe, i) => (i === index ? { ...pipe, [name]: type === 'number' ? numberValue(value) : value } : pipe)) }));
+  };
+  // A new pipe starts at the first inlet, by station, that has no outlet pipe yet
+  const addPipe = () => setNetwork(prev => {
+    const drained = new Set(prev.pipes.map(pipe => pipe.from));
+    const next = sortInletsByStation(inlets).find(inlet => inlet.strId && !drained.has(inlet.strId));
+    return { ...prev, pipes: [...prev.pipes, createPipe({ from: next?.strId || '' })] };
+  });
+  const removePipe = (index) => setNetwork(prev => ({ ...prev, pipes: prev.pipes.filter((_, i) => i !== index) }));
+
+  const settings = [
+    { name: 'station', label: 'Outfall Station', value: network.outfall.station, onChange: handleOutfallChange, id: 'network-outfallStation' },
+    { name: 'tailwater', label: 'Tailwater Elev. (ft)', value: network.outfall.tailwater, onChange: handleOutfallChange, id: 'network-tailwater', placeholder: 'Free outfall' },
+    { name: 'freeboard', label: 'Freeboard to Rim (ft)', value: network.freeboard, onChange: handleSettingChange, id: 'network-freeboard' },
+    { name: 'minimumDiameter', label: 'Minimum Pipe (in)', value: network.minimumDiameter, onChange: handleSettingChange, id: 'network-minimumDiameter' },
+  ];
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-6 sm:p-8 mb-8">
+      <div className="flex justify-between items-center mb-6 pb-3 border-b border-gray-200">
+        <h2 className="text-2xl font-semibold text-gray-800">3. Storm Drain Trunk Line</h2>
+        {result && <p className="text-sm text-gray-600">{formatNumber(result.outfall.q)} cfs at {result.outfall.name}</p>}
+      </div>
+      <IssueList issues={issues.filter(issue => issue.scope === 'network')} />
+      <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+        <div>
+          <label htmlFor="network-outfallName" className="block text-sm font-medium text-gray-700 mb-1">Outfall</label>
+          <input type="text" id="network-outfallName" name="name" value={network.outfall.name} onChange={handleOutfallChange} className={formInputClasses} />
+        </div>
+        {settings.map(({ name, label, value, onChange, id, placeholder }) => (
+          <div key={id}>
+            <label htmlFor={id} className="block text-sm font-medium text-gray-700 mb-1">{label}</label>
+            <input type="number" step="any" id={id} name={name} value={value} placeholder={placeholder} onChange={onChange} className={settingClasses(id.replace('network-', ''))} />
+          </div>
+        ))}
+      </div>
+      <p className="text-xs text-gray-500 mt-1">
+        Pipes carry the flow each inlet intercepts. Rims are the profile elevation at the inlet stations; a blank tailwater starts the HGL at (dc + D) / 2 above the outlet invert.
+      </p>
+
+      <h3 className="text-lg font-semibold text-gray-700 mt-6 mb-2">Pipes</h3>
+      {network.pipes.length === 0 ? (
+        <p className="text-gray-600 italic text-sm">No pipes. Add one for each run from an inlet to the next structure downstream or to the outfall.</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <datalist id="junction-loss-coefficients">
+            {JUNCTION_LOSS_COEFFICIENTS.map(({ label, k }) => <option key={label} value={k}>{label}</option>)}
+          </datalist>
+          <table className="min-w-full text-xs border border-gray-300">
+            <thead className="bg-gray-50 text-gray-600">
+              <tr>
+                <th className="py-2 px-2 border-b text-left">#</th>
+                <th className="py-2 px-2 border-b text-left">From</th>
+                <th className="py-2 px-2 border-b text-left">To</th>
+                <th className="py-2 px-2 border-b text-left">Length (ft)</th>
+                <th className="py-2 px-2 border-b text-left">Material</th>
+                <th className="py-2 px-2 border-b text-left">n</th>
+                <th className="py-2 px-2 border-b text-left">US Invert</th>
+                <th className="py-2 px-2 border-b text-left">DS Invert</th>
+                <th className="py-2 px-2 border-b text-left">D (in)</th>
+                <th className="py-2 px-2 border-b text-left">K</th>
+                <th className="py-2 px-2 border-b text-right">Q (cfs)</th>
+                <th className="py-2 px-2 border-b text-right">Q Full (cfs)</th>
+                <th className="py-2 px-2 border-b text-right">V (ft/s)</th>
+                <th className="py-2 px-2 border-b text-right">tc (min)</th>
+                <th className="py-2 px-2 border-b text-right">HGL US (ft)</th>
+                <th className="py-2 px-2 border-b" />
+              </tr>
+            </thead>
+            <tbody>
+              {network.pipes.map((pipe, index) => {
+                const computed = result?.pipes[index];
+                const pipeIssues = groupIssuesByField(issues, 'pipe', index);
+                const inputClasses = (field) => `${cellInputClasses} ${ISSUE_INPUT_CLASSES[pipeIssues[field]?.[0].severity] || ''}`;
+                const ok = computed && !computed.error;
+                return (
+                  <React.Fragment key={index}>
+                    <tr id={`pipe-${index}`}>
+                      <td className="py-1 px-2 border-b">{index + 1}</td>
+                      <td className="py-1 px-2 border-b">
+                        <select name="from" value={pipe.from} onChange={(e) => handlePipeChange(index, e)} className={inputClasses('from')}>
+                          <option value="">Select</option>
+                          {pipe.from && !inletIds.includes(pipe.from) && <option value={pipe.from}>{pipe.from} (not found)</option>}
+                          {inletIds.map(id => <option key={id} value={id}>{id}</option>)}
+                        </select>
+                      </td>
+                      <td className="py-1 px-2 border-b">
+                        <select name="to" value={pipe.to} onChange={(e) => handlePipeChange(index, e)} className={inputClasses('to')}>
+                          <option value="">Select</option>
+                          {pipe.to && pipe.to !== NETWORK_OUTFALL && !inletIds.includes(pipe.to) && <option value={pipe.to}>{pipe.to} (not found)</option>}
+                          {inletIds.filter(id => id !== pipe.from).map(id => <option key={id} value={id}>{id}</option>)}
+                          <option value={NETWORK_OUTFALL}>{network.outfall.name || 'Outfall'}</option>
+                        </select>
+                      </td>
+                      <td className="py-1 px-2 border-b"><input type="number" step="any" name="length" value={pipe.length} placeholder={ok ? formatNumber(computed.length) : ''} onChange={(e) => handlePipeChange(index, e)} className={inputClasses('length')} /></td>
+                      <td className="py-1 px-2 border-b">
+                        <select name="material" value={pipe.material} onChange={(e) => handlePipeChange(index, e)} className={inputClasses('material')}>
+                          {Object.entries(PIPE_MATERIALS).map(([key, material]) => <option key={key} value={key} title={material.label}>{key}</option>)}
+                        </select>
+                      </td>
+                      <td className="py-1 px-2 border-b"><input type="number" step="any" name="manningsN" value={pipe.manningsN} placeholder={String(PIPE_MATERIALS[pipe.material]?.n ?? '')} onChange={(e) => handlePipeChange(index, e)} className={inputClasses('manningsN')} /></td>
+                      <td className="py-1 px-2 border-b"><input type="number" step="any" name="upstreamInvert" value={pipe.upstreamInvert} onChange={(e) => handlePipeChange(index, e)} className={inputClasses('upstreamInvert')} /></td>
+                      <td className="py-1 px-2 border-b"><input type="number" step="any" name="downstreamInvert" value={pipe.downstreamInvert} onChange={(e) => handlePipeChange(index, e)} className={inputClasses('downstreamInvert')} /></td>
+                      <td className="py-1 px-2 border-b"><input type="number" step="any" name="diameter" value={pipe.diameter} placeholder={ok && computed.diameter ? `${computed.diameter} sized` : ''} onChange={(e) => handlePipeChange(index, e)} className={inputClasses('diameter')} title="Blank sizes the pipe for full flow" /></td>
+                      <td className="py-1 px-2 border-b"><input type="number" step="any" min="0" name="junctionLoss" list="junction-loss-coefficients" value={pipe.junctionLoss} onChange={(e) => handlePipeChange(index, e)} className={inputClasses('junctionLoss')} title="Junction loss coefficient at the upstream structure" /></td>
+                      <td className="py-1 px-2 border-b text-right">{ok ? formatNumber(computed.q) : ''}</td>
+                      <td className={`py-1 px-2 border-b text-right ${ok && computed.undersized ? 'text-red-600 font-semibold' : ''}`}>{ok ? formatNumber(computed.capacity) : ''}</td>
+                      <td className="py-1 px-2 border-b text-right">{ok ? formatNumber(computed.velocity) : ''}</td>
+                      <td className="py-1 px-2 border-b text-right" title={ok ? `Controlled by ${computed.tcControl}` : ''}>{ok ? formatNumber(computed.tc) : ''}</td>
+                      <td className="py-1 px-2 border-b text-right">{ok ? formatNumber(computed.hglUp) : ''}</td>
+                      <td className="py-1 px-2 border-b text-center">
+                        <button onClick={() => removePipe(index)} className="text-red-500 hover:text-red-700" title="Remove pipe"><Trash2 size={16} /></button>
+                      </td>
+                    </tr>
+                    {Object.keys(pipeIssues).length > 0 && (
+                      <tr>
+                        <td colSpan={16} className="px-2 pt-1 border-b"><IssueList issues={issues.filter(issue => issue.scope === 'pipe' && issue.index === index)} /></td>
+                      </tr>
+                    )}
+                  </React.Fragment>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+      <button onClick={addPipe} className="flex items-center px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 focus:outline-none focus:ring-4 focus:ring-gray-300 mt-3 text-sm font-medium transition-colors">
+        <PlusCircle size={16} className="mr-2" /> Add Pipe
+      </button>
+
+      {result && result.structures.length > 0 && (
+        <>
+          <h3 className="text-lg font-semibold text-gray-700 mt-6 mb-2">Hydraulic Grade Line</h3>
+          <table className="min-w-full text-xs border border-gray-300 max-w-3xl">
+            <thead className="bg-gray-50 text-gray-600">
+              <tr>
+                <th className="py-2 px-2 border-b text-left">Structure</th>
+                <th className="py-2 px-2 border-b text-right">Station</th>
+                <th className="py-2 px-2 border-b text-right">Rim (ft)</th>
+                <th className="py-2 px-2 border-b text-right">HGL (ft)</th>
+                <th className="py-2 px-2 border-b text-right">Rim − HGL (ft)</th>
+                <th className="py-2 px-2 border-b text-left">Freeboard {formatNumber(result.freeboard)} ft</th>
+              </tr>
+            </thead>
+            <tbody>
+              {result.structures.map(structure => (
+                <tr key={structure.index}>
+                  <td className="py-1 px-2 border-b">{structure.label}</td>
+                  <td className="py-1 px-2 border-b text-right">{formatNumber(structure.station)}</td>
+                  <td className="py-1 px-2 border-b text-right">{formatNumber(structure.rim)}</td>
+                  <td className="py-1 px-2 border-b text-right">{formatNumber(structure.hgl)}</td>
+                  <td className="py-1 px-2 border-b text-right">{formatNumber(structure.clearance)}</td>
+                  <td className={`py-1 px-2 border-b ${STRUCTURE_STATUS_CLASSES[structure.status] || ''}`}>{STRUCTURE_STATUS_LABELS[structure.status] || '—'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <p className="text-xs text-gray-500 mt-1">HGL in each structure: friction loss worked up from the tailwater plus K V² / 2g for the pipe leaving it.</p>
+        </>
+      )}
+    </div>
+  );
+};
+
+// Named storm scenarios computed side by side; the governing scenario for each inlet is highlighted
+const ScenarioComparison = ({ scenarios, setScenarios, runs, inlets, rainfallData, rainfallRegion, returnPeriod, roadway, issues }) => {
+  const cellInputClasses = "w-full rounded border-gray-300 p-1 text-xs";
+  const comparison = useMemo(() => compareScenarios(runs, inlets.length), [runs, inlets.length]);
+  const periodsFor = (region) => Object.keys(rainfallData[region]?.returnPeriods || {});
+
+  const updateScenario = (index, changes) => setScenarios(prev => prev.map((scenario, i) => (i === index ? { ...scenario, ...changes } : scenario)));
+  const handleScenarioChange = (index, e) => {
+    const { name, value, type } = e.target;
+    if (name === 'region') {
+      // Keeps the return period when the new data set has it, as the project rainfall select does
+      const periods = periodsFor(value);
+      const current = scenarios[index].returnPeriod;
+      updateScenario(index, { region: value, returnPeriod: periods.includes(current) ? current : (periods.includes('10-Year') ? '10-Year' : periods[0] || '') });
+    } else {
+      updateScenario(index, { [name]: type === 'number' && value !== '' ? parseFloat(value) : value });
+    }
+  };
+  const addScenario = () => setScenarios(prev => [...prev, createScenario({ region: rainfallRegion, returnPeriod })]);
+  const addDefaultScenarios = () => setScenarios(prev => [...prev, ...createDefaultScenarios({ region: rainfallRegion, returnPeriod }, roadway)]);
+  const removeScenario = (index) => setScenarios(prev => prev.filter((_, i) => i !== index));
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-6 sm:p-8 mb-8">
+      <div className="flex justify-between items-center mb-6 pb-3 border-b border-gray-200">
+        <h2 className="flex items-center text-2xl font-semibold text-gray-800"><CloudRain size={22} className="mr-2 text-blue-500" /> 4. Storm Scenarios</h2>
+        <p className="text-sm text-gray-600">{runs.length} scenario{runs.length === 1 ? '' : 's'}</p>
+      </div>
+
+      {scenarios.length === 0 ? (
+        <p className="text-gray-600 italic text-sm">No scenarios. Add one for each rainfall region and return period to compare, or start from the design and check storms.</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full text-xs border border-gray-300 max-w-5xl">
+            <thead className="bg-gray-50 text-gray-600">
+              <tr>
+                <th className="py-2 px-2 border-b text-left">Name</th>
+                <th className="py-2 px-2 border-b text-left">Region / Data Set</th>
+                <th className="py-2 px-2 border-b text-left">Return Period</th>
+                <th className="py-2 px-2 border-b text-left">Spread Criteria</th>
+                <th className="py-2 px-2 border-b text-left">Allowable (ft)</th>
+                <th className="py-2 px-2 border-b" />
+              </tr>
+            </thead>
+            <tbody>
+              {scenarios.map((scenario, index) => {
+                const scenarioIssues = groupIssuesByField(issues, 'scenario', index);
+                const inputClasses = (field) => `${cellInputClasses} ${ISSUE_INPUT_CLASSES[scenarioIssues[field]?.[0].severity] || ''}`;
+                const periods = periodsFor(scenario.region);
+                return (
+                  <React.Fragment key={index}>
+                    <tr id={`scenario-${index}`}>
+                      <td className="py-1 px-2 border-b"><input type="text" name="name" value={scenario.name} placeholder={getScenarioName(scenario, index)} onChange={(e) => handleScenarioChange(index, e)} className={inputClasses('name')} /></td>
+                      <td className="py-1 px-2 border-b">
+                        <select name="region" value={scenario.region} onChange={(e) => handleScenarioChange(index, e)} className={inputClasses('region')}>
+                          {!rainfallData[scenario.region] && <option value={scenario.region}>{scenario.region} (not available)</option>}
+                          {Object.keys(rainfallData).map(region => <option key={region} value={region}>{region}</option>)}
+                        </select>
+                      </td>
+                      <td className="py-1 px-2 border-b">
+                        <select name="returnPeriod" value={scenario.returnPeriod} onChange={(e) => handleScenarioChange(index, e)} className={inputClasses('returnPeriod')}>
+                          {!periods.includes(scenario.returnPeriod) && <option value={scenario.returnPeriod}>{scenario.returnPeriod} (not in data set)</option>}
+                          {periods.map(period => <option key={period} value={period}>{period}</option>)}
+                        </select>
+                      </td>
+                      <td className="py-1 px-2 border-b">
+                        <select name="spreadCriteria" value={scenario.spreadCriteria} onChange={(e) => handleScenarioChange(index, e)} className={inputClasses('spreadCriteria')}>
+                          {Object.entries(SCENARIO_SPREAD_CRITERIA).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+                        </select>
+                      </td>
+                      <td className="py-1 px-2 border-b">
+                        <input type="number" step="any" min="0" name="allowableSpread" value={scenario.allowableSpread} disabled={scenario.spreadCriteria !== 'custom'} onChange={(e) => handleScenarioChange(index, e)} className={`${inputClasses('allowableSpread')} disabled:bg-gray-100`} title="Applies to inlets without their own allowable spread" />
+                      </td>
+                      <td className="py-1 px-2 border-b text-center">
+                        <button onClick={() => removeScenario(index)} className="text-red-500 hover:text-red-700" title="Remove scenario"><Trash2 size={16} /></button>
+                      </td>
+                    </tr>
+                    {Object.keys(scenarioIssues).length > 0 && (
+                      <tr>
+                        <td colSpan={6} className="px-2 pt-1 border-b"><IssueList issues={issues.filter(issue => issue.scope === 'scenario' && issue.index === index)} /></td>
+                      </tr>
+                    )}
+                  </React.Fragment>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+      <div className="flex flex-wrap gap-3 mt-3">
+        <button onClick={addScenario} className="flex items-center px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 focus:outline-none focus:ring-4 focus:ring-gray-300 text-sm font-medium transition-colors">
+          <PlusCircle size={16} className="mr-2" /> Add Scenario
+        </button>
+        {scenarios.length === 0 && (
+          <button onClick={addDefaultScenarios} className="flex items-center px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 focus:outline-none focus:ring-4 focus:ring-gray-300 text-sm font-medium transition-colors">
+            <PlusCircle size={16} className="mr-2" /> Add Design and Check Storms
+          </button>
+        )}
+      </div>
+
+      {runs.length > 0 && inlets.length > 0 && (
+        <>
+          <h3 className="text-lg font-semibold text-gray-700 mt-6 mb-2">Comparison</h3>
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-xs border border-gray-300">
+              <thead className="bg-gray-50 text-gray-600">
+                <tr>
+                  <th rowSpan={2} className="py-2 px-2 border-b border-r text-left align-bottom">Inlet</th>
+                  {runs.map((run, r) => (
+                    <th key={r} colSpan={4} className="py-2 px-2 border-b border-r text-center" title={run.error}>
+                      {run.name}
+                      <span className="block font-normal text-gray-500">{run.results ? `${run.scenario.region}, ${run.scenario.returnPeriod}` : 'Not run'}</span>
+                    </th>
+                  ))}
+                  <th rowSpan={2} className="py-2 px-2 border-b text-left align-bottom">Governing</th>
+                </tr>
+                <tr>
+                  {runs.map((run, r) => (
+                    <React.Fragment key={r}>
+                      <th className="py-1 px-2 border-b text-right font-medium">Q Total</th>
+                      <th className="py-1 px-2 border-b text-right font-medium">Qi</th>
+                      <th className="py-1 px-2 border-b text-right font-medium">Bypass</th>
+                      <th className="py-1 px-2 border-b border-r text-right font-medium">Spread (ft)</th>
+                    </React.Fragment>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {comparison.rows.map((row, index) => (
+                  <tr key={index}>
+                    <td className="py-1 px-2 border-b border-r whitespace-nowrap">{inlets[index].strId || `Inlet ${index + 1}`}</td>
+                    {row.values.map((value, r) => {
+                      const highlight = row.governing === r ? 'bg-amber-50 font-semibold' : '';
+                      if (!value) return <td key={r} colSpan={4} className="py-1 px-2 border-b border-r text-center text-gray-400">—</td>;
+                      return (
+                        <React.Fragment key={r}>
+                          <td className={`py-1 px-2 border-b text-right ${highlight}`}>{formatNumber(value.qTotal, 3)}</td>
+                          <td className={`py-1 px-2 border-b text-right ${highlight}`}>{formatNumber(value.qi, 3)}</td>
+                          <td className={`py-1 px-2 border-b text-right ${highlight}`}>{formatNumber(value.qBypass, 3)}</td>
+                          <td
+                            className={`py-1 px-2 border-b border-r text-right ${highlight} ${value.passes === false ? 'text-red-600' : ''}`}
+                            title={Number.isFinite(value.allowable) ? `Allowable ${formatNumber(value.allowable)} ft` : 'No allowable spread'}
+                          >
+                            {formatNumber(value.spread)}
+                          </td>
+                        </React.Fragment>
+                      );
+                    })}
+                    <td className="py-1 px-2 border-b whitespace-nowrap">{row.governing >= 0 ? runs[row.governing].name : '—'}</td>
+                  </tr>
+                ))}
+              </tbody>
+              <tfoot className="bg-gray-50 text-gray-600">
+                <tr>
+                  <td className="py-1 px-2 border-r">Summary</td>
+                  {comparison.scenarios.map((scenario, r) => (
+                    <td key={r} colSpan={4} className="py-1 px-2 border-r text-center">
+                      {runs[r].results
+                        ? `Governs ${scenario.governs} · ${scenario.failures} over allowable spread`
+                        : runs[r].error}
+                    </td>
+                  ))}
+                  <td />
+                </tr>
+              </tfoot>
+            </table>
+          </div>
+          <p className="text-xs text-gray-500 mt-1">
+            Flows in cfs. The governing scenario has the highest spread as a fraction of its allowable spread (the widest spread when no scenario has one); spreads over the allowable are in red. Scenarios do not resize the trunk line.
+          </p>
+        </>
+      )}
+    </div>
+  );
+};
+
+// Line colors for per-inlet series in the sensitivity chart
+const SERIES_COLORS = ['#2563eb', '#dc2626', '#16a34a', '#9333ea', '#ea580c', '#0891b2', '#ca8a04', '#db2777'];
+
+const formatPercentChange = (percent) => `${percent > 0 ? '+' : ''}${Number(percent.toFixed(1))}%`;
+
+// One output against the percent change in one input, a line per inlet; the highlighted inlet is drawn heavier
+const SensitivityChart = ({ sweep, output, inlets, highlight }) => {
+  const width = 600;
+  const height = 240;
+  const margin = { left: 48, right: 12, top: 12, bottom: 32 };
+  const percents = sweep.points.map(point => point.percent);
+  const values = sweep.points.flatMap(point => point.inlets.map(outputs => outputs[output])).filter(Number.isFinite);
+  if (values.length === 0) return null;
+  const xRange = [percents[0], percents[percents.length - 1]];
+  const yMax = Math.max(...values);
+  const yMin = Math.min(0, ...values);
+  const yTicks = getTicks([yMin, yMax > yMin ? yMax : yMin + 1], 5);
+  const yRange = [yTicks[0], Math.max(yTicks[yTicks.length - 1], yMax)];
+  const x = (percent) => margin.left + (percent - xRange[0]) / (xRange[1] - xRange[0]) * (width - margin.left - margin.right);
+  const y = (value) => height - margin.bottom - (value - yRange[0]) / (yRange[1] - yRange[0]) * (height - margin.top - margin.bottom);
+  const { label, unit } = SENSITIVITY_OUTPUTS[output];
+  return (
+    <svg viewBox={`0 0 ${width} ${height}`} className="w-full bg-white rounded border border-gray-200" role="img" aria-label={`${label} against ${sweep.label}`}>
+      {yTicks.map(tick => (
+        <g key={tick}>
+          <line x1={margin.left} x2={width - margin.right} y1={y(tick)} y2={y(tick)} stroke="#e5e7eb" />
+          <text x={margin.left - 4} y={y(tick) + 3} fontSize="10" textAnchor="end" fill="#6b7280">{tick}</text>
+        </g>
+      ))}
+      {percents.map(percent => (
+        <text key={percent} x={x(percent)} y={height - margin.bottom + 14} fontSize="10" textAnchor="middle" fill="#6b7280">{formatPercentChange(percent)}</text>
+      ))}
+      <line x1={x(0)} x2={x(0)} y1={margin.top} y2={height - margin.bottom} stroke="#9ca3af" strokeDasharray="4 3" />
+      <text x={margin.left} y={height - 4} fontSize="10" fill="#374151">{sweep.label}</text>
+      <text x={width - margin.right} y={height - 4} fontSize="10" textAnchor="end" fill="#374151">{label} ({unit})</text>
+      {inlets.map((inlet, index) => (
+        <polyline
+          key={index}
+          points={sweep.points.map(point => `${x(point.percent)},${y(point.inlets[index][output] || 0)}`).join(' ')}
+          fill="none"
+          stroke={SERIES_COLORS[index % SERIES_COLORS.length]}
+          strokeWidth={index === highlight ? 3 : 1.5}
+          opacity={highlight >= 0 && index !== highlight ? 0.6 : 1}
+        >
+          <title>{inlet.strId || `Inlet ${index + 1}`}</title>
+        </polyline>
+      ))}
+    </svg>
+  );
+};
+
+// Change from the baseline at the low (blue) and high (red) end of each input's range, largest swing on top
+const TornadoChart = ({ rows, output }) => {
+  const width = 600;
+  const rowHeight = 26;
+  const margin = { left: 160, right: 60, top: 8, bottom: 24 };
+  const height = margin.top + margin.bottom + rows.length * rowHeight;
+  const extent = Math.max(...rows.flatMap(row => [Math.abs(row.lowChange), Math.abs(row.highChange)]), 1e-9);
+  const center = margin.left + (width - margin.left - margin.right) / 2;
+  const x = (change) => center + change / extent * (width - margin.left - margin.right) / 2;
+  const { unit } = SENSITIVITY_OUTPUTS[output];
+  const decimals = output === 'qBypass' ? 3 : 2;
+  const bar = (change, color, top) => (
+    <rect x={Math.min(x(0), x(change))} y={top} width={Math.abs(x(change) - x(0))} height={rowHeight - 10} fill={color} opacity="0.8" />
+  );
+  return (
+    <svg viewBox={`0 0 ${width} ${height}`} className="w-full bg-white rounded border border-gray-200" role="img" aria-label="Tornado chart">
+      {rows.map((row, i) => {
+        const top = margin.top + i * rowHeight + 5;
+        return (
+          <g key={row.parameter}>
+            <text x={margin.left - 6} y={top + 12} fontSize="11" textAnchor="end" fill="#374151">{row.label}</text>
+            {bar(row.lowChange, '#2563eb', top)}
+            {bar(row.highChange, '#dc2626', top)}
+            <text x={width - margin.right + 4} y={top + 12} fontSize="10" fill="#6b7280">{formatNumber(row.swing, decimals)}</text>
+            <title>{`${row.label}: ${formatNumber(row.lowChange, decimals)} ${unit} at ${formatPercentChange(row.lowPercent)}, ${formatNumber(row.highChange, decimals)} ${unit} at ${formatPercentChange(row.highPercent)}`}</title>
+          </g>
+        );
+      })}
+      <line x1={x(0)} x2={x(0)} y1={margin.top} y2={height - margin.bottom} stroke="#374151" />
+      <text x={x(-extent)} y={height - 6} fontSize="10" fill="#6b7280">−{formatNumber(extent, decimals)} {unit}</text>
+      <text x={x(extent)} y={height - 6} fontSize="10" textAnchor="end" fill="#6b7280">+{formatNumber(extent, decimals)} {unit}</text>
+    </svg>
+  );
+};
+
+// What-if sensitivity: each chosen input varied over a range with the whole project re-run at every step
+const SensitivityAnalysis = ({ project, results, rainfallData, profileModel, onExportCsv }) => {
+  const cellInputClasses = "w-full rounded border-gray-300 p-1 text-xs";
+  const [settings, setSettings] = useState(createSensitivitySettings);
+  // The last run and the results it was made from, so edits since then can be flagged
+  const [run, setRun] = useState(null);
+  const [parameter, setParameter] = useState('');
+  const [output, setOutput] = useState('spread');
+  const [tornadoInlet, setTornadoInlet] = useState(null);
+
+  const updateParameter = (key, changes) => setSettings(prev => ({ ...prev, parameters: { ...prev.parameters, [key]: { ...prev.parameters[key], ...changes } } }));
+  const numberValue = (value) => (value === '' ? '' : parseFloat(value));
+  const runAnalysis = () => {
+    const analysis = runSensitivity(project, settings, { rainfallData, profileModel });
+    setRun({ analysis, results });
+    setParameter(prev => (analysis.sweeps.some(sweep => sweep.parameter === prev) ? prev : analysis.sweeps[0]?.parameter || ''));
+    setTornadoInlet(null);
+  };
+
+  const analysis = run?.analysis;
+  const inlets = results.inlets;
+  const sameInlets = analysis && analysis.baseline.length === inlets.length;
+  const sweep = analysis?.sweeps.find(entry => entry.parameter === parameter);
+  const inletIndex = tornadoInlet ?? analysis?.worstIndex ?? -1;
+  const tornado = sameInlets && inletIndex >= 0 ? buildTornado(analysis, inletIndex, output) : [];
+  const inletName = (index) => inlets[index]?.strId || `Inlet ${index + 1}`;
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-6 sm:p-8 mb-8">
+      <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-2 mb-6 pb-3 border-b border-gray-200">
+        <h2 className="text-2xl font-semibold text-gray-800">5. Sensitivity Analysis</h2>
+        <div className="flex gap-2">
+          <button onClick={runAnalysis} disabled={inlets.length === 0} className="flex items-center px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 focus:outline-none focus:ring-4 focus:ring-blue-300 text-sm font-medium transition-colors disabled:opacity-50">
+            <ChevronsUpDown size={16} className="mr-2" /> Run Analysis
+          </button>
+          {sameInlets && (
+            <button onClick={() => onExportCsv(analysis, inletIndex)} className="flex items-center px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 focus:outline-none focus:ring-4 focus:ring-gray-300 text-sm font-medium transition-colors">
+              <Download size={16} className="mr-2" /> Export CSV
+            </button>
+          )}
+        </div>
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="text-xs border border-gray-300">
+          <thead className="bg-gray-50 text-gray-600">
+            <tr>
+              <th className="py-2 px-2 border-b text-left">Vary</th>
+              <th className="py-2 px-2 border-b text-left">Input</th>
+              <th className="py-2 px-2 border-b text-left">Low (%)</th>
+              <th className="py-2 px-2 border-b text-left">High (%)</th>
+            </tr>
+          </thead>
+          <tbody>
+            {Object.entries(SENSITIVITY_PARAMETERS).map(([key, { label }]) => {
+              const entry = settings.parameters[key];
+              return (
+                <tr key={key}>
+                  <td className="py-1 px-2 border-b text-center"><input type="checkbox" checked={entry.enabled} onChange={(e) => updateParameter(key, { enabled: e.target.checked })} aria-label={`Vary ${label}`} /></td>
+                  <td className="py-1 px-2 border-b whitespace-nowrap">{label}</td>
+                  <td className="py-1 px-2 border-b w-24"><input type="number" step="any" min="-99" value={entry.low} disabled={!entry.enabled} onChange={(e) => updateParameter(key, { low: numberValue(e.target.value) })} className={cellInputClasses} /></td>
+                  <td className="py-1 px-2 border-b w-24"><input type="number" step="any" value={entry.high} disabled={!entry.enabled} onChange={(e) => updateParameter(key, { high: numberValue(e.target.value) })} className={cellInputClasses} /></td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+      <div className="flex items-center gap-2 mt-3 text-sm">
+        <label htmlFor="sensitivity-steps" className="text-gray-700">Steps per range</label>
+        <input type="number" id="sensitivity-steps" min="2" max="21" step="1" value={settings.steps} onChange={(e) => setSettings(prev => ({ ...prev, steps: numberValue(e.target.value) }))} className="w-20 rounded border-gray-300 p-1 text-sm" />
+      </div>
+      <p className="text-xs text-gray-500 mt-1">
+        Each input is varied alone in the design storm with bypass routed as usual. Qi/Q and gutter grade are held at the percent change from their calculated values; sag inlets keep their own. C also scales an entered ΣAC.
+      </p>
+
+      {analysis && (
+        <>
+          {run.results !== results && <p className="text-sm text-amber-700 mt-4">Inputs have changed since this analysis was run; run it again to update.</p>}
+          {!sameInlets ? (
+            <p className="text-gray-600 italic text-sm mt-4">Inlets were added or removed since the last run.</p>
+          ) : (
+            <>
+              <div className="flex flex-wrap items-end gap-4 mt-6 mb-2">
+                <div>
+                  <label htmlFor="sensitivity-parameter" className="block text-sm font-medium text-gray-700 mb-1">Input</label>
+                  <select id="sensitivity-parameter" value={parameter} onChange={(e) => setParameter(e.target.value)} className="rounded-md border-gray-300 p-2 text-sm">
+                    {analysis.sweeps.map(entry => <option key={entry.parameter} value={entry.parameter}>{entry.label}</option>)}
+                  </select>
+                </div>
+                <div>
+                  <label htmlFor="sensitivity-output" className="block text-sm font-medium text-gray-700 mb-1">Result</label>
+                  <select id="sensitivity-output" value={output} onChange={(e) => setOutput(e.target.value)} className="rounded-md border-gray-300 p-2 text-sm">
+                    {Object.entries(SENSITIVITY_OUTPUTS).map(([key, { label, unit }]) => <option key={key} value={key}>{label} ({unit})</option>)}
+                  </select>
+                </div>
+              </div>
+              {sweep ? (
+                <>
+                  <SensitivityChart sweep={sweep} output={output} inlets={inlets} highlight={inletIndex} />
+                  <div className="flex flex-wrap gap-x-4 gap-y-1 mt-2 text-xs text-gray-600">
+                    {inlets.map((inlet, index) => (
+                      <span key={index} className="flex items-center">
+                        <span className="inline-block w-3 h-0.5 mr-1" style={{ backgroundColor: SERIES_COLORS[index % SERIES_COLORS.length] }} />
+                        {inletName(index)}
+                      </span>
+                    ))}
+                  </div>
+                </>
+              ) : (
+                <p className="text-gray-600 italic text-sm">No input was varied; check at least one with a low below its high.</p>
+              )}
+
+              {tornado.length > 0 && (
+                <>
+                  <div className="flex flex-wrap items-end justify-between gap-4 mt-6 mb-2">
+                    <h3 className="text-lg font-semibold text-gray-700">What Matters Most at {inletName(inletIndex)}</h3>
+                    <div>
+                      <label htmlFor="sensitivity-inlet" className="block text-sm font-medium text-gray-700 mb-1">Inlet</label>
+                      <select id="sensitivity-inlet" value={inletIndex} onChange={(e) => setTornadoInlet(parseInt(e.target.value, 10))} className="rounded-md border-gray-300 p-2 text-sm">
+                        {inlets.map((inlet, index) => <option key={index} value={index}>{inletName(index)}{index === analysis.worstIndex ? ' (worst)' : ''}</option>)}
+                      </select>
+                    </div>
+                  </div>
+                  <TornadoChart rows={tornado} output={output} />
+                  <p className="text-xs text-gray-500 mt-1">
+                    Change in {SENSITIVITY_OUTPUTS[output].label.toLowerCase()} from the baseline of {formatNumber(analysis.baseline[inletIndex][output], output === 'qBypass' ? 3 : 2)} {SENSITIVITY_OUTPUTS[output].unit} at the low end (blue) and high end (red) of each range, with the total swing at the right. The worst inlet has the highest spread against its allowable spread.
+                  </p>
+                </>
+              )}
+            </>
+          )}
+        </>
+      )}
+    </div>
+  );
 };
 
 // Summary Report Component
-const SummaryReport = ({ profile, inlets, rainfallRegion, returnPeriod }) => {
-  return (
+const SummaryReport = ({ onExportCsv, onExportXlsx, onPrint, projectInfo, profile, profileModel, inlets, bypassRouting, bypassFlow, rainfallRegion, returnPeriod, rainfallData, roadway, checkResults, catalog }) => {
+  const checkInlets = checkResults?.inlets || [];
+  const [structureHeader, ...structureRows] = buildCatalogTable(catalog, inlets);
+  return (
     <div className="bg-white rounded-xl shadow-lg p-6 sm:p-8 mb-8"> {/* Enhanced card styling */}
-      <h2 className="text-2xl font-semibold text-gray-800 mb-6 pb-3 border-b border-gray-200">3. Summary / Report</h2>
-      <div className="mb-6">
-        <h3 className="text-lg sm:text-xl font-semibold text-gray-700 mb-3">Profile Definition Summary</h3>
-        <p className="text-gray-700 text-sm"><strong>Beginning Grade:</strong> {formatNumber(parseFloat(profile.beginningGrade))} %</p>
-        <p className="text-gray-700 text-sm"><strong>Ending Grade:</strong> {formatNumber(parseFloat(profile.endingGrade))} %</p>
-        <h4 className="font-medium text-gray-700 mt-2 text-sm">PVI Points:</h4>
-        {profile.pvis.length === 0 ? (
-          <p className="text-gray-600 italic text-sm">No PVI points defined.</p>
-        ) : (
-          <ul className="list-disc list-inside ml-4 text-sm space-y-1">
-            {profile.pvis.map((pvi, index) => (
-              <li key={index} className="text-gray-700">
-                PVI {index + 1}: Sta {pvi.station}, Elev {formatNumber(parseFloat(pvi.elevation))}, Curve Len {formatNumber(parseFloat(pvi.length))} ft
-              </li>
-            ))}
-          </ul>
-        )}
-      </div>
-
-      <div className="mb-6 pt-4 border-t border-gray-200"> {/* Added border-top for separation */}
-        <h3 className="text-lg sm:text-xl font-semibold text-gray-700 mb-3">Rainfall Parameters</h3>
-        <p className="text-gray-700 text-sm"><strong>Rainfall Region:</strong> {rainfallRegion}</p>
-        <p className="text-gray-700 text-sm"><strong>Return Period:</strong> {returnPeriod}</p>
-      </div>
-
-      <div className="pt-4 border-t border-gray-200"> {/* Added border-top for separation */}
-        <h3 className="text-lg sm:text-xl font-semibold text-gray-700 mb-3">Inlet Calculation Summary</h3>
-        {inlets.length === 0 ? (
-          <p className="text-gray-600 italic text-sm">No inlets defined.</p>
-        ) : (
-          <div className="overflow-x-auto">
-            <table className="min-w-full bg-white border border-gray-300 rounded-lg text-xs sm:text-sm">
-              <thead className="bg-gray-50">
-                <tr className="text-gray-600 uppercase text-xxs">
-                  <th className="py-2.5 px-3 border-b text-left font-semibold">Inlet #</th>
-                  <th className="py-2.5 px-3 border-b text-left font-semibold">ID</th>
-                  <th className="py-2.5 px-3 border-b text-left font-semibold">Type</th>
-                  <th className="py-2.5 px-3 border-b text-right font-semibold">Sta</th>
-                  <th className="py-2.5 px-3 border-b text-right font-semibold">ΣAC</th>
-                  <th className="py-2.5 px-3 border-b text-right font-semibold">HL (ft)</th>
-                  <th className="py-2.5 px-3 border-b text-right font-semibold">S Path (%)</th>
-                  <th className="py-2.5 px-3 border-b text-right font-semibold">Gutter S (%)</th>
-                  <th className="py-2.5 px-3 border-b text-right font-semibold">TC (min)</th>
-                  <th className="py-2.5 px-3 border-b text-right font-semibold">Intensity (in/hr)</th>
-                  <th className="py-2.5 px-3 border-b text-right font-semibold">Q Enter (cfs)</th>
-                  <th className="py-2.5 px-3 border-b text-right font-semibold">Q Bypass Prev (cfs)</th>
-                  <th className="py-2.5 px-3 border-b text-right font-semibold">Q Total (cfs)</th>
-                  <th className="py-2.5 px-3 border-b text-right font-semibold">Qi (cfs)</th>
-                  <th className="py-2.5 px-3 border-b text-right font-semibold">Q Bypass Curr (cfs)</th>
-                  <th className="py-2.5 px-3 border-b text-right font-semibold">Spread (ft)</th>
-                </tr>
-              </thead>
-              <tbody className="divide-y divide-gray-200">
-                {inlets.map((inlet, idx) => (
-                  <tr key={idx} className="hover:bg-gray-50 text-gray-700">
-                    <td className="py-2.5 px-3 border-b text-left">{idx + 1}</td>
-                    <td className="py-2.5 px-3 border-b text-left">{inlet.strId}</td>
-                    <td className="py-2.5 px-3 border-b text-left">{inlet.structureType}</td>
-                    <td className="py-2.5 px-3 border-b text-right">{formatNumber(parseFloat(inlet.station))}</td>
-                    <td className="py-2.5 px-3 border-b text-right">{formatNumber(parseFloat(inlet.areaEnteringInlet))}</td>
-                    <td className="py-2.5 px-3 border-b text-right">{formatNumber(parseFloat(inlet.longestFlowPath))}</td>
-                    <td className="py-2.5 px-3 border-b text-right">{formatNumber(parseFloat(inlet.slopeOfFlowPath), 2)}</td>
-                    <td className="py-2.5 px-3 border-b text-right">{formatNumber(parseFloat(inlet.gutterGrade), 2)}</td>
-                    <td className="py-2.5 px-3 border-b text-right">{formatNumber(inlet.tc)}</td>
-                    <td className="py-2.5 px-3 border-b text-right">{formatNumber(inlet.intensity)}</td>
-                    <td className="py-2.5 px-3 border-b text-right">{formatNumber(inlet.qEnteringFromArea)}</td>
-                    <td className="py-2.5 px-3 border-b text-right">{formatNumber(idx > 0 ? inlets[idx - 1].qBypass : 0)}</td>
-                    <td className="py-2.5 px-3 border-b text-right font-semibold">{formatNumber(inlet.qTotal)}</td>
-                    <td className="py-2.5 px-3 border-b text-right font-semibold text-green-600">{formatNumber(inlet.qi)}</td>
-                    <td className="py-2.5 px-3 border-b text-right font-semibold text-red-600">{formatNumber(inlet.qBypass)}</td>
-                    <td className="py-2.5 px-3 border-b text-right font-semibold text-yellow-600">{formatNumber(inlet.widthOfFloodingOutput)}</td>
-                  </tr>
-                ))}
-              </tbody>
-            </table>
-          </div>
-        )}
-      </div>
-    </div>
-  );
+      <div className="flex flex-col sm:flex-row sm:justify-between sm:items-center mb-6 pb-3 border-b border-gray-200 gap-3">
+        <h2 className="text-2xl font-semibold text-gray-800">6. Summary / Report</h2>
+        <div className="flex flex-wrap gap-2">
+          <button onClick={onExportCsv} className="flex items-center px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 focus:outline-none focus:ring-4 focus:ring-gray-300 text-sm font-medium transition-colors">
+            <Download size={16} className="mr-2" /> CSV
+          </button>
+          <button onClick={onExportXlsx} className="flex items-center px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 focus:outline-none focus:ring-4 focus:ring-gray-300 text-sm font-medium transition-colors">
+            <FileSpreadsheet size={16} className="mr-2" /> XLSX
+          </button>
+          <button onClick={onPrint} className="flex items-center px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 focus:outline-none focus:ring-4 focus:ring-blue-300 text-sm font-medium transition-colors shadow-md">
+            <Printer size={16} className="mr-2" /> Calculation Package
+          </button>
+        </div>
+      </div>
+      {(projectInfo.name || projectInfo.route || projectInfo.engineer) && (
+        <div className="mb-6">
+          <h3 className="text-lg sm:text-xl font-semibold text-gray-700 mb-3">Project</h3>
+          <p className="text-gray-700 text-sm"><strong>Project:</strong> {projectInfo.name}</p>
+          <p className="text-gray-700 text-sm"><strong>Route:</strong> {projectInfo.route}</p>
+          <p className="text-gray-700 text-sm"><strong>Engineer:</strong> {projectInfo.engineer}</p>
+          <p className="text-gray-700 text-sm"><strong>Date:</strong> {projectInfo.date}</p>
+        </div>
+      )}
+      <div className="mb-6">
+        <h3 className="text-lg sm:text-xl font-semibold text-gray-700 mb-3">Profile Definition Summary</h3>
+        <p className="text-gray-700 text-sm"><strong>Beginning Grade:</strong> {formatNumber(parseFloat(profile.beginningGrade))} %</p>
+        <p className="text-gray-700 text-sm"><strong>Ending Grade:</strong> {formatNumber(parseFloat(profile.endingGrade))} %</p>
+        <p className="text-gray-700 text-sm"><strong>Project Limits:</strong> Sta {formatNumber(profileModel.limits.startStation)} to Sta {formatNumber(profileModel.limits.endStation)}</p>
+        <h4 className="font-medium text-gray-700 mt-2 text-sm">PVI Points:</h4>
+        {profile.pvis.length === 0 ? (
+          <p className="text-gray-600 italic text-sm">No PVI points defined.</p>
+        ) : (
+          <ul className="list-disc list-inside ml-4 text-sm space-y-1">
+            {profile.pvis.map((pvi, index) => (
+              <li key={index} className="text-gray-700">
+                PVI {index + 1}: Sta {pvi.station}, Elev {formatNumber(parseFloat(pvi.elevation))}, Curve Len {formatNumber(parseFloat(pvi.length))} ft
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      <div className="mb-6 pt-4 border-t border-gray-200"> {/* Added border-top for separation */}
+        <h3 className="text-lg sm:text-xl font-semibold text-gray-700 mb-3">Rainfall Parameters</h3>
+        <p className="text-gray-700 text-sm"><strong>Rainfall Region / Data Set:</strong> {rainfallRegion}{rainfallData?.[rainfallRegion] && ` (${rainfallData[rainfallRegion].source})`}</p>
+        <p className="text-gray-700 text-sm"><strong>Return Period:</strong> {returnPeriod}</p>
+        <p className="text-gray-700 text-sm"><strong>Check Storm:</strong> {checkResults ? roadway.checkReturnPeriod : `${roadway.checkReturnPeriod} (not in this data set; not run)`}</p>
+        <p className="text-gray-700 text-sm"><strong>Roadway:</strong> {ROADWAY_CLASSIFICATIONS[roadway.classification]}, {roadway.designSpeed} mph, {roadway.laneWidth} ft lanes, {roadway.shoulderWidth} ft shoulder{roadway.segments.length > 0 && `, ${roadway.segments.length} station range${roadway.segments.length === 1 ? '' : 's'} with their own criteria`}</p>
+      </div>
+
+      <div className="pt-4 border-t border-gray-200"> {/* Added border-top for separation */}
+        <h3 className="text-lg sm:text-xl font-semibold text-gray-700 mb-3">Inlet Calculation Summary</h3>
+        {inlets.length === 0 ? (
+          <p className="text-gray-600 italic text-sm">No inlets defined.</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full bg-white border border-gray-300 rounded-lg text-xs sm:text-sm">
+              <thead className="bg-gray-50">
+                <tr className="text-gray-600 uppercase text-xxs">
+                  <th className="py-2.5 px-3 border-b text-left font-semibold">Inlet #</th>
+                  <th className="py-2.5 px-3 border-b text-left font-semibold">ID</th>
+                  <th className="py-2.5 px-3 border-b text-left font-semibold">Type</th>
+                  <th className="py-2.5 px-3 border-b text-right font-semibold">Sta</th>
+                  <th className="py-2.5 px-3 border-b text-left font-semibold">Side</th>
+                  <th className="py-2.5 px-3 border-b text-right font-semibold">ΣAC</th>
+                  <th className="py-2.5 px-3 border-b text-right font-semibold">HL (ft)</th>
+                  <th className="py-2.5 px-3 border-b text-right font-semibold">S Path (%)</th>
+                  <th className="py-2.5 px-3 border-b text-right font-semibold">Gutter S (%)</th>
+                  <th className="py-2.5 px-3 border-b text-center font-semibold">Sag</th>
+                  <th className="py-2.5 px-3 border-b text-right font-semibold">TC (min)</th>
+                  <th className="py-2.5 px-3 border-b text-left font-semibold">TC Control</th>
+                  <th className="py-2.5 px-3 border-b text-right font-semibold">Intensity (in/hr)</th>
+                  <th className="py-2.5 px-3 border-b text-right font-semibold">Q Enter (cfs)</th>
+                  <th className="py-2.5 px-3 border-b text-right font-semibold">Q Bypass In (cfs)</th>
+                  <th className="py-2.5 px-3 border-b text-right font-semibold">Q Total (cfs)</th>
+                  <th className="py-2.5 px-3 border-b text-right font-semibold">Qi/Q</th>
+                  <th className="py-2.5 px-3 border-b text-right font-semibold">Qi (cfs)</th>
+                  <th className="py-2.5 px-3 border-b text-right font-semibold">Q Bypass Curr (cfs)</th>
+                  <th className="py-2.5 px-3 border-b text-left font-semibold">Bypass To</th>
+                  <th className="py-2.5 px-3 border-b text-right font-semibold">Spread (ft)</th>
+                  <th className="py-2.5 px-3 border-b text-right font-semibold">Allowable (ft)</th>
+                  <th className="py-2.5 px-3 border-b text-center font-semibold">Spread Check</th>
+                  <th className="py-2.5 px-3 border-b text-right font-semibold">Curb Depth (ft)</th>
+                  <th className="py-2.5 px-3 border-b text-right font-semibold">Gutter V (ft/s)</th>
+                  <th className="py-2.5 px-3 border-b text-right font-semibold">Eo</th>
+                  <th className="py-2.5 px-3 border-b text-center font-semibold">Sag Depth (ft)</th>
+                  {checkResults && (
+                    <>
+                      <th className="py-2.5 px-3 border-b text-right font-semibold">{roadway.checkReturnPeriod} Spread (ft)</th>
+                      <th className="py-2.5 px-3 border-b text-right font-semibold">{roadway.checkReturnPeriod} Allowable (ft)</th>
+                      <th className="py-2.5 px-3 border-b text-center font-semibold">{roadway.checkReturnPeriod} Check</th>
+                    </>
+                  )}
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {inlets.map((inlet, idx) => (
+                  <tr key={idx} className={`text-gray-700 ${inlet.spreadPasses === false || checkInlets[idx]?.spreadPasses === false ? 'bg-red-50 hover:bg-red-100' : 'hover:bg-gray-50'}`}>
+                    <td className="py-2.5 px-3 border-b text-left">{idx + 1}</td>
+                    <td className="py-2.5 px-3 border-b text-left">{inlet.strId}</td>
+                    <td className="py-2.5 px-3 border-b text-left">{inlet.structureType}</td>
+                    <td className="py-2.5 px-3 border-b text-right">{formatNumber(parseFloat(inlet.station))}</td>
+                    <td className="py-2.5 px-3 border-b text-left">{inlet.side}</td>
+                    <td className="py-2.5 px-3 border-b text-right">{formatNumber(inlet.sumAC)}</td>
+                    <td className="py-2.5 px-3 border-b text-right">{formatNumber(parseFloat(inlet.longestFlowPath))}</td>
+                    <td className="py-2.5 px-3 border-b text-right">{formatNumber(parseFloat(inlet.slopeOfFlowPath), 2)}</td>
+                    <td className="py-2.5 px-3 border-b text-right">{formatNumber(inlet.effectiveGutterGrade, 2)}{inlet.gutterGradeOverride ? '*' : ''}</td>
+                    <td className="py-2.5 px-3 border-b text-center">{inlet.effectiveIsLowPoint ? 'Yes' : 'No'}{inlet.isLowPointOverride ? '*' : ''}</td>
+                    <td className="py-2.5 px-3 border-b text-right">{formatNumber(inlet.tc)}</td>
+                    <td className="py-2.5 px-3 border-b text-left whitespace-nowrap">
+                      {inlet.tcControl === 'Local' || !inlet.tcControl ? 'Local' : `${inlet.tcControl} + ${formatNumber(inlet.travelTime)} min`}
+                    </td>
+                    <td className="py-2.5 px-3 border-b text-right">{formatNumber(inlet.intensity)}</td>
+                    <td className="py-2.5 px-3 border-b text-right">{formatNumber(inlet.qEnteringFromArea)}</td>
+                    <td className="py-2.5 px-3 border-b text-right">{formatNumber(bypassFlow.incoming[idx])}</td>
+                    <td className="py-2.5 px-3 border-b text-right font-semibold">{formatNumber(inlet.qTotal)}</td>
+                    <td className="py-2.5 px-3 border-b text-right">
+                      {inlet.effectiveIsLowPoint ? 'Sag' : formatNumber(inlet.interceptionRatioUsed, 3)}
+                      {!inlet.effectiveIsLowPoint && inlet.interceptionIsManual && (
+                        <span className="ml-1 px-1.5 py-0.5 rounded bg-amber-100 text-amber-700 text-xxs font-semibold">{inlet.interceptionRatioOverride ? 'Override' : 'Manual'}</span>
+                      )}
+                    </td>
+                    <td className="py-2.5 px-3 border-b text-right font-semibold text-green-600">{formatNumber(inlet.qi)}</td>
+                    <td className="py-2.5 px-3 border-b text-right font-semibold text-red-600">{formatNumber(inlet.qBypass)}</td>
+                    <td className="py-2.5 px-3 border-b text-left whitespace-nowrap">{describeBypassRoute(bypassRouting.routes[idx], inlets)}{inlet.bypassTo ? '*' : ''}</td>
+                    <td className="py-2.5 px-3 border-b text-right font-semibold text-yellow-600">{formatNumber(inlet.widthOfFloodingOutput)}</td>
+                    <td className="py-2.5 px-3 border-b text-right">{formatNumber(inlet.allowableSpreadUsed)}{inlet.spreadSource === 'Inlet' ? '†' : ''}</td>
+                    <td className="py-2.5 px-3 border-b text-center"><PassFail passes={inlet.spreadPasses} /></td>
+                    <td className="py-2.5 px-3 border-b text-right">{formatNumber(inlet.gutterDepth, 3)}</td>
+                    <td className="py-2.5 px-3 border-b text-right">{inlet.effectiveIsLowPoint ? '' : formatNumber(inlet.gutterVelocity)}</td>
+                    <td className="py-2.5 px-3 border-b text-right">{inlet.effectiveIsLowPoint || !inlet.frontalFlowRatio ? '' : formatNumber(inlet.frontalFlowRatio, 3)}</td>
+                    <td className={`py-2.5 px-3 border-b text-center ${inlet.sagPasses === false ? 'text-red-600 font-semibold' : ''}`}>
+                      {inlet.effectiveIsLowPoint && !inlet.sagIsManual ? formatNumber(inlet.sagDepth, 3) : ''}
+                      {inlet.sagPasses !== null && inlet.sagPasses !== undefined && ` ${inlet.sagPasses ? 'Pass' : 'Fail'}`}
+                      {inlet.effectiveIsLowPoint && inlet.sagIsManual && 'Manual'}
+                    </td>
+                    {checkResults && (
+                      <>
+                        <td className="py-2.5 px-3 border-b text-right">{formatNumber(checkInlets[idx].widthOfFloodingOutput)}</td>
+                        <td className="py-2.5 px-3 border-b text-right">{formatNumber(checkInlets[idx].allowableSpreadUsed)}</td>
+                        <td className="py-2.5 px-3 border-b text-center"><PassFail passes={checkInlets[idx].spreadPasses} /></td>
+                      </>
+                    )}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <p className="text-xs text-gray-500 mt-2">* Gutter grade, sag status or bypass target entered manually instead of read from the profile.</p>
+            <p className="text-xs text-gray-500 mt-1">† Allowable spread entered for the inlet; others come from the roadway classification criteria. Rows failing in either storm are shaded.</p>
+            <p className="text-xs text-gray-500 mt-1">TC Control: Local when the inlet's own overland flow path governs; otherwise the upstream inlet whose bypass arrives with the longer tc, plus gutter travel time.</p>
+            <p className="text-xs text-gray-500 mt-1">Qi/Q is computed by the HEC-22 on-grade method unless flagged Manual (no catalog geometry) or Override (manual value replaces the computed one).</p>
+          </div>
+        )}
+        {structureRows.length > 0 && (
+          <div className="overflow-x-auto mt-6">
+            <h4 className="font-medium text-gray-700 mb-2 text-sm">Inlet Structures</h4>
+            <table className="min-w-full bg-white border border-gray-300 rounded-lg text-xs">
+              <thead className="bg-gray-50">
+                <tr className="text-gray-600">
+                  {structureHeader.map(header => <th key={header} className="py-2 px-2 border-b text-left font-semibold whitespace-nowrap">{header}</th>)}
+                </tr>
+              </thead>
+              <tbody className="text-gray-700">
+                {structureRows.map(row => (
+                  <tr key={row[0]} className="hover:bg-gray-50">
+                    {row.map((cell, c) => <td key={structureHeader[c]} className={`py-2 px-2 border-b ${typeof cell === 'number' ? 'text-right' : 'text-left'}`}>{cell}</td>)}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <p className="text-xs text-gray-500 mt-1">Dimensions from the inlet structure catalog; values entered on an inlet replace them for that inlet. A local depression applies at the inlet only.</p>
+          </div>
+        )}
+      </div>
+
+      {inlets.length > 0 && (
+        <div className="pt-4 mt-6 border-t border-gray-200">
+          <h3 className="text-lg sm:text-xl font-semibold text-gray-700 mb-3">Bypass Routing</h3>
+          {bypassFlow.losses.length === 0 && bypassRouting.cycles.length === 0 ? (
+            <p className="text-gray-600 italic text-sm">All bypass flow is captured by downstream inlets.</p>
+          ) : (
+            <ul className="list-disc list-inside ml-4 text-sm space-y-1">
+              {bypassFlow.losses.map(loss => (
+                <li key={loss.index} className={loss.type === 'offsite' ? 'text-gray-700' : 'text-red-600'}>
+                  {inlets[loss.index].strId || `Inlet ${loss.index + 1}`}: {formatNumber(loss.q)} cfs, {describeBypassRoute(bypassRouting.routes[loss.index], inlets).toLowerCase()}
+                </li>
+              ))}
+              {bypassRouting.cycles.map(({ from, to }) => (
+                <li key={`cycle-${from}`} className="text-red-600">
+                  Bypass target of {inlets[from].strId || `Inlet ${from + 1}`} to {inlets[to].strId || `Inlet ${to + 1}`} closes a loop and was ignored.
+                </li>
+              ))}
+            </ul>
+          )}
+          <p className="text-xs text-gray-500 mt-2">
+            Total bypass leaving the project: {formatNumber(bypassFlow.losses.filter(loss => loss.type === 'offsite').reduce((sum, loss) => sum + loss.q, 0))} cfs
+          </p>
+        </div>
+      )}
+    </div>
+  );
 };
 
 
 const App = () => {
-  const [profile, setProfile] = useState({
-    beginningGrade: -1.0,
-    endingGrade: -0.4,
-    pvis: [
-      { station: 10200, elevation: 120.00, length: 400 },
-      { station: 10600, elevation: 124.00, length: 400 },
-    ],
-  });
-
-  const [inlets, setInlets] = useState([
-    { strId: "INLET-1", structureType: 'CB-06', station: 10105, areaEnteringInlet: 0.19, runoffCoefficient: 1.0, longestFlowPath: 141.42, slopeOfFlowPath: 0.5, gutterGrade: 1.0, isLowPoint: false, interceptionRatio: 0.75, manualQi: '', manualWidthOfFlooding: '', tc: 0, intensity: 0, qEnteringFromArea: 0, qTotal: 0, qi: 0, qBypass: 0, widthOfFloodingOutput: 0, },
-    { strId: "INLET-2-SAG", structureType: 'CB-08', station: 10200, areaEnteringInlet: 0.19, runoffCoefficient: 0.95, longestFlowPath: 106.07, slopeOfFlowPath: 0.5, gutterGrade: 0.0, isLowPoint: true, interceptionRatio: '', manualQi: 0.95, manualWidthOfFlooding: 6.9, tc: 0, intensity: 0, qEnteringFromArea: 0, qTotal: 0, qi: 0, qBypass: 0, widthOfFloodingOutput: 0, },
-  ]);
-  const [rainfallRegion, setRainfallRegion] = useState('Region 1');
-  const [returnPeriod, setReturnPeriod] = useState('10-Year');
-  const [modalMessage, setModalMessage] = useState('');
-
-  const displayMessage = (message) => setModalMessage(message);
-  const closeModal = () => setModalMessage('');
-  const addPVI = () => setProfile(prev => ({ ...prev, pvis: [...prev.pvis, { station: '', elevation: '', length: '' }] }));
-  const removePVI = (index) => setProfile(prev => ({ ...prev, pvis: prev.pvis.filter((_, i) => i !== index) }));
-  const addInlet = () => setInlets(prev => [ ...prev, { strId: `INLET-${prev.length + 1}`, structureType: '', station: '', areaEnteringInlet: '', runoffCoefficient: 0.9, longestFlowPath: '', slopeOfFlowPath: '', gutterGrade: '', isLowPoint: false, interceptionRatio: '', manualQi: '', manualWidthOfFlooding: '', tc: 0, intensity: 0, qEnteringFromArea: 0, qTotal: 0, qi: 0, qBypass: 0, widthOfFloodingOutput: 0, }, ]);
-  const handleInletChange = useCallback((index, eOrCalculatedValues, isCalculatedUpdate = false) => {
+  const [initialProject] = useState(createSampleProject);
+  const [projectInfo, setProjectInfo] = useState(initialProject.info);
+  const [profile, setProfile] = useState(initialProject.profile);
+  const [inlets, setInlets] = useState(initialProject.inlets);
+  const profileModel = useMemo(() => createProfileModel(profile), [profile]);
+  const profileCanvasRef = useRef(null);
+  const inletIds = useMemo(() => [...new Set(inlets.map(inlet => inlet.strId).filter(Boolean))], [inlets]);
+  const [rainfallRegion, setRainfallRegion] = useState(initialProject.rainfall.region);
+  const [returnPeriod, setReturnPeriod] = useState(initialProject.rainfall.returnPeriod);
+  const [roadway, setRoadway] = useState(initialProject.roadway);
+  const [runoff, setRunoff] = useState(initialProject.runoff);
+  const [network, setNetwork] = useState(initialProject.network);
+  const [scenarios, setScenarios] = useState(initialProject.scenarios);
+  const [catalog, setCatalog] = useState(initialProject.catalog);
+  const inletColumns = useMemo(() => getInletTableColumns(catalog), [catalog]);
+  const [customRainfall, setCustomRainfall] = useState(loadCustomRainfall);
+  // Work autosaved by an earlier session that ended without being reloaded; autosave pauses until it is restored or discarded
+  const [recoveredProject, setRecoveredProject] = useState(readAutosave);
+  const [autosavedAt, setAutosavedAt] = useState(null);
+  const [showRainfallManager, setShowRainfallManager] = useState(false);
+  const rainfallData = useMemo(() => ({ ...BUILT_IN_RAINFALL, ...customRainfall }), [customRainfall]);
+  useEffect(() => saveCustomRainfall(customRainfall), [customRainfall]);
+  // Which inlet type advisor the Suggest buttons use; kept in the browser, not the project
+  const [advisorSettings, setAdvisorSettings] = useState(loadAdvisorSettings);
+  useEffect(() => saveAdvisorSettings(advisorSettings), [advisorSettings]);
+
+  // One engine pass computes every inlet and the trunk line; bypass is routed downhill along each side of the road
+  const results = useMemo(() => computeProject(
+    { profile, inlets, rainfall: { region: rainfallRegion, returnPeriod }, roadway, runoff, network, catalog },
+    { rainfallData, profileModel },
+  ), [profile, inlets, rainfallRegion, returnPeriod, roadway, runoff, network, catalog, rainfallData, profileModel]);
+  // The same project in the check storm, against the check spread criteria (null when the data set lacks that period)
+  const checkResults = useMemo(() => computeCheckStorm(
+    { profile, inlets, rainfall: { region: rainfallRegion, returnPeriod }, roadway, runoff, catalog },
+    { rainfallData, profileModel },
+  ), [profile, inlets, rainfallRegion, returnPeriod, roadway, runoff, catalog, rainfallData, profileModel]);
+  // Every named scenario run over the whole project for its own rainfall and spread criteria
+  const scenarioRuns = useMemo(() => computeScenarios(
+    { profile, inlets, rainfall: { region: rainfallRegion, returnPeriod }, roadway, runoff, scenarios, catalog },
+    { rainfallData, profileModel },
+  ), [profile, inlets, rainfallRegion, returnPeriod, roadway, runoff, scenarios, catalog, rainfallData, profileModel]);
+  const { routing: bypassRouting, bypass: bypassFlow } = results;
+  const curveReview = useMemo(() => reviewVerticalCurves(profileModel, { roadway }), [profileModel, roadway]);
+  const issues = useMemo(
+    () => validateProject({ profile, roadway, network, scenarios, catalog }, results, { checkResults, scenarioRuns }),
+    [profile, roadway, network, scenarios, catalog, results, checkResults, scenarioRuns],
+  );
+  const inletMarkers = useMemo(() => buildInletMarkers(results.inlets, {
+    routes: results.routing.routes, check: checkResults?.inlets, designPeriod: returnPeriod, checkPeriod: roadway.checkReturnPeriod,
+  }), [results, checkResults, returnPeriod, roadway]);
+
+  const serializedProject = useMemo(() => serializeProject({
+    info: projectInfo, profile, inlets, rainfall: { region: rainfallRegion, returnPeriod }, roadway, runoff, network, scenarios, catalog, rainfallData,
+  }), [projectInfo, profile, inlets, rainfallRegion, returnPeriod, roadway, runoff, network, scenarios, catalog, rainfallData]);
+  useEffect(() => {
+    if (recoveredProject) return undefined;
+    const timer = setTimeout(() => {
+      writeAutosave(serializedProject);
+      setAutosavedAt(new Date());
+    }, 1000);
+    return () => clearTimeout(timer);
+  }, [serializedProject, recoveredProject]);
+  const [modalMessage, setModalMessage] = useState('');
+  const [showSpacingDesigner, setShowSpacingDesigner] = useState(false);
+
+  const displayMessage = (message) => setModalMessage(message);
+  const loadProject = (project) => {
+    const datasets = project.rainfall.datasets || {};
+    const available = { ...rainfallData, ...datasets };
+    const hasRainfall = Boolean(available[project.rainfall.region]?.returnPeriods?.[project.rainfall.returnPeriod]);
+    setCustomRainfall(prev => ({ ...prev, ...datasets }));
+    setProjectInfo(project.info);
+    setProfile(project.profile);
+    setInlets(project.inlets);
+    setRoadway(project.roadway);
+    setRunoff(project.runoff);
+    setNetwork(project.network);
+    setScenarios(project.scenarios);
+    setCatalog(project.catalog);
+    setRainfallRegion(hasRainfall ? project.rainfall.region : 'Region 1');
+    setReturnPeriod(hasRainfall ? project.rainfall.returnPeriod : '10-Year');
+    return hasRainfall;
+  };
+  const newProject = () => {
+    if (!window.confirm('Start a new project? Unsaved changes to the current project will be lost.')) return;
+    loadProject(createEmptyProject());
+  };
+  const openSampleProject = () => {
+    if (!window.confirm('Load the sample project? Unsaved changes to the current project will be lost.')) return;
+    loadProject(createSampleProject());
+  };
+  const openProjectFile = async (file) => {
+    try {
+      const project = parseProject(await readFileAsText(file));
+      const notes = [];
+      if (!loadProject(project)) notes.push(`Rainfall data "${project.rainfall.region}" (${project.rainfall.returnPeriod}) is not available; Region 1, 10-Year is used instead.`);
+      if (project.migratedFrom !== null) notes.push(`The file was saved in an older format (schema ${project.migratedFrom}) and has been updated; save it to keep the new format.`);
+      if (notes.length > 0) displayMessage(notes.join(' '));
+    } catch (error) {
+      displayMessage(error.message);
+    }
+  };
+  const saveProjectFile = () => {
+    const baseName = (projectInfo.name || 'project').trim().replace(/[^\w.-]+/g, '_');
+    downloadFile(serializedProject, `${baseName}${PROJECT_FILE_EXTENSION}`, 'application/json');
+  };
+  const reportTables = () => ({
+    project: buildProjectTable({ info: projectInfo, profile, profileModel, rainfallRegion, returnPeriod, rainfallSource: rainfallData[rainfallRegion]?.source, roadway, runoff, network, scenarios }),
+    profile: buildProfileTable(profileModel),
+    curves: buildCurveReviewTable(curveReview),
+    inlets: buildInletTable(results.inlets, { routes: bypassRouting.routes, incoming: bypassFlow.incoming, check: checkResults?.inlets }),
+    drainage: buildDrainageTable(results.inlets, { runoff, returnPeriod }),
+    pipes: results.network ? buildPipeTable(results.network, network.pipes) : null,
+    structures: results.network ? buildStructureTable(results.network) : null,
+    scenarios: scenarioRuns.length ? buildScenarioTable(scenarioRuns, results.inlets) : null,
+    catalog: buildCatalogTable(catalog, results.inlets),
+  });
+  const exportBaseName = () => (projectInfo.name || 'inlet-spacing').trim().replace(/[^\w.-]+/g, '_');
+  const exportCsv = () => {
+    const tables = reportTables();
+    const trunkLine = tables.pipes ? [[], ...tables.pipes, [], ...tables.structures] : [];
+    const scenarioRows = tables.scenarios ? [[], ...tables.scenarios] : [];
+    downloadFile(toCSV([...tables.project, [], ...tables.profile, [], ...tables.curves, [], ...tables.inlets, [], ...tables.catalog, [], ...tables.drainage, ...trunkLine, ...scenarioRows]), `${exportBaseName()}-summary.csv`);
+  };
+  const exportSensitivityCsv = (analysis, inletIndex) => {
+    const inletName = results.inlets[inletIndex]?.strId || `Inlet ${inletIndex + 1}`;
+    downloadFile(toCSV([[`Tornado: ${inletName}`], ...buildTornadoTable(analysis, inletIndex), [], ...buildSensitivityTable(analysis, results.inlets)]), `${exportBaseName()}-sensitivity.csv`);
+  };
+  const exportInletCsv = () => {
+    downloadFile(toCSV(buildInletInputTable(inlets, results.inlets, inletColumns)), `${exportBaseName()}-inlets.csv`);
+  };
+  const exportXlsx = () => {
+    const tables = reportTables();
+    const sheets = [
+      { name: 'Inlets', rows: tables.inlets }, { name: 'Structures', rows: tables.catalog }, { name: 'Drainage', rows: tables.drainage },
+      ...(tables.pipes ? [{ name: 'Pipes', rows: tables.pipes }, { name: 'HGL', rows: tables.structures }] : []),
+      ...(tables.scenarios ? [{ name: 'Scenarios', rows: tables.scenarios }] : []),
+      { name: 'Profile', rows: tables.profile }, { name: 'Curves', rows: tables.curves }, { name: 'Project', rows: tables.project },
+    ];
+    downloadFile(buildXlsx(sheets), `${exportBaseName()}-summary.xlsx`, XLSX_MIME_TYPE);
+  };
+  const exportLandXML = () => {
+    downloadFile(buildLandXML({ info: projectInfo, profileModel }), `${exportBaseName()}-profile.xml`, 'application/xml');
+  };
+  const printPackage = () => {
+    const html = buildCalculationPackage({
+      info: projectInfo, profile, profileModel, inlets: results.inlets, routing: bypassRouting, incoming: bypassFlow.incoming,
+      rainfallRegion, returnPeriod, rainfallData, profileImage: profileCanvasRef.current?.toDataURL('image/png'),
+      roadway, check: checkResults?.inlets, curveReview, runoff, network: results.network, networkInputs: network, scenarioRuns, catalog,
+    });
+    if (!printCalculationPackage(html)) displayMessage('The calculation package window was blocked. Allow pop-ups for this page and try again.');
+  };
+  const restoreRecoveredProject = () => {
+    loadProject(recoveredProject);
+    setRecoveredProject(null);
+  };
+  const discardRecoveredProject = () => {
+    clearAutosave();
+    setRecoveredProject(null);
+  };
+  // Keeps the return period when the new data set has it, else falls back to 10-Year or its first curve
+  const selectRainfallRegion = (region) => {
+    const periods = Object.keys(rainfallData[region]?.returnPeriods || {});
+    setRainfallRegion(region);
+    setReturnPeriod(prev => (periods.includes(prev) ? prev : (periods.includes('10-Year') ? '10-Year' : periods[0] || '')));
+  };
+  const saveRainfallDatasets = (datasets) => setCustomRainfall(prev => ({ ...prev, ...Object.fromEntries(datasets.map(d => [d.name, d])) }));
+  const removeRainfallDataset = (name) => {
+    setCustomRainfall(prev => Object.fromEntries(Object.entries(prev).filter(([key]) => key !== name)));
+    if (name === rainfallRegion) {
+      setRainfallRegion('Region 1');
+      setReturnPeriod(prev => (BUILT_IN_RAINFALL['Region 1'].returnPeriods[prev] ? prev : '10-Year'));
+    }
+  };
+  const closeModal = () => setModalMessage('');
+  const addPVI = () => setProfile(prev => ({ ...prev, pvis: [...prev.pvis, { station: '', elevation: '', length: '' }] }));
+  const removePVI = (index) => setProfile(prev => ({ ...prev, pvis: prev.pvis.filter((_, i) => i !== index) }));
+  const addInlet = () => setInlets(prev => [ ...prev, createInlet({ strId: `INLET-${prev.length + 1}` }), ]);
+  const addInlets = (newInlets) => setInlets(prev => [ ...prev, ...newInlets ]);
+  const acceptProposedInlets = (buildInlets, replace) => setInlets(prev => replace ? buildInlets(1) : [ ...prev, ...buildInlets(prev.length + 1) ]);
+  const handleInletChange = useCallback((index, e) => {
     setInlets(prevInlets => {
       const newInlets = [...prevInlets];
-      if (isCalculatedUpdate) {
-        newInlets[index] = { ...newInlets[index], ...eOrCalculatedValues };
+      const { name, value, type, checked } = e.target;
+      let processedValue;
+      if (type === 'checkbox') {
+          processedValue = checked;
+      } else if (type === 'number') {
+          if (value === '') {
+              processedValue = '';
+          } else {
+              const num = parseFloat(value);
+              processedValue = isNaN(num) ? (value === '0' ? 0 : '') : num;
+          }
       } else {
-        const { name, value, type, checked } = eOrCalculatedValues.target;
-        let processedValue;
-        if (type === 'checkbox') {
-            processedValue = checked;
-        } else if (type === 'number') {
-            if (value === '') {
-                processedValue = '';
-            } else {
-                const num = parseFloat(value);
-                processedValue = isNaN(num) ? (value === '0' ? 0 : '') : num;
-            }
-        } else {
-            processedValue = value;
-        }
-        newInlets[index] = { ...newInlets[index], [name]: processedValue, };
+          processedValue = value;
       }
+      newInlets[index] = { ...newInlets[index], [name]: processedValue, };
       return newInlets;
     });
   }, []);
-  const removeInlet = (index) => setInlets(prev => prev.filter((_, i) => i !== index));
+  const updateInlet = useCallback((index, changes) => {
+    setInlets(prev => prev.map((inlet, i) => (i === index ? { ...inlet, ...changes } : inlet)));
+  }, []);
+  const removeInlet = (index) => setInlets(prev => prev.filter((_, i) => i !== index));
+  const renameStructureType = (from, to) => setInlets(prev => prev.map(inlet => (inlet.structureType === from ? { ...inlet, structureType: to } : inlet)));
+  const [inletView, setInletView] = useState('cards');
+  const [importedInlets, setImportedInlets] = useState(null);
+  const inletFileInputRef = useRef(null);
+  const importInletFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      setImportedInlets({ fileName: file.name, ...parseInletTable(await readFileAsText(file), inletColumns) });
+    } catch (error) {
+      displayMessage(`${file.name}: ${error.message}`);
+    }
+  };
+  const applyImportedInlets = (replace) => {
+    setInlets(prev => (replace ? importedInlets.inlets : [...prev, ...importedInlets.inlets]));
+    setImportedInlets(null);
+  };
+  const selectInlet = (index) => document.getElementById(`inlet-${index}`)?.scrollIntoView({ behavior: 'smooth', block: 'start' });
 
   // Common Tailwind classes for form inputs (selects, inputs)
   const formInputClasses = "mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 p-2 text-sm";
@@ -897,21 +3429,52 @@ const App = () => {
         </p>
       </header>
 
+      {recoveredProject && (
+        <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-3 bg-amber-50 border border-amber-300 rounded-xl p-4 mb-8">
+          <p className="flex items-center text-sm text-amber-800">
+            <History size={18} className="mr-2 shrink-0" />
+            Unsaved work{recoveredProject.info.name ? ` on "${recoveredProject.info.name}"` : ''} from {recoveredProject.savedAt ? new Date(recoveredProject.savedAt).toLocaleString() : 'an earlier session'} was found. Autosave is paused until you restore or discard it.
+          </p>
+          <div className="flex gap-2">
+            <button onClick={restoreRecoveredProject} className="px-4 py-2 bg-amber-600 text-white rounded-lg hover:bg-amber-700 focus:outline-none focus:ring-4 focus:ring-amber-300 text-sm font-medium">Restore</button>
+            <button onClick={discardRecoveredProject} className="px-4 py-2 bg-white text-amber-700 border border-amber-300 rounded-lg hover:bg-amber-100 focus:outline-none focus:ring-4 focus:ring-amber-200 text-sm font-medium">Discard</button>
+          </div>
+        </div>
+      )}
+
+      <ProjectPanel
+        info={projectInfo}
+        setInfo={setProjectInfo}
+        onNew={newProject}
+        onOpen={openProjectFile}
+        onSave={saveProjectFile}
+        onSample={openSampleProject}
+        autosavedAt={autosavedAt}
+      />
+
       {/* Rainfall Parameters Section - Styled as a card */}
       <div className="bg-white rounded-xl shadow-lg p-6 sm:p-8 mb-8"> {/* Enhanced card styling */}
-        <h2 className="text-2xl font-semibold text-gray-800 mb-6 pb-3 border-b border-gray-200">Rainfall Parameters</h2>
+        <div className="flex justify-between items-center mb-6 pb-3 border-b border-gray-200">
+          <h2 className="text-2xl font-semibold text-gray-800">Rainfall Parameters</h2>
+          <button
+            onClick={() => setShowRainfallManager(prev => !prev)}
+            className="flex items-center px-4 py-2 bg-blue-100 text-blue-700 rounded-lg hover:bg-blue-200 focus:outline-none focus:ring-4 focus:ring-blue-300 text-sm font-medium transition-colors"
+          >
+            <CloudRain size={16} className="mr-2" /> {showRainfallManager ? 'Hide Rainfall Data' : 'Rainfall Data'}
+          </button>
+        </div>
         <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
           <div className="relative"> {/* Added relative for select icon */}
-            <label htmlFor="rainfallRegion" className="block text-sm font-medium text-gray-700 mb-1">Rainfall Region (LADOTD)</label>
+            <label htmlFor="rainfallRegion" className="block text-sm font-medium text-gray-700 mb-1">Rainfall Region / Data Set</label>
             <select
               id="rainfallRegion"
               name="rainfallRegion"
               value={rainfallRegion}
-              onChange={(e) => setRainfallRegion(e.target.value)}
+              onChange={(e) => selectRainfallRegion(e.target.value)}
               className={`${formInputClasses} appearance-none pr-8`} // Added appearance-none and pr-8 for custom arrow
             >
-              {Object.keys(RAINFALL_COEFFICIENTS).map(region => (
-                <option key={region} value={region}>{region}</option>
+              {Object.values(rainfallData).map(dataset => (
+                <option key={dataset.name} value={dataset.name}>{dataset.builtIn ? `${dataset.name} (LADOTD)` : dataset.name}</option>
               ))}
             </select>
             <ChevronsUpDown className="absolute right-3 top-1/2 -translate-y-1/2 mt-1.5 h-4 w-4 text-gray-400 pointer-events-none" />
@@ -925,7 +3488,7 @@ const App = () => {
               onChange={(e) => setReturnPeriod(e.target.value)}
               className={`${formInputClasses} appearance-none pr-8`} // Added appearance-none and pr-8 for custom arrow
             >
-              {Object.keys(RAINFALL_COEFFICIENTS[rainfallRegion] || {}).map(period => (
+              {Object.keys(rainfallData[rainfallRegion]?.returnPeriods || {}).map(period => (
                 <option key={period} value={period}>{period}</option>
               ))}
             </select>
@@ -933,45 +3496,180 @@ const App = () => {
             <p className="text-xs text-gray-500 mt-2">E.g., 10-Year for typical storm drains (LADOTD Ch 8.3).</p>
           </div>
         </div>
+        {showRainfallManager && (
+          <RainfallDataManager
+            rainfallData={rainfallData}
+            onSave={saveRainfallDatasets}
+            onRemove={removeRainfallDataset}
+            displayMessage={displayMessage}
+          />
+        )}
       </div>
 
+      <RoadwayCriteria
+        roadway={roadway}
+        setRoadway={setRoadway}
+        checkPeriods={Object.keys(rainfallData[rainfallRegion]?.returnPeriods || {})}
+        profileModel={profileModel}
+      />
+
+      <RunoffCoefficients
+        runoff={runoff}
+        setRunoff={setRunoff}
+        returnPeriod={returnPeriod}
+        checkReturnPeriod={roadway.checkReturnPeriod}
+      />
+
       <ProfileDefinition
         profile={profile}
+        profileModel={profileModel}
         setProfile={setProfile}
         addPVI={addPVI}
         removePVI={removePVI}
+        canvasRef={profileCanvasRef}
+        issues={issues}
+        inletMarkers={inletMarkers}
+        onSelectInlet={selectInlet}
+        curveReview={curveReview}
+        onExportLandXML={exportLandXML}
+        displayMessage={displayMessage}
+      />
+
+      <InletCatalog
+        catalog={catalog}
+        setCatalog={setCatalog}
+        inlets={inlets}
+        issues={issues}
+        onRenameType={renameStructureType}
         displayMessage={displayMessage}
       />
 
       {/* Inlets Section - Wrapper styled as a card */}
       <div className="bg-white rounded-xl shadow-lg p-6 sm:p-8 mb-8"> {/* Enhanced card styling */}
-        <h2 className="text-2xl font-semibold text-gray-800 mb-6 pb-3 border-b border-gray-200">2. Inlet Design & Spacing</h2>
-        {inlets.map((inlet, index) => (
+        <div className="flex justify-between items-center mb-6 pb-3 border-b border-gray-200">
+          <h2 className="text-2xl font-semibold text-gray-800">2. Inlet Design & Spacing</h2>
+          <div className="flex flex-wrap gap-2">
+            <button
+              onClick={() => setInletView(prev => (prev === 'grid' ? 'cards' : 'grid'))}
+              className="flex items-center px-4 py-2 bg-blue-100 text-blue-700 rounded-lg hover:bg-blue-200 focus:outline-none focus:ring-4 focus:ring-blue-300 text-sm font-medium transition-colors"
+            >
+              {inletView === 'grid' ? <><LayoutList size={16} className="mr-2" /> Card View</> : <><Table2 size={16} className="mr-2" /> Grid View</>}
+            </button>
+            <input ref={inletFileInputRef} type="file" accept=".csv,.txt,text/csv" onChange={importInletFile} className="hidden" />
+            <button
+              onClick={() => inletFileInputRef.current?.click()}
+              className="flex items-center px-4 py-2 bg-blue-100 text-blue-700 rounded-lg hover:bg-blue-200 focus:outline-none focus:ring-4 focus:ring-blue-300 text-sm font-medium transition-colors"
+            >
+              <Upload size={16} className="mr-2" /> Import CSV
+            </button>
+            <button
+              onClick={exportInletCsv}
+              className="flex items-center px-4 py-2 bg-blue-100 text-blue-700 rounded-lg hover:bg-blue-200 focus:outline-none focus:ring-4 focus:ring-blue-300 text-sm font-medium transition-colors"
+            >
+              <Download size={16} className="mr-2" /> Export CSV
+            </button>
+            <button
+              onClick={() => setShowSpacingDesigner(prev => !prev)}
+              className="flex items-center px-4 py-2 bg-blue-100 text-blue-700 rounded-lg hover:bg-blue-200 focus:outline-none focus:ring-4 focus:ring-blue-300 text-sm font-medium transition-colors"
+            >
+              <Ruler size={16} className="mr-2" /> {showSpacingDesigner ? 'Hide Design Spacing' : 'Design Spacing'}
+            </button>
+          </div>
+        </div>
+        {importedInlets && (
+          <InletImport
+            {...importedInlets}
+            onApply={applyImportedInlets}
+            onCancel={() => setImportedInlets(null)}
+          />
+        )}
+        {showSpacingDesigner && (
+          <InletSpacingDesigner
+            profileModel={profileModel}
+            rainfallRegion={rainfallRegion}
+            returnPeriod={returnPeriod}
+            rainfallData={rainfallData}
+            onAccept={acceptProposedInlets}
+          />
+        )}
+        {inletView === 'cards' && inlets.length > 0 && <AdvisorSettings settings={advisorSettings} setSettings={setAdvisorSettings} />}
+        {inletView === 'grid' && <InletGrid inlets={inlets} setInlets={setInlets} results={results.inlets} issues={issues} columns={inletColumns} />}
+        {inletView === 'cards' && inlets.map((inlet, index) => (
           <InletInput
             key={inlet.strId || index}
             inlet={inlet}
+            result={results.inlets[index]}
+            details={results.details[index]}
+            issues={issues}
             index={index}
             handleInletChange={handleInletChange}
+            onUpdateInlet={updateInlet}
             removeInlet={removeInlet}
-            rainfallRegion={rainfallRegion}
-            returnPeriod={returnPeriod}
-            prevBypassQ={index > 0 ? (parseFloat(inlets[index - 1].qBypass) || 0) : 0}
-            displayMessage={displayMessage}
+            onAddInlets={addInlets}
+            bypassRoute={{ ...bypassRouting.routes[index], label: describeBypassRoute(bypassRouting.routes[index], inlets) }}
+            bypassSources={bypassFlow.sources[index].map(i => inlets[i].strId || `Inlet ${i + 1}`)}
+            inletOptions={inletIds}
+            runoff={runoff}
+            advisorSettings={advisorSettings}
+            catalog={catalog}
           />
         ))}
-        <button
-          onClick={addInlet}
-          className="flex items-center justify-center w-full sm:w-auto px-5 py-2.5 bg-blue-600 text-white rounded-lg hover:bg-blue-700 focus:outline-none focus:ring-4 focus:ring-blue-300 mt-6 text-sm font-medium transition-colors shadow-md hover:shadow-lg"
-        >
-          <PlusCircle size={18} className="mr-2" /> Add New Inlet
-        </button>
+        {inletView === 'cards' && (
+          <button
+            onClick={addInlet}
+            className="flex items-center justify-center w-full sm:w-auto px-5 py-2.5 bg-blue-600 text-white rounded-lg hover:bg-blue-700 focus:outline-none focus:ring-4 focus:ring-blue-300 mt-6 text-sm font-medium transition-colors shadow-md hover:shadow-lg"
+          >
+            <PlusCircle size={18} className="mr-2" /> Add New Inlet
+          </button>
+        )}
       </div>
 
+      <StormDrain
+        network={network}
+        setNetwork={setNetwork}
+        result={results.network}
+        inlets={inlets}
+        issues={issues}
+      />
+
+      <ScenarioComparison
+        scenarios={scenarios}
+        setScenarios={setScenarios}
+        runs={scenarioRuns}
+        inlets={results.inlets}
+        rainfallData={rainfallData}
+        rainfallRegion={rainfallRegion}
+        returnPeriod={returnPeriod}
+        roadway={roadway}
+        issues={issues}
+      />
+
+      <SensitivityAnalysis
+        project={{ profile, inlets, rainfall: { region: rainfallRegion, returnPeriod }, roadway, runoff, catalog }}
+        results={results}
+        rainfallData={rainfallData}
+        profileModel={profileModel}
+        onExportCsv={exportSensitivityCsv}
+      />
+
+      <IssuesPanel issues={issues} inlets={inlets} />
+
       <SummaryReport
+        onExportCsv={exportCsv}
+        onExportXlsx={exportXlsx}
+        onPrint={printPackage}
+        projectInfo={projectInfo}
         profile={profile}
-        inlets={inlets}
+        profileModel={profileModel}
+        inlets={results.inlets}
+        bypassRouting={bypassRouting}
+        bypassFlow={bypassFlow}
         rainfallRegion={rainfallRegion}
         returnPeriod={returnPeriod}
+        rainfallData={rainfallData}
+        roadway={roadway}
+        checkResults={checkResults}
+        catalog={catalog}
       />
 
       <Modal message={modalMessage} onClose={closeModal} />
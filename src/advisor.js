@@ -0,0 +1,77 @@
+// Inlet type advisor providers. The offline rule engine is the default; other providers are plugins that
+// return the same structured advice. The endpoint provider posts the inlet facts and a prompt to a
+// configurable URL (a language-model proxy, or bin/advisor-server.js as a local stand-in) and expects JSON
+// back. No API keys live in the browser: a proxy behind the endpoint holds them.
+
+import { adviseInletType, buildAdvisorPrompt, parseAdvice } from './calc/advisor.js';
+
+const STORAGE_KEY = 'inletSpacingCalculator.advisor';
+const REQUEST_TIMEOUT_MS = 30000;
+
+export const DEFAULT_ADVISOR_ENDPOINT = 'http://localhost:8787/advise';
+
+// Posts { task, options, facts, prompt } and reads the advice from the JSON reply
+const requestEndpointAdvice = async (facts, { endpoint }) => {
+  if (!endpoint) throw new Error('No advisor endpoint is configured.');
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+  try {
+    const response = await fetch(endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ task: 'inlet-type', options: facts.options.map(option => option.id), facts, prompt: buildAdvisorPrompt(facts) }),
+      signal: controller.signal,
+    });
+    if (!response.ok) {
+      const detail = await response.json().then(body => body?.error, () => '');
+      throw new Error(`The advisor endpoint answered ${response.status} ${response.statusText}${detail ? `: ${detail}` : '.'}`);
+    }
+    return await response.json();
+  } catch (error) {
+    if (error.name === 'AbortError') throw new Error(`The advisor endpoint did not answer within ${REQUEST_TIMEOUT_MS / 1000} s.`);
+    throw error;
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+// advise(facts, settings) resolves to advice in any form parseAdvice accepts
+const providers = {
+  rules: { label: 'Offline rules', advise: async (facts) => adviseInletType(facts) },
+  endpoint: { label: 'Advisor endpoint', usesEndpoint: true, advise: requestEndpointAdvice },
+};
+
+// Adds or replaces a provider: { label, usesEndpoint, advise(facts, settings) }
+export const registerAdvisorProvider = (id, provider) => {
+  providers[id] = provider;
+};
+
+export const getAdvisorProviders = () => ({ ...providers });
+
+export const createAdvisorSettings = (fields = {}) => ({
+  provider: 'rules',
+  endpoint: import.meta.env?.VITE_ADVISOR_ENDPOINT || DEFAULT_ADVISOR_ENDPOINT,
+  ...fields,
+});
+
+// Advice for getAdvisorFacts output from the chosen provider: { structureType, reason, rule, notes, source }.
+// A suggestion outside facts.options is refused.
+export const requestAdvice = async (facts, settings = createAdvisorSettings()) => {
+  const provider = providers[settings.provider] || providers.rules;
+  const advice = parseAdvice(await provider.advise(facts, settings), facts.options.map(option => option.id));
+  return { ...advice, source: provider.label };
+};
+
+export const loadAdvisorSettings = () => {
+  if (typeof localStorage === 'undefined') return createAdvisorSettings();
+  try {
+    return createAdvisorSettings(JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}'));
+  } catch {
+    return createAdvisorSettings();
+  }
+};
+
+export const saveAdvisorSettings = (settings) => {
+  if (typeof localStorage === 'undefined') return;
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+};
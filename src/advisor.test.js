@@ -0,0 +1,81 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { getAdvisorFacts } from './calc/advisor.js';
+import { createDefaultCatalog } from './calc/catalog.js';
+import { createInlet } from './inlets.js';
+import { createAdvisorSettings, getAdvisorProviders, registerAdvisorProvider, requestAdvice } from './advisor.js';
+
+const facts = getAdvisorFacts(createInlet({
+  strId: 'A', structureType: 'CB-07', qTotal: 3, effectiveGutterGrade: 2, widthOfFloodingOutput: 9, allowableSpreadUsed: 10,
+}), createDefaultCatalog().filter(entry => entry.id !== 'CB-08'));
+
+const endpoint = createAdvisorSettings({ provider: 'endpoint', endpoint: 'http://advisor.test/advise' });
+
+// A fetch answering with the status and JSON body given
+const respond = (status, body, statusText = '') => vi.fn(async () => ({ ok: status < 300, status, statusText, json: async () => body }));
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+  vi.useRealTimers();
+});
+
+describe('requestAdvice', () => {
+  it('uses the offline rules unless another provider is chosen', async () => {
+    const advice = await requestAdvice(facts);
+    expect(advice).toMatchObject({ structureType: 'CB-07', source: 'Offline rules', rule: { id: 'grate-frontal-flow' } });
+    expect((await requestAdvice(facts, createAdvisorSettings({ provider: 'missing' }))).source).toBe('Offline rules');
+  });
+
+  it('posts the facts, the catalog options and a prompt to the endpoint and reads its JSON reply', async () => {
+    const fetch = respond(200, { structureType: 'CB-07', reason: 'Frontal flow.', rule: 'frontal flow' });
+    vi.stubGlobal('fetch', fetch);
+    expect(await requestAdvice(facts, endpoint)).toEqual({
+      structureType: 'CB-07', reason: 'Frontal flow.', rule: { id: 'frontal flow', title: 'frontal flow' }, notes: [], source: 'Advisor endpoint',
+    });
+    const [url, options] = fetch.mock.calls[0];
+    expect(url).toBe('http://advisor.test/advise');
+    expect(options).toMatchObject({ method: 'POST', headers: { 'Content-Type': 'application/json' } });
+    const body = JSON.parse(options.body);
+    expect(body).toMatchObject({ task: 'inlet-type', options: ['CB-06', 'CB-07'], facts: { strId: 'A', qTotal: 3 } });
+    expect(body.prompt).toMatch(/^Suggest the storm drain inlet/);
+  });
+
+  it('refuses a suggestion that is not in the catalog', async () => {
+    vi.stubGlobal('fetch', respond(200, { structureType: 'CB-08', reason: 'Capacity.' }));
+    await expect(requestAdvice(facts, endpoint)).rejects.toThrow('The advisor suggested "CB-08", which is not one of CB-06, CB-07.');
+  });
+
+  it('reports the status and error detail of a failed request', async () => {
+    vi.stubGlobal('fetch', respond(502, { error: 'Upstream model unavailable' }, 'Bad Gateway'));
+    await expect(requestAdvice(facts, endpoint)).rejects.toThrow('The advisor endpoint answered 502 Bad Gateway: Upstream model unavailable');
+    // A body that is not JSON leaves only the status
+    vi.stubGlobal('fetch', vi.fn(async () => ({ ok: false, status: 500, statusText: 'Internal Server Error', json: async () => { throw new SyntaxError('Unexpected token'); } })));
+    await expect(requestAdvice(facts, endpoint)).rejects.toThrow('The advisor endpoint answered 500 Internal Server Error.');
+    vi.stubGlobal('fetch', vi.fn(async () => { throw new TypeError('Failed to fetch'); }));
+    await expect(requestAdvice(facts, endpoint)).rejects.toThrow('Failed to fetch');
+  });
+
+  it('gives up on an endpoint that does not answer within 30 s', async () => {
+    vi.useFakeTimers();
+    // Never answers; rejects the way fetch does when its signal aborts
+    vi.stubGlobal('fetch', vi.fn((url, { signal }) => new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => reject(new DOMException('The operation was aborted.', 'AbortError')));
+    })));
+    const request = requestAdvice(facts, endpoint);
+    const outcome = expect(request).rejects.toThrow('The advisor endpoint did not answer within 30 s.');
+    await vi.advanceTimersByTimeAsync(30000);
+    await outcome;
+  });
+
+  it('needs an endpoint for the endpoint provider', async () => {
+    const fetch = respond(200, {});
+    vi.stubGlobal('fetch', fetch);
+    await expect(requestAdvice(facts, { ...endpoint, endpoint: '' })).rejects.toThrow('No advisor endpoint is configured.');
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  it('uses registered providers', async () => {
+    registerAdvisorProvider('fixed', { label: 'Fixed', advise: async () => '{"structureType":"CB-06"}' });
+    expect(getAdvisorProviders().fixed.label).toBe('Fixed');
+    expect(await requestAdvice(facts, createAdvisorSettings({ provider: 'fixed' }))).toMatchObject({ structureType: 'CB-06', reason: '', rule: null, source: 'Fixed' });
+  });
+});
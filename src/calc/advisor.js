@@ -0,0 +1,194 @@
+// Inlet type advice: a deterministic rule engine choosing among the curb opening, grate and combination
+// inlets in the project's structure catalog, and the structured response every advisor provider returns.
+// The rules follow the inlet selection guidance in FHWA HEC-22, 3rd Ed., Chapter 4.
+
+import { CATALOG_INLET_TYPES, DEFAULT_INLET_CATALOG } from './catalog.js';
+import { getInletGeometry } from './engine.js';
+import { addLocalDepression, getGutterSection, solveGutterFlow } from './gutter.js';
+import { calculateOnGradeInterception } from './interception.js';
+
+export const DEBRIS_RISKS = { low: 'Low', moderate: 'Moderate', high: 'High' };
+
+// A curb opening within this much interception efficiency of the best type is preferred: it does not clog
+// and is safe for bicycles
+export const CURB_OPENING_EFFICIENCY_MARGIN = 0.1;
+// A combination inlet has to intercept at least this much more than a grate alone to be worth its cost
+export const COMBINATION_EFFICIENCY_MARGIN = 0.05;
+
+const TYPE_LABELS = { curb: 'curb opening', grate: 'grate', combination: 'combination inlet' };
+const percent = (value) => `${Math.round(value * 100)}%`;
+
+// What the advisor knows about one computed inlet (an engine result). options are the catalog entries the
+// advice may choose, as { id, name, inletType }. efficiencies are the on-grade interception of each option,
+// by id, from the entry's own dimensions and local depression in the inlet's gutter section at its Q Total;
+// empty in a sag.
+export const getAdvisorFacts = (inlet, catalog = DEFAULT_INLET_CATALOG) => {
+  const entries = (catalog || []).filter(entry => entry.id && CATALOG_INLET_TYPES[entry.inletType]);
+  const facts = {
+    strId: inlet.strId || '',
+    structureType: inlet.structureType || '',
+    qTotal: inlet.qTotal,
+    gutterGrade: inlet.effectiveGutterGrade,
+    spread: inlet.widthOfFloodingOutput,
+    allowableSpread: Number.isFinite(inlet.allowableSpreadUsed) ? inlet.allowableSpreadUsed : null,
+    isLowPoint: Boolean(inlet.effectiveIsLowPoint),
+    debrisRisk: DEBRIS_RISKS[inlet.debrisRisk] ? inlet.debrisRisk : 'low',
+    bicycleTraffic: Boolean(inlet.bicycleTraffic),
+    options: entries.map(({ id, name, inletType }) => ({ id, name: name || '', inletType })),
+    efficiencies: {},
+  };
+  if (!facts.isLowPoint && facts.qTotal > 0 && facts.gutterGrade > 0) {
+    const gutterSection = getGutterSection(inlet);
+    entries.forEach(entry => {
+      // The entry alone: dimensions entered on this inlet belong to its current type, not to the options
+      const geometry = getInletGeometry({ structureType: entry.id }, catalog);
+      const section = addLocalDepression(gutterSection, geometry.localDepression, geometry.localDepressionWidth);
+      const { efficiency } = calculateOnGradeInterception({
+        ...geometry,
+        q: facts.qTotal,
+        longitudinalSlopePercent: facts.gutterGrade,
+        gutterForQ: (q) => solveGutterFlow(q, facts.gutterGrade, section),
+      });
+      facts.efficiencies[entry.id] = Number.isFinite(efficiency) ? efficiency : 0;
+    });
+  }
+  return facts;
+};
+
+const efficiencyOf = (facts, id) => facts.efficiencies[id] || 0;
+const optionsOf = (facts, inletType) => facts.options.filter(option => !inletType || option.inletType === inletType);
+// The option of a type (any type when inletType is omitted) that intercepts the most; in a sag, with no
+// efficiencies, the first of that type in the order offered. null when none is offered.
+const best = (facts, inletType) => optionsOf(facts, inletType)
+  .reduce((found, option) => (!found || efficiencyOf(facts, option.id) > efficiencyOf(facts, found) ? option.id : found), null);
+// "51% for a grate and 17% for a curb opening" over the types offered
+const compareTypes = (facts, inletTypes) => inletTypes.filter(type => best(facts, type))
+  .map(type => `${percent(efficiencyOf(facts, best(facts, type)))} for a ${TYPE_LABELS[type]}`).join(' and ');
+
+// Checked in order; the first rule that applies decides. recommend(facts) names the option and
+// reason(facts) says why. Rules for a type only apply when an option of that type is offered.
+export const ADVISOR_RULES = [
+  {
+    id: 'sag-combination',
+    title: 'Combination inlet in a sag',
+    applies: (facts) => facts.isLowPoint && Boolean(best(facts, 'combination')),
+    recommend: (facts) => best(facts, 'combination'),
+    reason: () => 'The inlet is at a low point, where a clogged grate would pond the roadway; the curb opening of a combination inlet keeps a relief path open.',
+  },
+  {
+    id: 'sag-curb-opening',
+    title: 'Curb opening in a sag',
+    applies: (facts) => facts.isLowPoint && Boolean(best(facts, 'curb')),
+    recommend: (facts) => best(facts, 'curb'),
+    reason: () => 'The inlet is at a low point and no combination inlet is offered; a curb opening does not clog, so it keeps the low point draining.',
+  },
+  {
+    id: 'sag-grate',
+    title: 'Grate in a sag',
+    applies: (facts) => facts.isLowPoint,
+    recommend: (facts) => best(facts),
+    reason: () => 'The inlet is at a low point and only grates are offered; size the grate for clogging and provide flanking inlets as relief.',
+  },
+  {
+    id: 'debris-curb-opening',
+    title: 'Curb opening where debris is heavy',
+    applies: (facts) => facts.debrisRisk === 'high' && Boolean(best(facts, 'curb')),
+    recommend: (facts) => best(facts, 'curb'),
+    reason: (facts) => `Debris risk is high; a curb opening does not clog like a grate (it intercepts ${percent(efficiencyOf(facts, best(facts, 'curb')))} here).`,
+  },
+  {
+    id: 'bicycle-curb-opening',
+    title: 'Curb opening on a bicycle route',
+    applies: (facts) => facts.bicycleTraffic && Boolean(best(facts, 'curb')),
+    recommend: (facts) => best(facts, 'curb'),
+    reason: (facts) => `Bicycles use the gutter, where a grate has to be bicycle safe; a curb opening keeps the gutter clear and intercepts ${percent(efficiencyOf(facts, best(facts, 'curb')))} here.`,
+  },
+  {
+    id: 'curb-opening-adequate',
+    title: 'Curb opening close to the best interception',
+    applies: (facts) => Boolean(best(facts, 'curb')) && efficiencyOf(facts, best(facts, 'curb')) >= efficiencyOf(facts, best(facts)) - CURB_OPENING_EFFICIENCY_MARGIN,
+    recommend: (facts) => best(facts, 'curb'),
+    reason: (facts) => `A curb opening intercepts ${percent(efficiencyOf(facts, best(facts, 'curb')))} of ${facts.qTotal.toFixed(2)} cfs on a ${facts.gutterGrade.toFixed(2)}% grade, within ${percent(CURB_OPENING_EFFICIENCY_MARGIN)} of the best inlet offered, and does not clog.`,
+  },
+  {
+    id: 'grate-frontal-flow',
+    title: 'Grate for frontal flow',
+    applies: (facts) => Boolean(best(facts, 'grate'))
+      && efficiencyOf(facts, best(facts, 'combination')) - efficiencyOf(facts, best(facts, 'grate')) < COMBINATION_EFFICIENCY_MARGIN,
+    recommend: (facts) => best(facts, 'grate'),
+    reason: (facts) => [
+      `A grate intercepts ${percent(efficiencyOf(facts, best(facts, 'grate')))}`,
+      best(facts, 'curb') ? ` against ${compareTypes(facts, ['curb'])}` : '',
+      best(facts, 'combination') ? `; a combination inlet gains less than ${percent(COMBINATION_EFFICIENCY_MARGIN)}.` : '.',
+    ].join(''),
+  },
+  {
+    id: 'combination-capacity',
+    title: 'Combination inlet for capacity',
+    applies: () => true,
+    recommend: (facts) => best(facts, 'combination') || best(facts),
+    reason: (facts) => {
+      const type = optionsOf(facts).find(option => option.id === (best(facts, 'combination') || best(facts)))?.inletType || 'combination';
+      const others = compareTypes(facts, Object.keys(TYPE_LABELS).filter(other => other !== type));
+      return `A ${TYPE_LABELS[type]} intercepts ${percent(efficiencyOf(facts, best(facts, type)))}${others ? `, against ${others}` : ''}.`;
+    },
+  },
+];
+
+// Cautions that do not change the recommendation
+const adviceNotes = (facts, structureType) => {
+  const notes = [];
+  const hasGrate = optionsOf(facts).find(option => option.id === structureType)?.inletType !== 'curb';
+  if (facts.allowableSpread && facts.spread > facts.allowableSpread) {
+    notes.push(`Spread of ${facts.spread.toFixed(2)} ft already exceeds the ${facts.allowableSpread.toFixed(2)} ft allowable; no inlet type changes that, so an inlet is needed upstream.`);
+  }
+  if (facts.debrisRisk === 'moderate' && hasGrate) notes.push('Debris risk is moderate; allow for grate clogging.');
+  if (facts.bicycleTraffic && hasGrate) notes.push('Use a bicycle-safe grate (curved vane, tilt bar or reticuline).');
+  return notes;
+};
+
+// The rule engine's advice for getAdvisorFacts output. Throws when Q Total or the gutter grade is unusable
+// or there is no option to suggest.
+export const adviseInletType = (facts) => {
+  if (!(facts.qTotal > 0) || (!facts.isLowPoint && !(facts.gutterGrade > 0))) {
+    throw new Error('Q Total must be positive and the gutter grade valid before an inlet type can be suggested.');
+  }
+  if (!facts.options?.length) throw new Error('There is no curb opening, grate or combination inlet to suggest.');
+  const rule = ADVISOR_RULES.find(entry => entry.applies(facts));
+  const structureType = rule.recommend(facts);
+  return {
+    structureType,
+    reason: rule.reason(facts),
+    rule: { id: rule.id, title: rule.title },
+    notes: adviceNotes(facts, structureType),
+  };
+};
+
+// Plain-language request for language-model providers, asking for the same JSON the rule engine returns
+export const buildAdvisorPrompt = (facts) => [
+  'Suggest the storm drain inlet for a roadway gutter location from the project\'s inlet catalog.',
+  `Options: ${facts.options.map(option => `${option.id} (${[option.name, TYPE_LABELS[option.inletType]].filter(Boolean).join(', ')})`).join('; ')}.`,
+  `Q Total ${facts.qTotal.toFixed(3)} cfs; ${facts.isLowPoint ? 'sag (low point)' : `on grade at ${facts.gutterGrade.toFixed(2)}%`}; spread ${facts.spread.toFixed(2)} ft${facts.allowableSpread ? ` (allowable ${facts.allowableSpread.toFixed(2)} ft)` : ''}.`,
+  `Debris risk ${DEBRIS_RISKS[facts.debrisRisk].toLowerCase()}; ${facts.bicycleTraffic ? 'bicycles use the gutter' : 'no bicycle traffic in the gutter'}.`,
+  ...(Object.keys(facts.efficiencies).length ? [`On-grade interception: ${facts.options.map(option => `${option.id} ${percent(efficiencyOf(facts, option.id))}`).join(', ')}.`] : []),
+  'Follow FHWA HEC-22 inlet selection practice.',
+  'Reply with JSON only: {"structureType": one of the option ids, "reason": one or two sentences, "rule": a short name for the deciding consideration}.',
+].join('\n');
+
+// Checks a provider's response against the structure types it could choose (the option ids) and returns
+// { structureType, reason, rule, notes }. rule may be an object ({ id, title }) or a string naming it.
+// Throws when the response is not usable advice.
+export const parseAdvice = (response, structureTypes) => {
+  const data = typeof response === 'string' ? JSON.parse(response) : response;
+  if (!data || typeof data !== 'object') throw new Error('The advisor did not return a JSON object.');
+  if (!structureTypes.includes(data.structureType)) {
+    throw new Error(`The advisor suggested "${data.structureType ?? ''}", which is not one of ${structureTypes.join(', ')}.`);
+  }
+  const rule = typeof data.rule === 'string' ? { id: data.rule, title: data.rule } : data.rule;
+  return {
+    structureType: data.structureType,
+    reason: typeof data.reason === 'string' ? data.reason : '',
+    rule: rule?.id ? { id: String(rule.id), title: String(rule.title || rule.id) } : null,
+    notes: Array.isArray(data.notes) ? data.notes.map(String) : [],
+  };
+};
@@ -0,0 +1,105 @@
+import { describe, expect, it } from 'vitest';
+import { createInlet } from '../inlets.js';
+import { createCatalogEntry, createDefaultCatalog } from './catalog.js';
+import { ADVISOR_RULES, adviseInletType, buildAdvisorPrompt, getAdvisorFacts, parseAdvice } from './advisor.js';
+
+// A computed inlet as the engine returns it
+const computed = (fields = {}) => createInlet({
+  strId: 'A', structureType: 'CB-07', qTotal: 3, effectiveGutterGrade: 2, widthOfFloodingOutput: 9, allowableSpreadUsed: 10, ...fields,
+});
+
+const advise = (fields, catalog) => adviseInletType(getAdvisorFacts(computed(fields), catalog));
+const withoutTypes = (...ids) => createDefaultCatalog().filter(entry => !ids.includes(entry.id));
+
+describe('getAdvisorFacts', () => {
+  it('works out the on-grade interception of each standard inlet', () => {
+    const facts = getAdvisorFacts(computed());
+    expect(Object.keys(facts.efficiencies)).toEqual(['CB-06', 'CB-07', 'CB-08']);
+    expect(facts.efficiencies['CB-08']).toBeGreaterThanOrEqual(facts.efficiencies['CB-07']);
+    expect(facts.debrisRisk).toBe('low');
+    expect(getAdvisorFacts(computed({ effectiveIsLowPoint: true })).efficiencies).toEqual({});
+  });
+
+  it('scores each entry of the project catalog by its own dimensions and local depression', () => {
+    const catalog = [
+      ...withoutTypes('CB-08'),
+      createCatalogEntry({ id: 'CB-06D', name: 'Depressed curb inlet', inletType: 'curb', curbOpeningLength: 5, curbOpeningHeight: 0.5, localDepression: 2, localDepressionWidth: 2 }),
+      createCatalogEntry({ id: 'BLANK' }),
+    ];
+    // Dimensions entered on the inlet belong to its own type and do not change the options
+    const facts = getAdvisorFacts(computed({ curbOpeningLength: 20 }), catalog);
+    expect(facts.options.map(option => option.id)).toEqual(['CB-06', 'CB-07', 'CB-06D', 'BLANK']);
+    expect(facts.options[2]).toEqual({ id: 'CB-06D', name: 'Depressed curb inlet', inletType: 'curb' });
+    expect(facts.efficiencies['CB-06']).toBe(getAdvisorFacts(computed()).efficiencies['CB-06']);
+    expect(facts.efficiencies['CB-06D']).toBeGreaterThan(facts.efficiencies['CB-06']);
+    expect(facts.efficiencies.BLANK).toBe(0);
+  });
+});
+
+describe('adviseInletType', () => {
+  it('puts a combination inlet in a sag whatever the other conditions', () => {
+    const advice = advise({ effectiveIsLowPoint: true, effectiveGutterGrade: 0, debrisRisk: 'high', bicycleTraffic: true });
+    expect(advice.structureType).toBe('CB-08');
+    expect(advice.rule.id).toBe('sag-combination');
+  });
+
+  it('prefers a curb opening where debris is heavy or bicycles use the gutter', () => {
+    expect(advise({ debrisRisk: 'high' }).rule.id).toBe('debris-curb-opening');
+    expect(advise({ bicycleTraffic: true })).toMatchObject({ structureType: 'CB-06', rule: { id: 'bicycle-curb-opening' } });
+    expect(advise({ debrisRisk: 'moderate', effectiveIsLowPoint: true }).notes).toEqual(['Debris risk is moderate; allow for grate clogging.']);
+  });
+
+  it('takes a curb opening when it is close to the best, else the more efficient grate types', () => {
+    // A small flow on a flat grade is all caught by a 5 ft curb opening
+    expect(advise({ qTotal: 0.1, effectiveGutterGrade: 0.3 }).rule.id).toBe('curb-opening-adequate');
+    // The standard CB-08 curb opening sits beside its grate, so on grade it adds nothing to the grate
+    const large = advise({ qTotal: 6, effectiveGutterGrade: 3 });
+    expect(large).toMatchObject({ structureType: 'CB-07', rule: { id: 'grate-frontal-flow' } });
+    expect(large.reason).toMatch(/^A grate intercepts 51% against 17% for a curb opening/);
+  });
+
+  it('chooses among the catalog entries only', () => {
+    // A 15 ft curb opening comes within the margin of the grate the standard inlets lose to
+    const longCurb = createCatalogEntry({ id: 'CO-15', inletType: 'curb', curbOpeningLength: 15, curbOpeningHeight: 0.5 });
+    expect(advise({ qTotal: 6, effectiveGutterGrade: 3 }, [...createDefaultCatalog(), longCurb]))
+      .toMatchObject({ structureType: 'CO-15', rule: { id: 'curb-opening-adequate' } });
+    // Types removed from the catalog are never suggested
+    expect(advise({ qTotal: 6, effectiveGutterGrade: 3 }, withoutTypes('CB-07'))).toMatchObject({
+      structureType: 'CB-08', rule: { id: 'combination-capacity' }, reason: 'A combination inlet intercepts 51%, against 17% for a curb opening.',
+    });
+    expect(advise({ effectiveIsLowPoint: true }, withoutTypes('CB-08')).structureType).toBe('CB-06');
+    expect(advise({ effectiveIsLowPoint: true, bicycleTraffic: true }, withoutTypes('CB-06', 'CB-08'))).toMatchObject({
+      structureType: 'CB-07', rule: { id: 'sag-grate' }, notes: ['Use a bicycle-safe grate (curved vane, tilt bar or reticuline).'],
+    });
+    expect(advise({ debrisRisk: 'high' }, withoutTypes('CB-06')).rule.id).not.toBe('debris-curb-opening');
+  });
+
+  it('notes spread already over the allowable and refuses unusable inputs', () => {
+    expect(advise({ widthOfFloodingOutput: 12 }).notes[0]).toMatch(/already exceeds the 10\.00 ft allowable/);
+    expect(() => advise({ qTotal: 0 })).toThrow(/Q Total must be positive/);
+    expect(() => advise({}, [])).toThrow('There is no curb opening, grate or combination inlet to suggest.');
+  });
+
+  it('always ends with a rule that applies', () => {
+    expect(ADVISOR_RULES.at(-1).applies({})).toBe(true);
+  });
+});
+
+describe('parseAdvice', () => {
+  it('accepts structured JSON from a provider and rejects other types', () => {
+    const options = ['CB-06', 'CB-07'];
+    expect(parseAdvice('{"structureType":"CB-07","reason":"Grates catch frontal flow.","rule":"frontal flow"}', options)).toEqual({
+      structureType: 'CB-07', reason: 'Grates catch frontal flow.', rule: { id: 'frontal flow', title: 'frontal flow' }, notes: [],
+    });
+    expect(() => parseAdvice({ structureType: 'CB-08' }, options)).toThrow('The advisor suggested "CB-08", which is not one of CB-06, CB-07.');
+    expect(() => parseAdvice('not json', options)).toThrow();
+  });
+
+  it('describes the inlet in the prompt for language-model providers', () => {
+    const prompt = buildAdvisorPrompt(getAdvisorFacts(computed({ bicycleTraffic: true })));
+    expect(prompt).toMatch(/Q Total 3\.000 cfs; on grade at 2\.00%/);
+    expect(prompt).toMatch(/bicycles use the gutter/);
+    expect(prompt).toContain('Options: CB-06 (Curb inlet, curb opening); CB-07 (Grate inlet, grate); CB-08 (Combination inlet, combination inlet).');
+    expect(prompt).toMatch(/Reply with JSON only/);
+  });
+});
@@ -0,0 +1,90 @@
+// Inlet structure catalog: the inlet types an inlet's Structure Type refers to, with the dimensions the
+// interception and sag calculations use. It starts from the LADOTD standard catch basins; manufacturer grates
+// and other structures are added per project, saved with it and exchanged as catalog JSON files.
+
+import { GRATE_TYPES, STANDARD_INLET_GEOMETRY } from './interception.js';
+import { DEFAULT_CLOGGING } from './sag.js';
+
+export const CATALOG_FILE_TYPE = 'inlet-structure-catalog';
+
+export const CATALOG_INLET_TYPES = { curb: 'Curb opening', grate: 'Grate', combination: 'Combination' };
+export const CATALOG_SOURCES = { ladotd: 'LADOTD standard', manufacturer: 'Manufacturer', custom: 'Custom' };
+
+// The Structure Type for an inlet with no catalog entry: its interception and sag capacity are entered by hand
+export const OTHER_STRUCTURE_TYPE = 'Other';
+
+const LADOTD_NAMES = { 'CB-06': 'Curb inlet', 'CB-07': 'Grate inlet', 'CB-08': 'Combination inlet' };
+
+// Lengths, widths and heights in ft; localDepression (in) is a depression at the inlet only, over
+// localDepressionWidth (ft) from the curb, added to the gutter's own depression. grateType is the bar
+// configuration (a GRATE_TYPES key). The clogging factors apply in a sag unless the inlet has its own.
+export const createCatalogEntry = (fields = {}) => ({
+  id: '', name: '', source: 'custom', manufacturer: '', inletType: 'grate',
+  curbOpeningLength: 0, curbOpeningHeight: 0, grateLength: 0, grateWidth: 0, grateType: '',
+  localDepression: 0, localDepressionWidth: 0,
+  grateClogging: DEFAULT_CLOGGING.grate, curbClogging: DEFAULT_CLOGGING.curb,
+  ...fields,
+});
+
+// The LADOTD standard catch basins with no local depression; enter one where the standard plan shows it
+export const createDefaultCatalog = () => Object.entries(STANDARD_INLET_GEOMETRY).map(([id, geometry]) => createCatalogEntry({
+  id, name: LADOTD_NAMES[id] || id, source: 'ladotd', ...geometry,
+}));
+
+export const DEFAULT_INLET_CATALOG = createDefaultCatalog();
+
+export const findCatalogEntry = (catalog, id) => (id ? (catalog || []).find(entry => entry.id === id) || null : null);
+
+// The Structure Type choices: every catalog entry, then Other
+export const getStructureTypes = (catalog) => [...(catalog || []).map(entry => entry.id).filter(Boolean), OTHER_STRUCTURE_TYPE];
+
+// An id for a new entry that no existing one has
+export const nextCatalogId = (catalog) => {
+  let n = catalog.length + 1;
+  while (catalog.some(entry => entry.id === `TYPE-${n}`)) n++;
+  return `TYPE-${n}`;
+};
+
+// What an entry is, for selects and reports, e.g. "CB-07 Grate inlet (LADOTD standard)"
+export const describeCatalogEntry = (entry) => {
+  const origin = entry.source === 'manufacturer' && entry.manufacturer ? entry.manufacturer : CATALOG_SOURCES[entry.source];
+  return [entry.id, entry.name].filter(Boolean).join(' ') + (origin ? ` (${origin})` : '');
+};
+
+export const serializeCatalog = (catalog) => JSON.stringify({ fileType: CATALOG_FILE_TYPE, entries: catalog }, null, 2);
+
+// Reads a catalog file ({ fileType, entries } or a bare array of entries). Entries without an id, with an
+// unknown inlet type or with a bar configuration not in GRATE_TYPES are refused.
+export const parseCatalog = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`The catalog file could not be read: ${error.message}`);
+  }
+  if (data && !Array.isArray(data) && data.fileType && data.fileType !== CATALOG_FILE_TYPE) throw new Error('This file is not an inlet structure catalog.');
+  const list = Array.isArray(data) ? data : data?.entries;
+  if (!Array.isArray(list) || list.length === 0) throw new Error('The catalog file has no entries.');
+  return list.map((item, i) => {
+    const entry = createCatalogEntry({ ...item, id: String(item?.id ?? '').trim() });
+    if (!entry.id) throw new Error(`Catalog entry ${i + 1} has no id.`);
+    if (entry.id === OTHER_STRUCTURE_TYPE) throw new Error(`"${OTHER_STRUCTURE_TYPE}" is reserved for inlets without a catalog entry.`);
+    if (!CATALOG_INLET_TYPES[entry.inletType]) throw new Error(`${entry.id}: inlet type "${entry.inletType}" is not one of ${Object.keys(CATALOG_INLET_TYPES).join(', ')}.`);
+    if (entry.grateType && !GRATE_TYPES[entry.grateType]) throw new Error(`${entry.id}: grate type "${entry.grateType}" is not one of ${Object.keys(GRATE_TYPES).join(', ')}.`);
+    return entry;
+  });
+};
+
+// Imported entries replace those with the same id and the rest are added at the end. Returns { catalog,
+// added, replaced } with the ids of each.
+export const mergeCatalog = (catalog, imported) => {
+  // A later entry with the same id wins within the file too
+  const byId = new Map(imported.map(entry => [entry.id, entry]));
+  const replaced = catalog.filter(entry => byId.has(entry.id)).map(entry => entry.id);
+  const added = [...byId.keys()].filter(id => !replaced.includes(id));
+  return {
+    catalog: [...catalog.map(entry => byId.get(entry.id) || entry), ...added.map(id => byId.get(id))],
+    added,
+    replaced,
+  };
+};
@@ -0,0 +1,56 @@
+import { describe, expect, it } from 'vitest';
+import {
+  CATALOG_FILE_TYPE, createCatalogEntry, createDefaultCatalog, describeCatalogEntry, findCatalogEntry, getStructureTypes, mergeCatalog, nextCatalogId, parseCatalog, serializeCatalog,
+} from './catalog.js';
+import { STANDARD_INLET_GEOMETRY } from './interception.js';
+import { DEFAULT_CLOGGING } from './sag.js';
+
+const grate = (fields) => createCatalogEntry({ id: 'NG-1', name: 'Neenah vane grate', source: 'manufacturer', manufacturer: 'Neenah', grateLength: 2.9, grateWidth: 1.9, grateType: 'Vane', ...fields });
+
+describe('createDefaultCatalog', () => {
+  it('starts from the LADOTD standard catch basins with the default clogging', () => {
+    const catalog = createDefaultCatalog();
+    expect(getStructureTypes(catalog)).toEqual(['CB-06', 'CB-07', 'CB-08', 'Other']);
+    expect(findCatalogEntry(catalog, 'CB-08')).toMatchObject({
+      ...STANDARD_INLET_GEOMETRY['CB-08'], source: 'ladotd', localDepression: 0, grateClogging: DEFAULT_CLOGGING.grate, curbClogging: DEFAULT_CLOGGING.curb,
+    });
+    expect(findCatalogEntry(catalog, 'Other')).toBeNull();
+    expect(describeCatalogEntry(catalog[1])).toBe('CB-07 Grate inlet (LADOTD standard)');
+    expect(describeCatalogEntry(grate())).toBe('NG-1 Neenah vane grate (Neenah)');
+  });
+
+  it('numbers new entries past the ids in use', () => {
+    expect(nextCatalogId([...createDefaultCatalog(), createCatalogEntry({ id: 'TYPE-4' })])).toBe('TYPE-5');
+  });
+});
+
+describe('parseCatalog', () => {
+  it('round-trips a serialized catalog and reads a bare array', () => {
+    const catalog = [...createDefaultCatalog(), grate()];
+    expect(JSON.parse(serializeCatalog(catalog)).fileType).toBe(CATALOG_FILE_TYPE);
+    expect(parseCatalog(serializeCatalog(catalog))).toEqual(catalog);
+    expect(parseCatalog(JSON.stringify([{ id: ' NG-2 ', inletType: 'curb', curbOpeningLength: 10 }]))[0]).toMatchObject({ id: 'NG-2', curbOpeningHeight: 0, source: 'custom' });
+  });
+
+  it('refuses files that are not catalogs and unusable entries', () => {
+    expect(() => parseCatalog('not json')).toThrow(/could not be read/);
+    expect(() => parseCatalog('{"fileType":"inlet-spacing-calculator-project"}')).toThrow('This file is not an inlet structure catalog.');
+    expect(() => parseCatalog('[]')).toThrow('The catalog file has no entries.');
+    expect(() => parseCatalog('[{"name":"No id"}]')).toThrow('Catalog entry 1 has no id.');
+    expect(() => parseCatalog('[{"id":"Other"}]')).toThrow(/reserved/);
+    expect(() => parseCatalog('[{"id":"X","inletType":"slot"}]')).toThrow('X: inlet type "slot" is not one of curb, grate, combination.');
+    expect(() => parseCatalog('[{"id":"X","grateType":"Diamond"}]')).toThrow(/X: grate type "Diamond"/);
+  });
+});
+
+describe('mergeCatalog', () => {
+  it('replaces entries with the same id and adds the rest', () => {
+    const imported = [grate(), createCatalogEntry({ ...STANDARD_INLET_GEOMETRY['CB-07'], id: 'CB-07', grateLength: 4 }), grate({ grateLength: 3.5 })];
+    const { catalog, added, replaced } = mergeCatalog(createDefaultCatalog(), imported);
+    expect(added).toEqual(['NG-1']);
+    expect(replaced).toEqual(['CB-07']);
+    expect(catalog.map(entry => entry.id)).toEqual(['CB-06', 'CB-07', 'CB-08', 'NG-1']);
+    expect(catalog[1].grateLength).toBe(4);
+    expect(catalog[3].grateLength).toBe(3.5);
+  });
+});
@@ -0,0 +1,64 @@
+// Allowable spread by roadway classification and design speed (after FHWA HEC-22, 3rd Ed., Table 3-1).
+// A spread rule is { lanes, extra }: allowable spread = shoulder width + lanes × lane width + extra (ft),
+// so "shoulder + 3 ft" is { lanes: 0, extra: 3 } and "1/2 driving lane" is { lanes: 0.5, extra: 0 }.
+
+export const ROADWAY_CLASSIFICATIONS = {
+  highVolume: 'High volume, divided or bidirectional',
+  collector: 'Collector',
+  local: 'Local street',
+};
+
+// Speeds at or above this (mph) use the high-speed row of a classification
+export const HIGH_SPEED_THRESHOLD = 45;
+
+// design: spread allowed in the design storm on grade and in sags; check: spread allowed in the check storm
+export const DEFAULT_SPREAD_CRITERIA = [
+  { classification: 'highVolume', highSpeed: false, design: { lanes: 0, extra: 3 }, check: { lanes: 0, extra: 3 } },
+  { classification: 'highVolume', highSpeed: true, design: { lanes: 0, extra: 0 }, check: { lanes: 0, extra: 3 } },
+  { classification: 'collector', highSpeed: false, design: { lanes: 0.5, extra: 0 }, check: { lanes: 0.5, extra: 0 } },
+  { classification: 'collector', highSpeed: true, design: { lanes: 0, extra: 0 }, check: { lanes: 0.5, extra: 0 } },
+  { classification: 'local', highSpeed: false, design: { lanes: 0.5, extra: 0 }, check: { lanes: 0.5, extra: 0 } },
+  { classification: 'local', highSpeed: true, design: { lanes: 0.5, extra: 0 }, check: { lanes: 0.5, extra: 0 } },
+];
+
+// Project roadway settings; segments override the classification and layout over a station range
+export const createRoadway = (fields = {}) => ({
+  classification: 'collector',
+  designSpeed: 40,
+  laneWidth: 12,
+  shoulderWidth: 0,
+  checkReturnPeriod: '50-Year',
+  segments: [],
+  criteria: DEFAULT_SPREAD_CRITERIA.map(row => ({ ...row, design: { ...row.design }, check: { ...row.check } })),
+  ...fields,
+});
+
+export const createRoadwaySegment = (fields = {}) => ({
+  startStation: '', endStation: '', classification: 'collector', designSpeed: 40, laneWidth: 12, shoulderWidth: 0, ...fields,
+});
+
+export const describeSpreadRule = ({ lanes, extra }) => {
+  const parts = ['Shoulder'];
+  if (lanes > 0) parts.push(lanes === 0.5 ? '1/2 lane' : `${lanes} lane${lanes === 1 ? '' : 's'}`);
+  if (extra > 0) parts.push(`${extra} ft`);
+  return parts.join(' + ');
+};
+
+// Classification and layout in effect at a station: the first segment containing it, else the project values
+export const getRoadwayAt = (roadway, station) => {
+  const at = parseFloat(station);
+  const segment = (roadway?.segments || []).find(s => at >= parseFloat(s.startStation) && at <= parseFloat(s.endStation));
+  return { ...roadway, ...(segment || {}), segment: segment || null };
+};
+
+// Allowable spread (ft) at a station for the 'design' or 'check' storm, or NaN when no criteria row applies
+export const getAllowableSpread = (roadway, station, storm = 'design') => {
+  if (!roadway) return NaN;
+  const at = getRoadwayAt(roadway, station);
+  const highSpeed = parseFloat(at.designSpeed) >= HIGH_SPEED_THRESHOLD;
+  const row = (roadway.criteria || DEFAULT_SPREAD_CRITERIA).find(r => r.classification === at.classification && r.highSpeed === highSpeed);
+  if (!row) return NaN;
+  const rule = row[storm];
+  const value = (parseFloat(at.shoulderWidth) || 0) + (parseFloat(rule.lanes) || 0) * (parseFloat(at.laneWidth) || 0) + (parseFloat(rule.extra) || 0);
+  return value > 0 ? value : NaN;
+};
@@ -0,0 +1,42 @@
+import { describe, expect, it } from 'vitest';
+import { createRoadway, createRoadwaySegment, describeSpreadRule, getAllowableSpread, getRoadwayAt } from './criteria.js';
+
+describe('getAllowableSpread', () => {
+  it('allows the shoulder plus half a lane on a low-speed collector', () => {
+    const roadway = createRoadway({ shoulderWidth: 4 });
+    expect(getAllowableSpread(roadway, 100)).toBe(10);
+    expect(getAllowableSpread(roadway, 100, 'check')).toBe(10);
+  });
+
+  it('limits high-speed roads to the shoulder in the design storm', () => {
+    const roadway = createRoadway({ classification: 'highVolume', designSpeed: 55, shoulderWidth: 10 });
+    expect(getAllowableSpread(roadway, 100)).toBe(10);
+    expect(getAllowableSpread(roadway, 100, 'check')).toBe(13);
+  });
+
+  it('uses the station range that contains the station', () => {
+    const roadway = createRoadway({
+      shoulderWidth: 4,
+      segments: [createRoadwaySegment({ startStation: 1000, endStation: 2000, classification: 'highVolume', designSpeed: 30, shoulderWidth: 8 })],
+    });
+    expect(getRoadwayAt(roadway, 1500).segment).toBe(roadway.segments[0]);
+    expect(getAllowableSpread(roadway, 1500)).toBe(11);
+    expect(getAllowableSpread(roadway, 2500)).toBe(10);
+  });
+
+  it('reads edited criteria and returns NaN when nothing is allowed', () => {
+    const roadway = createRoadway();
+    roadway.criteria[2].design = { lanes: 1, extra: 2 };
+    expect(getAllowableSpread(roadway, 0)).toBe(14);
+    expect(getAllowableSpread(createRoadway({ designSpeed: 50 }), 0)).toBeNaN();
+    expect(getAllowableSpread(null, 0)).toBeNaN();
+  });
+});
+
+describe('describeSpreadRule', () => {
+  it('reads a rule as shoulder plus lanes and feet', () => {
+    expect(describeSpreadRule({ lanes: 0, extra: 3 })).toBe('Shoulder + 3 ft');
+    expect(describeSpreadRule({ lanes: 0.5, extra: 0 })).toBe('Shoulder + 1/2 lane');
+    expect(describeSpreadRule({ lanes: 0, extra: 0 })).toBe('Shoulder');
+  });
+});
@@ -0,0 +1,83 @@
+// Vertical curve design checks (AASHTO Green Book, 7th Ed., Section 3.4.6): K values, stopping sight distance
+// on crests, headlight sight distance on sags, the K = 167 drainage limit on curbed roads and the flat zone
+// around the low or high point where the curve grade is too flat to drain the gutter.
+
+import { getRoadwayAt } from './criteria.js';
+import { MIN_GUTTER_GRADE } from './gutter.js';
+
+// Above this K (ft/%) the middle of a curve on a curbed road is too flat to drain (AASHTO)
+export const MAX_DRAINAGE_K = 167;
+
+// Brake reaction time (s) and deceleration rate (ft/s²) for stopping sight distance
+const BRAKE_REACTION_TIME = 2.5;
+const DECELERATION = 11.2;
+
+// Stopping sight distance (ft) for a design speed (mph) on level grade, rounded up to 5 ft as in AASHTO Table 3-1
+export const getStoppingSightDistance = (designSpeed) => {
+  const v = parseFloat(designSpeed);
+  if (!(v > 0)) return NaN;
+  const distance = 1.47 * v * BRAKE_REACTION_TIME + 1.075 * v * v / DECELERATION;
+  return Math.ceil(distance / 5 - 1e-9) * 5;
+};
+
+// Minimum curve length (ft) for sight distance S over a curve with algebraic grade difference A (%).
+// Crest: eye 3.5 ft, object 2.0 ft (AASHTO Eqs. 3-41, 3-42). Sag: headlights 2.0 ft high with a 1° upward
+// beam (Eqs. 3-47, 3-48). The S < L form applies when its length is at least S, otherwise the S > L form.
+export const getRequiredCurveLength = (type, A, S) => {
+  const a = Math.abs(A);
+  if (!(a > 0) || !(S > 0)) return 0;
+  const divisor = type === 'Crest' ? 2158 : 400 + 3.5 * S;
+  const longCurve = a * S * S / divisor;
+  if (longCurve >= S) return longCurve;
+  return Math.max(2 * S - divisor / a, 0);
+};
+
+// Stations on the curve where the grade is flatter than flatGrade (%), or null. The grade changes linearly along
+// the curve, so around a low or high point the flat zone reaches flatGrade × K each way.
+const getFlatZone = (pvi, flatGrade) => {
+  const { L_curve: L, A_percent: A, g_in_percent: gIn, BVC_station: bvc } = pvi;
+  if (!(L > 0) || A === 0) return null;
+  const [x1, x2] = [(-flatGrade - gIn) * L / A, (flatGrade - gIn) * L / A].sort((a, b) => a - b);
+  const start = Math.max(x1, 0);
+  const end = Math.min(x2, L);
+  if (end <= start) return null;
+  return { startStation: bvc + start, endStation: bvc + end, length: end - start };
+};
+
+// One row per PVI: { index, station, type, A, L, K, designSpeed, sightDistanceType, sightDistance,
+// requiredLength, requiredK, sightDistancePasses, exceedsDrainageK, flatZone, lowHighPoint }.
+// The design speed is the roadway's at the PVI station, so station ranges with their own speed are honoured.
+export const reviewVerticalCurves = (profileModel, { roadway = null, flatGrade = MIN_GUTTER_GRADE } = {}) => (
+  profileModel.pviDetails.map((pvi, index) => {
+    const A = pvi.A_percent;
+    const L = pvi.L_curve;
+    let type = 'None';
+    if (A > 0) type = 'Sag';
+    else if (A < 0) type = 'Crest';
+    const K = L > 0 && A !== 0 ? L / Math.abs(A) : NaN;
+
+    const designSpeed = roadway ? parseFloat(getRoadwayAt(roadway, pvi.PVI_station).designSpeed) : NaN;
+    const sightDistance = type === 'None' ? NaN : getStoppingSightDistance(designSpeed);
+    const requiredLength = Number.isFinite(sightDistance) ? getRequiredCurveLength(type, A, sightDistance) : NaN;
+    let requiredK = NaN;
+    if (Number.isFinite(sightDistance)) requiredK = type === 'Crest' ? sightDistance ** 2 / 2158 : sightDistance ** 2 / (400 + 3.5 * sightDistance);
+
+    return {
+      index,
+      station: pvi.PVI_station,
+      type,
+      A,
+      L,
+      K,
+      designSpeed,
+      sightDistanceType: { Crest: 'Stopping', Sag: 'Headlight' }[type] || '',
+      sightDistance,
+      requiredLength,
+      requiredK,
+      sightDistancePasses: Number.isFinite(requiredLength) ? L >= requiredLength - 1e-6 : null,
+      exceedsDrainageK: type === 'Sag' && K > MAX_DRAINAGE_K,
+      flatZone: getFlatZone(pvi, flatGrade),
+      lowHighPoint: pvi.lowHighPoint,
+    };
+  })
+);
@@ -0,0 +1,56 @@
+import { describe, expect, it } from 'vitest';
+import { createRoadway, createRoadwaySegment } from './criteria.js';
+import { getRequiredCurveLength, getStoppingSightDistance, reviewVerticalCurves } from './curves.js';
+import { createProfileModel } from './profile.js';
+
+describe('getStoppingSightDistance', () => {
+  it('matches the AASHTO design values', () => {
+    expect([30, 40, 50, 60, 70].map(getStoppingSightDistance)).toEqual([200, 305, 425, 570, 730]);
+    expect(getStoppingSightDistance('')).toBeNaN();
+  });
+});
+
+describe('getRequiredCurveLength', () => {
+  it('uses the S < L form when the curve is longer than the sight distance', () => {
+    // Crest, A = 4%, S = 305 ft: L = 4 × 305² / 2158 = 172.4 < S, so L = 2 × 305 − 2158 / 4 = 70.5
+    expect(getRequiredCurveLength('Crest', -4, 305)).toBeCloseTo(70.5, 6);
+    // Crest, A = 8%: L = 8 × 305² / 2158 = 344.9 ≥ S
+    expect(getRequiredCurveLength('Crest', -8, 305)).toBeCloseTo(8 * 305 * 305 / 2158, 6);
+    // Sag, A = 6%, S = 570 ft: L = 6 × 570² / (400 + 3.5 × 570) = 813.5
+    expect(getRequiredCurveLength('Sag', 6, 570)).toBeCloseTo(6 * 570 * 570 / 2395, 6);
+  });
+
+  it('needs no curve for a small grade change', () => {
+    expect(getRequiredCurveLength('Sag', 0.5, 305)).toBe(0);
+    expect(getRequiredCurveLength('Crest', 0, 305)).toBe(0);
+  });
+});
+
+describe('reviewVerticalCurves', () => {
+  const profile = {
+    beginningGrade: -2, endingGrade: -1.5,
+    pvis: [{ station: 1000, elevation: 100, length: 300 }, { station: 2000, elevation: 110, length: 200 }],
+  };
+
+  it('reports K, the sight distance check and the flat zone for each PVI', () => {
+    const [sag, crest] = reviewVerticalCurves(createProfileModel(profile), { roadway: createRoadway({ designSpeed: 40 }) });
+    expect(sag).toMatchObject({ type: 'Sag', A: 3, L: 300, K: 100, sightDistanceType: 'Headlight', sightDistance: 305, sightDistancePasses: true, exceedsDrainageK: false });
+    // Low point 200 ft past the BVC; grades under 0.3% within 0.3 K = 30 ft of it
+    expect(sag.flatZone.startStation).toBeCloseTo(1020, 6);
+    expect(sag.flatZone.endStation).toBeCloseTo(1080, 6);
+    expect(crest).toMatchObject({ type: 'Crest', A: -2.5, K: 80, sightDistanceType: 'Stopping' });
+    // 2 × 305 − 2158 / 2.5 is negative: no curve is needed at 40 mph
+    expect(crest.requiredLength).toBe(0);
+    expect(crest.sightDistancePasses).toBe(true);
+  });
+
+  it('takes the design speed from the roadway station range at the PVI', () => {
+    const roadway = createRoadway({ designSpeed: 30, segments: [createRoadwaySegment({ startStation: 1500, endStation: 2500, designSpeed: 70 })] });
+    const [sag, crest] = reviewVerticalCurves(createProfileModel(profile), { roadway });
+    expect([sag.designSpeed, crest.designSpeed]).toEqual([30, 70]);
+    // S = 730 ft: L = 2 × 730 − 2158 / 2.5 = 596.8 ft against the 200 ft curve
+    expect(crest.requiredLength).toBeCloseTo(596.8, 6);
+    expect(crest.sightDistancePasses).toBe(false);
+    expect(reviewVerticalCurves(createProfileModel(profile))[0].sightDistancePasses).toBeNull();
+  });
+});
@@ -0,0 +1,191 @@
+// Headless calculation engine: computes every inlet and profile result for a project in one pass.
+// Used by the app and by the command-line tool; nothing here depends on React or the browser.
+
+import { DEFAULT_INLET_CATALOG, findCatalogEntry } from './catalog.js';
+import { getAllowableSpread } from './criteria.js';
+import { calculateTC, calculateIntensity, calculateQ } from './hydraulics.js';
+import { addLocalDepression, getGutterSection, solveGutterFlow } from './gutter.js';
+import { calculateOnGradeInterception } from './interception.js';
+import { computeNetwork } from './network.js';
+import { createProfileModel, getInletProfileStatus } from './profile.js';
+import { BUILT_IN_RAINFALL } from './rainfall.js';
+import { getInletDrainage } from './runoff.js';
+import { routeBypass, accumulateBypass, getUpstreamTc } from './routing.js';
+import { DEFAULT_CLOGGING, DEFAULT_GRATE_OPEN_AREA_RATIO, analyzeSagInlet, recommendFlankingInlets } from './sag.js';
+
+const pick = (value, fallback) => (value === '' || value === undefined || value === null || isNaN(parseFloat(value)) ? fallback : parseFloat(value));
+
+// The catalog entry's geometry for the structure type, with any per-inlet dimensions and clogging factors
+// taking precedence; null for Other and for types not in the catalog
+export const getInletGeometry = (inlet, catalog = DEFAULT_INLET_CATALOG) => {
+  const entry = findCatalogEntry(catalog, inlet.structureType);
+  if (!entry) return null;
+  return {
+    inletType: entry.inletType,
+    curbOpeningLength: pick(inlet.curbOpeningLength, pick(entry.curbOpeningLength, 0)),
+    curbOpeningHeight: pick(inlet.curbOpeningHeight, pick(entry.curbOpeningHeight, 0)),
+    grateLength: pick(inlet.grateLength, pick(entry.grateLength, 0)),
+    grateWidth: pick(inlet.grateWidth, pick(entry.grateWidth, 0)),
+    grateType: inlet.grateType || entry.grateType,
+    grateClogging: pick(inlet.grateClogging, pick(entry.grateClogging, DEFAULT_CLOGGING.grate)),
+    curbClogging: pick(inlet.curbClogging, pick(entry.curbClogging, DEFAULT_CLOGGING.curb)),
+    localDepression: pick(entry.localDepression, 0),
+    localDepressionWidth: pick(entry.localDepressionWidth, 0),
+  };
+};
+
+// One inlet for a known incoming bypass and upstream tc. Returns the calculated fields stored on the
+// inlet record plus the intermediate results (details) the input form displays. criteriaSpread is the
+// allowable spread from the roadway criteria, used unless the inlet has its own. runoff holds the land-use
+// table for sub-areas and whether the frequency factor applies. intensityFactor scales the IDF intensity for
+// what-if runs. catalog is the inlet structure catalog the structure type is looked up in.
+export const computeInlet = (inlet, { profileModel, rainfallRegion, returnPeriod, rainfallData, incomingBypassQ = 0, upstreamTc = null, criteriaSpread = NaN, runoff = null, intensityFactor = 1, catalog = DEFAULT_INLET_CATALOG }) => {
+  const { profileAtStation, gutterGrade: effectiveGutterGrade, isLowPoint: effectiveIsLowPoint } = getInletProfileStatus(inlet, profileModel);
+  const drainage = getInletDrainage(inlet, { runoff, returnPeriod });
+
+  // Design tc is the longer of the local overland tc and the upstream tc carried in with the bypass
+  const localTc = calculateTC(parseFloat(inlet.longestFlowPath), drainage.weightedC, parseFloat(inlet.slopeOfFlowPath));
+  const upstreamControls = Boolean(upstreamTc) && upstreamTc.tc > localTc;
+  const tc = upstreamControls ? upstreamTc.tc : localTc;
+  const travelTime = upstreamControls ? upstreamTc.travelTime : 0;
+  const tcControl = upstreamControls ? upstreamTc.label : 'Local';
+  const intensity = calculateIntensity(tc, rainfallRegion, returnPeriod, rainfallData) * intensityFactor;
+  const qEnteringFromArea = calculateQ(intensity, drainage.adjustedSumAC);
+  const qTotal = qEnteringFromArea + incomingBypassQ;
+
+  const enteredSpread = parseFloat(inlet.allowableSpread);
+  const allowableSpreadUsed = enteredSpread > 0 ? enteredSpread : criteriaSpread;
+  let spreadSource = '';
+  if (enteredSpread > 0) spreadSource = 'Inlet';
+  else if (criteriaSpread > 0) spreadSource = 'Criteria';
+
+  const gutterSection = getGutterSection(inlet);
+  const gutterFlow = effectiveIsLowPoint ? solveGutterFlow(0, 0, gutterSection) : solveGutterFlow(qTotal, effectiveGutterGrade, gutterSection);
+  const geometry = getInletGeometry(inlet, catalog);
+  // Interception and sag capacity are worked out in the section at the inlet, with any local depression
+  const inletSection = geometry ? addLocalDepression(gutterSection, geometry.localDepression, geometry.localDepressionWidth) : gutterSection;
+
+  const interception = geometry && !effectiveIsLowPoint
+    ? calculateOnGradeInterception({
+      ...geometry,
+      q: qTotal,
+      longitudinalSlopePercent: effectiveGutterGrade,
+      gutterForQ: (q) => solveGutterFlow(q, effectiveGutterGrade, inletSection),
+    })
+    : null;
+  const interceptionIsManual = !geometry || Boolean(inlet.interceptionRatioOverride);
+  const interceptionRatioUsed = interceptionIsManual ? (parseFloat(inlet.interceptionRatio) || 0) : (interception ? interception.efficiency : 0);
+
+  // Sag inlets pond until weir/orifice capacity matches the incoming flow
+  const sagIsManual = !geometry || Boolean(inlet.sagCapacityOverride);
+  const sagAnalysis = geometry && effectiveIsLowPoint
+    ? analyzeSagInlet({
+      ...geometry,
+      grateOpenAreaRatio: DEFAULT_GRATE_OPEN_AREA_RATIO,
+      gutterDepression: inletSection.depression,
+      gutterWidth: inletSection.isComposite ? inletSection.gutterWidth : 0,
+      q: qTotal,
+      crossSlope: inletSection.crossSlope,
+      allowableDepth: parseFloat(inlet.allowableDepth),
+      allowableSpread: allowableSpreadUsed,
+    })
+    : null;
+
+  const lowPoint = profileAtStation?.nearestLowPoint;
+  const flanking = effectiveIsLowPoint && lowPoint ? recommendFlankingInlets(profileModel, lowPoint.station, parseFloat(inlet.flankingDepth) || 0.2) : null;
+
+  let qi;
+  if (effectiveIsLowPoint) qi = sagIsManual ? (parseFloat(inlet.manualQi) || 0) : qTotal;
+  else qi = qTotal * interceptionRatioUsed;
+  const qBypass = qTotal - qi;
+
+  let widthOfFloodingOutput;
+  if (!effectiveIsLowPoint) widthOfFloodingOutput = gutterFlow.spread;
+  else widthOfFloodingOutput = sagIsManual ? (parseFloat(inlet.manualWidthOfFlooding) || 0) : (sagAnalysis ? sagAnalysis.spread : 0);
+
+  const sagDepth = !sagIsManual && sagAnalysis ? sagAnalysis.depth : 0;
+  const sagControl = !sagIsManual && sagAnalysis ? sagAnalysis.control : '';
+  const hasSagCriteria = (inlet.allowableDepth ?? '') !== '' || allowableSpreadUsed > 0;
+  const sagPasses = !sagIsManual && sagAnalysis && hasSagCriteria ? sagAnalysis.passes : null;
+  const spreadPasses = allowableSpreadUsed > 0 ? widthOfFloodingOutput <= allowableSpreadUsed : null;
+
+  return {
+    calculated: {
+      effectiveGutterGrade, effectiveIsLowPoint, interceptionRatioUsed, interceptionIsManual,
+      drainageSource: drainage.source, totalArea: drainage.totalArea, countedArea: drainage.countedArea, sumAC: drainage.sumAC, weightedC: drainage.weightedC,
+      frequencyFactor: drainage.frequencyFactor, adjustedSumAC: drainage.adjustedSumAC,
+      sagDepth, sagControl, sagPasses, sagIsManual,
+      gutterDepth: effectiveIsLowPoint ? sagDepth + inletSection.depression : gutterFlow.depth,
+      gutterVelocity: gutterFlow.velocity,
+      frontalFlowRatio: gutterFlow.eo,
+      localTc, travelTime, tcControl, tc, intensity, qEnteringFromArea, qTotal, qi, qBypass, widthOfFloodingOutput,
+      allowableSpreadUsed: allowableSpreadUsed > 0 ? allowableSpreadUsed : NaN, spreadSource, spreadPasses,
+    },
+    details: { drainage, profileAtStation, gutterSection, inletSection, gutterFlow, geometry, interception, sagAnalysis, flanking, incomingBypassQ, upstreamTc, upstreamControls },
+  };
+};
+
+const getCriteriaSpread = (roadway, station, spreadCriteria) => {
+  if (typeof spreadCriteria === 'number') return spreadCriteria > 0 ? spreadCriteria : NaN;
+  return spreadCriteria === 'design' || spreadCriteria === 'check' ? getAllowableSpread(roadway, station, spreadCriteria) : NaN;
+};
+
+// Computes a whole project: { profile, inlets, rainfall: { region, returnPeriod, datasets }, roadway, runoff,
+// network, catalog }; without a catalog the LADOTD standard inlets are used. Inlets are solved upstream first
+// along the bypass routes so each one sees its incoming bypass and tc. A prebuilt profileModel may be passed
+// when the caller already has one for the same profile. storm 'check' runs the roadway's check storm return
+// period against the check spread criteria; any other storm (a scenario) runs project.rainfall as given.
+// spreadCriteria overrides the allowable spread: 'design' or 'check' roadway criteria, a width (ft) for every
+// inlet, or 'none'. intensityFactor scales the inlet intensities for what-if runs. The trunk line is sized in
+// the design storm only, so network is null in other runs and when there are no pipes.
+export const computeProject = (project, { rainfallData: rainfallDataOption, profileModel: profileModelOption, storm = 'design', spreadCriteria = storm, intensityFactor = 1 } = {}) => {
+  const profileModel = profileModelOption || createProfileModel(project.profile);
+  const roadway = project.roadway || null;
+  const rainfall = storm === 'check' ? { ...project.rainfall, returnPeriod: roadway?.checkReturnPeriod } : (project.rainfall || {});
+  const rainfallData = rainfallDataOption || { ...BUILT_IN_RAINFALL, ...rainfall.datasets };
+  const inputs = project.inlets || [];
+  const routing = routeBypass(inputs, profileModel);
+  const sources = inputs.map(() => []);
+  routing.routes.forEach((route, index) => {
+    if (route.targetIndex !== null) sources[route.targetIndex].push(index);
+  });
+
+  const inlets = [...inputs];
+  const details = inputs.map(() => null);
+  routing.order.forEach(index => {
+    const incomingBypassQ = sources[index].reduce((sum, from) => sum + inlets[from].qBypass, 0);
+    const upstreamTc = getUpstreamTc(sources[index], index, inlets);
+    const result = computeInlet(inputs[index], {
+      profileModel, rainfallRegion: rainfall.region, returnPeriod: rainfall.returnPeriod, rainfallData, incomingBypassQ,
+      upstreamTc: upstreamTc && { ...upstreamTc, label: inputs[upstreamTc.fromIndex].strId || `Inlet ${upstreamTc.fromIndex + 1}` },
+      criteriaSpread: getCriteriaSpread(roadway, inputs[index].station, spreadCriteria),
+      runoff: project.runoff || null,
+      intensityFactor,
+      catalog: project.catalog || DEFAULT_INLET_CATALOG,
+    });
+    inlets[index] = { ...inputs[index], ...result.calculated };
+    details[index] = result.details;
+  });
+
+  const network = storm === 'design' && project.network?.pipes?.length
+    ? computeNetwork(project.network, { inlets, profileModel, rainfall: { region: rainfall.region, returnPeriod: rainfall.returnPeriod, rainfallData } })
+    : null;
+
+  return {
+    profileModel,
+    inlets,
+    details,
+    routing,
+    bypass: accumulateBypass(routing.routes, inlets.map(inlet => inlet.qBypass)),
+    network,
+    rainfall: { region: rainfall.region, returnPeriod: rainfall.returnPeriod, source: rainfallData[rainfall.region]?.source || '', storm },
+  };
+};
+
+// The check storm run, or null when the project has no check storm or the rainfall data lacks that return period
+export const computeCheckStorm = (project, options = {}) => {
+  const period = project.roadway?.checkReturnPeriod;
+  const rainfallData = options.rainfallData || { ...BUILT_IN_RAINFALL, ...project.rainfall?.datasets };
+  if (!period || !rainfallData[project.rainfall?.region]?.returnPeriods?.[period]) return null;
+  return computeProject(project, { ...options, rainfallData, storm: 'check' });
+};
@@ -0,0 +1,140 @@
+import { describe, expect, it } from 'vitest';
+import { createSampleProject } from '../project.js';
+import { createCatalogEntry, createDefaultCatalog } from './catalog.js';
+import { createRoadway } from './criteria.js';
+import { computeCheckStorm, computeProject } from './engine.js';
+import { calculateTC } from './hydraulics.js';
+import { createRunoffSettings, createSubArea } from './runoff.js';
+import { curbInlet, uniformGradeProject } from './testProjects.js';
+
+describe('computeProject', () => {
+  it('runs a curb inlet on grade through tc, I, Q, spread and interception', () => {
+    const { inlets } = computeProject(uniformGradeProject(-2, {
+      inlets: [curbInlet('A', 1500, { longestFlowPath: 300, crossSlope: 0.02, manningsN: 0.016 })],
+    }));
+    const [inlet] = inlets;
+    // tc = 7.405 min (LADOTD), I = 4.016 (7.405/60 + 0.347)^-0.826
+    expect(inlet.tc).toBeCloseTo(7.405, 3);
+    const intensity = 4.016 * Math.pow(inlet.tc / 60 + 0.347, -0.826);
+    expect(inlet.intensity).toBeCloseTo(intensity, 6);
+    expect(inlet.qTotal).toBeCloseTo(intensity * 0.5, 6);
+    // Uniform gutter, HEC-22 Eq. 4-2 solved for T
+    const spread = Math.pow(inlet.qTotal * 0.016 / (0.56 * Math.pow(0.02, 5 / 3) * Math.sqrt(0.02)), 3 / 8);
+    expect(inlet.widthOfFloodingOutput).toBeCloseTo(spread, 4);
+    // CB-06 is a 5 ft curb opening: LT from Eq. 4-22, E from Eq. 4-24
+    const lt = 0.6 * Math.pow(inlet.qTotal, 0.42) * Math.pow(0.02, 0.3) * Math.pow(1 / (0.016 * 0.02), 0.6);
+    expect(inlet.interceptionRatioUsed).toBeCloseTo(1 - Math.pow(1 - 5 / lt, 1.8), 6);
+    expect(inlet.qi + inlet.qBypass).toBeCloseTo(inlet.qTotal, 9);
+  });
+
+  it('takes ΣAC and the tc coefficient from sub-areas and applies Cf to the peak flow', () => {
+    const subAreas = [createSubArea({ landUse: 'pavement', area: 0.4 }), createSubArea({ landUse: 'grass-flat', area: 0.1 })];
+    const inputs = [curbInlet('A', 1500, { areaEnteringInlet: '', subAreas, longestFlowPath: 300 })];
+    const design = computeProject(uniformGradeProject(-2, { inlets: inputs, runoff: createRunoffSettings() })).inlets[0];
+    expect(design).toMatchObject({ drainageSource: 'Sub-areas', frequencyFactor: 1 });
+    expect(design.sumAC).toBeCloseTo(0.38, 9);
+    expect(design.localTc).toBeCloseTo(calculateTC(300, 0.76, 1), 9);
+    expect(design.qEnteringFromArea).toBeCloseTo(design.intensity * 0.38, 9);
+    const rare = computeProject(uniformGradeProject(-2, { inlets: inputs, runoff: createRunoffSettings(), rainfall: { region: 'Region 1', returnPeriod: '100-Year' } })).inlets[0];
+    expect(rare.frequencyFactor).toBe(1.25);
+    expect(rare.qEnteringFromArea).toBeCloseTo(rare.intensity * (0.4 + 0.1 * 0.25), 9);
+  });
+
+  it('carries bypass and upstream tc into the next inlet', () => {
+    const inputs = [
+      curbInlet('A', 1100, { longestFlowPath: 600, slopeOfFlowPath: 0.5 }),
+      curbInlet('B', 1400, { areaEnteringInlet: 0.05, longestFlowPath: 50, slopeOfFlowPath: 2 }),
+    ];
+    const { inlets, bypass } = computeProject(uniformGradeProject(-2, { inlets: inputs }));
+    expect(bypass.incoming).toEqual([0, inlets[0].qBypass]);
+    expect(inlets[1].tcControl).toBe('A');
+    expect(inlets[1].tc).toBeCloseTo(inlets[0].tc + inlets[1].travelTime, 9);
+    expect(inlets[1].qTotal).toBeCloseTo(inlets[1].qEnteringFromArea + inlets[0].qBypass, 9);
+  });
+
+  it('keeps the sample project results', () => {
+    const { inlets, routing } = computeProject(createSampleProject());
+    expect(inlets[0]).toMatchObject({ effectiveIsLowPoint: false, tcControl: 'Local' });
+    expect(inlets[0].tc).toBeCloseTo(5.62, 2);
+    expect(inlets[0].qTotal).toBeCloseTo(1.502, 3);
+    expect(inlets[0].qi).toBeCloseTo(0.727, 3);
+    expect(inlets[0].qBypass).toBeCloseTo(0.775, 3);
+    expect(routing.routes[0].targetIndex).toBe(1);
+    expect(inlets[1]).toMatchObject({ effectiveIsLowPoint: true, tcControl: 'INLET-1', qBypass: 0 });
+    expect(inlets[1].qTotal).toBeCloseTo(2.236, 3);
+  });
+
+  it('bypasses everything on a zero grade instead of failing', () => {
+    const { inlets, routing } = computeProject(uniformGradeProject(0, { inlets: [curbInlet('A', 1500, { longestFlowPath: 300 })] }));
+    expect(inlets[0].qi).toBe(0);
+    expect(inlets[0].qBypass).toBeCloseTo(inlets[0].qTotal, 9);
+    expect(inlets[0].widthOfFloodingOutput).toBe(0);
+    expect(routing.routes[0].terminal.type).toBe('flat');
+  });
+
+  it('checks spread against the roadway criteria unless the inlet has its own allowable', () => {
+    const inlet = curbInlet('A', 1500, { longestFlowPath: 300 });
+    const roadway = createRoadway({ shoulderWidth: 0, laneWidth: 12 });
+    const [byCriteria] = computeProject(uniformGradeProject(-2, { inlets: [inlet], roadway })).inlets;
+    expect(byCriteria).toMatchObject({ allowableSpreadUsed: 6, spreadSource: 'Criteria' });
+    expect(byCriteria.spreadPasses).toBe(byCriteria.widthOfFloodingOutput <= 6);
+    const [byInlet] = computeProject(uniformGradeProject(-2, { inlets: [{ ...inlet, allowableSpread: 1 }], roadway })).inlets;
+    expect(byInlet).toMatchObject({ allowableSpreadUsed: 1, spreadSource: 'Inlet', spreadPasses: false });
+    const [unchecked] = computeProject(uniformGradeProject(-2, { inlets: [inlet] })).inlets;
+    expect(unchecked).toMatchObject({ spreadSource: '', spreadPasses: null });
+  });
+});
+
+describe('inlet structure catalog', () => {
+  const inlet = (fields) => curbInlet('A', 1500, { longestFlowPath: 300, crossSlope: 0.02, ...fields });
+
+  it('uses the dimensions of the catalog entry the structure type names', () => {
+    const catalog = [...createDefaultCatalog(), createCatalogEntry({ id: 'CURB-10', inletType: 'curb', curbOpeningLength: 10, curbOpeningHeight: 0.5 })];
+    const [standard, long, unknown] = computeProject(uniformGradeProject(-2, {
+      inlets: [inlet({ structureType: 'CB-06' }), inlet({ structureType: 'CURB-10' }), inlet({ structureType: 'CURB-12', interceptionRatio: 0.4 })],
+      catalog,
+    })).inlets;
+    expect(long.interceptionRatioUsed).toBeGreaterThan(standard.interceptionRatioUsed);
+    expect(unknown).toMatchObject({ interceptionIsManual: true, interceptionRatioUsed: 0.4 });
+    // Per-inlet dimensions still take precedence
+    const [override] = computeProject(uniformGradeProject(-2, { inlets: [inlet({ structureType: 'CURB-10', curbOpeningLength: 5 })], catalog })).inlets;
+    expect(override.interceptionRatioUsed).toBeCloseTo(standard.interceptionRatioUsed, 9);
+  });
+
+  it('adds a local depression at the inlet without changing the approach spread', () => {
+    const catalog = [createCatalogEntry({ id: 'CURB-D', inletType: 'curb', curbOpeningLength: 5, curbOpeningHeight: 0.5, localDepression: 2, localDepressionWidth: 2 })];
+    const plain = computeProject(uniformGradeProject(-2, { inlets: [inlet({ structureType: 'CB-06' })] }));
+    const depressed = computeProject(uniformGradeProject(-2, { inlets: [inlet({ structureType: 'CURB-D' })], catalog }));
+    expect(depressed.inlets[0].widthOfFloodingOutput).toBeCloseTo(plain.inlets[0].widthOfFloodingOutput, 9);
+    expect(depressed.inlets[0].interceptionRatioUsed).toBeGreaterThan(plain.inlets[0].interceptionRatioUsed);
+    expect(depressed.details[0].inletSection).toMatchObject({ gutterWidth: 2, isComposite: true });
+    expect(depressed.details[0].inletSection.depression).toBeCloseTo(2 / 12, 9);
+  });
+
+  it('takes sag clogging from the catalog unless the inlet has its own', () => {
+    const sag = { beginningGrade: -2, endingGrade: 2, pvis: [{ station: 1500, elevation: 100, length: 200 }] };
+    const catalog = [createCatalogEntry({ ...createDefaultCatalog()[1], grateClogging: 0.2 })];
+    const run = (fields) => computeProject(uniformGradeProject(-2, { profile: sag, inlets: [inlet({ structureType: 'CB-07', ...fields })], catalog })).inlets[0];
+    const clean = run();
+    expect(clean.effectiveIsLowPoint).toBe(true);
+    expect(clean.sagDepth).toBeLessThan(run({ grateClogging: 0.5 }).sagDepth);
+  });
+});
+
+describe('computeCheckStorm', () => {
+  it('reruns the project in the check storm return period', () => {
+    const sample = createSampleProject();
+    const design = computeProject(sample);
+    const check = computeCheckStorm(sample);
+    expect(check.rainfall).toMatchObject({ returnPeriod: '50-Year', storm: 'check' });
+    check.inlets.forEach((inlet, i) => {
+      expect(inlet.intensity).toBeGreaterThan(design.inlets[i].intensity);
+      expect(inlet.widthOfFloodingOutput).toBeGreaterThan(design.inlets[i].widthOfFloodingOutput);
+    });
+  });
+
+  it('returns null when the data set has no curve for the check storm', () => {
+    const sample = createSampleProject();
+    expect(computeCheckStorm({ ...sample, roadway: { ...sample.roadway, checkReturnPeriod: '7-Year' } })).toBeNull();
+  });
+});
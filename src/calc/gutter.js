@@ -0,0 +1,74 @@
+// Gutter flow for uniform and composite (depressed) gutter sections (FHWA HEC-22, 3rd Ed., Section 4.3)
+
+import { DEFAULT_CROSS_SLOPE } from './hydraulics.js';
+
+export const DEFAULT_MANNINGS_N = 0.015;
+
+// Gutter grades flatter than this (%) drain poorly; LADOTD and HEC-22 recommend at least 0.3%
+export const MIN_GUTTER_GRADE = 0.3;
+
+// Normalizes user-entered section data: gutter width W in ft, depression a entered in inches
+export const getGutterSection = ({ crossSlope, manningsN, gutterWidth, gutterDepression } = {}) => {
+  const Sx = parseFloat(crossSlope) > 0 ? parseFloat(crossSlope) : DEFAULT_CROSS_SLOPE;
+  const n = parseFloat(manningsN) > 0 ? parseFloat(manningsN) : DEFAULT_MANNINGS_N;
+  const W = parseFloat(gutterWidth) > 0 ? parseFloat(gutterWidth) : 0;
+  const a = W > 0 && parseFloat(gutterDepression) > 0 ? parseFloat(gutterDepression) / 12 : 0;
+  return { crossSlope: Sx, n, gutterWidth: W, depression: a, gutterCrossSlope: W > 0 ? Sx + a / W : Sx, isComposite: a > 0 };
+};
+
+// The section at an inlet with a local depression a (in) over a width W (ft) from the curb, added to the
+// gutter's own depression. The approach gutter keeps its own section; only the inlet sees the depression.
+export const addLocalDepression = (section, depression, width) => {
+  const a = parseFloat(depression) > 0 ? parseFloat(depression) / 12 : 0;
+  const W = parseFloat(width) > 0 ? parseFloat(width) : 0;
+  if (a <= 0 || W <= 0) return section;
+  const total = section.depression + a;
+  return { ...section, gutterWidth: W, depression: total, gutterCrossSlope: section.crossSlope + total / W, isComposite: true };
+};
+
+// Ratio of flow in the depressed width W to total flow for a spread T (HEC-22 Eq. 4-4)
+export const calculateCompositeEo = (spread, gutterWidth, crossSlope, gutterCrossSlope) => {
+  if (gutterWidth <= 0 || spread <= 0) return 0;
+  if (spread <= gutterWidth) return 1;
+  const ratio = gutterCrossSlope / crossSlope;
+  return 1 / (1 + ratio / (Math.pow(1 + ratio / (spread / gutterWidth - 1), 2.67) - 1));
+};
+
+// Discharge carried by the section at spread T (HEC-22 Eqs. 4-2 and 4-5)
+const flowAtSpread = (T, SL, section) => {
+  const { crossSlope: Sx, n, gutterWidth: W, gutterCrossSlope: Sw, isComposite } = section;
+  if (!isComposite || W <= 0) return (0.56 / n) * Math.pow(Sx, 5 / 3) * Math.sqrt(SL) * Math.pow(T, 8 / 3);
+  if (T <= W) return (0.56 / n) * Math.pow(Sw, 5 / 3) * Math.sqrt(SL) * Math.pow(T, 8 / 3);
+  const Qs = (0.56 / n) * Math.pow(Sx, 5 / 3) * Math.sqrt(SL) * Math.pow(T - W, 8 / 3);
+  return Qs / (1 - calculateCompositeEo(T, W, Sx, Sw));
+};
+
+// Spread, depth at the curb, flow area, velocity and frontal-flow ratio Eo for a gutter flow
+export const solveGutterFlow = (q, longitudinalSlopePercent, section) => {
+  const empty = { spread: 0, depth: 0, area: 0, velocity: 0, eo: 0, section };
+  if (!(q > 0) || !(longitudinalSlopePercent > 0)) return empty;
+  const SL = longitudinalSlopePercent / 100;
+
+  let lo = 0;
+  let hi = 1;
+  while (flowAtSpread(hi, SL, section) < q && hi < 1e4) hi *= 2;
+  for (let i = 0; i < 60; i++) {
+    const mid = (lo + hi) / 2;
+    if (flowAtSpread(mid, SL, section) < q) lo = mid;
+    else hi = mid;
+  }
+  const spread = hi;
+
+  const { crossSlope: Sx, gutterWidth: W, gutterCrossSlope: Sw, depression: a, isComposite } = section;
+  let depth, area, eo;
+  if (isComposite && spread <= W) {
+    depth = spread * Sw;
+    area = 0.5 * Sw * spread * spread;
+    eo = 1;
+  } else {
+    depth = spread * Sx + a;
+    area = 0.5 * Sx * spread * spread + 0.5 * a * W;
+    eo = isComposite ? calculateCompositeEo(spread, W, Sx, Sw) : (W > 0 ? 1 - Math.pow(1 - Math.min(W / spread, 1), 2.67) : 0);
+  }
+  return { spread, depth, area, velocity: q / area, eo, section };
+};
@@ -0,0 +1,35 @@
+import { describe, expect, it } from 'vitest';
+import { calculateCompositeEo, getGutterSection, solveGutterFlow } from './gutter.js';
+
+describe('getGutterSection', () => {
+  it('fills defaults and converts the depression from inches', () => {
+    expect(getGutterSection({})).toMatchObject({ crossSlope: 0.025, n: 0.015, gutterWidth: 0, depression: 0, isComposite: false });
+    const section = getGutterSection({ crossSlope: 0.02, gutterWidth: 2, gutterDepression: 2 });
+    expect(section.depression).toBeCloseTo(2 / 12, 6);
+    expect(section.gutterCrossSlope).toBeCloseTo(0.02 + 2 / 12 / 2, 6);
+    expect(section.isComposite).toBe(true);
+  });
+});
+
+describe('solveGutterFlow', () => {
+  it('matches HEC-22 Example 4-1 on a uniform section (Q = 1.4 cfs, T ≈ 8.2 ft)', () => {
+    const flow = solveGutterFlow(1.4, 1, getGutterSection({ crossSlope: 0.02, manningsN: 0.016 }));
+    expect(flow.spread).toBeCloseTo(8.2, 1);
+    expect(flow.depth).toBeCloseTo(flow.spread * 0.02, 6);
+    expect(flow.velocity).toBeCloseTo(1.4 / (0.5 * 0.02 * flow.spread ** 2), 6);
+  });
+
+  it('matches HEC-22 Example 4-2 on a composite section (W = 2 ft, Sw = 0.083, Q = 2.0 cfs, T ≈ 8.2 ft, Eo ≈ 0.69)', () => {
+    // Sw = Sx + a / W, so a = (0.083 − 0.02) × 2 ft = 0.126 ft = 1.512 in
+    const section = getGutterSection({ crossSlope: 0.02, manningsN: 0.016, gutterWidth: 2, gutterDepression: 1.512 });
+    const flow = solveGutterFlow(2.0, 1, section);
+    expect(Math.abs(flow.spread - 8.2)).toBeLessThan(0.2);
+    expect(Math.abs(flow.eo - 0.69)).toBeLessThan(0.02);
+    expect(calculateCompositeEo(8.2, 2, 0.02, 0.083)).toBeCloseTo(0.676, 3);
+  });
+
+  it('returns an empty solution on a zero grade', () => {
+    const flow = solveGutterFlow(1.4, 0, getGutterSection({}));
+    expect(flow).toMatchObject({ spread: 0, depth: 0, velocity: 0, eo: 0 });
+  });
+});
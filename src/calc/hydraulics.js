@@ -0,0 +1,41 @@
+// Hydraulic calculations for roadway drainage (rational method, gutter flow)
+
+import { BUILT_IN_RAINFALL, evaluateIdfCurve, getIdfCurve } from './rainfall.js';
+
+export { RAINFALL_COEFFICIENTS } from './rainfall.js';
+
+// Pavement cross slope (ft/ft) used when a gutter section does not specify one
+export const DEFAULT_CROSS_SLOPE = 0.025;
+
+export const calculateTC = (HL, C, S) => {
+  if (HL <= 0 || C <= 0 || S <= 0) return 0;
+  const tc = 0.7039 * Math.pow(HL, 0.3917) * Math.pow(C, -1.1309) * Math.pow(S, -0.1985);
+  return Math.max(tc, 5);
+};
+
+// Gutter travel time (min) over a distance (ft) at a velocity (ft/s)
+export const calculateGutterTravelTime = (distance, velocity) => {
+  if (!(distance > 0) || !(velocity > 0)) return 0;
+  return distance / velocity / 60;
+};
+
+// Intensity (in/hr) at tc from the IDF curve of a rainfall data set (built-in LADOTD regions by default)
+export const calculateIntensity = (tcMinutes, region, returnPeriod, rainfallData = BUILT_IN_RAINFALL) => {
+  if (tcMinutes <= 0) return 0;
+  return evaluateIdfCurve(getIdfCurve(rainfallData, region, returnPeriod), tcMinutes);
+};
+
+export const calculateQ = (intensity, sumAC) => {
+  if (intensity <= 0 || sumAC <= 0) return 0;
+  return intensity * sumAC;
+};
+
+export const calculateWidthOfFlooding = (qTotal, longitudinalSlopePercent, crossSlope, n = 0.015) => {
+  if (qTotal <= 0 || longitudinalSlopePercent <= 0 || crossSlope <= 0 || n <= 0) return 0;
+  const S_longitudinal = longitudinalSlopePercent / 100;
+  const numerator = qTotal * n;
+  const denominator = 0.56 * Math.pow(crossSlope, 5 / 3) * Math.pow(S_longitudinal, 1 / 2);
+  if (denominator === 0) return 0;
+  const T = Math.pow(numerator / denominator, 3 / 8);
+  return T;
+};
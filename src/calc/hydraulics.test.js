@@ -0,0 +1,75 @@
+import { describe, expect, it } from 'vitest';
+import { calculateTC, calculateIntensity, calculateQ, calculateWidthOfFlooding, calculateGutterTravelTime, RAINFALL_COEFFICIENTS } from './hydraulics.js';
+
+describe('calculateTC (LADOTD kinematic wave)', () => {
+  it('matches a hand calculation: HL = 300 ft, C = 0.9, S = 1%', () => {
+    // 0.7039 (300)^0.3917 (0.9)^-1.1309 (1)^-0.1985 = 0.7039 × 9.339 × 1.1265
+    expect(calculateTC(300, 0.9, 1)).toBeCloseTo(7.405, 3);
+  });
+
+  it('applies the 5 minute minimum', () => {
+    expect(calculateTC(50, 0.9, 2)).toBe(5);
+  });
+
+  it('returns 0 for missing or zero inputs instead of dividing by zero', () => {
+    expect(calculateTC(300, 0.9, 0)).toBe(0);
+    expect(calculateTC(0, 0.9, 1)).toBe(0);
+    expect(calculateTC(300, 0, 1)).toBe(0);
+    expect(calculateTC(NaN, 0.9, 1)).toBeNaN();
+  });
+});
+
+describe('calculateIntensity (LADOTD regional IDF curves)', () => {
+  it('evaluates i = a (D + b)^c with D in hours', () => {
+    // Region 1, 10-year: 4.016 (10/60 + 0.347)^-0.826
+    expect(calculateIntensity(10, 'Region 1', '10-Year')).toBeCloseTo(6.963, 3);
+    // Region 3, 100-year at the 5 minute minimum: 4.286 (5/60 + 0.223)^-0.780
+    expect(calculateIntensity(5, 'Region 3', '100-Year')).toBeCloseTo(10.785, 3);
+  });
+
+  it('keeps the published coefficients', () => {
+    expect(RAINFALL_COEFFICIENTS['Region 1']['10-Year']).toEqual({ a: 4.016, b: 0.347, c: -0.826 });
+    expect(RAINFALL_COEFFICIENTS['Region 2']['25-Year']).toEqual({ a: 4.092, b: 0.297, c: -0.808 });
+    expect(RAINFALL_COEFFICIENTS['Region 3']['2-Year']).toEqual({ a: 2.138, b: 0.192, c: -0.891 });
+  });
+
+  it('falls with duration and rises with return period in every region', () => {
+    Object.entries(RAINFALL_COEFFICIENTS).forEach(([region, periods]) => {
+      const names = Object.keys(periods);
+      names.forEach((period, i) => {
+        expect(calculateIntensity(10, region, period)).toBeLessThan(calculateIntensity(5, region, period));
+        if (i > 0) expect(calculateIntensity(10, region, period)).toBeGreaterThan(calculateIntensity(10, region, names[i - 1]));
+      });
+    });
+  });
+
+  it('returns 0 for a zero tc or an unknown curve', () => {
+    expect(calculateIntensity(0, 'Region 1', '10-Year')).toBe(0);
+    expect(calculateIntensity(10, 'Region 9', '10-Year')).toBe(0);
+  });
+});
+
+describe('calculateQ', () => {
+  it('is I × ΣAC', () => {
+    expect(calculateQ(6.963, 0.5)).toBeCloseTo(3.4815, 6);
+    expect(calculateQ(6.963, 0)).toBe(0);
+  });
+});
+
+describe('calculateWidthOfFlooding (HEC-22 Eq. 4-2)', () => {
+  it('reproduces HEC-22 Example 4-1: Sx = 0.02, SL = 0.01, n = 0.016, Q = 1.4 cfs gives T ≈ 8.2 ft', () => {
+    expect(calculateWidthOfFlooding(1.4, 1, 0.02, 0.016)).toBeCloseTo(8.2, 1);
+  });
+
+  it('returns 0 on a zero grade rather than an infinite spread', () => {
+    expect(calculateWidthOfFlooding(1.4, 0, 0.02)).toBe(0);
+    expect(calculateWidthOfFlooding(0, 1, 0.02)).toBe(0);
+  });
+});
+
+describe('calculateGutterTravelTime', () => {
+  it('is distance / velocity in minutes', () => {
+    expect(calculateGutterTravelTime(120, 2)).toBe(1);
+    expect(calculateGutterTravelTime(120, 0)).toBe(0);
+  });
+});
@@ -0,0 +1,193 @@
+// Inlet inputs as a flat table: the columns of the grid editor and of inlet CSV files. Headers follow the
+// summary report so a report CSV can be read back in; blank cells mean "use the default or the profile".
+
+import { DEBRIS_RISKS } from './advisor.js';
+import { DEFAULT_INLET_CATALOG, findCatalogEntry, getStructureTypes } from './catalog.js';
+import { GRATE_TYPES } from './interception.js';
+import { parseStation } from './profileFiles.js';
+import { BYPASS_OFFSITE, ROADWAY_SIDES } from './routing.js';
+import { parseCSV } from '../csv.js';
+import { createInlet } from '../inlets.js';
+
+const OFFSITE_LABEL = 'Leaves project';
+
+const hasOverride = (value) => value !== '';
+
+const fromSubAreas = (inlet) => (inlet.subAreas?.length ? `computed from ${inlet.subAreas.length} sub-area${inlet.subAreas.length === 1 ? '' : 's'}; edit them on the inlet card` : '');
+
+// kind is 'text', 'number', 'station', 'choice' (options) or 'flag' (Yes, No or blank). format(inlet) and
+// apply(inlet, value) cover columns whose blank cell clears an override flag rather than storing ''.
+// locked(inlet) names why a cell cannot be edited, and result names the calculated value shown instead.
+// The Type choices and the Qi/Q override depend on the project's inlet structure catalog.
+export const getInletTableColumns = (catalog = DEFAULT_INLET_CATALOG) => [
+  { header: 'ID', field: 'strId', kind: 'text' },
+  { header: 'Type', field: 'structureType', kind: 'choice', options: getStructureTypes(catalog) },
+  { header: 'Station (ft)', field: 'station', kind: 'station', aliases: ['Sta', 'Station'] },
+  { header: 'Side', field: 'side', kind: 'choice', options: ROADWAY_SIDES },
+  {
+    header: 'Bypass To', field: 'bypassTo', kind: 'text',
+    format: (inlet) => (inlet.bypassTo === BYPASS_OFFSITE ? OFFSITE_LABEL : inlet.bypassTo),
+  },
+  { header: 'ΣAC (ac)', field: 'areaEnteringInlet', kind: 'number', aliases: ['ΣAC'], locked: fromSubAreas, result: 'sumAC' },
+  { header: 'C', field: 'runoffCoefficient', kind: 'number', aliases: ['Runoff Coeff. (C)'], locked: fromSubAreas, result: 'weightedC' },
+  { header: 'HL (ft)', field: 'longestFlowPath', kind: 'number' },
+  { header: 'S Path (%)', field: 'slopeOfFlowPath', kind: 'number' },
+  {
+    header: 'Gutter S (%)', field: 'gutterGrade', kind: 'number', source: 'Gutter S Source',
+    format: (inlet) => (inlet.gutterGradeOverride ? inlet.gutterGrade : ''),
+    apply: (inlet, value) => ({ gutterGrade: value, gutterGradeOverride: hasOverride(value) }),
+  },
+  {
+    header: 'Sag', field: 'isLowPoint', kind: 'flag',
+    format: (inlet) => (inlet.isLowPointOverride ? inlet.isLowPoint : ''),
+    apply: (inlet, value) => ({ isLowPoint: value === true, isLowPointOverride: hasOverride(value) }),
+  },
+  {
+    header: 'Qi/Q', field: 'interceptionRatio', kind: 'number', source: 'Qi/Q Source',
+    format: (inlet) => (inlet.interceptionRatioOverride || !findCatalogEntry(catalog, inlet.structureType) ? inlet.interceptionRatio : ''),
+    apply: (inlet, value) => ({ interceptionRatio: value, interceptionRatioOverride: hasOverride(value) && Boolean(findCatalogEntry(catalog, inlet.structureType)) }),
+  },
+  { header: 'Allowable Spread (ft)', field: 'allowableSpread', kind: 'number', aliases: ['Allowable (ft)'] },
+  { header: 'Sx (ft/ft)', field: 'crossSlope', kind: 'number', aliases: ['Cross Slope Sx (ft/ft)'] },
+  { header: "Manning's n", field: 'manningsN', kind: 'number' },
+  { header: 'Gutter W (ft)', field: 'gutterWidth', kind: 'number', aliases: ['Gutter Width W (ft)'] },
+  { header: 'Gutter Depression (in)', field: 'gutterDepression', kind: 'number', aliases: ['Gutter Depression a (in)'] },
+  { header: 'Curb Opening L (ft)', field: 'curbOpeningLength', kind: 'number', aliases: ['Curb Opening Length (ft)'] },
+  { header: 'Curb Opening H (ft)', field: 'curbOpeningHeight', kind: 'number', aliases: ['Curb Opening Height (ft)'] },
+  { header: 'Grate L (ft)', field: 'grateLength', kind: 'number', aliases: ['Grate Length (ft)'] },
+  { header: 'Grate W (ft)', field: 'grateWidth', kind: 'number', aliases: ['Grate Width (ft)'] },
+  { header: 'Grate Type', field: 'grateType', kind: 'choice', options: Object.keys(GRATE_TYPES) },
+  { header: 'Grate Clogging', field: 'grateClogging', kind: 'number' },
+  { header: 'Curb Clogging', field: 'curbClogging', kind: 'number' },
+  { header: 'Allowable Depth (ft)', field: 'allowableDepth', kind: 'number', aliases: ['Allowable Ponded Depth (ft)'] },
+  { header: 'Flanking Rise (ft)', field: 'flankingDepth', kind: 'number' },
+  {
+    header: 'Manual Sag Qi (cfs)', field: 'manualQi', kind: 'number',
+    apply: (inlet, value) => ({ manualQi: value, sagCapacityOverride: hasOverride(value) || hasOverride(inlet.manualWidthOfFlooding ?? '') }),
+  },
+  {
+    header: 'Manual Sag Spread (ft)', field: 'manualWidthOfFlooding', kind: 'number',
+    apply: (inlet, value) => ({ manualWidthOfFlooding: value, sagCapacityOverride: hasOverride(value) || hasOverride(inlet.manualQi ?? '') }),
+  },
+  {
+    header: 'Debris Risk', field: 'debrisRisk', kind: 'choice', options: Object.keys(DEBRIS_RISKS),
+    format: (inlet) => DEBRIS_RISKS[inlet.debrisRisk] || '',
+  },
+  { header: 'Bicycle Traffic', field: 'bicycleTraffic', kind: 'flag', apply: (inlet, value) => ({ bicycleTraffic: value === true }) },
+];
+
+// The columns for the LADOTD standard inlets alone
+export const INLET_TABLE_COLUMNS = getInletTableColumns();
+
+const FLAG_VALUES = { yes: true, y: true, true: true, x: true, 1: true, no: false, n: false, false: false, 0: false };
+
+// The text shown in a cell. Locked cells show the calculated value from result (the computed inlet) when given.
+export const formatInletCell = (inlet, column, result = null) => {
+  if (column.locked?.(inlet)) return Number.isFinite(result?.[column.result]) ? String(Number(result[column.result].toFixed(4))) : '';
+  const value = column.format ? column.format(inlet) : inlet[column.field];
+  if (column.kind === 'flag') return value === '' || value === undefined ? '' : (value ? 'Yes' : 'No');
+  return value === undefined || value === null ? '' : String(value);
+};
+
+// A cell's text as a field value: { value } or { error } when it does not parse. Blank is always allowed.
+export const parseInletCell = (column, text) => {
+  const cell = String(text ?? '').trim();
+  if (cell === '') return { value: '' };
+  switch (column.kind) {
+    case 'number': {
+      const value = Number(cell.replace(/,/g, ''));
+      return Number.isFinite(value) ? { value } : { error: `"${cell}" is not a number.` };
+    }
+    case 'station': {
+      const value = parseStation(cell.replace(/,/g, ''));
+      return Number.isFinite(value) ? { value } : { error: `"${cell}" is not a station.` };
+    }
+    case 'choice': {
+      const value = column.options.find(option => option.toLowerCase() === cell.toLowerCase());
+      return value !== undefined ? { value } : { error: `"${cell}" is not one of ${column.options.join(', ')}.` };
+    }
+    case 'flag': {
+      const value = FLAG_VALUES[cell.toLowerCase()];
+      return value !== undefined ? { value } : { error: `"${cell}" is not Yes or No.` };
+    }
+    default:
+      if (column.field === 'bypassTo') {
+        // Report text: "INLET-2 (Sta 10200.00)", "Leaves project at Sta …" or a terminal that means automatic
+        if (cell.toLowerCase().startsWith(OFFSITE_LABEL.toLowerCase()) || cell === BYPASS_OFFSITE) return { value: BYPASS_OFFSITE };
+        if (/^(Ponds|Stays|Target not found|Loop cut)/i.test(cell)) return { value: '' };
+        return { value: cell.replace(/\s*\(Sta [^)]*\)$/, '') };
+      }
+      return { value: cell };
+  }
+};
+
+// The inlet with one cell changed: { inlet } or { inlet (unchanged), error }
+export const setInletCell = (inlet, column, text) => {
+  const locked = column.locked?.(inlet);
+  if (locked) return { inlet, error: `${column.header} is ${locked}.` };
+  const { value, error } = parseInletCell(column, text);
+  if (error) return { inlet, error };
+  return { inlet: { ...inlet, ...(column.apply ? column.apply(inlet, value) : { [column.field]: value }) } };
+};
+
+// Header row followed by one row of entered values per inlet, for CSV export. With results (computed inlets)
+// the ΣAC and C tabulated from sub-areas are written out, so the file reads back as typed values.
+export const buildInletInputTable = (inlets, results = [], columns = INLET_TABLE_COLUMNS) => [
+  columns.map(column => column.header),
+  ...inlets.map((inlet, i) => columns.map(column => formatInletCell(inlet, column, results[i]))),
+];
+
+const normalizeHeader = (text) => String(text ?? '').trim().toLowerCase();
+
+const findColumn = (header, columns) => columns.find(column => (
+  [column.header, ...(column.aliases || [])].some(name => normalizeHeader(name) === normalizeHeader(header))
+));
+
+// Inlets from CSV text (or parsed rows). The header row is the first row naming an ID or station column, so
+// a summary report CSV with the project table above the inlets also reads. Returns { inlets, errors, ignored }:
+// errors are [{ row, header, message }] with the row numbered as in the file, cells that do not parse are
+// left blank, and ignored lists the headers that are not inlet inputs (calculated report columns). columns
+// come from getInletTableColumns for the project's catalog.
+export const parseInletTable = (input, tableColumns = INLET_TABLE_COLUMNS) => {
+  const rows = typeof input === 'string' ? parseCSV(input) : input;
+  const headerIndex = rows.findIndex(row => row.some(cell => ['strId', 'station'].includes(findColumn(cell, tableColumns)?.field)));
+  if (headerIndex < 0) throw new Error('No header row with an ID or Station (ft) column was found.');
+  const header = rows[headerIndex];
+  const columns = header.map(cell => findColumn(cell, tableColumns));
+  // Cells are applied in table order, so the type is known before the Qi/Q override is decided
+  const cellIndexes = tableColumns.map(column => [column, columns.indexOf(column)]).filter(([, c]) => c >= 0);
+  const sources = Object.fromEntries(tableColumns.filter(column => column.source)
+    .map(column => [column.field, header.findIndex(cell => normalizeHeader(cell) === normalizeHeader(column.source))]));
+
+  const errors = [];
+  const inlets = [];
+  for (let r = headerIndex + 1; r < rows.length; r++) {
+    const cells = rows[r];
+    // The report's inlet table ends at the first blank row or the next table's header
+    if (cells.every(cell => cell === '') || findColumn(cells[0], tableColumns)?.field === 'strId') break;
+    let inlet = createInlet();
+    cellIndexes.forEach(([column, c]) => {
+      const sourceIndex = sources[column.field];
+      const fromProfile = sourceIndex >= 0 && !['Override', 'Manual'].includes(cells[sourceIndex]);
+      const result = setInletCell(inlet, column, fromProfile ? '' : cells[c]);
+      inlet = result.inlet;
+      if (result.error) errors.push({ row: r + 1, header: column.header, message: result.error });
+    });
+    inlets.push(inlet);
+  }
+  if (inlets.length === 0) throw new Error('The file has no inlet rows below the header.');
+  const ignored = header.filter((cell, c) => cell !== '' && !columns[c] && !Object.values(sources).includes(c));
+  return { inlets, errors, ignored };
+};
+
+// Inlets ordered by station; inlets without a station keep their order at the end
+export const sortInletsByStation = (inlets) => inlets
+  .map((inlet, index) => ({ inlet, index, station: parseFloat(inlet.station) }))
+  .sort((a, b) => {
+    const aHas = Number.isFinite(a.station);
+    const bHas = Number.isFinite(b.station);
+    if (aHas && bHas && a.station !== b.station) return a.station - b.station;
+    if (aHas !== bHas) return aHas ? -1 : 1;
+    return a.index - b.index;
+  })
+  .map(({ inlet }) => inlet);
@@ -0,0 +1,94 @@
+import { describe, expect, it } from 'vitest';
+import { toCSV } from '../csv.js';
+import { createInlet, getInletInputs } from '../inlets.js';
+import { buildInletTable } from '../report.js';
+import { createCatalogEntry, createDefaultCatalog } from './catalog.js';
+import { computeProject } from './engine.js';
+import { INLET_TABLE_COLUMNS, getInletTableColumns, buildInletInputTable, formatInletCell, parseInletTable, setInletCell, sortInletsByStation } from './inletTable.js';
+import { BYPASS_OFFSITE } from './routing.js';
+
+const column = (header) => INLET_TABLE_COLUMNS.find(c => c.header === header);
+
+describe('setInletCell', () => {
+  it('parses numbers, plus stations, choices and flags', () => {
+    let inlet = createInlet();
+    inlet = setInletCell(inlet, column('Station (ft)'), '102+05.5').inlet;
+    inlet = setInletCell(inlet, column('ΣAC (ac)'), '1,234.5').inlet;
+    inlet = setInletCell(inlet, column('Type'), 'cb-07').inlet;
+    inlet = setInletCell(inlet, column('Sag'), 'yes').inlet;
+    expect(inlet).toMatchObject({ station: 10205.5, areaEnteringInlet: 1234.5, structureType: 'CB-07', isLowPoint: true, isLowPointOverride: true });
+    expect(setInletCell(inlet, column('Sag'), '').inlet.isLowPointOverride).toBe(false);
+  });
+
+  it('sets and clears override flags with the value', () => {
+    const graded = setInletCell(createInlet(), column('Gutter S (%)'), '0.8').inlet;
+    expect(graded).toMatchObject({ gutterGrade: 0.8, gutterGradeOverride: true });
+    expect(formatInletCell(graded, column('Gutter S (%)'))).toBe('0.8');
+    expect(setInletCell(graded, column('Gutter S (%)'), '').inlet).toMatchObject({ gutterGrade: '', gutterGradeOverride: false });
+    expect(setInletCell(createInlet(), column('Manual Sag Qi (cfs)'), '2').inlet.sagCapacityOverride).toBe(true);
+  });
+
+  it('locks ΣAC and C when they come from sub-areas', () => {
+    const inlet = createInlet({ subAreas: [{ landUse: 'pavement', area: 0.5, unit: 'ac', c: '' }] });
+    expect(setInletCell(inlet, column('ΣAC (ac)'), '0.3').error).toBe('ΣAC (ac) is computed from 1 sub-area; edit them on the inlet card.');
+    expect(formatInletCell(inlet, column('ΣAC (ac)'), { sumAC: 0.45 })).toBe('0.45');
+    expect(buildInletInputTable([inlet])[1][5]).toBe('');
+  });
+
+  it('offers the project catalog as structure types', () => {
+    const columns = getInletTableColumns([...createDefaultCatalog(), createCatalogEntry({ id: 'NG-1' })]);
+    const type = columns.find(c => c.header === 'Type');
+    expect(type.options).toEqual(['CB-06', 'CB-07', 'CB-08', 'NG-1', 'Other']);
+    expect(setInletCell(createInlet(), type, 'ng-1').inlet.structureType).toBe('NG-1');
+    expect(setInletCell(createInlet(), column('Type'), 'NG-1').error).toBe('"NG-1" is not one of CB-06, CB-07, CB-08, Other.');
+    const qiq = columns.find(c => c.header === 'Qi/Q');
+    expect(setInletCell(createInlet({ structureType: 'NG-1' }), qiq, '0.7').inlet.interceptionRatioOverride).toBe(true);
+  });
+
+  it('leaves the inlet unchanged and reports values that do not parse', () => {
+    const inlet = createInlet({ station: 10000 });
+    expect(setInletCell(inlet, column('Station (ft)'), 'abc')).toEqual({ inlet, error: '"abc" is not a station.' });
+    expect(setInletCell(inlet, column('Side'), 'Middle').error).toBe('"Middle" is not one of Right, Left.');
+  });
+});
+
+describe('parseInletTable', () => {
+  it('round-trips the entered values', () => {
+    const inlets = [
+      createInlet({ strId: 'A', structureType: 'CB-08', station: 10000, areaEnteringInlet: 0.2, longestFlowPath: 100, slopeOfFlowPath: 0.5, bypassTo: BYPASS_OFFSITE, grateType: 'Vane' }),
+      createInlet({ strId: 'B', structureType: 'Other', station: 10100, side: 'Left', interceptionRatio: 0.6, isLowPoint: true, isLowPointOverride: true }),
+    ];
+    const { inlets: imported, errors, ignored } = parseInletTable(toCSV(buildInletInputTable(inlets)));
+    expect(errors).toEqual([]);
+    expect(ignored).toEqual([]);
+    expect(imported.map(getInletInputs)).toEqual(inlets.map(getInletInputs));
+  });
+
+  it('reports row errors, ignores calculated columns and reads report text', () => {
+    const csv = 'Project,Sample\nInlet #,ID,Sta,Q Total (cfs),Bypass To,Gutter S (%),Gutter S Source,Qi/Q,Qi/Q Source\n'
+      + '1,A,100+00,2.5,B (Sta 10100.00),1.2,Profile,0.8,HEC-22\n2,B,oops,1.1,Leaves project at Sta 10500.00,0.4,Override,0.5,Override\n';
+    const { inlets, errors, ignored } = parseInletTable(csv);
+    expect(inlets.map(inlet => [inlet.strId, inlet.station, inlet.bypassTo, inlet.gutterGradeOverride, inlet.interceptionRatio]))
+      .toEqual([['A', 10000, 'B', false, ''], ['B', '', BYPASS_OFFSITE, true, 0.5]]);
+    expect(errors).toEqual([{ row: 4, header: 'Station (ft)', message: '"oops" is not a station.' }]);
+    expect(ignored).toEqual(['Inlet #', 'Q Total (cfs)']);
+  });
+
+  it('reads the summary report inlet table', () => {
+    const inputs = [createInlet({ strId: 'A', structureType: 'CB-06', station: 10000, areaEnteringInlet: 0.2, runoffCoefficient: 0.8, longestFlowPath: 100, slopeOfFlowPath: 1 })];
+    const results = computeProject({ profile: { beginningGrade: -1, endingGrade: -1, pvis: [] }, inlets: inputs, rainfall: { region: 'Region 1', returnPeriod: '10-Year' } });
+    const { inlets: imported } = parseInletTable(buildInletTable(results.inlets, { routes: results.routing.routes, incoming: results.bypass.incoming }).map(row => row.map(String)));
+    expect(imported[0]).toMatchObject({ strId: 'A', structureType: 'CB-06', station: 10000, areaEnteringInlet: 0.2, runoffCoefficient: 0.8 });
+  });
+
+  it('needs a header row', () => {
+    expect(() => parseInletTable('1,2,3')).toThrow('No header row');
+  });
+});
+
+describe('sortInletsByStation', () => {
+  it('orders by station and keeps inlets without one at the end', () => {
+    const inlets = [createInlet({ strId: 'C', station: 300 }), createInlet({ strId: 'X' }), createInlet({ strId: 'A', station: 100 })];
+    expect(sortInletsByStation(inlets).map(inlet => inlet.strId)).toEqual(['A', 'C', 'X']);
+  });
+});
@@ -0,0 +1,112 @@
+// Inlet interception on continuous grade (FHWA HEC-22, 3rd Ed., Section 4.4; U.S. customary units)
+
+// Typical geometry for the LADOTD standard catch basins the inlet structure catalog starts from.
+// Lengths and widths in ft; verify against the current standard plans for a specific project.
+export const STANDARD_INLET_GEOMETRY = {
+  'CB-06': { inletType: 'curb', curbOpeningLength: 5, curbOpeningHeight: 0.5, grateLength: 0, grateWidth: 0, grateType: '' },
+  'CB-07': { inletType: 'grate', curbOpeningLength: 0, curbOpeningHeight: 0, grateLength: 3, grateWidth: 2, grateType: 'P-1-7/8' },
+  'CB-08': { inletType: 'combination', curbOpeningLength: 3, curbOpeningHeight: 0.5, grateLength: 3, grateWidth: 2, grateType: 'P-1-7/8' },
+};
+
+// Splash-over velocity coefficients, Vo = α + βL − γL² + ηL³ (L in ft, Vo in ft/s), HEC-22 Table 4-5
+export const GRATE_TYPES = {
+  'P-1-7/8': { label: 'Parallel bar P-1-7/8', alpha: 2.22, beta: 4.03, gamma: 0.65, eta: 0.06 },
+  'P-1-1/8': { label: 'Parallel bar P-1-1/8', alpha: 1.76, beta: 3.12, gamma: 0.45, eta: 0.03 },
+  'Vane': { label: 'Curved vane', alpha: 0.30, beta: 4.85, gamma: 1.31, eta: 0.15 },
+  '45-Tilt': { label: '45° tilt bar', alpha: 0.99, beta: 2.64, gamma: 0.36, eta: 0.03 },
+  'P-1-7/8-4': { label: 'Parallel bar P-1-7/8-4', alpha: 0.74, beta: 2.44, gamma: 0.27, eta: 0.02 },
+  '30-Tilt': { label: '30° tilt bar', alpha: 0.51, beta: 2.34, gamma: 0.20, eta: 0.01 },
+  'Reticuline': { label: 'Reticuline', alpha: 0.28, beta: 2.28, gamma: 0.18, eta: 0.01 },
+};
+
+// Length of curb opening required to intercept 100% of the gutter flow (HEC-22 Eq. 4-22)
+export const calculateCurbOpeningLT = (q, longitudinalSlopePercent, equivalentCrossSlope, n = 0.015) => {
+  if (q <= 0 || longitudinalSlopePercent <= 0 || equivalentCrossSlope <= 0 || n <= 0) return 0;
+  const SL = longitudinalSlopePercent / 100;
+  return 0.6 * Math.pow(q, 0.42) * Math.pow(SL, 0.3) * Math.pow(1 / (n * equivalentCrossSlope), 0.6);
+};
+
+// Curb opening efficiency for a length shorter than LT (HEC-22 Eq. 4-24)
+export const calculateCurbOpeningEfficiency = (length, lt) => {
+  if (lt <= 0) return 1;
+  if (length <= 0) return 0;
+  if (length >= lt) return 1;
+  return 1 - Math.pow(1 - length / lt, 1.8);
+};
+
+// Ratio of frontal flow to total gutter flow for a width W of a uniform section (HEC-22 Eq. 4-16)
+export const calculateFrontalFlowRatio = (width, spread) => {
+  if (spread <= 0) return 0;
+  if (width >= spread) return 1;
+  return 1 - Math.pow(1 - width / spread, 2.67);
+};
+
+export const calculateSplashOverVelocity = (grateType, grateLength) => {
+  const coeffs = GRATE_TYPES[grateType] || GRATE_TYPES['P-1-7/8'];
+  const L = grateLength;
+  return coeffs.alpha + coeffs.beta * L - coeffs.gamma * L * L + coeffs.eta * L * L * L;
+};
+
+// Grate efficiency from frontal and side flow interception (HEC-22 Eqs. 4-18 to 4-21).
+// eo and velocity may come from a composite gutter solution; otherwise the uniform section is assumed.
+export const calculateGrateInterception = ({ q, spread, crossSlope, grateLength, grateWidth, grateType, eo: eoInput, velocity: velocityInput }) => {
+  if (q <= 0 || spread <= 0 || crossSlope <= 0 || grateLength <= 0 || grateWidth <= 0) {
+    return { efficiency: 0, eo: 0, velocity: 0, splashOverVelocity: 0, rf: 0, rs: 0 };
+  }
+  const velocity = velocityInput ?? q / (0.5 * spread * spread * crossSlope);
+  const eo = eoInput ?? calculateFrontalFlowRatio(grateWidth, spread);
+  const splashOverVelocity = calculateSplashOverVelocity(grateType, grateLength);
+  const rf = Math.min(1, Math.max(0, 1 - 0.09 * (velocity - splashOverVelocity)));
+  const rs = 1 / (1 + (0.15 * Math.pow(velocity, 1.8)) / (crossSlope * Math.pow(grateLength, 2.3)));
+  const efficiency = rf * eo + rs * (1 - eo);
+  return { efficiency, eo, velocity, splashOverVelocity, rf, rs };
+};
+
+// Interception on grade for curb-opening, grate and combination inlets.
+// gutterForQ(q) returns the gutter flow solution (spread, velocity, eo, section) for a flow, so the grate
+// of a combination inlet can be evaluated for the flow left after an upstream (sweeper) curb opening.
+export const calculateOnGradeInterception = ({ inletType, q, longitudinalSlopePercent, gutterForQ, curbOpeningLength = 0, grateLength = 0, grateWidth = 0, grateType }) => {
+  const result = { efficiency: 0, qi: 0, lt: 0, curbEfficiency: 0, grate: null };
+  if (q <= 0 || longitudinalSlopePercent <= 0) return result;
+
+  // Equivalent cross slope for curb openings in a depressed gutter, Se = Sx + S'w Eo (Eq. 4-23)
+  const curbLT = (flow) => {
+    const { section } = flow;
+    const Se = section.isComposite ? section.crossSlope + (section.depression / section.gutterWidth) * flow.eo : section.crossSlope;
+    return calculateCurbOpeningLT(q, longitudinalSlopePercent, Se, section.n);
+  };
+  // A grate in a depressed gutter is taken to span the gutter width, so it receives the gutter's Eo
+  const grateInterception = (qToGrate) => {
+    const flow = gutterForQ(qToGrate);
+    const { section } = flow;
+    return calculateGrateInterception({
+      q: qToGrate, spread: flow.spread, crossSlope: section.crossSlope, grateLength, grateWidth, grateType,
+      eo: section.isComposite ? flow.eo : undefined,
+      velocity: flow.velocity || undefined,
+    });
+  };
+
+  if (inletType === 'curb') {
+    result.lt = curbLT(gutterForQ(q));
+    result.curbEfficiency = calculateCurbOpeningEfficiency(curbOpeningLength, result.lt);
+    result.efficiency = result.curbEfficiency;
+  } else if (inletType === 'grate') {
+    result.grate = grateInterception(q);
+    result.efficiency = result.grate.efficiency;
+  } else if (inletType === 'combination') {
+    // A curb opening alongside the grate adds little on grade; only the length upstream of the grate counts
+    const sweeperLength = Math.max(0, curbOpeningLength - grateLength);
+    let qCurb = 0;
+    if (sweeperLength > 0) {
+      result.lt = curbLT(gutterForQ(q));
+      result.curbEfficiency = calculateCurbOpeningEfficiency(sweeperLength, result.lt);
+      qCurb = q * result.curbEfficiency;
+    }
+    const qToGrate = q - qCurb;
+    result.grate = grateInterception(qToGrate);
+    result.efficiency = (qCurb + qToGrate * result.grate.efficiency) / q;
+  }
+
+  result.qi = q * result.efficiency;
+  return result;
+};
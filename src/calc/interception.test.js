@@ -0,0 +1,54 @@
+import { describe, expect, it } from 'vitest';
+import { getGutterSection, solveGutterFlow } from './gutter.js';
+import {
+  calculateCurbOpeningEfficiency, calculateCurbOpeningLT, calculateFrontalFlowRatio, calculateGrateInterception,
+  calculateOnGradeInterception, calculateSplashOverVelocity,
+} from './interception.js';
+
+describe('curb opening on grade', () => {
+  it('reproduces HEC-22 Example 4-7: Q = 1.77 cfs, SL = 0.01, Sx = 0.02, n = 0.016 gives LT ≈ 24 ft and E ≈ 0.61 for L = 9.8 ft', () => {
+    const lt = calculateCurbOpeningLT(1.77, 1, 0.02, 0.016);
+    expect(lt).toBeCloseTo(23.9, 1);
+    expect(calculateCurbOpeningEfficiency(9.8, lt)).toBeCloseTo(0.61, 2);
+  });
+
+  it('intercepts everything at or beyond LT', () => {
+    expect(calculateCurbOpeningEfficiency(30, 23.9)).toBe(1);
+    expect(calculateCurbOpeningEfficiency(0, 23.9)).toBe(0);
+  });
+});
+
+describe('grate on grade', () => {
+  it('uses the HEC-22 Table 4-5 splash-over coefficients', () => {
+    // P-1-7/8, L = 2 ft: 2.22 + 4.03 (2) − 0.65 (4) + 0.06 (8)
+    expect(calculateSplashOverVelocity('P-1-7/8', 2)).toBeCloseTo(8.16, 6);
+  });
+
+  it('combines frontal and side flow interception (Eqs. 4-16 to 4-21)', () => {
+    const result = calculateGrateInterception({ q: 3, spread: 9.47, crossSlope: 0.025, grateLength: 2, grateWidth: 2, grateType: 'P-1-7/8' });
+    expect(result.eo).toBeCloseTo(calculateFrontalFlowRatio(2, 9.47), 6);
+    expect(result.rf).toBe(1);
+    expect(result.rs).toBeCloseTo(1 / (1 + 0.15 * result.velocity ** 1.8 / (0.025 * 2 ** 2.3)), 6);
+    expect(result.efficiency).toBeCloseTo(result.eo + result.rs * (1 - result.eo), 6);
+  });
+});
+
+describe('calculateOnGradeInterception', () => {
+  const section = getGutterSection({ crossSlope: 0.025 });
+  const gutterForQ = (q) => solveGutterFlow(q, 1, section);
+
+  it('counts only the sweeper length of a combination inlet ahead of the grate', () => {
+    const grate = calculateOnGradeInterception({ inletType: 'grate', q: 3, longitudinalSlopePercent: 1, gutterForQ, grateLength: 3, grateWidth: 2, grateType: 'P-1-7/8' });
+    const sideBySide = calculateOnGradeInterception({ inletType: 'combination', q: 3, longitudinalSlopePercent: 1, gutterForQ, curbOpeningLength: 3, grateLength: 3, grateWidth: 2, grateType: 'P-1-7/8' });
+    const withSweeper = calculateOnGradeInterception({ inletType: 'combination', q: 3, longitudinalSlopePercent: 1, gutterForQ, curbOpeningLength: 6, grateLength: 3, grateWidth: 2, grateType: 'P-1-7/8' });
+    expect(sideBySide.efficiency).toBeCloseTo(grate.efficiency, 6);
+    expect(withSweeper.efficiency).toBeGreaterThan(grate.efficiency);
+    expect(withSweeper.qi).toBeCloseTo(3 * withSweeper.efficiency, 6);
+  });
+
+  it('intercepts nothing on a zero grade', () => {
+    const result = calculateOnGradeInterception({ inletType: 'curb', q: 3, longitudinalSlopePercent: 0, gutterForQ, curbOpeningLength: 5 });
+    expect(result.efficiency).toBe(0);
+    expect(result.qi).toBe(0);
+  });
+});
@@ -0,0 +1,284 @@
+// Storm drain trunk line: pipes carrying the intercepted flow from inlet to inlet and on to an outfall. Flows
+// accumulate by the rational method, pipes are sized for full flow and the hydraulic grade line is worked up
+// from the tailwater with junction losses (FHWA HEC-22, 3rd Ed., Chapter 7; U.S. customary units).
+
+import { calculateIntensity } from './hydraulics.js';
+
+const G = 32.16;
+
+// to value of a pipe that discharges at the outfall
+export const NETWORK_OUTFALL = 'OUTFALL';
+
+// Manning's n for each material when the pipe has none of its own
+export const PIPE_MATERIALS = {
+  RCP: { label: 'Reinforced concrete (RCP)', n: 0.013 },
+  HDPE: { label: 'Smooth-lined HDPE', n: 0.012 },
+  PVC: { label: 'PVC', n: 0.011 },
+  CMP: { label: 'Corrugated metal (CMP)', n: 0.024 },
+};
+
+// Least velocity (ft/s) at the design flow that keeps a pipe self-cleaning
+export const MIN_PIPE_VELOCITY = 3;
+
+// Nominal round pipe sizes (in) that sizing picks from
+export const STANDARD_PIPE_DIAMETERS = [12, 15, 18, 21, 24, 27, 30, 36, 42, 48, 54, 60, 66, 72, 78, 84, 90, 96, 102, 108];
+
+// Junction loss K on the outflow velocity head at an inlet structure (HEC-22 approximate method)
+export const JUNCTION_LOSS_COEFFICIENTS = [
+  { label: 'Straight run', k: 0.5 },
+  { label: 'Bend 22.5°', k: 0.7 },
+  { label: 'Bend 45°', k: 1.1 },
+  { label: 'Bend 60°', k: 1.25 },
+  { label: 'Bend 90°', k: 1.5 },
+];
+
+// Project trunk line settings. tailwater is the water surface (ft) at the outfall; blank means a free outfall.
+// freeboard (ft) is the least clearance from the HGL to a rim; minimumDiameter (in) is the smallest pipe sized.
+export const createNetwork = (fields = {}) => ({
+  outfall: { name: 'Outfall', station: '', tailwater: '' },
+  freeboard: 1.0,
+  minimumDiameter: 18,
+  pipes: [],
+  ...fields,
+});
+
+// from and to are inlet structure IDs (to may be NETWORK_OUTFALL). A blank length is the station difference;
+// a blank n uses the material's; a blank diameter (in) is sized. junctionLoss is K at the upstream structure.
+export const createPipe = (fields = {}) => ({
+  from: '', to: '', length: '', material: 'RCP', manningsN: '', upstreamInvert: '', downstreamInvert: '', diameter: '', junctionLoss: 0.5, ...fields,
+});
+
+const pick = (value, fallback) => (value === '' || value === undefined || value === null || isNaN(parseFloat(value)) ? fallback : parseFloat(value));
+
+// Flow area, wetted perimeter and top width of a circular pipe of diameter D flowing y deep (ft)
+export const getCircularSection = (diameter, depth) => {
+  const y = Math.min(Math.max(depth, 0), diameter);
+  const theta = 2 * Math.acos(1 - 2 * y / diameter);
+  return {
+    area: diameter * diameter / 8 * (theta - Math.sin(theta)),
+    perimeter: diameter * theta / 2,
+    topWidth: diameter * Math.sin(theta / 2),
+  };
+};
+
+const manningQ = (area, perimeter, slope, n) => (perimeter > 0 && slope > 0 ? 1.486 / n * area * Math.pow(area / perimeter, 2 / 3) * Math.sqrt(slope) : 0);
+
+// 1.486 × (π/4) / 4^(2/3): the 0.463 of Manning's equation for a round pipe flowing full
+const FULL_FLOW_CONSTANT = 1.486 * Math.PI / Math.pow(4, 5 / 3);
+
+// Full-flow capacity (cfs) of a round pipe of diameter D (ft)
+export const getFullFlowCapacity = (diameter, slope, n) => (slope > 0 ? FULL_FLOW_CONSTANT / n * Math.pow(diameter, 8 / 3) * Math.sqrt(slope) : 0);
+
+// Diameter (ft) that carries q flowing just full
+export const getRequiredDiameter = (q, slope, n) => (q > 0 && slope > 0 && n > 0 ? Math.pow(q * n / (FULL_FLOW_CONSTANT * Math.sqrt(slope)), 3 / 8) : 0);
+
+// Smallest standard size (in) of at least the required diameter and the minimum; null when none is large enough
+export const selectPipeDiameter = (requiredInches, minimumInches = 0) => (
+  STANDARD_PIPE_DIAMETERS.find(size => size >= requiredInches - 1e-9 && size >= minimumInches) ?? null
+);
+
+// Root of an increasing f between lo and hi by bisection
+const bisect = (f, lo, hi) => {
+  let a = lo;
+  let b = hi;
+  for (let i = 0; i < 60; i++) {
+    const mid = (a + b) / 2;
+    if (f(mid) < 0) a = mid;
+    else b = mid;
+  }
+  return (a + b) / 2;
+};
+
+// Capacity peaks at 0.938 D, a little above full flow
+const MAX_FLOW_DEPTH_RATIO = 0.938;
+
+// Normal depth (ft) of q in a round pipe; the full diameter when q is beyond its open-channel capacity
+export const getNormalDepth = (q, diameter, slope, n) => {
+  if (!(q > 0) || !(diameter > 0) || !(slope > 0)) return 0;
+  const flowAt = (y) => {
+    const { area, perimeter } = getCircularSection(diameter, y);
+    return manningQ(area, perimeter, slope, n);
+  };
+  const top = MAX_FLOW_DEPTH_RATIO * diameter;
+  if (q >= flowAt(top)) return diameter;
+  return bisect(y => flowAt(y) - q, 0, top);
+};
+
+// Critical depth (ft) of q in a round pipe (Q²/g = A³/T), at most the diameter
+export const getCriticalDepth = (q, diameter) => {
+  if (!(q > 0) || !(diameter > 0)) return 0;
+  const excess = (y) => {
+    const { area, topWidth } = getCircularSection(diameter, y);
+    return area * area * area / Math.max(topWidth, 1e-9) - q * q / G;
+  };
+  const top = 0.999 * diameter;
+  return excess(top) < 0 ? diameter : bisect(excess, 0, top);
+};
+
+// Friction slope of q flowing full (Manning's equation solved for S)
+export const getFullFlowFrictionSlope = (q, diameter, n) => {
+  const area = Math.PI * diameter * diameter / 4;
+  return Math.pow(q * n / (1.486 * area * Math.pow(diameter / 4, 2 / 3)), 2);
+};
+
+// Connects each pipe to its inlets and orders the pipes upstream first. A pipe with an error (an unknown
+// structure, a second pipe leaving the same inlet or one closing a loop) is left out of the order.
+export const resolvePipes = (network, inlets) => {
+  const indexById = new Map();
+  inlets.forEach((inlet, index) => {
+    if (inlet.strId && !indexById.has(inlet.strId)) indexById.set(inlet.strId, index);
+  });
+  const outletOf = new Map();
+  const pipes = (network?.pipes || []).map((pipe, index) => {
+    const fromIndex = indexById.get(pipe.from);
+    const toIndex = pipe.to === NETWORK_OUTFALL ? null : indexById.get(pipe.to);
+    let error = '';
+    let errorField = 'from';
+    if (!pipe.from) error = 'The pipe has no upstream structure.';
+    else if (fromIndex === undefined) error = `Upstream structure "${pipe.from}" not found.`;
+    else if (outletOf.has(fromIndex)) error = `${pipe.from} already drains through pipe ${outletOf.get(fromIndex) + 1}; a structure has one outlet pipe.`;
+    else {
+      errorField = 'to';
+      if (!pipe.to) error = 'The pipe has no downstream structure.';
+      else if (toIndex === undefined) error = `Downstream structure "${pipe.to}" not found.`;
+      else if (toIndex === fromIndex) error = 'The pipe starts and ends at the same structure.';
+    }
+    if (!error) outletOf.set(fromIndex, index);
+    return { index, fromIndex: fromIndex ?? null, toIndex: toIndex ?? null, error, errorField: error ? errorField : '' };
+  });
+
+  // The pipes entering each structure, for the walk up the tree
+  const incoming = inlets.map(() => []);
+  pipes.forEach(pipe => {
+    if (!pipe.error && pipe.toIndex !== null) incoming[pipe.toIndex].push(pipe.index);
+  });
+  const order = [];
+  const state = pipes.map(() => 'new');
+  const visit = (index) => {
+    state[index] = 'visiting';
+    incoming[pipes[index].fromIndex].forEach(upstream => {
+      if (state[upstream] === 'visiting') {
+        pipes[upstream].error = 'The pipe closes a loop; the network must drain to the outfall as a tree.';
+        pipes[upstream].errorField = 'to';
+      }
+      else if (state[upstream] === 'new') visit(upstream);
+    });
+    state[index] = 'done';
+    if (!pipes[index].error) order.push(index);
+  };
+  pipes.forEach((pipe, index) => {
+    if (!pipe.error && state[index] === 'new') visit(index);
+  });
+  return { pipes, order, incoming, outletOf };
+};
+
+// Pipe flows, sizes and the HGL for a design run. inlets are computed inlets (qi, tc and intensity set). Each
+// inlet adds the equivalent C × A of the flow it intercepts (Qi / I at its own tc), so a pipe's flow is
+// I(tc) × ΣCA with tc the longest of the inlet tc and the upstream pipe tc plus travel time. rainfall is
+// { region, returnPeriod, rainfallData }. Returns { pipes, structures, outfall, freeboard, order }; pipes with an
+// error carry only the error, and structures list every inlet a pipe leaves, upstream first, with its rim, HGL
+// and freeboard status.
+export const computeNetwork = (network, { inlets, profileModel, rainfall }) => {
+  const { pipes: resolved, order, incoming } = resolvePipes(network, inlets);
+  const inputs = network?.pipes || [];
+  const outfall = network?.outfall || {};
+  const minimumDiameter = parseFloat(network?.minimumDiameter) || 0;
+  const freeboard = pick(network?.freeboard, 0);
+  const label = (index) => (index === null ? (outfall.name || 'Outfall') : inlets[index].strId || `Inlet ${index + 1}`);
+  const stationOf = (index) => (index === null ? parseFloat(outfall.station) : parseFloat(inlets[index].station));
+
+  const pipes = resolved.map(({ index, fromIndex, toIndex, error, errorField }) => ({ index, fromIndex, toIndex, from: inputs[index].from, to: inputs[index].to, error, errorField }));
+
+  // Downstream pass for flow and size: every pipe comes after the pipes draining into its upstream structure
+  order.forEach(index => {
+    const input = inputs[index];
+    const pipe = pipes[index];
+    const inlet = inlets[pipe.fromIndex];
+    const inletCA = inlet.intensity > 0 ? (inlet.qi || 0) / inlet.intensity : 0;
+    const upstream = incoming[pipe.fromIndex].filter(i => !pipes[i].error).map(i => pipes[i]);
+    const sumCA = upstream.reduce((sum, up) => sum + up.sumCA, inletCA);
+    const controlling = upstream.reduce((longest, up) => (up.tc + up.travelTime > longest.tc ? { tc: up.tc + up.travelTime, label: `Pipe ${up.index + 1}` } : longest), { tc: inlet.tc || 0, label: 'Inlet' });
+    const intensity = calculateIntensity(controlling.tc, rainfall.region, rainfall.returnPeriod, rainfall.rainfallData);
+    const q = intensity > 0 ? intensity * sumCA : 0;
+
+    const length = pick(input.length, Math.abs(stationOf(pipe.toIndex) - stationOf(pipe.fromIndex)));
+    const n = pick(input.manningsN, PIPE_MATERIALS[input.material]?.n ?? PIPE_MATERIALS.RCP.n);
+    const upstreamInvert = parseFloat(input.upstreamInvert);
+    const downstreamInvert = parseFloat(input.downstreamInvert);
+    const slope = length > 0 ? (upstreamInvert - downstreamInvert) / length : NaN;
+
+    // A pipe is never smaller than one draining into it
+    const requiredDiameter = getRequiredDiameter(q, slope, n) * 12;
+    const largestUpstream = upstream.reduce((largest, up) => Math.max(largest, up.diameter || 0), 0);
+    const enteredDiameter = parseFloat(input.diameter);
+    const diameterSource = enteredDiameter > 0 ? 'Entered' : 'Sized';
+    const diameter = enteredDiameter > 0 ? enteredDiameter : selectPipeDiameter(Math.max(requiredDiameter, largestUpstream), minimumDiameter);
+
+    const D = diameter / 12;
+    const capacity = diameter > 0 ? getFullFlowCapacity(D, slope, n) : 0;
+    const normalDepth = diameter > 0 ? getNormalDepth(q, D, slope, n) : 0;
+    const flowsFull = diameter > 0 && normalDepth >= D;
+    const flowArea = flowsFull ? Math.PI * D * D / 4 : getCircularSection(D, normalDepth).area;
+    const velocity = q > 0 && flowArea > 0 ? q / flowArea : 0;
+    const travelTime = velocity > 0 && length > 0 ? length / velocity / 60 : 0;
+
+    Object.assign(pipe, {
+      length, n, upstreamInvert, downstreamInvert, slope, inletCA, sumCA,
+      tc: controlling.tc, tcControl: controlling.label, intensity, q,
+      requiredDiameter, diameter, diameterSource, undersized: diameter > 0 && diameter < requiredDiameter - 1e-9,
+      capacity, flowRatio: capacity > 0 ? q / capacity : NaN, normalDepth, flowsFull, velocity, travelTime,
+      junctionLossCoefficient: pick(input.junctionLoss, 0),
+    });
+  });
+
+  // Upstream pass for the HGL, starting from the tailwater: friction loss along each pipe, then the junction
+  // loss at its upstream structure. Where the water surface downstream is below (dc + D) / 2 or the normal
+  // depth controls upstream, those are used instead (HEC-22 approximate method).
+  const structureHgl = new Map();
+  const tailwater = parseFloat(outfall.tailwater);
+  [...order].reverse().forEach(index => {
+    const pipe = pipes[index];
+    const D = pipe.diameter / 12;
+    if (!(D > 0) || !Number.isFinite(pipe.downstreamInvert) || !Number.isFinite(pipe.upstreamInvert)) return;
+    const criticalDepth = getCriticalDepth(pipe.q, D);
+    const freeOutlet = pipe.downstreamInvert + Math.min((criticalDepth + D) / 2, D);
+    const downstreamWater = pipe.toIndex === null ? tailwater : structureHgl.get(pipe.toIndex);
+    const hglDown = Number.isFinite(downstreamWater) ? Math.max(downstreamWater, freeOutlet) : freeOutlet;
+    const frictionSlope = pipe.q > 0 ? getFullFlowFrictionSlope(pipe.q, D, pipe.n) : 0;
+    const frictionLoss = frictionSlope * (pipe.length || 0);
+    const hglUp = Math.max(hglDown + frictionLoss, pipe.upstreamInvert + pipe.normalDepth);
+    const junctionLoss = pipe.junctionLossCoefficient * pipe.velocity * pipe.velocity / (2 * G);
+    Object.assign(pipe, { criticalDepth, hglDown, frictionSlope, frictionLoss, hglUp, junctionLoss });
+    structureHgl.set(pipe.fromIndex, hglUp + junctionLoss);
+  });
+
+  const structures = order.map(index => {
+    const pipe = pipes[index];
+    const inletIndex = pipe.fromIndex;
+    const rim = profileModel.evaluate(inlets[inletIndex].station)?.elevation ?? NaN;
+    const hgl = structureHgl.get(inletIndex) ?? NaN;
+    const clearance = rim - hgl;
+    let status = '';
+    if (Number.isFinite(clearance)) {
+      if (clearance < 0) status = 'Flooded';
+      else if (clearance < freeboard) status = 'Freeboard';
+      else status = 'OK';
+    }
+    return { index: inletIndex, label: label(inletIndex), station: stationOf(inletIndex), pipeIndex: index, rim, hgl, clearance, status };
+  });
+
+  // A pipe into a structure with no outlet of its own ends the run there
+  const drained = new Set(order.map(index => pipes[index].fromIndex));
+  return {
+    pipes: pipes.map(pipe => ({
+      ...pipe,
+      fromLabel: label(pipe.fromIndex),
+      toLabel: pipe.to === NETWORK_OUTFALL ? label(null) : pipe.to,
+      deadEnd: !pipe.error && pipe.toIndex !== null && !drained.has(pipe.toIndex),
+    })),
+    structures,
+    outfall: { name: label(null), tailwater: Number.isFinite(tailwater) ? tailwater : NaN, q: pipes.filter(pipe => !pipe.error && pipe.to === NETWORK_OUTFALL).reduce((sum, pipe) => sum + (pipe.q || 0), 0) },
+    freeboard,
+    order,
+  };
+};
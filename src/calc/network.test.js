@@ -0,0 +1,103 @@
+import { describe, expect, it } from 'vitest';
+import { computeCheckStorm, computeProject } from './engine.js';
+import { calculateIntensity } from './hydraulics.js';
+import {
+  NETWORK_OUTFALL, createNetwork, createPipe, getCircularSection, getCriticalDepth, getFullFlowCapacity, getNormalDepth,
+  getRequiredDiameter, resolvePipes, selectPipeDiameter,
+} from './network.js';
+import { curbInlet, uniformGradeProject } from './testProjects.js';
+
+const project = (network) => uniformGradeProject(-1, { inlets: [curbInlet('A', 1200), curbInlet('B', 1500)], network });
+
+const run = (fields = {}, pipes = null) => createNetwork({
+  outfall: { name: 'OUT', station: 1600, tailwater: '' },
+  pipes: pipes || [
+    createPipe({ from: 'A', to: 'B', upstreamInvert: 90, downstreamInvert: 88.5 }),
+    createPipe({ from: 'B', to: NETWORK_OUTFALL, upstreamInvert: 88.4, downstreamInvert: 88 }),
+  ],
+  ...fields,
+});
+
+describe('pipe hydraulics', () => {
+  it('sizes a pipe that carries the flow just full', () => {
+    const D = getRequiredDiameter(12, 0.005, 0.013);
+    expect(getFullFlowCapacity(D, 0.005, 0.013)).toBeCloseTo(12, 6);
+    expect(selectPipeDiameter(16.2, 18)).toBe(18);
+    expect(selectPipeDiameter(19)).toBe(21);
+    expect(selectPipeDiameter(120)).toBeNull();
+  });
+
+  it('finds normal and critical depth in a round pipe', () => {
+    // A half-full pipe carries half the full flow
+    const full = getFullFlowCapacity(2, 0.01, 0.013);
+    expect(getNormalDepth(full / 2, 2, 0.01, 0.013)).toBeCloseTo(1, 4);
+    expect(getNormalDepth(full * 1.1, 2, 0.01, 0.013)).toBe(2);
+    const { area, topWidth } = getCircularSection(2, 1);
+    expect(getCriticalDepth(Math.sqrt(32.16 * area ** 3 / topWidth), 2)).toBeCloseTo(1, 4);
+  });
+});
+
+describe('resolvePipes', () => {
+  it('reports unknown structures, second outlets and loops', () => {
+    const inlets = [curbInlet('A', 1200), curbInlet('B', 1500), curbInlet('C', 1700)];
+    const { pipes, order } = resolvePipes({
+      pipes: [
+        createPipe({ from: 'A', to: 'B' }),
+        createPipe({ from: 'A', to: NETWORK_OUTFALL }),
+        createPipe({ from: 'X', to: 'B' }),
+        createPipe({ from: 'B', to: 'C' }),
+        createPipe({ from: 'C', to: 'A' }),
+      ],
+    }, inlets);
+    expect(pipes[1].error).toMatch(/already drains through pipe 1/);
+    expect(pipes[2].error).toMatch(/"X" not found/);
+    expect(pipes.filter(pipe => /loop/.test(pipe.error))).toHaveLength(1);
+    expect(order).toHaveLength(2);
+  });
+});
+
+describe('computeNetwork', () => {
+  it('accumulates C × A downstream at the longest tc and sizes pipes for full flow', () => {
+    const results = computeProject(project(run()));
+    const [a, b] = results.inlets;
+    const [first, second] = results.network.pipes;
+    expect(first.sumCA).toBeCloseTo(a.qi / a.intensity, 9);
+    expect(first.q).toBeCloseTo(a.qi, 9);
+    expect(first.length).toBe(300);
+    expect(first.diameter).toBe(18);
+    expect(first.diameterSource).toBe('Sized');
+
+    expect(second.sumCA).toBeCloseTo(first.sumCA + b.qi / b.intensity, 9);
+    expect(second.tc).toBeCloseTo(Math.max(b.tc, first.tc + first.travelTime), 9);
+    expect(second.q).toBeCloseTo(calculateIntensity(second.tc, 'Region 1', '10-Year') * second.sumCA, 9);
+    expect(second.diameter).toBeGreaterThanOrEqual(first.diameter);
+    expect(second.capacity).toBeGreaterThanOrEqual(second.q);
+  });
+
+  it('works the HGL up from the tailwater and flags structures within the freeboard', () => {
+    const free = computeProject(project(run())).network;
+    expect(free.structures.map(structure => structure.status)).toEqual(['OK', 'OK']);
+
+    const results = computeProject(project(run({ outfall: { name: 'OUT', station: 1600, tailwater: 90.5 }, freeboard: 2 })));
+    const { pipes, structures } = results.network;
+    const outlet = pipes[1];
+    expect(outlet.hglDown).toBe(90.5);
+    expect(outlet.hglUp).toBeCloseTo(90.5 + outlet.frictionLoss, 9);
+    expect(outlet.junctionLoss).toBeCloseTo(0.5 * outlet.velocity ** 2 / (2 * 32.16), 9);
+    const structureB = structures.find(structure => structure.label === 'B');
+    expect(structureB.hgl).toBeCloseTo(outlet.hglUp + outlet.junctionLoss, 9);
+    expect(pipes[0].hglDown).toBeCloseTo(structureB.hgl, 9);
+    // Rim at B is 100 - 1% × 500 ft = 95.0, well clear of an HGL near 90.5
+    expect(structureB.rim).toBeCloseTo(95, 9);
+    expect(structureB.status).toBe('OK');
+
+    const flooded = computeProject(project(run({ outfall: { name: 'OUT', station: 1600, tailwater: 97 } }))).network;
+    expect(flooded.structures.find(structure => structure.label === 'B').status).toBe('Flooded');
+    expect(flooded.structures.find(structure => structure.label === 'A').status).toBe('Freeboard');
+  });
+
+  it('is left out of check storm runs and projects without pipes', () => {
+    expect(computeProject(project(createNetwork())).network).toBeNull();
+    expect(computeCheckStorm({ ...project(run()), roadway: { checkReturnPeriod: '50-Year' } }).network).toBeNull();
+  });
+});
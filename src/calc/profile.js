@@ -0,0 +1,164 @@
+// Vertical profile evaluation (tangents and symmetric parabolic vertical curves defined by PVIs)
+
+// Inlets within this distance (ft) of a profile low point are treated as sag inlets
+export const SAG_STATION_TOLERANCE = 5;
+
+const toNumber = (value, fallback = 0) => {
+  const num = parseFloat(value);
+  return isNaN(num) ? fallback : num;
+};
+
+const tangentGrade = (fromStation, fromElevation, toStation, toElevation) => {
+  if (toStation === fromStation) return 0;
+  return (toElevation - fromElevation) / (toStation - fromStation) * 100;
+};
+
+// Elevation on a tangent from a known point
+export const getTangentElevation = (startStation, startElevation, gradePercent, targetStation) => {
+  if (isNaN(startStation) || isNaN(startElevation) || isNaN(gradePercent) || isNaN(targetStation)) return NaN;
+  return startElevation + (gradePercent / 100) * (targetStation - startStation);
+};
+
+// Per-PVI geometry: incoming/outgoing grades, BVC/EVC, algebraic grade difference and low/high point
+export const getPVIDetails = (profile) => {
+  const pvis = profile?.pvis || [];
+  return pvis.map((pvi, i) => {
+    const L_curve = toNumber(pvi.length);
+    const PVI_station = toNumber(pvi.station);
+    const PVI_elevation = toNumber(pvi.elevation);
+
+    let g_in_percent;
+    if (i === 0) {
+      g_in_percent = toNumber(profile.beginningGrade);
+    } else {
+      const prevPVI = pvis[i - 1];
+      g_in_percent = tangentGrade(toNumber(prevPVI.station), toNumber(prevPVI.elevation), PVI_station, PVI_elevation);
+    }
+
+    let g_out_percent;
+    if (i === pvis.length - 1) {
+      g_out_percent = toNumber(profile.endingGrade);
+    } else {
+      const nextPVI = pvis[i + 1];
+      g_out_percent = tangentGrade(PVI_station, PVI_elevation, toNumber(nextPVI.station), toNumber(nextPVI.elevation));
+    }
+
+    let BVC_station, EVC_station, BVC_elevation;
+    if (L_curve > 0) {
+      BVC_station = PVI_station - L_curve / 2;
+      EVC_station = PVI_station + L_curve / 2;
+      BVC_elevation = PVI_elevation - (g_in_percent / 100) * (L_curve / 2);
+    } else {
+      BVC_station = PVI_station;
+      EVC_station = PVI_station;
+      BVC_elevation = PVI_elevation;
+    }
+    const EVC_elevation = getTangentElevation(PVI_station, PVI_elevation, g_out_percent, EVC_station);
+
+    const A_percent = g_out_percent - g_in_percent;
+
+    let lowHighPoint = null;
+    if (L_curve > 0 && A_percent !== 0) {
+      const x_low_high = (-g_in_percent / A_percent) * L_curve;
+      if (x_low_high >= 0 && x_low_high <= L_curve) {
+        const lowHighStation = BVC_station + x_low_high;
+        const lowHighElevation = BVC_elevation + (g_in_percent / 100) * x_low_high + (A_percent / 100 / (2 * L_curve)) * x_low_high * x_low_high;
+        lowHighPoint = { station: lowHighStation, elevation: lowHighElevation, type: A_percent > 0 ? 'Low Point' : 'High Point' };
+      }
+    } else if (L_curve === 0 && g_in_percent < 0 && g_out_percent > 0) {
+      lowHighPoint = { station: PVI_station, elevation: PVI_elevation, type: 'Low Point' };
+    } else if (L_curve === 0 && g_in_percent > 0 && g_out_percent < 0) {
+      lowHighPoint = { station: PVI_station, elevation: PVI_elevation, type: 'High Point' };
+    }
+
+    return {
+      ...pvi, L_curve, PVI_station, PVI_elevation,
+      BVC_station, EVC_station, BVC_elevation, EVC_elevation,
+      g_in_percent, g_out_percent, A_percent, lowHighPoint
+    };
+  });
+};
+
+// Project limits: the profile's begin/end stations when given, else 200 ft beyond the outermost curves
+export const getProfileLimits = (pviDetails, profile = {}) => {
+  let startStation = 0;
+  let endStation = 1000;
+  if (pviDetails.length > 0) {
+    const minBVC = Math.min(...pviDetails.map(p => p.BVC_station));
+    const maxEVC = Math.max(...pviDetails.map(p => p.EVC_station));
+    startStation = Math.max(minBVC - 200, 0);
+    endStation = maxEVC + 200;
+  }
+  const explicitStart = parseFloat(profile.startStation);
+  const explicitEnd = parseFloat(profile.endStation);
+  if (!isNaN(explicitStart)) startStation = explicitStart;
+  if (!isNaN(explicitEnd)) endStation = explicitEnd;
+  if (endStation <= startStation) endStation = startStation + 1000;
+  return { startStation, endStation };
+};
+
+// Builds a reusable evaluator for elevation, grade and curvature at any station.
+// Grades are percent (signed, positive uphill with increasing station); curvature is the
+// rate of change of grade in percent per foot (A / L inside a vertical curve, 0 on tangents).
+export const createProfileModel = (profile) => {
+  const pviDetails = getPVIDetails(profile);
+  const limits = getProfileLimits(pviDetails, profile || {});
+  const lowHighPoints = pviDetails.map(p => p.lowHighPoint).filter(Boolean);
+  const lowPoints = lowHighPoints.filter(p => p.type === 'Low Point');
+
+  // Without PVIs the profile is a single tangent anchored at the start of the limits
+  const beginningGrade = parseFloat(profile?.beginningGrade);
+  const endingGrade = parseFloat(profile?.endingGrade);
+  const singleTangentGrade = !isNaN(endingGrade) ? endingGrade : (!isNaN(beginningGrade) ? beginningGrade : 0);
+  const singleTangentElevation = !isNaN(beginningGrade) ? 100 : 0;
+
+  const evaluate = (stationInput) => {
+    const station = parseFloat(stationInput);
+    if (isNaN(station)) return null;
+
+    let elevation, grade, curvature = 0;
+    if (pviDetails.length === 0) {
+      elevation = getTangentElevation(limits.startStation, singleTangentElevation, singleTangentGrade, station);
+      grade = singleTangentGrade;
+    } else {
+      const curve = pviDetails.find(p => p.L_curve > 0 && station >= p.BVC_station && station <= p.EVC_station);
+      if (curve) {
+        const x = station - curve.BVC_station;
+        curvature = curve.A_percent / curve.L_curve;
+        elevation = curve.BVC_elevation + (curve.g_in_percent / 100) * x + (curvature / 100 / 2) * x * x;
+        grade = curve.g_in_percent + curvature * x;
+      } else {
+        const previous = pviDetails.filter(p => p.PVI_station <= station).pop();
+        if (previous) {
+          elevation = getTangentElevation(previous.PVI_station, previous.PVI_elevation, previous.g_out_percent, station);
+          grade = previous.g_out_percent;
+        } else {
+          const first = pviDetails[0];
+          elevation = getTangentElevation(first.PVI_station, first.PVI_elevation, first.g_in_percent, station);
+          grade = first.g_in_percent;
+        }
+      }
+    }
+
+    const nearestLowPoint = lowPoints.reduce((nearest, p) => (
+      !nearest || Math.abs(p.station - station) < Math.abs(nearest.station - station) ? p : nearest
+    ), null);
+    const isLowPoint = Boolean(nearestLowPoint) && Math.abs(nearestLowPoint.station - station) <= SAG_STATION_TOLERANCE;
+
+    return { station, elevation, grade, curvature, isLowPoint, nearestLowPoint };
+  };
+
+  return { pviDetails, limits, lowHighPoints, lowPoints, evaluate };
+};
+
+export const evaluateProfile = (profile, station) => createProfileModel(profile).evaluate(station);
+
+// Gutter grade (magnitude, %) and sag status an inlet uses: read from the profile at its station unless overridden
+export const getInletProfileStatus = (inlet, profileModel) => {
+  const profileAtStation = profileModel.evaluate(inlet.station);
+  const gutterGrade = inlet.gutterGradeOverride
+    ? parseFloat(inlet.gutterGrade)
+    : (profileAtStation ? Math.abs(profileAtStation.grade) : NaN);
+  const isLowPoint = inlet.isLowPointOverride ? Boolean(inlet.isLowPoint) : Boolean(profileAtStation?.isLowPoint);
+  return { profileAtStation, gutterGrade, isLowPoint };
+};
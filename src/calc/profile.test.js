@@ -0,0 +1,95 @@
+import { describe, expect, it } from 'vitest';
+import { createProfileModel, getPVIDetails, getProfileLimits } from './profile.js';
+
+const sagAndCrest = {
+  beginningGrade: -1.0,
+  endingGrade: -0.4,
+  pvis: [
+    { station: 10200, elevation: 120.00, length: 400 },
+    { station: 10600, elevation: 124.00, length: 400 },
+  ],
+};
+
+describe('getPVIDetails', () => {
+  it('computes grades, BVC/EVC and the low and high points of symmetric vertical curves', () => {
+    const [sag, crest] = getPVIDetails(sagAndCrest);
+    expect(sag).toMatchObject({ g_in_percent: -1, g_out_percent: 1, A_percent: 2, BVC_station: 10000, EVC_station: 10400, BVC_elevation: 122 });
+    // Equal grades: the low point is mid-curve, e = A L / 800 above the PVI
+    expect(sag.lowHighPoint.type).toBe('Low Point');
+    expect(sag.lowHighPoint.station).toBeCloseTo(10200, 6);
+    expect(sag.lowHighPoint.elevation).toBeCloseTo(121, 6);
+    // Unequal grades: x = g1 L / A from the BVC
+    expect(crest.lowHighPoint.type).toBe('High Point');
+    expect(crest.lowHighPoint.station).toBeCloseTo(10400 + (1 / 1.4) * 400, 6);
+    expect(crest.lowHighPoint.elevation).toBeCloseTo(123.4286, 4);
+  });
+
+  it('has no low or high point when the grades do not change sign', () => {
+    const [pvi] = getPVIDetails({ beginningGrade: -2, endingGrade: -0.5, pvis: [{ station: 500, elevation: 50, length: 200 }] });
+    expect(pvi.lowHighPoint).toBeNull();
+  });
+
+  it('treats a zero-length curve as an angle point', () => {
+    const [pvi] = getPVIDetails({ beginningGrade: -2, endingGrade: 1, pvis: [{ station: 500, elevation: 50, length: 0 }] });
+    expect(pvi.BVC_station).toBe(500);
+    expect(pvi.EVC_station).toBe(500);
+    expect(pvi.lowHighPoint).toEqual({ station: 500, elevation: 50, type: 'Low Point' });
+  });
+
+  it('gives finite grades when two PVIs share a station', () => {
+    const details = getPVIDetails({ beginningGrade: -1, endingGrade: 1, pvis: [{ station: 1000, elevation: 100, length: 0 }, { station: 1000, elevation: 100, length: 0 }] });
+    details.forEach(pvi => {
+      expect(Number.isFinite(pvi.g_in_percent)).toBe(true);
+      expect(Number.isFinite(pvi.g_out_percent)).toBe(true);
+    });
+    expect(details[0].g_out_percent).toBe(0);
+  });
+});
+
+describe('getProfileLimits', () => {
+  it('extends 200 ft beyond the outermost curves unless start and end stations are given', () => {
+    const details = getPVIDetails(sagAndCrest);
+    expect(getProfileLimits(details)).toEqual({ startStation: 9800, endStation: 11000 });
+    expect(getProfileLimits(details, { startStation: 9900, endStation: '10900' })).toEqual({ startStation: 9900, endStation: 10900 });
+  });
+
+  it('defaults to 0 to 1000 without PVIs', () => {
+    expect(getProfileLimits([])).toEqual({ startStation: 0, endStation: 1000 });
+  });
+});
+
+describe('createProfileModel', () => {
+  it('evaluates elevation, grade and curvature on tangents and curves', () => {
+    const model = createProfileModel(sagAndCrest);
+    expect(model.evaluate(9900)).toMatchObject({ elevation: 123, grade: -1, curvature: 0 });
+    const mid = model.evaluate(10100);
+    expect(mid.elevation).toBeCloseTo(121.25, 6);
+    expect(mid.grade).toBeCloseTo(-0.5, 6);
+    expect(mid.curvature).toBeCloseTo(2 / 400, 6);
+    expect(model.evaluate(10200).isLowPoint).toBe(true);
+    expect(model.evaluate(10210).isLowPoint).toBe(false);
+    expect(model.evaluate('not a station')).toBeNull();
+  });
+
+  it('is a single tangent when there are no PVIs', () => {
+    const model = createProfileModel({ beginningGrade: 2, endingGrade: '', pvis: [] });
+    expect(model.lowHighPoints).toEqual([]);
+    expect(model.evaluate(500)).toMatchObject({ elevation: 110, grade: 2, isLowPoint: false });
+  });
+
+  it('uses the tangents on either side of a zero-length curve', () => {
+    const model = createProfileModel({ beginningGrade: -2, endingGrade: 1, pvis: [{ station: 500, elevation: 50, length: 0 }] });
+    expect(model.evaluate(400)).toMatchObject({ elevation: 52, grade: -2 });
+    expect(model.evaluate(600)).toMatchObject({ elevation: 51, grade: 1 });
+    expect(model.evaluate(500).isLowPoint).toBe(true);
+  });
+
+  it('stays finite when two PVIs share a station', () => {
+    const model = createProfileModel({ beginningGrade: -1, endingGrade: 1, pvis: [{ station: 1000, elevation: 100, length: 0 }, { station: 1000, elevation: 100, length: 0 }] });
+    [900, 1000, 1100].forEach(station => {
+      const point = model.evaluate(station);
+      expect(Number.isFinite(point.elevation)).toBe(true);
+      expect(Number.isFinite(point.grade)).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,155 @@
+// Vertical profile import and export: LandXML <ProfAlign> alignments (PVI, ParaCurve and the curve elements
+// approximated as parabolas) and CSV tables of station, elevation and curve length. An imported profile is a list
+// of points from the start to the end of the alignment; the first and last tangents set the beginning and ending
+// grades and the points between become PVIs.
+
+import { parseCSV } from '../csv.js';
+
+const FEET_PER_METER = 3.280839895;
+
+const round = (value, decimals) => Number(value.toFixed(decimals));
+
+// Station text as a number: "10200", "102+00.50" or "1+020.5" (metric style)
+export const parseStation = (text) => {
+  const value = String(text ?? '').trim();
+  if (/^-?\d+\+\d+(\.\d*)?$/.test(value)) {
+    const [whole, rest] = value.split('+');
+    return parseFloat(whole) * Math.pow(10, rest.split('.')[0].length) + Math.sign(parseFloat(whole) || 1) * parseFloat(rest);
+  }
+  return value === '' ? NaN : Number(value);
+};
+
+// Points [{ station, elevation, length }] from the start to the end of the alignment as an app profile.
+// Returns { profile, notes }; throws when there are too few points or the stations do not increase.
+export const pointsToProfile = (points) => {
+  if (points.length < 2) throw new Error('A profile needs at least a start and an end point.');
+  points.forEach((point, i) => {
+    if (!Number.isFinite(point.station) || !Number.isFinite(point.elevation)) throw new Error(`Point ${i + 1} has no valid station and elevation.`);
+    if (i > 0 && point.station <= points[i - 1].station) throw new Error(`Point ${i + 1} (Sta ${point.station}) is not beyond the point before it.`);
+  });
+  const grade = (a, b) => round((b.elevation - a.elevation) / (b.station - a.station) * 100, 6);
+  const first = points[0];
+  const last = points[points.length - 1];
+  const notes = [];
+  if (first.length > 0 || last.length > 0) notes.push('Curve lengths on the first and last points are ignored; they are the ends of the profile.');
+  return {
+    profile: {
+      beginningGrade: grade(first, points[1]),
+      endingGrade: grade(points[points.length - 2], last),
+      startStation: round(first.station, 4),
+      endStation: round(last.station, 4),
+      pvis: points.slice(1, -1).map(point => ({ station: round(point.station, 4), elevation: round(point.elevation, 4), length: round(point.length || 0, 4) })),
+    },
+    notes,
+  };
+};
+
+const decodeEntities = (text) => text
+  .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&amp;/g, '&');
+
+const readAttributes = (text) => Object.fromEntries([...(text || '').matchAll(/([\w:.-]+)\s*=\s*("([^"]*)"|'([^']*)')/g)]
+  .map(match => [match[1], decodeEntities(match[3] ?? match[4])]));
+
+// Every <tag ...>...</tag> or <tag .../> element in the text, ignoring any namespace prefix
+const findElements = (text, tags) => {
+  const names = tags.join('|');
+  const pattern = new RegExp(`<(?:[\\w.-]+:)?(${names})\\b([^>]*?)(?:/>|>([\\s\\S]*?)</(?:[\\w.-]+:)?\\1\\s*>)`, 'g');
+  return [...text.matchAll(pattern)].map(match => ({ tag: match[1], attributes: readAttributes(match[2]), content: match[3] ?? '', index: match.index }));
+};
+
+const readPoint = (content) => {
+  const [station, elevation] = content.trim().split(/[\s,]+/).map(Number);
+  return { station, elevation };
+};
+
+// The profiles in a LandXML file: [{ name, alignment, profile, notes }], one per <ProfAlign>. Lengths in meters
+// are converted to feet. Unsymmetrical and circular curves are brought in as symmetric parabolas of the same length.
+export const parseLandXMLProfiles = (text) => {
+  const source = String(text ?? '').replace(/<!--[\s\S]*?-->/g, '');
+  if (!/<(?:[\w.-]+:)?LandXML\b/.test(source)) throw new Error('The file is not LandXML (no <LandXML> element).');
+  const metric = /<(?:[\w.-]+:)?Metric\b/.test(source) && !/<(?:[\w.-]+:)?Imperial\b/.test(source);
+  const scale = metric ? FEET_PER_METER : 1;
+
+  const alignments = findElements(source, ['Alignment']);
+  const containers = alignments.length > 0 ? alignments : [{ attributes: {}, content: source }];
+  const profiles = containers.flatMap(alignment => findElements(alignment.content, ['ProfAlign', 'ProfileAlign']).map((profAlign, i) => {
+    const notes = metric ? ['Converted from meters to feet.'] : [];
+    const points = findElements(profAlign.content, ['PVI', 'ParaCurve', 'UnsymParaCurve', 'CircCurve']).map(element => {
+      const { station, elevation } = readPoint(element.content);
+      let length = 0;
+      if (element.tag === 'ParaCurve') length = parseFloat(element.attributes.length) || 0;
+      else if (element.tag === 'UnsymParaCurve') {
+        length = (parseFloat(element.attributes.lengthIn) || 0) + (parseFloat(element.attributes.lengthOut) || 0);
+        notes.push(`The unsymmetrical curve at Sta ${station} is brought in as a symmetric curve ${length} long.`);
+      } else if (element.tag === 'CircCurve') {
+        length = parseFloat(element.attributes.length) || 0;
+        notes.push(`The circular curve at Sta ${station} is brought in as a parabola of the same length.`);
+      }
+      return { station: station * scale, elevation: elevation * scale, length: length * scale };
+    });
+    const name = profAlign.attributes.name || `Profile ${i + 1}`;
+    try {
+      const converted = pointsToProfile(points);
+      return { name, alignment: alignment.attributes.name || '', ...converted, notes: [...notes, ...converted.notes] };
+    } catch (error) {
+      return { name, alignment: alignment.attributes.name || '', profile: null, notes: [error.message] };
+    }
+  }));
+  if (profiles.length === 0) throw new Error('The LandXML file has no <ProfAlign> profiles.');
+  return profiles;
+};
+
+// A CSV of station, elevation and curve length, one row per point from the start to the end of the profile.
+// A header row is optional; stations may be written as 102+00.
+export const parseProfileCSV = (text, { name = 'CSV profile' } = {}) => {
+  const rows = parseCSV(text).filter(row => row.some(cell => cell !== ''));
+  const dataRows = rows.length > 0 && !Number.isFinite(parseStation(rows[0][0])) ? rows.slice(1) : rows;
+  if (dataRows.length === 0) throw new Error('The CSV file has no data rows.');
+  const points = dataRows.map(([station, elevation, length]) => ({ station: parseStation(station), elevation: parseFloat(elevation), length: parseFloat(length) || 0 }));
+  return [{ name, alignment: '', ...pointsToProfile(points) }];
+};
+
+// Reads either format, choosing by content rather than file extension
+export const parseProfileFile = (text, { name } = {}) => (
+  /^\s*(<\?xml|<(?:[\w.-]+:)?LandXML\b)/.test(String(text ?? '').replace(/^\uFEFF/, '')) ? parseLandXMLProfiles(text) : parseProfileCSV(text, { name })
+);
+
+const escapeXml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+// LandXML 1.2 for the profile as drawn: the start and end of the project limits as PVI points and each
+// PVI as a ParaCurve (or a PVI when it has no curve). Units are US survey feet.
+export const buildLandXML = ({ info = {}, profileModel, alignmentName = '', profileName = 'Design' }) => {
+  const { pviDetails, limits, evaluate } = profileModel;
+  const start = evaluate(limits.startStation);
+  const end = evaluate(limits.endStation);
+  const point = (station, elevation) => `${station.toFixed(4)} ${elevation.toFixed(4)}`;
+  const elements = [
+    `<PVI>${point(limits.startStation, start.elevation)}</PVI>`,
+    ...pviDetails.map(pvi => (pvi.L_curve > 0
+      ? `<ParaCurve length="${pvi.L_curve.toFixed(4)}">${point(pvi.PVI_station, pvi.PVI_elevation)}</ParaCurve>`
+      : `<PVI>${point(pvi.PVI_station, pvi.PVI_elevation)}</PVI>`)),
+    `<PVI>${point(limits.endStation, end.elevation)}</PVI>`,
+  ];
+  const name = alignmentName || info.route || info.name || 'Alignment';
+  const [date, time] = new Date().toISOString().split(/[T.]/);
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<LandXML xmlns="http://www.landxml.org/schema/LandXML-1.2" version="1.2" date="${date}" time="${time}">
+  <Units>
+    <Imperial areaUnit="squareFoot" linearUnit="USSurveyFoot" volumeUnit="cubicFeet" temperatureUnit="fahrenheit" pressureUnit="inHG" angularUnit="decimal degrees" directionUnit="decimal degrees" />
+  </Units>
+  <Project name="${escapeXml(info.name || 'Inlet Spacing Project')}" />
+  <Application name="Inlet Spacing Calculator" manufacturer="" version="" />
+  <Alignments>
+    <Alignment name="${escapeXml(name)}" length="${(limits.endStation - limits.startStation).toFixed(4)}" staStart="${limits.startStation.toFixed(4)}">
+      <CoordGeom />
+      <Profile name="${escapeXml(name)}">
+        <ProfAlign name="${escapeXml(profileName)}">
+          ${elements.join('\n          ')}
+        </ProfAlign>
+      </Profile>
+    </Alignment>
+  </Alignments>
+</LandXML>
+`;
+};
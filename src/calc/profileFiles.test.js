@@ -0,0 +1,88 @@
+import { describe, expect, it } from 'vitest';
+import { createSampleProject } from '../project.js';
+import { createProfileModel } from './profile.js';
+import { buildLandXML, parseLandXMLProfiles, parseProfileCSV, parseProfileFile, parseStation } from './profileFiles.js';
+
+const LANDXML = `<?xml version="1.0"?>
+<LandXML xmlns="http://www.landxml.org/schema/LandXML-1.2" version="1.2">
+  <Units><Imperial linearUnit="USSurveyFoot" /></Units>
+  <Alignments>
+    <Alignment name="SR 1 CL" length="2000" staStart="1000">
+      <CoordGeom />
+      <Profile name="SR 1 CL">
+        <ProfSurf name="Existing Ground"><PntList2D>1000 99 3000 101</PntList2D></ProfSurf>
+        <ProfAlign name="Design">
+          <PVI>1000 100</PVI>
+          <ParaCurve length="400">2000 90</ParaCurve>
+          <PVI>2500 95</PVI>
+          <PVI>3000 94</PVI>
+        </ProfAlign>
+        <ProfAlign name="Alternate &amp; lowered">
+          <PVI>1000 100</PVI>
+          <UnsymParaCurve lengthIn="100" lengthOut="200">2000 88</UnsymParaCurve>
+          <PVI>3000 96</PVI>
+        </ProfAlign>
+      </Profile>
+    </Alignment>
+  </Alignments>
+</LandXML>`;
+
+describe('parseStation', () => {
+  it('reads plain and plus stations', () => {
+    expect(parseStation('10200.5')).toBe(10200.5);
+    expect(parseStation('102+00.50')).toBe(10200.5);
+    expect(parseStation('1+020.5')).toBe(1020.5);
+    expect(parseStation('')).toBeNaN();
+  });
+});
+
+describe('parseLandXMLProfiles', () => {
+  it('reads every ProfAlign with grades from the first and last tangents', () => {
+    const [design, alternate] = parseLandXMLProfiles(LANDXML);
+    expect(design).toMatchObject({ name: 'Design', alignment: 'SR 1 CL', notes: [] });
+    expect(design.profile).toEqual({
+      beginningGrade: -1, endingGrade: -0.2, startStation: 1000, endStation: 3000,
+      pvis: [{ station: 2000, elevation: 90, length: 400 }, { station: 2500, elevation: 95, length: 0 }],
+    });
+    expect(alternate.name).toBe('Alternate & lowered');
+    expect(alternate.profile.pvis).toEqual([{ station: 2000, elevation: 88, length: 300 }]);
+    expect(alternate.notes).toHaveLength(1);
+  });
+
+  it('converts metric files to feet', () => {
+    const metric = LANDXML.replace('<Imperial linearUnit="USSurveyFoot" />', '<Metric linearUnit="meter" />');
+    const [design] = parseLandXMLProfiles(metric);
+    expect(design.profile.startStation).toBeCloseTo(3280.84, 2);
+    expect(design.profile.beginningGrade).toBeCloseTo(-1, 9);
+    expect(design.notes).toEqual(['Converted from meters to feet.']);
+  });
+
+  it('rejects files without profiles', () => {
+    expect(() => parseLandXMLProfiles('<root />')).toThrow('not LandXML');
+    expect(() => parseLandXMLProfiles('<LandXML><Alignments /></LandXML>')).toThrow('no <ProfAlign>');
+  });
+});
+
+describe('parseProfileCSV', () => {
+  it('reads station, elevation and curve length rows with an optional header', () => {
+    const [{ profile }] = parseProfileCSV('Station,Elevation,Curve Length\n10+00,100,\n20+00,90,400\n30+00,94,0\n');
+    expect(profile).toEqual({ beginningGrade: -1, endingGrade: 0.4, startStation: 1000, endStation: 3000, pvis: [{ station: 2000, elevation: 90, length: 400 }] });
+    expect(parseProfileFile('1000,100\n3000,96')[0].profile.pvis).toEqual([]);
+  });
+
+  it('rejects stations that do not increase', () => {
+    expect(() => parseProfileCSV('1000,100\n900,99')).toThrow('not beyond');
+  });
+});
+
+describe('buildLandXML', () => {
+  it('round-trips the sample profile', () => {
+    const { profile } = createSampleProject();
+    const model = createProfileModel(profile);
+    const [imported] = parseProfileFile(buildLandXML({ info: { name: 'Sample' }, profileModel: model }));
+    expect(imported.profile.pvis).toEqual(profile.pvis.map(pvi => ({ station: pvi.station, elevation: pvi.elevation, length: pvi.length })));
+    expect(imported.profile.beginningGrade).toBeCloseTo(profile.beginningGrade, 6);
+    expect(imported.profile.endingGrade).toBeCloseTo(profile.endingGrade, 6);
+    expect(imported.profile.startStation).toBeCloseTo(model.limits.startStation, 4);
+  });
+});
@@ -0,0 +1,220 @@
+// Rainfall intensity-duration-frequency (IDF) data: built-in LADOTD regions plus user data sets
+// given as equations or as tabular intensity/depth-duration data (e.g. NOAA Atlas 14 exports)
+
+import { parseCSV } from '../csv.js';
+
+// Constants for Rainfall Intensity Coefficients (from LA DOTD Hydraulics Manual, Figures 3.4-3, 3.4-4, 3.4-5)
+export const RAINFALL_COEFFICIENTS = {
+  'Region 1': {
+    '2-Year': { a: 2.815, b: 0.282, c: -0.899 },
+    '5-Year': { a: 3.536, b: 0.330, c: -0.851 },
+    '10-Year': { a: 4.016, b: 0.347, c: -0.826 },
+    '25-Year': { a: 4.611, b: 0.346, c: -0.798 },
+    '50-Year': { a: 5.097, b: 0.351, c: -0.783 },
+    '100-Year': { a: 5.487, b: 0.334, c: -0.759 },
+  },
+  'Region 2': {
+    '2-Year': { a: 2.375, b: 0.221, c: -0.922 },
+    '5-Year': { a: 2.976, b: 0.251, c: -0.865 },
+    '10-Year': { a: 3.447, b: 0.277, c: -0.839 },
+    '25-Year': { a: 4.092, b: 0.297, c: -0.808 },
+    '50-Year': { a: 4.640, b: 0.318, c: -0.791 },
+    '100-Year': { a: 5.195, b: 0.335, c: -0.771 },
+  },
+  'Region 3': {
+    '2-Year': { a: 2.138, b: 0.192, c: -0.891 },
+    '5-Year': { a: 2.701, b: 0.220, c: -0.847 },
+    '10-Year': { a: 3.086, b: 0.231, c: -0.826 },
+    '25-Year': { a: 3.592, b: 0.238, c: -0.809 },
+    '50-Year': { a: 3.934, b: 0.227, c: -0.794 },
+    '100-Year': { a: 4.286, b: 0.223, c: -0.780 },
+  },
+};
+
+// Equation forms for intensity i (in/hr) from duration t (min)
+export const IDF_FORMS = {
+  ladotd: { label: 'i = a (D + b)^c, D in hours (LADOTD)', params: ['a', 'b', 'c'], evaluate: ({ a, b, c }, t) => a * Math.pow(t / 60 + b, c) },
+  general: { label: 'i = a / (t + b)^c, t in minutes', params: ['a', 'b', 'c'], evaluate: ({ a, b, c }, t) => a / Math.pow(t + b, c) },
+  talbot: { label: 'i = a / (t + b), t in minutes (Talbot)', params: ['a', 'b'], evaluate: ({ a, b }, t) => a / (t + b) },
+  power: { label: 'i = a / t^c, t in minutes', params: ['a', 'c'], evaluate: ({ a, c }, t) => a / Math.pow(t, c) },
+};
+
+export const TABLE_FORM = 'table';
+
+const toLadotdCurves = (coefficients) => Object.fromEntries(
+  Object.entries(coefficients).map(([period, coeffs]) => [period, { form: 'ladotd', ...coeffs }])
+);
+
+export const BUILT_IN_RAINFALL = Object.fromEntries(
+  Object.entries(RAINFALL_COEFFICIENTS).map(([region, coefficients]) => [
+    region, { name: region, source: 'LADOTD Hydraulics Manual', builtIn: true, returnPeriods: toLadotdCurves(coefficients) },
+  ])
+);
+
+// Log-log interpolation between tabulated durations; outside the table the end values are held
+const interpolateTable = ({ durations, intensities }, t) => {
+  if (t <= durations[0]) return intensities[0];
+  const last = durations.length - 1;
+  if (t >= durations[last]) return intensities[last];
+  const i = durations.findIndex(d => d >= t) - 1;
+  const ratio = Math.log(t / durations[i]) / Math.log(durations[i + 1] / durations[i]);
+  return Math.exp(Math.log(intensities[i]) + ratio * (Math.log(intensities[i + 1]) - Math.log(intensities[i])));
+};
+
+// Intensity (in/hr) for one IDF curve at a duration in minutes
+export const evaluateIdfCurve = (curve, tcMinutes) => {
+  if (!curve || !(tcMinutes > 0)) return 0;
+  const intensity = curve.form === TABLE_FORM ? interpolateTable(curve, tcMinutes) : IDF_FORMS[curve.form]?.evaluate(curve, tcMinutes);
+  return Number.isFinite(intensity) && intensity > 0 ? intensity : 0;
+};
+
+export const getIdfCurve = (rainfallData, region, returnPeriod) => rainfallData?.[region]?.returnPeriods?.[returnPeriod] || null;
+
+// Returns an error message for an unusable curve, or '' when it can be evaluated
+export const validateIdfCurve = (curve) => {
+  if (!curve || typeof curve !== 'object') return 'Curve is missing.';
+  if (curve.form === TABLE_FORM) {
+    const { durations, intensities } = curve;
+    if (!Array.isArray(durations) || !Array.isArray(intensities) || durations.length !== intensities.length) return 'Durations and intensities must be lists of the same length.';
+    if (durations.length < 2) return 'A table needs at least two durations.';
+    if (durations.some((d, i) => !(d > 0) || (i > 0 && d <= durations[i - 1]))) return 'Durations must be positive and increasing.';
+    if (intensities.some(v => !(v > 0))) return 'Intensities must be positive.';
+    return '';
+  }
+  const form = IDF_FORMS[curve.form];
+  if (!form) return `Unknown equation form "${curve.form}".`;
+  const missing = form.params.filter(p => !Number.isFinite(curve[p]));
+  if (missing.length > 0) return `Missing coefficient(s) ${missing.join(', ')}.`;
+  return evaluateIdfCurve(curve, 15) > 0 ? '' : 'Equation does not give a positive intensity.';
+};
+
+const RETURN_PERIOD_PATTERN = /^(ari\s*)?(\d+(?:\.\d+)?)\s*(-?\s*(yr|yrs|year|years|y))?$/i;
+
+// "10", "10-yr", "10 year" and "ARI 10" all become "10-Year"; other labels are kept as entered
+export const normalizeReturnPeriod = (label) => {
+  const text = String(label).trim();
+  const match = text.match(RETURN_PERIOD_PATTERN);
+  return match ? `${match[2]}-Year` : text;
+};
+
+// Durations like "5", "5-min", "2-hr", "24 hours" or "2-day" in minutes
+export const parseDuration = (text, defaultUnit = 'min') => {
+  const match = String(text).trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*-?\s*(min|mins|minutes?|hr|hrs|hours?|h|days?|d)?:?$/);
+  if (!match) return NaN;
+  const value = parseFloat(match[1]);
+  const unit = match[2] || defaultUnit;
+  if (unit.startsWith('d')) return value * 1440;
+  if (unit.startsWith('h')) return value * 60;
+  return value;
+};
+
+const parseNumber = (text) => {
+  const value = parseFloat(String(text).replace(/[^0-9.eE+-]/g, ''));
+  return Number.isFinite(value) ? value : NaN;
+};
+
+// CSV with one row per return period: Return Period, Form, a, b, c
+const parseEquationRows = (rows) => {
+  const header = rows[0].map(cell => cell.toLowerCase());
+  const column = (name) => header.indexOf(name);
+  const periodColumn = header.findIndex(cell => /return|period|frequency|ari/.test(cell));
+  const returnPeriods = {};
+  rows.slice(1).forEach(row => {
+    const period = normalizeReturnPeriod(row[periodColumn >= 0 ? periodColumn : 0]);
+    const form = (row[column('form')] || 'ladotd').toLowerCase();
+    const curve = { form };
+    ['a', 'b', 'c'].forEach(p => {
+      if (column(p) >= 0 && row[column(p)] !== '') curve[p] = parseNumber(row[column(p)]);
+    });
+    if (period) returnPeriods[period] = curve;
+  });
+  return returnPeriods;
+};
+
+// Duration table: a header row of return periods followed by rows of duration and values. Leading notes and
+// later tables (as in NOAA Atlas 14 CSV exports, whose first table holds the point estimates) are skipped.
+const parseTableRows = (rows, valueType, durationUnit) => {
+  const headerIndex = rows.findIndex(row => {
+    const labels = row.slice(1).filter(cell => cell !== '');
+    return labels.length > 0 && labels.every(cell => RETURN_PERIOD_PATTERN.test(cell)) && isNaN(parseDuration(row[0], durationUnit));
+  });
+  if (headerIndex < 0) throw new Error('No header row with return periods was found.');
+  const header = rows[headerIndex];
+  const periods = header.slice(1).map(normalizeReturnPeriod);
+
+  const durations = [];
+  const values = periods.map(() => []);
+  for (const row of rows.slice(headerIndex + 1)) {
+    const duration = parseDuration(row[0], durationUnit);
+    if (isNaN(duration)) {
+      if (durations.length > 0) break;
+      continue;
+    }
+    durations.push(duration);
+    periods.forEach((_, i) => values[i].push(parseNumber(row[i + 1])));
+  }
+
+  const returnPeriods = {};
+  periods.forEach((period, i) => {
+    if (!period) return;
+    const intensities = values[i].map((value, j) => (valueType === 'depth' ? value / (durations[j] / 60) : value));
+    const points = durations.map((d, j) => [d, intensities[j]]).filter(([d, v]) => d > 0 && v > 0).sort((p, q) => p[0] - q[0]);
+    returnPeriods[period] = { form: TABLE_FORM, durations: points.map(p => p[0]), intensities: points.map(p => p[1]) };
+  });
+  return returnPeriods;
+};
+
+const finishDataset = ({ name, source, returnPeriods }) => {
+  const errors = Object.entries(returnPeriods)
+    .map(([period, curve]) => [period, validateIdfCurve(curve)])
+    .filter(([, error]) => error)
+    .map(([period, error]) => `${period}: ${error}`);
+  if (Object.keys(returnPeriods).length === 0) errors.push('No return periods were found.');
+  if (errors.length > 0) throw new Error(`Rainfall data "${name}" is not usable. ${errors.join(' ')}`);
+  return { name, source, builtIn: false, returnPeriods };
+};
+
+// Parses a CSV of IDF data. valueType is 'intensity' (in/hr) or 'depth' (in); durationUnit applies to bare numbers.
+export const parseRainfallCSV = (text, { name, source = 'Imported CSV', valueType = 'intensity', durationUnit = 'min' } = {}) => {
+  const rows = parseCSV(text);
+  if (rows.length < 2) throw new Error('The CSV file has no data rows.');
+  const isEquation = rows[0].some(cell => cell.toLowerCase() === 'form') || (rows[0].some(cell => cell.toLowerCase() === 'a') && rows[0].some(cell => cell.toLowerCase() === 'c'));
+  const returnPeriods = isEquation ? parseEquationRows(rows) : parseTableRows(rows, valueType, durationUnit);
+  return finishDataset({ name, source, returnPeriods });
+};
+
+// Parses JSON holding one data set ({ name, source, returnPeriods }) or an array of them
+export const parseRainfallJSON = (text, { name } = {}) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`The JSON file could not be read: ${error.message}`);
+  }
+  const list = Array.isArray(data) ? data : [data];
+  return list.map((item, i) => {
+    if (!item || !item.returnPeriods || typeof item.returnPeriods !== 'object') throw new Error('Each rainfall data set needs a "returnPeriods" object.');
+    const returnPeriods = Object.fromEntries(Object.entries(item.returnPeriods).map(([period, curve]) => [normalizeReturnPeriod(period), curve]));
+    return finishDataset({ name: item.name || (list.length > 1 ? `${name} ${i + 1}` : name), source: item.source || 'Imported JSON', returnPeriods });
+  });
+};
+
+// Custom data sets persist in the browser; outside the browser (CLI, tests) nothing is stored
+const STORAGE_KEY = 'inletSpacingCalculator.rainfallDatasets';
+
+export const loadCustomRainfall = () => {
+  if (typeof localStorage === 'undefined') return {};
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+    return Object.fromEntries(Object.entries(stored).filter(([, dataset]) => (
+      dataset && Object.values(dataset.returnPeriods || {}).every(curve => !validateIdfCurve(curve))
+    )));
+  } catch {
+    return {};
+  }
+};
+
+export const saveCustomRainfall = (datasets) => {
+  if (typeof localStorage === 'undefined') return;
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(datasets));
+};
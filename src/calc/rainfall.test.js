@@ -0,0 +1,104 @@
+import { describe, expect, it } from 'vitest';
+import { TABLE_FORM, evaluateIdfCurve, normalizeReturnPeriod, parseDuration, parseRainfallCSV, parseRainfallJSON } from './rainfall.js';
+
+// The layout of a NOAA Atlas 14 precipitation frequency CSV: notes, the point estimates, then the bounds
+const atlas14 = (dataType, rows) => [
+  'Point precipitation frequency estimates (inches)',
+  'NOAA Atlas 14 Volume 9 Version 2',
+  `Data type: ${dataType}`,
+  'Time series type: Partial duration',
+  'Location name (ESRI Maps): Baton Rouge, Louisiana, USA',
+  '',
+  'PRECIPITATION FREQUENCY ESTIMATES',
+  'by duration for ARI (years):, 2,10,100',
+  ...rows,
+  '',
+  'UPPER BOUND OF 90% CONFIDENCE INTERVAL',
+  'by duration for ARI (years):, 2,10,100',
+  '5-min:, 9.99,9.99,9.99',
+  '',
+  'Date/time (GMT):  Mon Oct 19 2026',
+].join('\n');
+
+describe('parseRainfallCSV', () => {
+  it('reads the point estimates of a NOAA Atlas 14 depth export as intensities', () => {
+    const dataset = parseRainfallCSV(atlas14('Precipitation depth', [
+      '5-min:, 0.550,0.700,1.000',
+      '15-min:, 1.000,1.300,1.800',
+      '60-min:, 2.000,2.800,4.200',
+      '2-hr:, 2.500,3.600,5.600',
+    ]), { name: 'Baton Rouge', valueType: 'depth' });
+    expect(dataset).toMatchObject({ name: 'Baton Rouge', source: 'Imported CSV', builtIn: false });
+    expect(Object.keys(dataset.returnPeriods)).toEqual(['2-Year', '10-Year', '100-Year']);
+    const curve = dataset.returnPeriods['10-Year'];
+    expect(curve.form).toBe(TABLE_FORM);
+    expect(curve.durations).toEqual([5, 15, 60, 120]);
+    // Depth over duration: 0.70 in in 5 min is 8.4 in/hr; the upper bound table is ignored
+    expect(curve.intensities[0]).toBeCloseTo(8.4, 9);
+    expect(curve.intensities[3]).toBeCloseTo(1.8, 9);
+  });
+
+  it('reads an intensity export and an equation table', () => {
+    const intensity = parseRainfallCSV(atlas14('Precipitation intensity', [
+      '5-min:, 6.60,8.40,12.0',
+      '10-min:, 5.40,6.90,9.80',
+    ]), { name: 'Baton Rouge' });
+    expect(intensity.returnPeriods['100-Year']).toEqual({ form: TABLE_FORM, durations: [5, 10], intensities: [12, 9.8] });
+
+    const equations = parseRainfallCSV('Return Period,Form,a,b,c\n10 yr,general,60,10,0.8\n25,talbot,120,15,', { name: 'Parish' });
+    expect(equations.returnPeriods).toEqual({ '10-Year': { form: 'general', a: 60, b: 10, c: 0.8 }, '25-Year': { form: 'talbot', a: 120, b: 15 } });
+  });
+
+  it('refuses files without usable curves', () => {
+    expect(() => parseRainfallCSV('Duration', { name: 'X' })).toThrow('The CSV file has no data rows.');
+    expect(() => parseRainfallCSV('Duration,Notes\n5,fast', { name: 'X' })).toThrow('No header row with return periods was found.');
+    expect(() => parseRainfallCSV('Duration,10\n5,6\n5,7', { name: 'X' })).toThrow('Rainfall data "X" is not usable. 10-Year: Durations must be positive and increasing.');
+  });
+});
+
+describe('parseRainfallJSON', () => {
+  it('reads one data set or a list and normalizes the return periods', () => {
+    const curve = { form: 'power', a: 40, c: 0.6 };
+    const [dataset] = parseRainfallJSON(JSON.stringify({ name: 'County', returnPeriods: { '10 year': curve } }), { name: 'file' });
+    expect(dataset).toEqual({ name: 'County', source: 'Imported JSON', builtIn: false, returnPeriods: { '10-Year': curve } });
+    const list = parseRainfallJSON(JSON.stringify([{ returnPeriods: { 2: curve } }, { returnPeriods: { 5: curve } }]), { name: 'file' });
+    expect(list.map(item => item.name)).toEqual(['file 1', 'file 2']);
+  });
+
+  it('refuses bad JSON and data sets without return periods', () => {
+    expect(() => parseRainfallJSON('{', { name: 'X' })).toThrow(/^The JSON file could not be read/);
+    const message = 'Each rainfall data set needs a "returnPeriods" object.';
+    expect(() => parseRainfallJSON('{"returnPeriods":null}', { name: 'X' })).toThrow(message);
+    expect(() => parseRainfallJSON('[null]', { name: 'X' })).toThrow(message);
+    expect(() => parseRainfallJSON('{"returnPeriods":"10-Year"}', { name: 'X' })).toThrow(message);
+  });
+});
+
+describe('evaluateIdfCurve', () => {
+  const table = { form: TABLE_FORM, durations: [5, 15, 60], intensities: [8, 5, 2] };
+
+  it('interpolates a table log-log between durations and holds the end values beyond them', () => {
+    expect(evaluateIdfCurve(table, 15)).toBe(5);
+    // Halfway in log t from 15 to 60 min is 30 min, and halfway in log i from 5 to 2 is √10
+    expect(evaluateIdfCurve(table, 30)).toBeCloseTo(Math.sqrt(10), 9);
+    expect(evaluateIdfCurve(table, 2)).toBe(8);
+    expect(evaluateIdfCurve(table, 120)).toBe(2);
+    expect(evaluateIdfCurve(table, 0)).toBe(0);
+  });
+
+  it('evaluates the equation forms', () => {
+    expect(evaluateIdfCurve({ form: 'ladotd', a: 4.016, b: 0.347, c: -0.826 }, 60)).toBeCloseTo(4.016 * Math.pow(1.347, -0.826), 9);
+    expect(evaluateIdfCurve({ form: 'talbot', a: 120, b: 15 }, 15)).toBe(4);
+    expect(evaluateIdfCurve({ form: 'unknown' }, 15)).toBe(0);
+  });
+});
+
+describe('normalizeReturnPeriod and parseDuration', () => {
+  it('read the labels used by IDF exports', () => {
+    expect(['10', '10-yr', '10 Years', 'ARI 10'].map(normalizeReturnPeriod)).toEqual(Array(4).fill('10-Year'));
+    expect(normalizeReturnPeriod('Annual')).toBe('Annual');
+    expect(['5-min:', '2-hr', '24 hours', '2-day', '30'].map(text => parseDuration(text))).toEqual([5, 120, 1440, 2880, 30]);
+    expect(parseDuration('2', 'hr')).toBe(120);
+    expect(parseDuration('soon')).toBeNaN();
+  });
+});
@@ -0,0 +1,135 @@
+// Bypass routing: sends each inlet's bypass downhill along its side of the road to the next inlet
+
+import { calculateGutterTravelTime } from './hydraulics.js';
+import { SAG_STATION_TOLERANCE, getInletProfileStatus } from './profile.js';
+
+// bypassTo value for flow that is sent off the project on purpose
+export const BYPASS_OFFSITE = 'OFFSITE';
+export const ROADWAY_SIDES = ['Right', 'Left'];
+
+const sideOf = (inlet) => inlet.side || ROADWAY_SIDES[0];
+
+// Resolves where each inlet's bypass goes. A route either has a targetIndex or a terminal describing
+// where the flow ends up: 'offsite' (leaves the project limits), 'sag' (ponds at a low point without
+// an inlet), 'sag-inlet' (bypass of a sag inlet itself), 'flat' (no grade to move it) or 'invalid'
+// (an explicit target that does not exist). An explicit target uphill of an inlet on grade is kept but
+// carries a warning, since the gutter cannot carry the bypass there.
+export const resolveBypassRoutes = (inlets, profileModel) => {
+  const { startStation, endStation } = profileModel.limits;
+  const stationOf = inlets.map(inlet => parseFloat(inlet.station));
+  const indexById = new Map();
+  inlets.forEach((inlet, index) => {
+    if (inlet.strId && !indexById.has(inlet.strId)) indexById.set(inlet.strId, index);
+  });
+
+  return inlets.map((inlet, index) => {
+    const station = stationOf[index];
+    const { profileAtStation, isLowPoint } = getInletProfileStatus(inlet, profileModel);
+
+    if (inlet.bypassTo === BYPASS_OFFSITE) {
+      return { targetIndex: null, direction: 0, auto: false, terminal: { type: 'offsite', station } };
+    }
+    if (inlet.bypassTo) {
+      const targetIndex = indexById.get(inlet.bypassTo);
+      if (targetIndex === undefined || targetIndex === index) {
+        return { targetIndex: null, direction: 0, auto: false, terminal: { type: 'invalid', station }, error: `Bypass target "${inlet.bypassTo}" not found.` };
+      }
+      const direction = Math.sign(stationOf[targetIndex] - station);
+      const downhill = !isLowPoint && profileAtStation?.grade ? (profileAtStation.grade < 0 ? 1 : -1) : 0;
+      const route = { targetIndex, direction, auto: false, terminal: null };
+      if (downhill && direction === -downhill) {
+        route.warning = `Bypass target "${inlet.bypassTo}" is uphill at Sta ${stationOf[targetIndex]}; the bypass is routed against the ${profileAtStation.grade.toFixed(2)}% grade.`;
+      }
+      return route;
+    }
+
+    if (isLowPoint) return { targetIndex: null, direction: 0, auto: true, terminal: { type: 'sag-inlet', station } };
+    if (!profileAtStation || profileAtStation.grade === 0) {
+      return { targetIndex: null, direction: 0, auto: true, terminal: { type: 'flat', station } };
+    }
+
+    // Downhill is increasing station on a falling grade; flow stops at the first low point it meets
+    const direction = profileAtStation.grade < 0 ? 1 : -1;
+    const lowPointAhead = profileModel.lowPoints
+      .map(p => p.station)
+      .filter(s => (s - station) * direction > SAG_STATION_TOLERANCE)
+      .sort((a, b) => (a - b) * direction)[0];
+    const reach = lowPointAhead !== undefined ? lowPointAhead + direction * SAG_STATION_TOLERANCE : (direction > 0 ? endStation : startStation);
+
+    let targetIndex = null;
+    inlets.forEach((candidate, candidateIndex) => {
+      const candidateStation = stationOf[candidateIndex];
+      if (candidateIndex === index || isNaN(candidateStation) || sideOf(candidate) !== sideOf(inlet)) return;
+      const ahead = (candidateStation - station) * direction;
+      if (ahead <= 0 || (reach - candidateStation) * direction < 0) return;
+      if (targetIndex === null || ahead < (stationOf[targetIndex] - station) * direction) targetIndex = candidateIndex;
+    });
+
+    if (targetIndex !== null) return { targetIndex, direction, auto: true, terminal: null };
+    if (lowPointAhead !== undefined) return { targetIndex: null, direction, auto: true, terminal: { type: 'sag', station: lowPointAhead } };
+    return { targetIndex: null, direction, auto: true, terminal: { type: 'offsite', station: direction > 0 ? endStation : startStation } };
+  });
+};
+
+// Orders inlets so every inlet comes after all inlets that bypass to it. An explicit target that closes a
+// loop would recirculate flow forever, so that edge is cut and its bypass reported as a 'cycle' terminal.
+export const orderRoutes = (routes) => {
+  const routed = routes.map(route => ({ ...route }));
+  const upstream = routed.map(() => []);
+  routed.forEach((route, index) => {
+    if (route.targetIndex !== null) upstream[route.targetIndex].push(index);
+  });
+
+  const order = [];
+  const cycles = [];
+  const state = routed.map(() => 'new');
+  const visit = (index) => {
+    state[index] = 'visiting';
+    upstream[index].forEach(source => {
+      if (state[source] === 'visiting') {
+        cycles.push({ from: source, to: index });
+        routed[source] = { ...routed[source], targetIndex: null, terminal: { type: 'cycle', station: NaN } };
+      } else if (state[source] === 'new') {
+        visit(source);
+      }
+    });
+    state[index] = 'done';
+    order.push(index);
+  };
+  routed.forEach((_, index) => {
+    if (state[index] === 'new') visit(index);
+  });
+  return { routes: routed, order, cycles };
+};
+
+// Incoming bypass per inlet plus the flows that leave the network, from each inlet's current bypass
+export const accumulateBypass = (routes, bypassByIndex) => {
+  const incoming = routes.map(() => 0);
+  const sources = routes.map(() => []);
+  const losses = [];
+  routes.forEach((route, index) => {
+    const q = parseFloat(bypassByIndex[index]) || 0;
+    if (route.targetIndex !== null) {
+      incoming[route.targetIndex] += q;
+      sources[route.targetIndex].push(index);
+    } else if (q > 1e-6) {
+      losses.push({ index, q, ...route.terminal });
+    }
+  });
+  return { incoming, sources, losses };
+};
+
+// Upstream time of concentration reaching an inlet with its bypass: the source inlet's design tc plus
+// gutter travel time over the station difference. The source's approach velocity is used for the travel,
+// which slightly shortens it (conservative). Only sources that actually pass bypass count.
+export const getUpstreamTc = (fromIndexes, index, inlets) => fromIndexes.reduce((controlling, fromIndex) => {
+  const source = inlets[fromIndex];
+  if (!(parseFloat(source.qBypass) > 0) || !(source.tc > 0)) return controlling;
+  const distance = Math.abs(parseFloat(inlets[index].station) - parseFloat(source.station));
+  const travelTime = calculateGutterTravelTime(distance, source.gutterVelocity);
+  const tc = source.tc + travelTime;
+  return !controlling || tc > controlling.tc ? { tc, travelTime, fromIndex } : controlling;
+}, null);
+
+// Routes for the whole project, with loops already cut
+export const routeBypass = (inlets, profileModel) => orderRoutes(resolveBypassRoutes(inlets, profileModel));
@@ -0,0 +1,70 @@
+import { describe, expect, it } from 'vitest';
+import { createInlet } from '../inlets.js';
+import { createProfileModel } from './profile.js';
+import { BYPASS_OFFSITE, accumulateBypass, resolveBypassRoutes, routeBypass } from './routing.js';
+
+// Sag at Sta 10200 between a -1% and a +1% grade
+const profileModel = createProfileModel({ beginningGrade: -1, endingGrade: 1, pvis: [{ station: 10200, elevation: 120, length: 400 }] });
+
+describe('routeBypass', () => {
+  it('sends bypass downhill to the next inlet on the same side and stops at the sag', () => {
+    const inlets = [
+      createInlet({ strId: 'A', station: 9900 }),
+      createInlet({ strId: 'B', station: 10050 }),
+      createInlet({ strId: 'SAG', station: 10200 }),
+      createInlet({ strId: 'C', station: 10400 }),
+      createInlet({ strId: 'LEFT', station: 10100, side: 'Left' }),
+    ];
+    const { routes, order, cycles } = routeBypass(inlets, profileModel);
+    expect(routes.map(route => route.targetIndex)).toEqual([1, 2, null, 2, null]);
+    expect(routes[2].terminal.type).toBe('sag-inlet');
+    expect(routes[4].terminal.type).toBe('sag');
+    expect(order.indexOf(2)).toBeGreaterThan(order.indexOf(1));
+    expect(order.indexOf(2)).toBeGreaterThan(order.indexOf(3));
+    expect(cycles).toEqual([]);
+  });
+
+  it('honours explicit targets and cuts loops', () => {
+    const inlets = [
+      createInlet({ strId: 'A', station: 10000, bypassTo: 'B' }),
+      createInlet({ strId: 'B', station: 10100, bypassTo: 'A' }),
+      createInlet({ strId: 'C', station: 10300, bypassTo: BYPASS_OFFSITE }),
+      createInlet({ strId: 'D', station: 10350, bypassTo: 'MISSING' }),
+    ];
+    const { routes, order, cycles } = routeBypass(inlets, profileModel);
+    expect(cycles).toHaveLength(1);
+    expect(routes.filter(route => route.terminal?.type === 'cycle')).toHaveLength(1);
+    expect(routes[2].terminal.type).toBe('offsite');
+    expect(routes[3].terminal.type).toBe('invalid');
+    expect([...order].sort()).toEqual([0, 1, 2, 3]);
+  });
+
+  it('warns when an explicit target is uphill of the inlet', () => {
+    const inlets = [
+      createInlet({ strId: 'A', station: 9900, bypassTo: BYPASS_OFFSITE }),
+      createInlet({ strId: 'B', station: 9990, bypassTo: 'A' }),
+      createInlet({ strId: 'C', station: 10400, bypassTo: 'D' }),
+      createInlet({ strId: 'D', station: 10500, bypassTo: BYPASS_OFFSITE }),
+      createInlet({ strId: 'E', station: 9950, bypassTo: 'B' }),
+    ];
+    const routes = resolveBypassRoutes(inlets, profileModel);
+    expect(routes.map(route => route.targetIndex)).toEqual([null, 0, 3, null, 1]);
+    expect(routes[1].warning).toBe('Bypass target "A" is uphill at Sta 9900; the bypass is routed against the -1.00% grade.');
+    expect(routes[2].warning).toMatch(/"D" is uphill at Sta 10500; the bypass is routed against the 1\.00% grade/);
+    expect(routes[4].warning).toBeUndefined();
+  });
+});
+
+describe('accumulateBypass', () => {
+  it('sums incoming bypass and reports flow that ponds or leaves the system', () => {
+    const inlets = [createInlet({ station: 10000 }), createInlet({ station: 10100 }), createInlet({ station: 10300, bypassTo: BYPASS_OFFSITE })];
+    const { routes } = routeBypass(inlets, profileModel);
+    const { incoming, sources, losses } = accumulateBypass(routes, [0.5, 0.25, 0.1]);
+    expect(incoming).toEqual([0, 0.5, 0]);
+    expect(sources[1]).toEqual([0]);
+    expect(losses).toEqual([
+      { index: 1, q: 0.25, type: 'sag', station: 10200 },
+      { index: 2, q: 0.1, type: 'offsite', station: 10300 },
+    ]);
+  });
+});
@@ -0,0 +1,94 @@
+// Rational method drainage areas: land-use runoff coefficients, each inlet's sub-areas and the frequency
+// factor Cf for the less frequent storms (HEC-22, 3rd Ed., Tables 3-1 and 3-2)
+
+// Starting land-use table; projects keep their own editable copy
+export const DEFAULT_LAND_USES = [
+  { id: 'pavement', name: 'Pavement (asphalt or concrete)', c: 0.9 },
+  { id: 'paved-shoulder', name: 'Paved shoulder', c: 0.9 },
+  { id: 'gravel', name: 'Gravel shoulder or drive', c: 0.5 },
+  { id: 'roof', name: 'Roof', c: 0.9 },
+  { id: 'grass-flat', name: 'Grass, flat (< 2%)', c: 0.2 },
+  { id: 'grass-steep', name: 'Grass, steep (> 7%)', c: 0.35 },
+  { id: 'wooded', name: 'Wooded', c: 0.2 },
+];
+
+// Square feet per acre; sub-area areas may be entered in either unit
+export const AREA_UNITS = { ac: { label: 'ac', acres: 1 }, sf: { label: 'sq ft', acres: 1 / 43560 } };
+
+// Cf by return period (years) for storms less frequent than 10 years; C × Cf is capped at 1.0
+export const RUNOFF_FREQUENCY_FACTORS = [
+  { years: 100, cf: 1.25 },
+  { years: 50, cf: 1.2 },
+  { years: 25, cf: 1.1 },
+];
+
+export const createRunoffSettings = (fields = {}) => ({
+  landUses: DEFAULT_LAND_USES.map(landUse => ({ ...landUse })),
+  applyFrequencyFactor: true,
+  ...fields,
+});
+
+// c is an optional override of the land use's coefficient
+export const createSubArea = (fields = {}) => ({ description: '', landUse: DEFAULT_LAND_USES[0].id, area: '', unit: 'ac', c: '', ...fields });
+
+// An id for a new land use that no existing one has
+export const nextLandUseId = (landUses) => {
+  let n = landUses.length + 1;
+  while (landUses.some(landUse => landUse.id === `land-use-${n}`)) n++;
+  return `land-use-${n}`;
+};
+
+// Cf for a return period label such as '25-Year'; 1.0 for 10 years and under or when the factor is off
+export const getFrequencyFactor = (returnPeriod, applyFrequencyFactor = true) => {
+  const years = parseFloat(returnPeriod);
+  if (!applyFrequencyFactor || !Number.isFinite(years)) return 1;
+  return RUNOFF_FREQUENCY_FACTORS.find(factor => years >= factor.years)?.cf ?? 1;
+};
+
+// ΣAC and weighted C for one inlet. With sub-areas they are tabulated from the list; without, the entered
+// ΣAC and C are used. sumAC and weightedC are before Cf (weightedC feeds the tc formula); adjustedSumAC has
+// each C × Cf capped at 1.0 and is what the rational method uses. rows: one per sub-area with its acres,
+// coefficient (NaN when its land use is not in the table), adjusted coefficient and AC.
+export const getInletDrainage = (inlet, { runoff = null, returnPeriod = '' } = {}) => {
+  const frequencyFactor = getFrequencyFactor(returnPeriod, runoff ? runoff.applyFrequencyFactor : false);
+  const subAreas = inlet.subAreas || [];
+  if (subAreas.length === 0) {
+    const sumAC = parseFloat(inlet.areaEnteringInlet);
+    const weightedC = parseFloat(inlet.runoffCoefficient);
+    const capped = weightedC > 0 ? Math.min(frequencyFactor, 1 / weightedC) : frequencyFactor;
+    return { source: 'Entered', rows: [], totalArea: NaN, countedArea: NaN, sumAC, weightedC, frequencyFactor, adjustedSumAC: sumAC * capped };
+  }
+
+  const landUses = runoff?.landUses || DEFAULT_LAND_USES;
+  const rows = subAreas.map(subArea => {
+    const landUse = landUses.find(entry => entry.id === subArea.landUse);
+    const entered = parseFloat(subArea.c);
+    const c = Number.isFinite(entered) ? entered : parseFloat(landUse?.c);
+    const acres = (parseFloat(subArea.area) || 0) * (AREA_UNITS[subArea.unit] || AREA_UNITS.ac).acres;
+    const adjustedC = Math.min(c * frequencyFactor, 1);
+    return {
+      ...subArea,
+      landUseName: landUse?.name || '',
+      cSource: Number.isFinite(entered) ? 'Entered' : 'Land use',
+      acres,
+      c,
+      adjustedC,
+      ac: acres * c,
+      adjustedAC: acres * adjustedC,
+    };
+  });
+  const counted = rows.filter(row => Number.isFinite(row.c));
+  const totalArea = rows.reduce((sum, row) => sum + row.acres, 0);
+  const sumAC = counted.reduce((sum, row) => sum + row.ac, 0);
+  const countedArea = counted.reduce((sum, row) => sum + row.acres, 0);
+  return {
+    source: 'Sub-areas',
+    rows,
+    totalArea,
+    countedArea,
+    sumAC,
+    weightedC: countedArea > 0 ? sumAC / countedArea : NaN,
+    frequencyFactor,
+    adjustedSumAC: counted.reduce((sum, row) => sum + row.adjustedAC, 0),
+  };
+};
@@ -0,0 +1,63 @@
+import { describe, expect, it } from 'vitest';
+import { createInlet } from '../inlets.js';
+import { createRunoffSettings, createSubArea, getFrequencyFactor, getInletDrainage, nextLandUseId } from './runoff.js';
+
+describe('getFrequencyFactor', () => {
+  it('steps up for 25-, 50- and 100-year storms', () => {
+    expect(['2-Year', '10-Year', '25-Year', '50-Year', '100-Year', '500-Year'].map(period => getFrequencyFactor(period))).toEqual([1, 1, 1.1, 1.2, 1.25, 1.25]);
+    expect(getFrequencyFactor('100-Year', false)).toBe(1);
+    expect(getFrequencyFactor('Custom')).toBe(1);
+  });
+});
+
+describe('getInletDrainage', () => {
+  const runoff = createRunoffSettings();
+
+  it('tabulates sub-areas in acres and square feet', () => {
+    const inlet = createInlet({
+      subAreas: [
+        createSubArea({ description: 'Lanes', landUse: 'pavement', area: 0.2 }),
+        createSubArea({ description: 'Back slope', landUse: 'grass-flat', area: 4356, unit: 'sf' }),
+        createSubArea({ description: 'Lot', landUse: 'grass-flat', area: 0.1, c: 0.5 }),
+      ],
+    });
+    const drainage = getInletDrainage(inlet, { runoff, returnPeriod: '10-Year' });
+    expect(drainage.source).toBe('Sub-areas');
+    expect(drainage.totalArea).toBeCloseTo(0.4, 9);
+    // 0.2 × 0.9 + 0.1 × 0.2 + 0.1 × 0.5
+    expect(drainage.sumAC).toBeCloseTo(0.25, 9);
+    expect(drainage.weightedC).toBeCloseTo(0.625, 9);
+    expect(drainage.adjustedSumAC).toBeCloseTo(0.25, 9);
+    expect(drainage.rows.map(row => row.cSource)).toEqual(['Land use', 'Land use', 'Entered']);
+  });
+
+  it('applies Cf with C × Cf capped at 1.0', () => {
+    const inlet = createInlet({ subAreas: [createSubArea({ landUse: 'pavement', area: 1 }), createSubArea({ landUse: 'grass-flat', area: 1 })] });
+    const drainage = getInletDrainage(inlet, { runoff, returnPeriod: '100-Year' });
+    expect(drainage.frequencyFactor).toBe(1.25);
+    expect(drainage.sumAC).toBeCloseTo(1.1, 9);
+    expect(drainage.adjustedSumAC).toBeCloseTo(1 + 0.25, 9);
+    const entered = getInletDrainage(createInlet({ areaEnteringInlet: 0.5, runoffCoefficient: 0.9 }), { runoff, returnPeriod: '50-Year' });
+    expect(entered).toMatchObject({ source: 'Entered', sumAC: 0.5, weightedC: 0.9 });
+    expect(entered.adjustedSumAC).toBeCloseTo(0.5 / 0.9, 9);
+  });
+
+  it('leaves sub-areas with an unknown land use out of ΣAC', () => {
+    const inlet = createInlet({ subAreas: [createSubArea({ landUse: 'pavement', area: 1 }), createSubArea({ landUse: 'missing', area: 1 })] });
+    const drainage = getInletDrainage(inlet, { runoff, returnPeriod: '10-Year' });
+    expect(drainage.totalArea).toBe(2);
+    expect(drainage.countedArea).toBe(1);
+    expect(drainage.sumAC).toBeCloseTo(0.9, 9);
+    expect(drainage.weightedC).toBeCloseTo(0.9, 9);
+  });
+
+  it('skips Cf without runoff settings', () => {
+    expect(getInletDrainage(createInlet({ areaEnteringInlet: 0.5 }), { returnPeriod: '100-Year' }).adjustedSumAC).toBe(0.5);
+  });
+});
+
+describe('nextLandUseId', () => {
+  it('finds an unused id', () => {
+    expect(nextLandUseId([{ id: 'land-use-2' }])).toBe('land-use-3');
+  });
+});
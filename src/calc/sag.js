@@ -0,0 +1,121 @@
+// Inlet capacity at sag locations (FHWA HEC-22, 3rd Ed., Section 4.4.5; U.S. customary units)
+
+const G = 32.16;
+const WEIR_COEFF_GRATE = 3.0;
+const WEIR_COEFF_CURB = 3.0;
+const WEIR_COEFF_CURB_DEPRESSED = 2.3;
+const ORIFICE_COEFF = 0.67;
+
+export const DEFAULT_CLOGGING = { grate: 0.5, curb: 0.1 };
+// Share of the grate footprint that is open when the clear opening area is not known
+export const DEFAULT_GRATE_OPEN_AREA_RATIO = 0.5;
+
+// Grate weir (Eq. 4-26, one side against the curb) and orifice (Eq. 4-27) flow at depth d
+const grateCapacity = (d, { grateLength, grateWidth, grateClogging, grateOpenAreaRatio }) => {
+  const openFactor = 1 - grateClogging;
+  const perimeter = (grateLength + 2 * grateWidth) * openFactor;
+  const clearArea = grateLength * grateWidth * grateOpenAreaRatio * openFactor;
+  const weir = WEIR_COEFF_GRATE * perimeter * Math.pow(d, 1.5);
+  const orifice = ORIFICE_COEFF * clearArea * Math.sqrt(2 * G * d);
+  return { weir, orifice, capacity: Math.min(weir, orifice), control: weir <= orifice ? 'Weir' : 'Orifice' };
+};
+
+// Curb opening weir (Eqs. 4-28/4-30), orifice (Eq. 4-31a) and the transition from d = h to d = 1.4h
+const curbCapacity = (d, { curbOpeningLength, curbOpeningHeight, curbClogging, gutterDepression, gutterWidth }) => {
+  const L = curbOpeningLength * (1 - curbClogging);
+  const h = curbOpeningHeight;
+  const depressed = gutterDepression > 0 && gutterWidth > 0;
+  const weirAt = (depth) => (depressed
+    ? WEIR_COEFF_CURB_DEPRESSED * (L + 1.8 * gutterWidth) * Math.pow(depth, 1.5)
+    : WEIR_COEFF_CURB * L * Math.pow(depth, 1.5));
+  const orificeAt = (depth) => {
+    const di = depth + (depressed ? gutterDepression : 0);
+    const headOnCentroid = Math.max(di - h / 2, 0);
+    return ORIFICE_COEFF * h * L * Math.sqrt(2 * G * headOnCentroid);
+  };
+
+  const weir = weirAt(d);
+  const orifice = h > 0 ? orificeAt(d) : Infinity;
+  if (h <= 0 || d <= h) return { weir, orifice, capacity: weir, control: 'Weir' };
+  if (d >= 1.4 * h) return { weir, orifice, capacity: orifice, control: 'Orifice' };
+  const weirAtH = weirAt(h);
+  const orificeAt14H = orificeAt(1.4 * h);
+  const t = (d - h) / (0.4 * h);
+  return { weir, orifice, capacity: weirAtH + t * (orificeAt14H - weirAtH), control: 'Transition' };
+};
+
+// Total capacity of a curb, grate or combination inlet in a sag for a depth at the curb d (ft)
+export const calculateSagCapacity = (d, inlet) => {
+  if (d <= 0) return { capacity: 0, control: '' };
+  const { inletType } = inlet;
+  if (inletType === 'curb') return curbCapacity(d, inlet);
+  if (inletType === 'grate') return grateCapacity(d, inlet);
+  if (inletType === 'combination') {
+    // Curb opening length beyond the grate acts as its own weir; alongside the grate it only adds orifice flow
+    const grate = grateCapacity(d, inlet);
+    const extraCurb = curbCapacity(d, { ...inlet, curbOpeningLength: Math.max(0, inlet.curbOpeningLength - inlet.grateLength) });
+    const curb = curbCapacity(d, inlet);
+    const weir = grate.weir + extraCurb.weir;
+    const orifice = grate.orifice + (curb.orifice === Infinity ? 0 : curb.orifice);
+    if (weir <= orifice) return { capacity: weir, control: 'Weir' };
+    return { capacity: orifice, control: 'Orifice' };
+  }
+  return { capacity: 0, control: '' };
+};
+
+// Ponded depth at the curb for which the sag inlet passes Q, found by bisection
+export const calculateSagPondedDepth = (q, inlet, maxDepth = 5) => {
+  if (q <= 0) return { depth: 0, control: '', converged: true };
+  if (calculateSagCapacity(maxDepth, inlet).capacity < q) return { depth: maxDepth, control: '', converged: false };
+  let lo = 0;
+  let hi = maxDepth;
+  for (let i = 0; i < 60; i++) {
+    const mid = (lo + hi) / 2;
+    if (calculateSagCapacity(mid, inlet).capacity < q) lo = mid;
+    else hi = mid;
+  }
+  return { depth: hi, control: calculateSagCapacity(hi, inlet).control, converged: true };
+};
+
+// Sag check: ponded depth and spread for the incoming flow against the allowable values
+export const analyzeSagInlet = ({ q, crossSlope, allowableDepth, allowableSpread, ...inlet }) => {
+  const { depth, control, converged } = calculateSagPondedDepth(q, inlet);
+  const spread = crossSlope > 0 ? depth / crossSlope : 0;
+  const depthOk = isNaN(allowableDepth) || depth <= allowableDepth;
+  const spreadOk = isNaN(allowableSpread) || spread <= allowableSpread;
+  return { depth, spread, control, converged, depthOk, spreadOk, passes: converged && depthOk && spreadOk };
+};
+
+// Flanking inlet stations on each side of a sag where the profile rises depthAbove (ft) above the low point.
+// x = (200 d K)^0.5 is the HEC-22 distance for a symmetric vertical curve (Eq. 4-32); the stations are
+// found on the actual profile so they remain valid beyond the curve.
+export const recommendFlankingInlets = (profileModel, lowPointStation, depthAbove = 0.2) => {
+  const low = profileModel.evaluate(lowPointStation);
+  if (!low || depthAbove <= 0) return null;
+  const pvi = profileModel.pviDetails.find(p => p.lowHighPoint?.type === 'Low Point' && Math.abs(p.lowHighPoint.station - lowPointStation) < 1e-6);
+  const K = pvi && pvi.A_percent !== 0 ? pvi.L_curve / Math.abs(pvi.A_percent) : NaN;
+  const x = K > 0 ? Math.sqrt(200 * depthAbove * K) : NaN;
+  const target = low.elevation + depthAbove;
+  const { startStation, endStation } = profileModel.limits;
+
+  const findStation = (direction) => {
+    const limit = direction > 0 ? endStation : startStation;
+    let prev = lowPointStation;
+    for (let s = lowPointStation + direction; direction > 0 ? s <= limit : s >= limit; s += direction) {
+      if (profileModel.evaluate(s).elevation >= target) {
+        let lo = prev;
+        let hi = s;
+        for (let i = 0; i < 30; i++) {
+          const mid = (lo + hi) / 2;
+          if (profileModel.evaluate(mid).elevation >= target) hi = mid;
+          else lo = mid;
+        }
+        return hi;
+      }
+      prev = s;
+    }
+    return null;
+  };
+
+  return { K, x, depthAbove, backStation: findStation(-1), aheadStation: findStation(1) };
+};
@@ -0,0 +1,62 @@
+import { describe, expect, it } from 'vitest';
+import { createProfileModel } from './profile.js';
+import { analyzeSagInlet, calculateSagCapacity, calculateSagPondedDepth, recommendFlankingInlets } from './sag.js';
+
+const grate = { inletType: 'grate', grateLength: 3, grateWidth: 2, grateClogging: 0, grateOpenAreaRatio: 0.5 };
+const curb = { inletType: 'curb', curbOpeningLength: 10, curbOpeningHeight: 0.5, curbClogging: 0, gutterDepression: 0, gutterWidth: 0 };
+
+describe('calculateSagCapacity', () => {
+  it('uses the grate weir equation at shallow depth (HEC-22 Eq. 4-26)', () => {
+    // Qw = 3.0 P d^1.5 with P = L + 2W = 7 ft at d = 0.3 ft
+    const result = calculateSagCapacity(0.3, grate);
+    expect(result.control).toBe('Weir');
+    expect(result.capacity).toBeCloseTo(3.0 * 7 * 0.3 ** 1.5, 6);
+  });
+
+  it('switches the grate to orifice flow when it controls (HEC-22 Eq. 4-27)', () => {
+    const result = calculateSagCapacity(2, grate);
+    expect(result.control).toBe('Orifice');
+    expect(result.capacity).toBeCloseTo(0.67 * 3 * 2 * 0.5 * Math.sqrt(2 * 32.16 * 2), 6);
+  });
+
+  it('runs a curb opening through weir, transition and orifice flow (HEC-22 Eqs. 4-28 to 4-31a)', () => {
+    expect(calculateSagCapacity(0.3, curb)).toMatchObject({ control: 'Weir', capacity: 3.0 * 10 * 0.3 ** 1.5 });
+    expect(calculateSagCapacity(0.6, curb).control).toBe('Transition');
+    expect(calculateSagCapacity(0.8, curb).control).toBe('Orifice');
+    // The transition joins the weir at d = h and the orifice at d = 1.4h
+    expect(calculateSagCapacity(0.5 + 1e-9, curb).capacity).toBeCloseTo(calculateSagCapacity(0.5, curb).capacity, 6);
+    expect(calculateSagCapacity(0.7 - 1e-9, curb).capacity).toBeCloseTo(calculateSagCapacity(0.7, curb).capacity, 6);
+  });
+
+  it('reduces capacity with clogging', () => {
+    expect(calculateSagCapacity(0.3, { ...grate, grateClogging: 0.5 }).capacity).toBeCloseTo(calculateSagCapacity(0.3, grate).capacity / 2, 6);
+  });
+});
+
+describe('calculateSagPondedDepth and analyzeSagInlet', () => {
+  it('finds the depth at which capacity equals the flow', () => {
+    const { depth, converged } = calculateSagPondedDepth(2, grate);
+    expect(converged).toBe(true);
+    expect(calculateSagCapacity(depth, grate).capacity).toBeCloseTo(2, 6);
+  });
+
+  it('checks the ponded depth and spread against the allowable values', () => {
+    const result = analyzeSagInlet({ ...grate, q: 2, crossSlope: 0.025, allowableDepth: 0.5, allowableSpread: 8 });
+    expect(result.spread).toBeCloseTo(result.depth / 0.025, 6);
+    expect(result.depthOk).toBe(true);
+    expect(result.spreadOk).toBe(result.spread <= 8);
+    expect(result.passes).toBe(result.spreadOk);
+  });
+});
+
+describe('recommendFlankingInlets', () => {
+  it('places flanking inlets at x = (200 d K)^0.5 on a symmetric sag curve (HEC-22 Eq. 4-32)', () => {
+    const profileModel = createProfileModel({ beginningGrade: -1, endingGrade: 1, pvis: [{ station: 1000, elevation: 100, length: 400 }] });
+    const result = recommendFlankingInlets(profileModel, 1000, 0.2);
+    // K = 400 / 2 = 200, x = (200 × 0.2 × 200)^0.5 = 89.4 ft
+    expect(result.K).toBe(200);
+    expect(result.x).toBeCloseTo(89.44, 2);
+    expect(result.backStation).toBeCloseTo(1000 - result.x, 2);
+    expect(result.aheadStation).toBeCloseTo(1000 + result.x, 2);
+  });
+});
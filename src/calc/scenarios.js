@@ -0,0 +1,98 @@
+// Named storm scenarios: each runs the whole project for its own rainfall region and return period against
+// its own spread criteria, so a design storm, check storm and other regions can be compared inlet by inlet.
+
+import { computeProject } from './engine.js';
+import { createProfileModel } from './profile.js';
+import { BUILT_IN_RAINFALL, getIdfCurve } from './rainfall.js';
+
+export const SCENARIO_SPREAD_CRITERIA = {
+  design: 'Design storm criteria',
+  check: 'Check storm criteria',
+  custom: 'Custom allowable spread',
+  none: 'No spread check',
+};
+
+// allowableSpread (ft) applies to every inlet when spreadCriteria is 'custom'; an inlet's own allowable
+// spread still takes precedence, as it does in the design storm
+export const createScenario = (fields = {}) => ({
+  name: '', region: 'Region 1', returnPeriod: '10-Year', spreadCriteria: 'design', allowableSpread: '', ...fields,
+});
+
+// A design storm and check storm pair from the project's current rainfall and roadway settings
+export const createDefaultScenarios = (rainfall, roadway) => [
+  createScenario({ name: `Design ${rainfall.returnPeriod}`, region: rainfall.region, returnPeriod: rainfall.returnPeriod, spreadCriteria: 'design' }),
+  ...(roadway?.checkReturnPeriod
+    ? [createScenario({ name: `Check ${roadway.checkReturnPeriod}`, region: rainfall.region, returnPeriod: roadway.checkReturnPeriod, spreadCriteria: 'check' })]
+    : []),
+];
+
+export const getScenarioName = (scenario, index) => scenario.name?.trim() || `Scenario ${index + 1}`;
+
+// The spreadCriteria option computeProject takes for a scenario
+const getSpreadCriteria = (scenario) => (scenario.spreadCriteria === 'custom' ? parseFloat(scenario.allowableSpread) : scenario.spreadCriteria);
+
+// One run per project scenario: { scenario, name, results, error }. results is null, with error saying why,
+// when the rainfall data has no curve for the scenario's region and return period. Scenario runs do not size
+// the trunk line.
+export const computeScenarios = (project, options = {}) => {
+  const rainfallData = options.rainfallData || { ...BUILT_IN_RAINFALL, ...project.rainfall?.datasets };
+  const profileModel = options.profileModel || createProfileModel(project.profile);
+  return (project.scenarios || []).map((scenario, index) => {
+    const name = getScenarioName(scenario, index);
+    if (!getIdfCurve(rainfallData, scenario.region, scenario.returnPeriod)) {
+      return { scenario, name, results: null, error: `${scenario.region || 'The rainfall region'} has no ${scenario.returnPeriod || 'return period'} curve.` };
+    }
+    const results = computeProject(
+      { ...project, rainfall: { ...project.rainfall, region: scenario.region, returnPeriod: scenario.returnPeriod } },
+      { rainfallData, profileModel, storm: 'scenario', spreadCriteria: getSpreadCriteria(scenario) },
+    );
+    return { scenario, name, results, error: '' };
+  });
+};
+
+// The scenario that governs an inlet: the highest spread as a fraction of its allowable where any scenario has
+// an allowable spread, else the widest spread; ties go to the larger Q Total. -1 when no scenario ran.
+const findGoverning = (values) => {
+  const hasRatio = values.some(value => Number.isFinite(value?.ratio));
+  let governing = -1;
+  values.forEach((value, index) => {
+    if (!value) return;
+    const measure = hasRatio ? value.ratio : value.spread;
+    if (!Number.isFinite(measure)) return;
+    const best = values[governing];
+    const bestMeasure = best && (hasRatio ? best.ratio : best.spread);
+    if (governing < 0 || measure > bestMeasure || (measure === bestMeasure && value.qTotal > best.qTotal)) governing = index;
+  });
+  return governing;
+};
+
+// Side-by-side results for each inlet. rows: one per inlet with values (one per run, null when the run has no
+// results) of { qTotal, qi, qBypass, spread, allowable, ratio, passes } and governing, the index of the
+// governing run. scenarios: one per run with the number of inlets it governs and fails on spread.
+export const compareScenarios = (runs, inletCount) => {
+  const rows = Array.from({ length: inletCount }, (_, index) => {
+    const values = runs.map(run => {
+      const inlet = run.results?.inlets[index];
+      if (!inlet) return null;
+      const allowable = inlet.allowableSpreadUsed;
+      return {
+        qTotal: inlet.qTotal,
+        qi: inlet.qi,
+        qBypass: inlet.qBypass,
+        spread: inlet.widthOfFloodingOutput,
+        allowable,
+        ratio: allowable > 0 ? inlet.widthOfFloodingOutput / allowable : NaN,
+        passes: inlet.spreadPasses,
+      };
+    });
+    return { values, governing: findGoverning(values) };
+  });
+  return {
+    rows,
+    scenarios: runs.map((run, index) => ({
+      name: run.name,
+      governs: rows.filter(row => row.governing === index).length,
+      failures: rows.filter(row => row.values[index]?.passes === false).length,
+    })),
+  };
+};
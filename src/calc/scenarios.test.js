@@ -0,0 +1,67 @@
+import { describe, expect, it } from 'vitest';
+import { createRoadway } from './criteria.js';
+import { computeCheckStorm, computeProject } from './engine.js';
+import { compareScenarios, computeScenarios, createDefaultScenarios, createScenario } from './scenarios.js';
+import { curbInlet, uniformGradeProject } from './testProjects.js';
+
+const project = (scenarios) => uniformGradeProject(-1, {
+  inlets: [curbInlet('A', 1200), curbInlet('B', 1500, { areaEnteringInlet: 1.5 })],
+  roadway: createRoadway({ checkReturnPeriod: '50-Year' }),
+  scenarios,
+});
+
+describe('computeScenarios', () => {
+  it('matches the design and check storm runs for the default pair', () => {
+    const base = project([]);
+    const runs = computeScenarios({ ...base, scenarios: createDefaultScenarios(base.rainfall, base.roadway) });
+    expect(runs.map(run => run.name)).toEqual(['Design 10-Year', 'Check 50-Year']);
+    const design = computeProject(base).inlets;
+    const check = computeCheckStorm(base).inlets;
+    runs[0].results.inlets.forEach((result, i) => {
+      expect(result.qTotal).toBeCloseTo(design[i].qTotal, 9);
+      expect(result.allowableSpreadUsed).toBe(design[i].allowableSpreadUsed);
+    });
+    runs[1].results.inlets.forEach((result, i) => {
+      expect(result.widthOfFloodingOutput).toBeCloseTo(check[i].widthOfFloodingOutput, 9);
+      expect(result.allowableSpreadUsed).toBe(check[i].allowableSpreadUsed);
+    });
+    expect(runs[0].results.network).toBeNull();
+  });
+
+  it('applies custom and no spread criteria and reports missing curves', () => {
+    const runs = computeScenarios(project([
+      createScenario({ name: 'Tight', spreadCriteria: 'custom', allowableSpread: 4 }),
+      createScenario({ spreadCriteria: 'none' }),
+      createScenario({ region: 'Region 1', returnPeriod: '7-Year' }),
+    ]));
+    expect(runs[0].results.inlets.map(result => result.allowableSpreadUsed)).toEqual([4, 4]);
+    expect(runs[1].name).toBe('Scenario 2');
+    expect(runs[1].results.inlets.every(result => result.spreadPasses === null)).toBe(true);
+    expect(runs[2].results).toBeNull();
+    expect(runs[2].error).toMatch(/no 7-Year curve/);
+  });
+});
+
+describe('compareScenarios', () => {
+  it('picks the scenario with the highest spread against its allowable', () => {
+    const runs = computeScenarios(project([
+      createScenario({ name: '10-Year', spreadCriteria: 'design' }),
+      createScenario({ name: '25-Year loose', returnPeriod: '25-Year', spreadCriteria: 'custom', allowableSpread: 100 }),
+      createScenario({ name: 'Missing', returnPeriod: '7-Year' }),
+    ]));
+    const { rows, scenarios } = compareScenarios(runs, 2);
+    // The 25-year spread is wider but far inside its allowable, so the design storm governs
+    expect(rows[1].values[1].spread).toBeGreaterThan(rows[1].values[0].spread);
+    expect(rows.map(row => row.governing)).toEqual([0, 0]);
+    expect(rows[0].values[2]).toBeNull();
+    expect(scenarios.map(scenario => scenario.governs)).toEqual([2, 0, 0]);
+  });
+
+  it('falls back to the widest spread when no scenario has an allowable', () => {
+    const runs = computeScenarios(project([
+      createScenario({ returnPeriod: '10-Year', spreadCriteria: 'none' }),
+      createScenario({ returnPeriod: '100-Year', spreadCriteria: 'none' }),
+    ]));
+    expect(compareScenarios(runs, 2).rows.map(row => row.governing)).toEqual([1, 1]);
+  });
+});
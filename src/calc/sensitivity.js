@@ -0,0 +1,166 @@
+// What-if sensitivity: varies one input at a time over a percent range, re-runs the whole project (bypass
+// routing included) at each step and ranks the inputs by how far they swing spread or bypass at an inlet.
+
+import { computeProject } from './engine.js';
+import { getGutterSection } from './gutter.js';
+import { createProfileModel } from './profile.js';
+import { createRunoffSettings } from './runoff.js';
+
+const scaleValue = (value, factor, max = Infinity) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? Math.min(number * factor, max) : value;
+};
+
+const scaleInlets = (project, scale) => ({ ...project, inlets: project.inlets.map((inlet, index) => ({ ...inlet, ...scale(inlet, index) })) });
+
+// apply(project, factor, baseline) returns { project, options } for one step, where baseline is the unvaried
+// computeProject run. Inputs that are calculated (Qi/Q, gutter grade) are fixed at factor × the baseline value;
+// sag inlets have neither and are left alone. low and high are the default range in percent.
+export const SENSITIVITY_PARAMETERS = {
+  runoffCoefficient: {
+    label: 'Runoff coefficient C',
+    low: -10,
+    high: 10,
+    apply: (project, factor) => {
+      // Without runoff settings the engine takes sub-area C from the default land uses with no Cf
+      const runoff = project.runoff || createRunoffSettings({ applyFrequencyFactor: false });
+      return {
+        project: {
+          ...scaleInlets(project, inlet => {
+            if (inlet.subAreas?.length) return { subAreas: inlet.subAreas.map(subArea => ({ ...subArea, c: scaleValue(subArea.c, factor, 1) })) };
+            // An entered ΣAC is A × C, so it moves with C (after C is capped at 1.0)
+            const c = parseFloat(inlet.runoffCoefficient);
+            const runoffCoefficient = scaleValue(inlet.runoffCoefficient, factor, 1);
+            return { runoffCoefficient, areaEnteringInlet: c > 0 ? scaleValue(inlet.areaEnteringInlet, runoffCoefficient / c) : inlet.areaEnteringInlet };
+          }),
+          runoff: { ...runoff, landUses: runoff.landUses.map(landUse => ({ ...landUse, c: scaleValue(landUse.c, factor, 1) })) },
+        },
+      };
+    },
+  },
+  manningsN: {
+    label: "Manning's n",
+    low: -20,
+    high: 20,
+    apply: (project, factor) => ({ project: scaleInlets(project, inlet => ({ manningsN: getGutterSection(inlet).n * factor })) }),
+  },
+  crossSlope: {
+    label: 'Cross slope Sx',
+    low: -20,
+    high: 20,
+    apply: (project, factor) => ({ project: scaleInlets(project, inlet => ({ crossSlope: getGutterSection(inlet).crossSlope * factor })) }),
+  },
+  interceptionRatio: {
+    label: 'Interception ratio Qi/Q',
+    low: -20,
+    high: 20,
+    apply: (project, factor, baseline) => ({
+      project: scaleInlets(project, (inlet, index) => {
+        const base = baseline.inlets[index];
+        if (base.effectiveIsLowPoint) return {};
+        return { interceptionRatio: Math.min(base.interceptionRatioUsed * factor, 1), interceptionRatioOverride: true };
+      }),
+    }),
+  },
+  gutterGrade: {
+    label: 'Gutter grade SL',
+    low: -20,
+    high: 20,
+    apply: (project, factor, baseline) => ({
+      project: scaleInlets(project, (inlet, index) => {
+        const base = baseline.inlets[index];
+        if (base.effectiveIsLowPoint || !Number.isFinite(base.effectiveGutterGrade)) return {};
+        return { gutterGrade: base.effectiveGutterGrade * factor, gutterGradeOverride: true };
+      }),
+    }),
+  },
+  intensity: {
+    label: 'Rainfall intensity I',
+    low: -20,
+    high: 20,
+    apply: (project, factor) => ({ project, options: { intensityFactor: factor } }),
+  },
+};
+
+// Outputs the charts and tables can show, by inlet field
+export const SENSITIVITY_OUTPUTS = {
+  spread: { label: 'Spread', unit: 'ft', field: 'widthOfFloodingOutput' },
+  qBypass: { label: 'Bypass', unit: 'cfs', field: 'qBypass' },
+};
+
+export const createSensitivitySettings = (fields = {}) => ({
+  parameters: Object.fromEntries(Object.entries(SENSITIVITY_PARAMETERS).map(([key, { low, high }]) => [key, { enabled: true, low, high }])),
+  steps: 5,
+  ...fields,
+});
+
+// Percent changes from low to high in steps points, with 0 (the baseline) added when it is in range. Changes
+// of -100% or less are dropped since every input must stay positive.
+export const getSweepPercents = (low, high, steps = 5) => {
+  const from = parseFloat(low);
+  const to = parseFloat(high);
+  const count = Math.max(2, Math.round(parseFloat(steps)) || 2);
+  if (!Number.isFinite(from) || !Number.isFinite(to) || from >= to) return [];
+  const percents = Array.from({ length: count }, (_, i) => Number((from + (to - from) * i / (count - 1)).toFixed(6)));
+  if (from < 0 && to > 0 && !percents.includes(0)) percents.push(0);
+  return percents.filter(percent => percent > -100).sort((a, b) => a - b);
+};
+
+const pickOutputs = (inlet) => Object.fromEntries(Object.entries(SENSITIVITY_OUTPUTS).map(([key, { field }]) => [key, inlet[field]]));
+
+// The inlet closest to failing: the highest spread as a fraction of its allowable where any inlet has an
+// allowable spread, else the widest spread. -1 when there are no inlets.
+export const findWorstInlet = (inlets) => {
+  const ratio = (inlet) => inlet.widthOfFloodingOutput / inlet.allowableSpreadUsed;
+  const hasRatio = inlets.some(inlet => Number.isFinite(ratio(inlet)));
+  const measure = (inlet) => (hasRatio ? ratio(inlet) : inlet.widthOfFloodingOutput);
+  return inlets.reduce((worst, inlet, index) => {
+    if (!Number.isFinite(measure(inlet))) return worst;
+    return worst < 0 || measure(inlet) > measure(inlets[worst]) ? index : worst;
+  }, -1);
+};
+
+// Runs every enabled parameter over its range in the design storm. Returns { baseline, worstIndex, sweeps }:
+// baseline has the unvaried outputs ({ spread, qBypass }) per inlet and each sweep is { parameter, label,
+// points: [{ percent, inlets }] } with the same outputs per inlet at each step. The trunk line is not run.
+export const runSensitivity = (project, settings = createSensitivitySettings(), options = {}) => {
+  const base = { ...project, network: null };
+  const profileModel = options.profileModel || createProfileModel(project.profile);
+  const run = (inputs, extra = {}) => computeProject(inputs, { rainfallData: options.rainfallData, profileModel, ...extra });
+  const baseline = run(base);
+  const sweeps = Object.entries(SENSITIVITY_PARAMETERS)
+    .filter(([key]) => settings.parameters[key]?.enabled)
+    .map(([key, parameter]) => {
+      const { low, high } = settings.parameters[key];
+      const points = getSweepPercents(low, high, settings.steps).map(percent => {
+        if (percent === 0) return { percent, inlets: baseline.inlets.map(pickOutputs) };
+        const varied = parameter.apply(base, 1 + percent / 100, baseline);
+        return { percent, inlets: run(varied.project, varied.options).inlets.map(pickOutputs) };
+      });
+      return { parameter: key, label: parameter.label, points };
+    })
+    .filter(sweep => sweep.points.length > 0);
+  return { baseline: baseline.inlets.map(pickOutputs), worstIndex: findWorstInlet(baseline.inlets), sweeps };
+};
+
+// Tornado rows for one inlet and output: the change from the baseline at the low and high ends of each
+// sweep, largest swing first
+export const buildTornado = (analysis, inletIndex, output = 'spread') => {
+  const base = analysis.baseline[inletIndex]?.[output];
+  if (!Number.isFinite(base)) return [];
+  return analysis.sweeps.map(sweep => {
+    const low = sweep.points[0];
+    const high = sweep.points[sweep.points.length - 1];
+    const lowChange = low.inlets[inletIndex][output] - base;
+    const highChange = high.inlets[inletIndex][output] - base;
+    return {
+      parameter: sweep.parameter,
+      label: sweep.label,
+      lowPercent: low.percent,
+      highPercent: high.percent,
+      lowChange,
+      highChange,
+      swing: Math.abs(highChange - lowChange),
+    };
+  }).sort((a, b) => b.swing - a.swing);
+};
@@ -0,0 +1,92 @@
+import { describe, expect, it } from 'vitest';
+import { createRoadway } from './criteria.js';
+import { computeProject } from './engine.js';
+import { createSubArea } from './runoff.js';
+import { SENSITIVITY_PARAMETERS, buildTornado, createSensitivitySettings, findWorstInlet, getSweepPercents, runSensitivity } from './sensitivity.js';
+import { curbInlet, uniformGradeProject } from './testProjects.js';
+
+const project = () => uniformGradeProject(-1, {
+  inlets: [curbInlet('A', 1200), curbInlet('B', 1500, { areaEnteringInlet: 1.5 })],
+  roadway: createRoadway(),
+});
+
+const only = (parameter, range = {}) => {
+  const settings = createSensitivitySettings();
+  Object.keys(settings.parameters).forEach(key => {
+    settings.parameters[key] = { ...settings.parameters[key], enabled: key === parameter, ...(key === parameter ? range : {}) };
+  });
+  return settings;
+};
+
+describe('getSweepPercents', () => {
+  it('spaces the steps over the range and includes the baseline', () => {
+    expect(getSweepPercents(-10, 10, 5)).toEqual([-10, -5, 0, 5, 10]);
+    expect(getSweepPercents(-10, 20, 2)).toEqual([-10, 0, 20]);
+    expect(getSweepPercents(-150, -50, 3)).toEqual([-50]);
+    expect(getSweepPercents(10, -10)).toEqual([]);
+  });
+});
+
+describe('runSensitivity', () => {
+  it('re-runs the project at each step with the baseline at 0%', () => {
+    const base = computeProject(project());
+    const analysis = runSensitivity(project(), only('runoffCoefficient'));
+    expect(analysis.sweeps).toHaveLength(1);
+    const [sweep] = analysis.sweeps;
+    expect(sweep.points.map(point => point.percent)).toEqual([-10, -5, 0, 5, 10]);
+    expect(sweep.points[2].inlets[1].spread).toBeCloseTo(base.inlets[1].widthOfFloodingOutput, 9);
+    // More runoff widens the spread at both inlets, and B also sees more bypass from A
+    sweep.points.slice(1).forEach((point, i) => {
+      expect(point.inlets[0].spread).toBeGreaterThan(sweep.points[i].inlets[0].spread);
+      expect(point.inlets[1].qBypass).toBeGreaterThan(sweep.points[i].inlets[1].qBypass);
+    });
+  });
+
+  it('varies the land-use C of sub-areas in a project without runoff settings', () => {
+    const subAreas = [createSubArea({ landUse: 'pavement', area: 0.6 }), createSubArea({ landUse: 'grass-flat', area: 0.4 })];
+    const inputs = { ...project(), runoff: null };
+    inputs.inlets[0] = { ...inputs.inlets[0], subAreas };
+    const base = computeProject(inputs).inlets[0];
+    const [sweep] = runSensitivity(inputs, only('runoffCoefficient')).sweeps;
+    // The default land-use C scales and Cf stays off, as in the baseline
+    const { runoff } = SENSITIVITY_PARAMETERS.runoffCoefficient.apply(inputs, 1.1).project;
+    expect(runoff.applyFrequencyFactor).toBe(false);
+    expect(runoff.landUses.find(landUse => landUse.id === 'pavement').c).toBeCloseTo(0.99, 9);
+    expect(sweep.points.at(-1).inlets[0].spread).toBeGreaterThan(base.widthOfFloodingOutput);
+    expect(sweep.points[0].inlets[0].spread).toBeLessThan(base.widthOfFloodingOutput);
+  });
+
+  it('scales the intensity through the engine option', () => {
+    const high = computeProject(project(), { intensityFactor: 1.2 }).inlets[0];
+    const base = computeProject(project()).inlets[0];
+    expect(high.qEnteringFromArea).toBeCloseTo(base.qEnteringFromArea * 1.2, 9);
+    const analysis = runSensitivity(project(), only('intensity', { low: 0, high: 20 }));
+    expect(analysis.sweeps[0].points.map(point => point.percent)).toEqual([0, 5, 10, 15, 20]);
+  });
+
+  it('fixes the interception ratio at a multiple of the baseline, capped at 1', () => {
+    const analysis = runSensitivity(project(), only('interceptionRatio', { low: -50, high: 500 }));
+    const top = analysis.sweeps[0].points.at(-1);
+    expect(top.inlets[0].qBypass).toBe(0);
+    expect(analysis.sweeps[0].points[0].inlets[0].qBypass).toBeGreaterThan(analysis.baseline[0].qBypass);
+  });
+});
+
+describe('buildTornado', () => {
+  it('ranks the inputs by their swing at the worst inlet', () => {
+    const analysis = runSensitivity(project());
+    expect(analysis.worstIndex).toBe(1);
+    const rows = buildTornado(analysis, analysis.worstIndex);
+    expect(rows).toHaveLength(6);
+    rows.slice(1).forEach((row, i) => expect(row.swing).toBeLessThanOrEqual(rows[i].swing));
+    const cross = rows.find(row => row.parameter === 'crossSlope');
+    // A flatter cross slope widens the spread
+    expect(cross.lowChange).toBeGreaterThan(0);
+    expect(cross.highChange).toBeLessThan(0);
+  });
+
+  it('picks the widest spread when no inlet has an allowable', () => {
+    expect(findWorstInlet([{ widthOfFloodingOutput: 8, allowableSpreadUsed: NaN }, { widthOfFloodingOutput: 6, allowableSpreadUsed: NaN }])).toBe(0);
+    expect(findWorstInlet([{ widthOfFloodingOutput: 8, allowableSpreadUsed: 16 }, { widthOfFloodingOutput: 6, allowableSpreadUsed: 8 }])).toBe(1);
+  });
+});
@@ -0,0 +1,171 @@
+// Inlet spacing design: walk the profile downhill and place inlets where the spread reaches the allowable
+
+import { createInlet } from '../inlets.js';
+import { MIN_GUTTER_GRADE } from './gutter.js';
+import { calculateTC, calculateIntensity, calculateWidthOfFlooding } from './hydraulics.js';
+
+const SQFT_PER_ACRE = 43560;
+
+// Splits the design limits at every profile high/low point so each run drains in one direction
+const getDrainageRuns = (profileModel, startStation, endStation) => {
+  const breaks = profileModel.lowHighPoints
+    .filter(p => p.station > startStation && p.station < endStation)
+    .map(p => p.station);
+  const stations = [startStation, ...breaks, endStation].sort((a, b) => a - b);
+
+  const runs = [];
+  for (let i = 0; i < stations.length - 1; i++) {
+    const a = stations[i];
+    const b = stations[i + 1];
+    if (b <= a) continue;
+    const elevA = profileModel.evaluate(a).elevation;
+    const elevB = profileModel.evaluate(b).elevation;
+    const flowsForward = elevA >= elevB;
+    runs.push({
+      highStation: flowsForward ? a : b,
+      lowStation: flowsForward ? b : a,
+      direction: flowsForward ? 1 : -1,
+    });
+  }
+  return runs;
+};
+
+// tc comes from the longest flow path (ft) and its slope (%) to the gutter. Where the gutter grade is under
+// minGrade (%) the spread cannot be checked, so those stretches are returned as flatZones instead of placing
+// inlets in them. Returns { inlets, warnings, flatZones, tc, intensity }.
+export const designInletSpacing = ({
+  profileModel, startStation, endStation, drainageWidth, runoffCoefficient, allowableSpread, interceptionRatio,
+  longestFlowPath, slopeOfFlowPath, rainfallRegion, returnPeriod, rainfallData,
+  crossSlope = 0.025, n = 0.015, minSpacing = 50, minGrade = MIN_GUTTER_GRADE, step = 1,
+}) => {
+  const warnings = [];
+  const start = parseFloat(startStation);
+  const end = parseFloat(endStation);
+  const W = parseFloat(drainageWidth);
+  const C = parseFloat(runoffCoefficient);
+  const T = parseFloat(allowableSpread);
+  const E = parseFloat(interceptionRatio);
+  const L = parseFloat(longestFlowPath);
+  const S = parseFloat(slopeOfFlowPath);
+
+  if ([start, end, W, C, T, E, L, S].some(v => isNaN(v)) || end <= start || W <= 0 || C <= 0 || T <= 0 || E <= 0 || E > 1 || L <= 0 || S <= 0) {
+    return {
+      inlets: [], flatZones: [], tc: 0, intensity: 0,
+      warnings: ['Enter start/end stations, drainage width, runoff coefficient, allowable spread, an interception ratio between 0 and 1 and the longest flow path and its slope.'],
+    };
+  }
+
+  const tc = calculateTC(L, C, S);
+  const intensity = calculateIntensity(tc, rainfallRegion, returnPeriod, rainfallData);
+  const qPerFoot = C * intensity * W / SQFT_PER_ACRE;
+  const sumACPerFoot = C * W / SQFT_PER_ACRE;
+
+  const sagStations = profileModel.lowPoints.map(p => p.station).filter(s => s > start && s < end);
+  const isSagStation = (station) => sagStations.some(s => Math.abs(s - station) < 1e-6);
+
+  const placed = [];
+  const flatZones = [];
+  const sagApproaches = new Map();
+
+  getDrainageRuns(profileModel, start, end).forEach(run => {
+    const runLength = Math.abs(run.lowStation - run.highStation);
+    let bypassQ = 0;
+    let contributingLength = 0;
+    let sinceLastInlet = 0;
+    let walkedTo = 0;
+    let flatFrom = null;
+    let crowded = false;
+
+    const closeFlatZone = (station) => {
+      if (flatFrom === null) return;
+      flatZones.push({ startStation: Math.min(flatFrom, station), endStation: Math.max(flatFrom, station) });
+      flatFrom = null;
+    };
+
+    for (let walked = step; walked < runLength; walked += step) {
+      const station = run.highStation + run.direction * walked;
+      contributingLength += step;
+      sinceLastInlet += step;
+      walkedTo = walked;
+      const remaining = runLength - walked;
+
+      const qTotal = bypassQ + qPerFoot * contributingLength;
+      const grade = Math.abs(profileModel.evaluate(station).grade);
+      if (grade < minGrade) {
+        // The zone starts at the last station walked, which had grade, or the high point
+        if (flatFrom === null) flatFrom = station - run.direction * step;
+        continue;
+      }
+      closeFlatZone(station);
+      const spread = calculateWidthOfFlooding(qTotal, grade, crossSlope, n);
+      if (spread < T) continue;
+
+      // Let the sag inlet take flow that reaches the allowable spread just upstream of it
+      if (isSagStation(run.lowStation) && remaining < minSpacing) break;
+      // Closer inlets than minSpacing are not built; place the next one at minSpacing and carry on down the run
+      if (sinceLastInlet < minSpacing) {
+        if (!crowded) warnings.push(`Spread reaches ${T} ft within ${minSpacing} ft of the previous inlet or high point near Sta ${station.toFixed(0)}; inlets are placed at the ${minSpacing} ft minimum spacing, so check the interception ratio.`);
+        crowded = true;
+        continue;
+      }
+
+      const qi = qTotal * E;
+      placed.push({
+        station, isSag: false, qTotal, qi, qBypass: qTotal - qi, spread, grade,
+        sumAC: sumACPerFoot * contributingLength,
+      });
+      bypassQ = qTotal - qi;
+      contributingLength = 0;
+      sinceLastInlet = 0;
+    }
+
+    closeFlatZone(run.lowStation);
+    contributingLength += runLength - walkedTo;
+    const arrivingQ = bypassQ + qPerFoot * contributingLength;
+    if (isSagStation(run.lowStation)) {
+      const approach = sagApproaches.get(run.lowStation) || { qTotal: 0, sumAC: 0 };
+      sagApproaches.set(run.lowStation, {
+        qTotal: approach.qTotal + arrivingQ,
+        sumAC: approach.sumAC + sumACPerFoot * contributingLength,
+      });
+    } else if (arrivingQ > 0) {
+      warnings.push(`${arrivingQ.toFixed(2)} cfs leaves the design limits at Sta ${run.lowStation.toFixed(0)}.`);
+    }
+  });
+
+  // Every sag gets an inlet that receives both approaches
+  sagApproaches.forEach((approach, station) => {
+    placed.push({ station, isSag: true, qTotal: approach.qTotal, qi: approach.qTotal, qBypass: 0, spread: NaN, grade: 0, sumAC: approach.sumAC });
+  });
+
+  // The flat zones either side of a low point are one zone
+  const mergedZones = flatZones.sort((a, b) => a.startStation - b.startStation).reduce((zones, zone) => {
+    const last = zones[zones.length - 1];
+    if (last && zone.startStation <= last.endStation + step) last.endStation = Math.max(last.endStation, zone.endStation);
+    else zones.push({ ...zone });
+    return zones;
+  }, []);
+  mergedZones.forEach(zone => {
+    warnings.push(`The gutter grade is under ${minGrade}% from Sta ${zone.startStation.toFixed(0)} to ${zone.endStation.toFixed(0)}, so spread is not checked there; place flanking or intermediate inlets by judgement.`);
+  });
+
+  placed.sort((a, b) => a.station - b.station);
+  return { inlets: placed, warnings, flatZones: mergedZones, tc, intensity };
+};
+
+// Inlet records for an accepted proposal, numbered from firstNumber. They carry the criteria the spacing
+// was designed with (cross slope, n and a fixed Qi/Q on grade) so the calculator reproduces the proposal.
+export const createProposedInlets = (proposal, criteria, firstNumber = 1) => proposal.inlets.map((p, i) => createInlet({
+  strId: `INLET-${firstNumber + i}`,
+  structureType: p.isSag ? 'CB-08' : 'CB-06',
+  station: Math.round(p.station * 100) / 100,
+  areaEnteringInlet: Math.round(p.sumAC * 10000) / 10000,
+  runoffCoefficient: criteria.runoffCoefficient,
+  longestFlowPath: criteria.longestFlowPath,
+  slopeOfFlowPath: criteria.slopeOfFlowPath,
+  crossSlope: criteria.crossSlope,
+  manningsN: criteria.manningsN,
+  interceptionRatio: p.isSag ? '' : criteria.interceptionRatio,
+  interceptionRatioOverride: !p.isSag,
+  manualQi: p.isSag ? Math.round(p.qTotal * 100) / 100 : '',
+}));
@@ -0,0 +1,103 @@
+import { describe, expect, it } from 'vitest';
+import { computeProject } from './engine.js';
+import { calculateTC } from './hydraulics.js';
+import { createProfileModel } from './profile.js';
+import { createProposedInlets, designInletSpacing } from './spacing.js';
+
+const design = (profile, fields) => designInletSpacing({
+  profileModel: createProfileModel(profile), startStation: 0, endStation: 2000, drainageWidth: 40, runoffCoefficient: 0.9,
+  allowableSpread: 8, interceptionRatio: 0.75, longestFlowPath: 300, slopeOfFlowPath: 1, rainfallRegion: 'Region 1', returnPeriod: '10-Year',
+  ...fields,
+});
+
+const crest = { beginningGrade: 2, endingGrade: -2, pvis: [{ station: 1000, elevation: 120, length: 200 }] };
+const sag = { beginningGrade: -2, endingGrade: 2, pvis: [{ station: 1000, elevation: 80, length: 400 }] };
+
+describe('designInletSpacing', () => {
+  it('takes tc from the longest flow path and its slope', () => {
+    const result = design(crest);
+    expect(result.tc).toBeCloseTo(calculateTC(300, 0.9, 1), 9);
+    expect(design(crest, { slopeOfFlowPath: '' }).warnings[0]).toMatch(/longest flow path and its slope/);
+  });
+
+  it('walks downhill both ways from a crest and lets the rest leave the limits', () => {
+    const { inlets, warnings, flatZones } = design(crest);
+    const uphill = inlets.filter(inlet => inlet.station < 1000);
+    const downhill = inlets.filter(inlet => inlet.station > 1000);
+    expect(uphill.length).toBeGreaterThan(0);
+    expect(downhill.map(inlet => 2000 - inlet.station)).toEqual(uphill.map(inlet => inlet.station).reverse());
+    inlets.forEach(inlet => {
+      expect(inlet.isSag).toBe(false);
+      expect(inlet.spread).toBeGreaterThanOrEqual(8);
+      expect(inlet.qBypass).toBeCloseTo(inlet.qTotal * 0.25, 9);
+    });
+    expect(warnings.filter(warning => /leaves the design limits/.test(warning))).toHaveLength(2);
+    // The crest is flat for 0.3% × K = 15 ft each way of the high point
+    expect(flatZones).toHaveLength(1);
+    expect(flatZones[0].startStation).toBeCloseTo(985, 0);
+    expect(flatZones[0].endStation).toBeCloseTo(1015, 0);
+  });
+
+  it('puts an inlet at a sag that takes both approaches and reports the flat zone around it', () => {
+    const { inlets, warnings, flatZones } = design(sag);
+    const sagInlet = inlets.find(inlet => inlet.isSag);
+    expect(sagInlet.station).toBeCloseTo(1000, 6);
+    // Both approaches drain to it: the bypass of the last inlet on each side plus the flow below it
+    const last = inlets.filter(inlet => !inlet.isSag && inlet.station < 1000).at(-1);
+    const first = inlets.find(inlet => !inlet.isSag && inlet.station > 1000);
+    expect(sagInlet.qTotal).toBeGreaterThan(last.qBypass + first.qBypass);
+    expect(sagInlet).toMatchObject({ qBypass: 0, grade: 0 });
+    // K = 100, so the grade is under 0.3% within 30 ft of the low point
+    expect(flatZones).toHaveLength(1);
+    expect(flatZones[0].startStation).toBeCloseTo(970, 0);
+    expect(flatZones[0].endStation).toBeCloseTo(1030, 0);
+    expect(warnings.at(-1)).toMatch(/under 0.3% from Sta 970 to 1030/);
+  });
+
+  it('flags a flat grade instead of reading a zero spread', () => {
+    const { inlets, warnings, flatZones } = design({ beginningGrade: 0, endingGrade: 0, pvis: [{ station: 1000, elevation: 100, length: 0 }] });
+    expect(inlets).toEqual([]);
+    expect(flatZones).toEqual([{ startStation: 0, endStation: 2000 }]);
+    expect(warnings).toContain('The gutter grade is under 0.3% from Sta 0 to 2000, so spread is not checked there; place flanking or intermediate inlets by judgement.');
+  });
+
+  it('keeps placing inlets at the minimum spacing when the spread comes back sooner', () => {
+    const { inlets, warnings } = design(crest, { drainageWidth: 400, interceptionRatio: 0.2, minSpacing: 100 });
+    const downhill = inlets.filter(inlet => inlet.station > 1000);
+    const gaps = downhill.slice(1).map((inlet, i) => inlet.station - downhill[i].station);
+    expect(gaps.length).toBeGreaterThan(3);
+    gaps.forEach(gap => expect(gap).toBeCloseTo(100, 6));
+    // The run is walked to its end rather than stopping at the first crowded inlet
+    expect(downhill.at(-1).station).toBeGreaterThanOrEqual(1900);
+    expect(warnings.filter(warning => /100 ft minimum spacing/.test(warning))).toHaveLength(2);
+  });
+
+  it('leaves flow that reaches the allowable spread just upstream of a sag to the sag inlet', () => {
+    const { inlets } = design(sag, { minSpacing: 400 });
+    inlets.filter(inlet => !inlet.isSag).forEach(inlet => expect(Math.abs(inlet.station - 1000)).toBeGreaterThanOrEqual(400));
+  });
+});
+
+describe('createProposedInlets', () => {
+  it('gives inlets the calculator computes as the proposal designed them', () => {
+    const criteria = { drainageWidth: 40, runoffCoefficient: 0.9, allowableSpread: 8, interceptionRatio: 0.75, longestFlowPath: 300, slopeOfFlowPath: 1, crossSlope: 0.02, manningsN: 0.016 };
+    const proposal = design(sag, { ...criteria, n: criteria.manningsN });
+    const inlets = createProposedInlets(proposal, criteria, 5);
+    expect(inlets.map(inlet => inlet.strId).slice(0, 2)).toEqual(['INLET-5', 'INLET-6']);
+    const { inlets: computed } = computeProject({ profile: sag, inlets, rainfall: { region: 'Region 1', returnPeriod: '10-Year' } });
+    computed.forEach((inlet, i) => {
+      const proposed = proposal.inlets[i];
+      expect(inlet.effectiveIsLowPoint).toBe(proposed.isSag);
+      // Downstream inlets carry the upstream tc plus gutter travel time, so their Q is a little under the proposal's
+      expect(inlet.qTotal).toBeLessThanOrEqual(proposed.qTotal + 1e-3);
+      expect(inlet.qTotal).toBeGreaterThan(proposed.qTotal * 0.85);
+      if (proposed.isSag) return;
+      expect(inlet.interceptionRatioUsed).toBe(0.75);
+      expect(inlet.widthOfFloodingOutput).toBeLessThanOrEqual(proposed.spread + 1e-3);
+      expect(inlet.widthOfFloodingOutput).toBeGreaterThan(7.5);
+    });
+    // The first inlet down each side has no upstream flow, so it matches the proposal exactly
+    expect(computed[0].qTotal).toBeCloseTo(proposal.inlets[0].qTotal, 2);
+    expect(computed[0].widthOfFloodingOutput).toBeCloseTo(proposal.inlets[0].spread, 2);
+  });
+});
@@ -0,0 +1,16 @@
+// Inputs shared by the calculation tests: a standard curb inlet and a project on a single grade
+
+import { createInlet } from '../inlets.js';
+
+// CB-06 curb inlet draining 0.5 ac at C = 0.9 over a 100 ft flow path at 1%
+export const curbInlet = (strId, station, fields = {}) => createInlet({
+  strId, structureType: 'CB-06', station, areaEnteringInlet: 0.5, runoffCoefficient: 0.9, longestFlowPath: 100, slopeOfFlowPath: 1, ...fields,
+});
+
+// Sta 1000 to 2000 on one grade (%) with no PVIs and Region 1 10-Year rainfall; fields replace whole parts
+export const uniformGradeProject = (grade, fields = {}) => ({
+  profile: { beginningGrade: grade, endingGrade: grade, startStation: 1000, endStation: 2000, pvis: [] },
+  inlets: [],
+  rainfall: { region: 'Region 1', returnPeriod: '10-Year' },
+  ...fields,
+});
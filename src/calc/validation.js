@@ -0,0 +1,352 @@
+// Input validation and design checks. Each finding is
+// { severity: 'error' | 'warning' | 'info', scope: 'profile' | 'pvi' | 'inlet' | 'network' | 'pipe' | 'scenario' | 'catalog', index, field, message }
+// where index is the PVI, inlet, pipe, scenario or catalog entry position (null for profile and network fields)
+// and field is the input name.
+
+import { OTHER_STRUCTURE_TYPE } from './catalog.js';
+import { MAX_DRAINAGE_K, reviewVerticalCurves } from './curves.js';
+import { MIN_GUTTER_GRADE } from './gutter.js';
+import { GRATE_TYPES } from './interception.js';
+import { MIN_PIPE_VELOCITY, STANDARD_PIPE_DIAMETERS } from './network.js';
+
+export { MIN_GUTTER_GRADE };
+
+export const SEVERITIES = ['error', 'warning', 'info'];
+
+// Overland (sheet) flow is rarely longer than this (ft) before it concentrates
+export const MAX_OVERLAND_FLOW_PATH = 300;
+// The LADOTD kinematic wave tc has a 5 min floor; beyond an hour the rational method is out of its range
+export const TC_RANGE = { min: 5, max: 60 };
+
+const isBlank = (value) => value === '' || value === null || value === undefined;
+
+const rangeText = ({ min, above, max }) => {
+  const lower = above !== undefined ? `greater than ${above}` : (min !== undefined ? `at least ${min}` : '');
+  if (max === undefined) return lower;
+  if (!lower) return `at most ${max}`;
+  return above !== undefined ? `${lower} and at most ${max}` : `between ${min} and ${max}`;
+};
+
+// Missing, non-numeric and out-of-range checks for one value. rule: { label, required, min, above, max }
+const checkNumber = (value, rule) => {
+  if (isBlank(value)) return rule.required ? `${rule.label} is missing.` : '';
+  const number = parseFloat(value);
+  if (!Number.isFinite(number)) return `${rule.label} is not a number.`;
+  const tooLow = (rule.min !== undefined && number < rule.min) || (rule.above !== undefined && number <= rule.above);
+  const tooHigh = rule.max !== undefined && number > rule.max;
+  return tooLow || tooHigh ? `${rule.label} must be ${rangeText(rule)}.` : '';
+};
+
+// required may depend on the inlet's calculated state, e.g. a manual Qi/Q only matters on grade
+const INLET_FIELD_RULES = [
+  { field: 'station', label: 'Station', required: true },
+  { field: 'areaEnteringInlet', label: 'ΣAC', required: (inlet) => !inlet.subAreas?.length, min: 0 },
+  { field: 'runoffCoefficient', label: 'Runoff coefficient C', required: (inlet) => !inlet.subAreas?.length, above: 0, max: 1 },
+  { field: 'longestFlowPath', label: 'Longest flow path HL', required: true, above: 0 },
+  { field: 'slopeOfFlowPath', label: 'Slope of flow path S', required: true, above: 0 },
+  { field: 'gutterGrade', label: 'Gutter grade', required: (inlet) => Boolean(inlet.gutterGradeOverride), min: 0 },
+  { field: 'interceptionRatio', label: 'Interception ratio Qi/Q', required: (inlet) => inlet.interceptionIsManual && !inlet.effectiveIsLowPoint, min: 0, max: 1 },
+  { field: 'crossSlope', label: 'Cross slope Sx', above: 0, max: 1 },
+  { field: 'manningsN', label: "Manning's n", above: 0 },
+  { field: 'gutterWidth', label: 'Gutter width W', min: 0 },
+  { field: 'gutterDepression', label: 'Gutter depression a', min: 0 },
+  { field: 'curbOpeningLength', label: 'Curb opening length', min: 0 },
+  { field: 'curbOpeningHeight', label: 'Curb opening height', min: 0 },
+  { field: 'grateLength', label: 'Grate length', min: 0 },
+  { field: 'grateWidth', label: 'Grate width', min: 0 },
+  { field: 'grateClogging', label: 'Grate clogging factor', min: 0, max: 1 },
+  { field: 'curbClogging', label: 'Curb opening clogging factor', min: 0, max: 1 },
+  { field: 'allowableDepth', label: 'Allowable ponded depth', above: 0 },
+  { field: 'allowableSpread', label: 'Allowable spread', above: 0 },
+  { field: 'flankingDepth', label: 'Flanking rise', above: 0 },
+  { field: 'manualQi', label: 'Manual Qi', required: (inlet) => inlet.effectiveIsLowPoint && inlet.sagIsManual, min: 0 },
+  { field: 'manualWidthOfFlooding', label: 'Manual width of flooding', required: (inlet) => inlet.effectiveIsLowPoint && inlet.sagIsManual, min: 0 },
+];
+
+export const validateProfile = (profile, profileModel) => {
+  const issues = [];
+  const add = (severity, scope, index, field, message) => issues.push({ severity, scope, index, field, message });
+  const pvis = profile?.pvis || [];
+
+  [['beginningGrade', 'Beginning grade'], ['endingGrade', 'Ending grade']].forEach(([field, label]) => {
+    const message = checkNumber(profile?.[field], { label, required: pvis.length > 0 });
+    if (message) add('error', 'profile', null, field, message);
+  });
+  [['startStation', 'Project start station'], ['endStation', 'Project end station']].forEach(([field, label]) => {
+    const message = checkNumber(profile?.[field], { label });
+    if (message) add('error', 'profile', null, field, message);
+  });
+  const start = parseFloat(profile?.startStation);
+  const end = parseFloat(profile?.endStation);
+  if (Number.isFinite(start) && Number.isFinite(end) && end <= start) {
+    add('error', 'profile', null, 'endStation', `Project end station must be beyond the start station (${start}); ${start + 1000} is used instead.`);
+  }
+
+  pvis.forEach((pvi, i) => {
+    const stationMessage = checkNumber(pvi.station, { label: 'Station', required: true });
+    if (stationMessage) add('error', 'pvi', i, 'station', stationMessage);
+    const elevationMessage = checkNumber(pvi.elevation, { label: 'Elevation', required: true });
+    if (elevationMessage) add('error', 'pvi', i, 'elevation', elevationMessage);
+    if (isBlank(pvi.length)) add('warning', 'pvi', i, 'length', 'Curve length is blank; the PVI is treated as an angle point.');
+    else {
+      const lengthMessage = checkNumber(pvi.length, { label: 'Curve length', min: 0 });
+      if (lengthMessage) add('error', 'pvi', i, 'length', lengthMessage);
+    }
+  });
+
+  // Stations must increase, and a curve must end before the next one begins
+  const details = profileModel.pviDetails;
+  details.forEach((pvi, i) => {
+    if (i === 0 || isBlank(pvis[i].station) || isBlank(pvis[i - 1].station)) return;
+    const previous = details[i - 1];
+    if (pvi.PVI_station === previous.PVI_station) {
+      add('error', 'pvi', i, 'station', `Station duplicates PVI ${i} (${previous.PVI_station}).`);
+    } else if (pvi.PVI_station < previous.PVI_station) {
+      add('error', 'pvi', i, 'station', `Station is before PVI ${i} (${previous.PVI_station}); PVIs must be in increasing station order.`);
+    } else if (pvi.BVC_station < previous.EVC_station - 1e-6) {
+      add('error', 'pvi', i, 'length', `Vertical curve begins at ${pvi.BVC_station.toFixed(2)}, before the curve at PVI ${i} ends (${previous.EVC_station.toFixed(2)}).`);
+    }
+  });
+  return issues;
+};
+
+// results: a computeProject run, whose inlets carry both the inputs and the calculated values
+export const validateInlets = (results, { minGutterGrade = MIN_GUTTER_GRADE } = {}) => {
+  const issues = [];
+  const { inlets, routing, profileModel, details = [] } = results;
+  const { startStation, endStation } = profileModel.limits;
+
+  const idCounts = new Map();
+  inlets.forEach(inlet => {
+    if (inlet.strId) idCounts.set(inlet.strId, (idCounts.get(inlet.strId) || 0) + 1);
+  });
+
+  inlets.forEach((inlet, index) => {
+    const add = (severity, field, message) => issues.push({ severity, scope: 'inlet', index, field, message });
+
+    if (!inlet.strId) add('warning', 'strId', 'Structure ID is blank; bypass cannot be routed to this inlet by name.');
+    else if (idCounts.get(inlet.strId) > 1) add('error', 'strId', `Structure ID "${inlet.strId}" is used by more than one inlet.`);
+    if (!inlet.structureType) add('warning', 'structureType', 'Structure type is not selected; interception must be entered manually.');
+    else if (inlet.structureType !== OTHER_STRUCTURE_TYPE && details[index] && !details[index].geometry) {
+      add('warning', 'structureType', `Structure type "${inlet.structureType}" is not in the inlet catalog; interception must be entered manually.`);
+    }
+
+    INLET_FIELD_RULES.forEach(rule => {
+      const required = typeof rule.required === 'function' ? rule.required(inlet) : rule.required;
+      const message = checkNumber(inlet[rule.field], { ...rule, required });
+      if (message) add('error', rule.field, message);
+    });
+
+    (details[index]?.drainage.rows || []).forEach((row, i) => {
+      const label = `Sub-area ${i + 1}${row.description ? ` (${row.description})` : ''}`;
+      const areaMessage = checkNumber(row.area, { label: `${label} area`, required: true, above: 0 });
+      if (areaMessage) add('error', 'subAreas', areaMessage);
+      if (row.cSource === 'Entered') {
+        const cMessage = checkNumber(row.c, { label: `${label} C`, above: 0, max: 1 });
+        if (cMessage) add('error', 'subAreas', cMessage);
+      } else if (!row.landUseName) {
+        add('error', 'subAreas', `${label} land use is not in the runoff coefficient table; it is left out of ΣAC.`);
+      }
+    });
+
+    const station = parseFloat(inlet.station);
+    if (Number.isFinite(station)) {
+      if (station < startStation || station > endStation) {
+        add('warning', 'station', `Station ${station} is outside the project limits (${startStation} to ${endStation}).`);
+      }
+      const duplicate = inlets.findIndex((other, j) => j < index && parseFloat(other.station) === station && (other.side || 'Right') === (inlet.side || 'Right'));
+      if (duplicate >= 0) add('warning', 'station', `Station duplicates inlet ${duplicate + 1} on the same side.`);
+      const previous = inlets.slice(0, index).map(other => parseFloat(other.station)).filter(Number.isFinite).pop();
+      if (previous !== undefined && station < previous) add('info', 'station', `Listed out of station order (after Sta ${previous}).`);
+    }
+
+    const route = routing.routes[index];
+    if (route?.error) add('error', 'bypassTo', route.error);
+    if (route?.warning) add('warning', 'bypassTo', route.warning);
+    if (route?.terminal?.type === 'cycle') add('error', 'bypassTo', 'Bypass target closes a loop; this bypass is dropped.');
+
+    if (!inlet.effectiveIsLowPoint && Number.isFinite(inlet.effectiveGutterGrade) && inlet.effectiveGutterGrade < minGutterGrade) {
+      add('warning', inlet.gutterGradeOverride ? 'gutterGrade' : 'station', `Gutter grade ${inlet.effectiveGutterGrade.toFixed(2)}% is below the ${minGutterGrade}% minimum.`);
+    }
+  });
+  return issues;
+};
+
+const spreadMessage = (inlet, storm = '') => (
+  `${storm}Spread ${inlet.widthOfFloodingOutput.toFixed(2)} ft exceeds the allowable ${inlet.allowableSpreadUsed.toFixed(2)} ft${inlet.spreadSource === 'Criteria' ? ' from the roadway criteria' : ''}.`
+);
+
+// Design criteria on the calculated results: spread in the design storm (and the check storm when its run
+// is given) and the range of the tc formula
+export const checkDesign = (results, { checkResults = null } = {}) => {
+  const issues = [];
+  results.inlets.forEach((inlet, index) => {
+    const add = (severity, field, message) => issues.push({ severity, scope: 'inlet', index, field, message });
+
+    if (inlet.spreadPasses === false) add('warning', 'allowableSpread', spreadMessage(inlet));
+    const check = checkResults?.inlets[index];
+    if (check?.spreadPasses === false) add('warning', 'allowableSpread', spreadMessage(check, `${checkResults.rainfall.returnPeriod} check storm: `));
+    if (inlet.effectiveIsLowPoint && inlet.sagPasses === false && inlet.spreadPasses !== false) {
+      add('warning', 'allowableDepth', 'Sag inlet fails the allowable ponded depth.');
+    }
+
+    if (parseFloat(inlet.longestFlowPath) > MAX_OVERLAND_FLOW_PATH) {
+      add('warning', 'longestFlowPath', `Flow path over ${MAX_OVERLAND_FLOW_PATH} ft is usually shallow concentrated flow, outside the overland tc formula.`);
+    }
+    if (inlet.localTc > 0 && inlet.localTc <= TC_RANGE.min) {
+      add('info', 'longestFlowPath', `Overland tc is below ${TC_RANGE.min} min; the ${TC_RANGE.min} min minimum is used.`);
+    }
+    if (inlet.tc > TC_RANGE.max) {
+      add('warning', 'longestFlowPath', `tc of ${inlet.tc.toFixed(1)} min is over ${TC_RANGE.max} min, beyond the usual range of the rational method.`);
+    }
+  });
+  return issues;
+};
+
+// Sight distance, drainage K and flat zones of the vertical curves, skipping PVIs with missing inputs
+export const checkVerticalCurves = (profile, profileModel, { roadway = null, minGutterGrade = MIN_GUTTER_GRADE } = {}) => {
+  const issues = [];
+  const pvis = profile?.pvis || [];
+  reviewVerticalCurves(profileModel, { roadway, flatGrade: minGutterGrade }).forEach(curve => {
+    const { index } = curve;
+    if (isBlank(pvis[index]?.station) || isBlank(pvis[index]?.elevation)) return;
+    const add = (severity, message) => issues.push({ severity, scope: 'pvi', index, field: 'length', message });
+
+    if (curve.sightDistancePasses === false) {
+      add('warning', `${curve.type} curve length ${curve.L.toFixed(0)} ft is under the ${Math.ceil(curve.requiredLength)} ft needed for ${curve.sightDistance} ft ${curve.sightDistanceType.toLowerCase()} sight distance at ${curve.designSpeed} mph.`);
+    }
+    if (curve.exceedsDrainageK) {
+      add('warning', `Sag K of ${curve.K.toFixed(0)} is over ${MAX_DRAINAGE_K}; the flat bottom of the curve drains poorly on a curbed road.`);
+    }
+    if (curve.type === 'Sag' && curve.lowHighPoint && curve.flatZone) {
+      const { startStation, endStation, length } = curve.flatZone;
+      add('info', `Grades are under ${minGutterGrade}% for ${length.toFixed(0)} ft around the low point (Sta ${startStation.toFixed(2)} to ${endStation.toFixed(2)}); consider flanking inlets.`);
+    }
+  });
+  return issues;
+};
+
+const PIPE_FIELD_RULES = [
+  { field: 'length', label: 'Length', above: 0 },
+  { field: 'manningsN', label: "Manning's n", above: 0 },
+  { field: 'upstreamInvert', label: 'Upstream invert', required: true },
+  { field: 'downstreamInvert', label: 'Downstream invert', required: true },
+  { field: 'diameter', label: 'Diameter', above: 0 },
+  { field: 'junctionLoss', label: 'Junction loss K', min: 0 },
+];
+
+// Trunk line inputs and the pipe and HGL checks of the design run (results.network)
+export const validateNetwork = (network, results) => {
+  const issues = [];
+  if (!results.network) return issues;
+  const addNetwork = (severity, field, message) => issues.push({ severity, scope: 'network', index: null, field, message });
+  [
+    ['tailwater', { label: 'Tailwater elevation' }, network.outfall?.tailwater],
+    ['outfallStation', { label: 'Outfall station' }, network.outfall?.station],
+    ['freeboard', { label: 'Freeboard', required: true, min: 0 }, network.freeboard],
+    ['minimumDiameter', { label: 'Minimum diameter', above: 0 }, network.minimumDiameter],
+  ].forEach(([field, rule, value]) => {
+    const message = checkNumber(value, rule);
+    if (message) addNetwork('error', field, message);
+  });
+
+  const { pipes } = results.network;
+  pipes.forEach((pipe, index) => {
+    const add = (severity, field, message) => issues.push({ severity, scope: 'pipe', index, field, message });
+    if (pipe.error) {
+      add('error', pipe.errorField, pipe.error);
+      return;
+    }
+    const input = network.pipes[index];
+    PIPE_FIELD_RULES.forEach(rule => {
+      const message = checkNumber(input[rule.field], rule);
+      if (message) add('error', rule.field, message);
+    });
+    if (!(pipe.length > 0)) add('error', 'length', `Length is blank and the stations of ${pipe.fromLabel} and ${pipe.toLabel} do not give one.`);
+    if (Number.isFinite(pipe.slope) && pipe.slope <= 0) add('error', 'downstreamInvert', `Inverts give a ${pipe.slope === 0 ? 'flat' : 'adverse'} slope; the downstream invert must be lower.`);
+    if (pipe.diameter === null) add('error', 'diameter', `Needs a pipe over ${STANDARD_PIPE_DIAMETERS[STANDARD_PIPE_DIAMETERS.length - 1]} in (${pipe.requiredDiameter.toFixed(0)} in required); enter a diameter or split the flow.`);
+    else if (pipe.undersized) add('warning', 'diameter', `${pipe.q.toFixed(2)} cfs is over the ${pipe.capacity.toFixed(2)} cfs full-flow capacity; a ${Math.ceil(pipe.requiredDiameter)} in pipe is needed.`);
+    if (pipe.q > 0 && pipe.velocity > 0 && pipe.velocity < MIN_PIPE_VELOCITY) add('info', 'diameter', `Velocity ${pipe.velocity.toFixed(2)} ft/s is under the ${MIN_PIPE_VELOCITY} ft/s that keeps the pipe self-cleaning.`);
+    if (pipe.deadEnd) add('warning', 'to', `${pipe.to} has no outlet pipe; the run ends there and its HGL starts at a free outlet.`);
+
+    // The outlet invert should not sit above an incoming pipe's invert
+    pipes.filter(up => !up.error && up.toIndex === pipe.fromIndex && up.toIndex !== null).forEach(up => {
+      if (pipe.upstreamInvert > up.downstreamInvert + 1e-9) {
+        add('warning', 'upstreamInvert', `Invert ${pipe.upstreamInvert.toFixed(2)} is above the ${up.downstreamInvert.toFixed(2)} invert of pipe ${up.index + 1} coming into ${pipe.from}.`);
+      }
+    });
+  });
+
+  results.network.structures.forEach(structure => {
+    const add = (severity, message) => issues.push({ severity, scope: 'inlet', index: structure.index, field: 'hgl', message });
+    if (structure.status === 'Flooded') add('warning', `HGL ${structure.hgl.toFixed(2)} is above the rim ${structure.rim.toFixed(2)}; the structure overflows.`);
+    else if (structure.status === 'Freeboard') add('warning', `HGL ${structure.hgl.toFixed(2)} is ${structure.clearance.toFixed(2)} ft below the rim, within the ${results.network.freeboard} ft freeboard.`);
+  });
+  return issues;
+};
+
+// Scenario inputs. runs are the scenario results from computeScenarios, which say when the rainfall data has
+// no curve for a scenario.
+export const validateScenarios = (scenarios = [], runs = []) => {
+  const issues = [];
+  scenarios.forEach((scenario, index) => {
+    const add = (severity, field, message) => issues.push({ severity, scope: 'scenario', index, field, message });
+    const name = scenario.name?.trim();
+    if (name && scenarios.findIndex(other => other.name?.trim() === name) < index) add('warning', 'name', `Another scenario is already named "${name}".`);
+    if (runs[index]?.error) add('error', 'returnPeriod', runs[index].error);
+    if (scenario.spreadCriteria === 'custom') {
+      const message = checkNumber(scenario.allowableSpread, { label: 'Allowable spread', required: true, above: 0 });
+      if (message) add('error', 'allowableSpread', message);
+    }
+  });
+  return issues;
+};
+
+// applies(entry) limits a rule to the entries that have the part: a grate has no curb opening, a curb inlet no
+// grate, and the depression width only matters with a local depression
+const hasCurb = (entry) => entry.inletType !== 'grate';
+const hasGrate = (entry) => entry.inletType !== 'curb';
+const CATALOG_FIELD_RULES = [
+  { field: 'curbOpeningLength', label: 'Curb opening length', applies: hasCurb, required: true, above: 0 },
+  { field: 'curbOpeningHeight', label: 'Curb opening height', applies: hasCurb, required: true, above: 0 },
+  { field: 'grateLength', label: 'Grate length', applies: hasGrate, required: true, above: 0 },
+  { field: 'grateWidth', label: 'Grate width', applies: hasGrate, required: true, above: 0 },
+  { field: 'localDepression', label: 'Local depression', min: 0 },
+  { field: 'localDepressionWidth', label: 'Local depression width', applies: (entry) => parseFloat(entry.localDepression) > 0, required: true, above: 0 },
+  { field: 'grateClogging', label: 'Grate clogging factor', applies: hasGrate, min: 0, max: 1 },
+  { field: 'curbClogging', label: 'Curb opening clogging factor', applies: hasCurb, min: 0, max: 1 },
+];
+
+// Inlet structure catalog entries
+export const validateCatalog = (catalog = []) => {
+  const issues = [];
+  catalog.forEach((entry, index) => {
+    const add = (severity, field, message) => issues.push({ severity, scope: 'catalog', index, field, message });
+    const id = entry.id?.trim();
+    if (!id) add('error', 'id', 'Catalog entry has no id; inlets cannot refer to it.');
+    else if (id === OTHER_STRUCTURE_TYPE) add('error', 'id', `"${OTHER_STRUCTURE_TYPE}" is reserved for inlets without a catalog entry.`);
+    else if (catalog.findIndex(other => other.id?.trim() === id) < index) add('error', 'id', `Another catalog entry already has the id "${id}".`);
+    CATALOG_FIELD_RULES.filter(rule => !rule.applies || rule.applies(entry)).forEach(rule => {
+      const message = checkNumber(entry[rule.field], rule);
+      if (message) add('error', rule.field, message);
+    });
+    if (hasGrate(entry) && !GRATE_TYPES[entry.grateType]) add('warning', 'grateType', 'Bar configuration is not selected; the P-1-7/8 splash-over velocity is used.');
+  });
+  return issues;
+};
+
+// All findings for a project, errors first. options: { minGutterGrade, checkResults, scenarioRuns }
+export const validateProject = (project, results, options) => [
+  ...validateProfile(project.profile, results.profileModel),
+  ...checkVerticalCurves(project.profile, results.profileModel, { ...options, roadway: project.roadway }),
+  ...validateInlets(results, options),
+  ...checkDesign(results, options),
+  ...validateNetwork(project.network, results),
+  ...validateScenarios(project.scenarios, options?.scenarioRuns),
+  ...validateCatalog(project.catalog),
+].sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity));
+
+// Findings for one PVI or inlet keyed by field, for inline display
+export const groupIssuesByField = (issues, scope, index) => issues
+  .filter(issue => issue.scope === scope && issue.index === index)
+  .reduce((byField, issue) => ({ ...byField, [issue.field]: [...(byField[issue.field] || []), issue] }), {});
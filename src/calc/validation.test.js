@@ -0,0 +1,247 @@
+import { describe, expect, it } from 'vitest';
+import { createInlet } from '../inlets.js';
+import { createSampleProject } from '../project.js';
+import { createCatalogEntry, createDefaultCatalog } from './catalog.js';
+import { createRoadway } from './criteria.js';
+import { computeCheckStorm, computeProject } from './engine.js';
+import { NETWORK_OUTFALL, createNetwork, createPipe } from './network.js';
+import { createProfileModel } from './profile.js';
+import { createRunoffSettings, createSubArea } from './runoff.js';
+import { computeScenarios, createScenario } from './scenarios.js';
+import { curbInlet, uniformGradeProject } from './testProjects.js';
+import {
+  checkDesign, checkVerticalCurves, groupIssuesByField, validateCatalog, validateInlets, validateNetwork, validateProfile, validateProject, validateScenarios,
+} from './validation.js';
+
+const fieldsOf = (issues) => issues.map(issue => `${issue.scope}:${issue.index}:${issue.field}:${issue.severity}`);
+
+describe('validateProfile', () => {
+  it('flags missing values, stations out of order and overlapping curves', () => {
+    const profile = {
+      beginningGrade: '', endingGrade: 1, startStation: 2000, endStation: 1000,
+      pvis: [
+        { station: 1000, elevation: 100, length: 400 },
+        { station: 1300, elevation: 102, length: 400 },
+        { station: 1300, elevation: '', length: '' },
+        { station: 1200, elevation: 101, length: -50 },
+      ],
+    };
+    const issues = validateProfile(profile, createProfileModel(profile));
+    expect(fieldsOf(issues)).toEqual(expect.arrayContaining([
+      'profile:null:beginningGrade:error',
+      'profile:null:endStation:error',
+      'pvi:1:length:error',
+      'pvi:2:elevation:error',
+      'pvi:2:length:warning',
+      'pvi:2:station:error',
+      'pvi:3:length:error',
+      'pvi:3:station:error',
+    ]));
+  });
+
+  it('accepts the sample profile and an empty one', () => {
+    const { profile } = createSampleProject();
+    expect(validateProfile(profile, createProfileModel(profile))).toEqual([]);
+    const empty = { beginningGrade: '', endingGrade: '', pvis: [] };
+    expect(validateProfile(empty, createProfileModel(empty))).toEqual([]);
+  });
+});
+
+describe('validateInlets', () => {
+  const project = (inlets) => ({ profile: { beginningGrade: -2, endingGrade: -2, startStation: 0, endStation: 1000, pvis: [] }, inlets, rainfall: { region: 'Region 1', returnPeriod: '10-Year' } });
+  const valid = { structureType: 'CB-06', areaEnteringInlet: 0.3, runoffCoefficient: 0.9, longestFlowPath: 100, slopeOfFlowPath: 1 };
+
+  it('flags missing, negative and out-of-range inputs', () => {
+    const results = computeProject(project([
+      createInlet({ ...valid, strId: 'A', station: 100, areaEnteringInlet: -1, runoffCoefficient: 1.5, longestFlowPath: '', crossSlope: -0.02, grateClogging: 2 }),
+      createInlet({ ...valid, strId: 'B', station: 200, structureType: 'Other', interceptionRatio: 1.2 }),
+    ]));
+    const byField = groupIssuesByField(validateInlets(results), 'inlet', 0);
+    expect(Object.keys(byField).sort()).toEqual(['areaEnteringInlet', 'crossSlope', 'grateClogging', 'longestFlowPath', 'runoffCoefficient']);
+    expect(byField.longestFlowPath[0].message).toBe('Longest flow path HL is missing.');
+    expect(byField.runoffCoefficient[0].message).toBe('Runoff coefficient C must be greater than 0 and at most 1.');
+    expect(groupIssuesByField(validateInlets(results), 'inlet', 1).interceptionRatio[0].message).toBe('Interception ratio Qi/Q must be between 0 and 1.');
+  });
+
+  it('checks sub-areas in place of the entered ΣAC and C', () => {
+    const results = computeProject({
+      ...project([createInlet({
+        ...valid, strId: 'A', station: 100, areaEnteringInlet: '', runoffCoefficient: '',
+        subAreas: [createSubArea({ landUse: 'pavement', area: 0.2 }), createSubArea({ description: 'Lot', landUse: 'gone', area: -1 }), createSubArea({ area: 0.1, c: 1.5 })],
+      })]),
+      runoff: createRunoffSettings(),
+    });
+    expect(validateInlets(results).map(issue => [issue.field, issue.message])).toEqual([
+      ['subAreas', 'Sub-area 2 (Lot) area must be greater than 0.'],
+      ['subAreas', 'Sub-area 2 (Lot) land use is not in the runoff coefficient table; it is left out of ΣAC.'],
+      ['subAreas', 'Sub-area 3 C must be greater than 0 and at most 1.'],
+    ]);
+  });
+
+  it('flags duplicate IDs and stations, stations out of order or outside the limits, and bad bypass targets', () => {
+    const results = computeProject(project([
+      createInlet({ ...valid, strId: 'A', station: 500 }),
+      createInlet({ ...valid, strId: 'A', station: 500 }),
+      createInlet({ ...valid, strId: 'C', station: 400, side: 'Left', bypassTo: 'Z' }),
+      createInlet({ ...valid, strId: 'D', station: 1200 }),
+      createInlet({ ...valid, strId: 'E', station: 1300, bypassTo: 'D' }),
+    ]));
+    expect(fieldsOf(validateInlets(results))).toEqual([
+      'inlet:0:strId:error',
+      'inlet:1:strId:error',
+      'inlet:1:station:warning',
+      'inlet:2:station:info',
+      'inlet:2:bypassTo:error',
+      'inlet:3:station:warning',
+      'inlet:4:station:warning',
+      'inlet:4:bypassTo:warning',
+    ]);
+  });
+
+  it('warns about gutter grades below the minimum', () => {
+    const results = computeProject(project([createInlet({ ...valid, strId: 'A', station: 100, gutterGradeOverride: true, gutterGrade: 0.2 })]));
+    expect(validateInlets(results)).toEqual([expect.objectContaining({ field: 'gutterGrade', severity: 'warning', message: 'Gutter grade 0.20% is below the 0.3% minimum.' })]);
+    expect(validateInlets(results, { minGutterGrade: 0.1 })).toEqual([]);
+  });
+});
+
+describe('checkDesign', () => {
+  const project = (fields) => ({
+    profile: { beginningGrade: -1, endingGrade: -1, pvis: [] },
+    inlets: [createInlet({ strId: 'A', structureType: 'CB-06', station: 500, areaEnteringInlet: 2, longestFlowPath: 100, slopeOfFlowPath: 2, ...fields })],
+    rainfall: { region: 'Region 1', returnPeriod: '10-Year' },
+  });
+
+  it('flags spread over the allowable value', () => {
+    const results = computeProject(project({ allowableSpread: 8 }));
+    expect(results.inlets[0].widthOfFloodingOutput).toBeGreaterThan(8);
+    expect(fieldsOf(checkDesign(results))).toContain('inlet:0:allowableSpread:warning');
+    expect(fieldsOf(checkDesign(computeProject(project({ allowableSpread: 30 }))))).not.toContain('inlet:0:allowableSpread:warning');
+  });
+
+  it('flags spread that passes the design storm but fails the check storm', () => {
+    const design = computeProject(project({}));
+    const allowed = design.inlets[0].widthOfFloodingOutput + 0.1;
+    const withCriteria = { ...project({ allowableSpread: allowed }), roadway: createRoadway({ checkReturnPeriod: '50-Year' }) };
+    const issues = checkDesign(computeProject(withCriteria), { checkResults: computeCheckStorm(withCriteria) });
+    expect(issues.filter(issue => issue.field === 'allowableSpread').map(issue => issue.message)).toEqual([
+      expect.stringMatching(/^50-Year check storm: Spread \d+\.\d+ ft exceeds the allowable/),
+    ]);
+  });
+
+  it('flags a tc outside the range of the formula', () => {
+    expect(fieldsOf(checkDesign(computeProject(project({}))))).toEqual(['inlet:0:longestFlowPath:info']);
+    const long = checkDesign(computeProject(project({ longestFlowPath: 20000, runoffCoefficient: 0.3, slopeOfFlowPath: 0.2 })));
+    expect(long.map(issue => issue.message)).toEqual([
+      'Flow path over 300 ft is usually shallow concentrated flow, outside the overland tc formula.',
+      expect.stringMatching(/^tc of \d+\.\d min is over 60 min/),
+    ]);
+  });
+});
+
+describe('checkVerticalCurves', () => {
+  const profile = { beginningGrade: -1, endingGrade: 1, pvis: [{ station: 1000, elevation: 100, length: 100 }] };
+
+  it('flags a sag too short for headlight sight distance', () => {
+    const steep = { ...profile, beginningGrade: -3, endingGrade: 3 };
+    const issues = checkVerticalCurves(steep, createProfileModel(steep), { roadway: createRoadway({ designSpeed: 60 }) });
+    expect(fieldsOf(issues)).toEqual(['pvi:0:length:warning', 'pvi:0:length:info']);
+    expect(issues[0].message).toMatch(/^Sag curve length 100 ft is under the \d+ ft needed for 570 ft headlight sight distance at 60 mph\.$/);
+  });
+
+  it('flags sags flatter than the drainage K and skips incomplete PVIs', () => {
+    const flat = { ...profile, pvis: [{ station: 1000, elevation: 100, length: 400 }] };
+    expect(checkVerticalCurves(flat, createProfileModel(flat)).map(issue => issue.message)).toEqual([
+      'Sag K of 200 is over 167; the flat bottom of the curve drains poorly on a curbed road.',
+      'Grades are under 0.3% for 120 ft around the low point (Sta 940.00 to 1060.00); consider flanking inlets.',
+    ]);
+    const blank = { ...profile, pvis: [{ station: '', elevation: 100, length: 400 }] };
+    expect(checkVerticalCurves(blank, createProfileModel(blank))).toEqual([]);
+  });
+});
+
+describe('validateNetwork', () => {
+  const project = (network) => uniformGradeProject(-1, {
+    inlets: [curbInlet('A', 1200), curbInlet('B', 1500), curbInlet('C', 1800)],
+    network: createNetwork({ freeboard: '', ...network }),
+  });
+
+  it('flags bad pipe inputs, adverse slopes, invert steps, dead ends and slow pipes', () => {
+    const network = {
+      pipes: [
+        createPipe({ from: 'A', to: 'B', upstreamInvert: 90, downstreamInvert: 89 }),
+        createPipe({ from: 'B', to: 'C', upstreamInvert: 89.5, downstreamInvert: 90, manningsN: 0 }),
+        createPipe({ from: 'Z', to: NETWORK_OUTFALL }),
+      ],
+    };
+    const sample = project(network);
+    const issues = validateNetwork(sample.network, computeProject(sample));
+    expect(fieldsOf(issues)).toEqual([
+      'network:null:freeboard:error',
+      'pipe:0:diameter:info',
+      'pipe:1:manningsN:error',
+      'pipe:1:downstreamInvert:error',
+      'pipe:1:to:warning',
+      'pipe:1:upstreamInvert:warning',
+      'pipe:2:from:error',
+    ]);
+  });
+
+  it('flags structures whose HGL is within the freeboard of the rim', () => {
+    const sample = project({
+      freeboard: 1,
+      outfall: { name: 'OUT', station: 1600, tailwater: 94.5 },
+      pipes: [createPipe({ from: 'B', to: NETWORK_OUTFALL, upstreamInvert: 89, downstreamInvert: 88 })],
+    });
+    const [issue] = validateNetwork(sample.network, computeProject(sample));
+    expect(issue).toMatchObject({ severity: 'warning', scope: 'inlet', index: 1, field: 'hgl' });
+    expect(issue.message).toMatch(/^HGL 94\.\d\d is 0\.\d\d ft below the rim, within the 1 ft freeboard\.$/);
+  });
+});
+
+describe('validateScenarios', () => {
+  it('flags repeated names, missing curves and custom criteria without a spread', () => {
+    const sample = createSampleProject();
+    sample.scenarios = [
+      createScenario({ name: 'Wet' }),
+      createScenario({ name: 'Wet', returnPeriod: '7-Year' }),
+      createScenario({ spreadCriteria: 'custom', allowableSpread: '' }),
+    ];
+    const issues = validateScenarios(sample.scenarios, computeScenarios(sample));
+    expect(fieldsOf(issues)).toEqual(['scenario:1:name:warning', 'scenario:1:returnPeriod:error', 'scenario:2:allowableSpread:error']);
+    expect(issues[2].message).toBe('Allowable spread is missing.');
+  });
+});
+
+describe('validateCatalog', () => {
+  it('checks the dimensions each inlet type uses and flags repeated or reserved ids', () => {
+    expect(validateCatalog(createDefaultCatalog())).toEqual([]);
+    const issues = validateCatalog([
+      createCatalogEntry({ id: 'G', inletType: 'grate', grateLength: 3, grateWidth: '', grateType: '', localDepression: 2 }),
+      createCatalogEntry({ id: 'G', inletType: 'curb', curbOpeningLength: 5, curbOpeningHeight: 0.5, curbClogging: 1.5 }),
+      createCatalogEntry({ id: 'Other', inletType: 'combination', curbOpeningLength: 5, curbOpeningHeight: 0.5, grateLength: 3, grateWidth: 2, grateType: 'Vane' }),
+    ]);
+    expect(fieldsOf(issues)).toEqual([
+      'catalog:0:grateWidth:error', 'catalog:0:localDepressionWidth:error', 'catalog:0:grateType:warning',
+      'catalog:1:id:error', 'catalog:1:curbClogging:error', 'catalog:2:id:error',
+    ]);
+  });
+
+  it('warns about inlets whose structure type is not in the catalog', () => {
+    const sample = createSampleProject();
+    sample.catalog = sample.catalog.filter(entry => entry.id !== 'CB-06');
+    const issues = validateInlets(computeProject(sample));
+    expect(issues.find(issue => issue.field === 'structureType')).toMatchObject({ index: 0, severity: 'warning', message: 'Structure type "CB-06" is not in the inlet catalog; interception must be entered manually.' });
+  });
+});
+
+describe('validateProject', () => {
+  it('lists errors before warnings and notes', () => {
+    const sample = createSampleProject();
+    sample.inlets[0].runoffCoefficient = '';
+    sample.inlets[1].station = 20000;
+    const issues = validateProject(sample, computeProject(sample));
+    // The sample sag curve (K = 200) is flatter than the drainage limit
+    expect(issues.map(issue => issue.severity)).toEqual(['error', 'warning', 'warning', 'info']);
+  });
+});
@@ -0,0 +1,220 @@
+// Printable calculation package: a self-contained HTML document the browser prints or saves as PDF
+
+import { ROADWAY_CLASSIFICATIONS, getAllowableSpread } from './calc/criteria.js';
+import { getGutterSection } from './calc/gutter.js';
+import { IDF_FORMS, TABLE_FORM } from './calc/rainfall.js';
+import { RUNOFF_FREQUENCY_FACTORS } from './calc/runoff.js';
+import { buildCatalogTable, buildCurveReviewTable, buildDrainageTable, buildInletTable, buildPipeTable, buildProfileTable, buildScenarioTable, buildStructureTable } from './report.js';
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+const fixed = (value, decimals = 2) => (typeof value === 'number' && Number.isFinite(value) ? value.toFixed(decimals) : '—');
+
+const tableHtml = (rows, className = '') => `
+  <table class="${className}">
+    <thead><tr>${rows[0].map(cell => `<th>${escapeHtml(cell)}</th>`).join('')}</tr></thead>
+    <tbody>${rows.slice(1).map(row => `<tr>${row.map(cell => `<td class="${typeof cell === 'number' ? 'num' : ''}">${escapeHtml(cell)}</td>`).join('')}</tr>`).join('')}</tbody>
+  </table>`;
+
+const GOVERNING_EQUATIONS = [
+  ['Time of concentration (LADOTD kinematic wave)', 'tc = 0.7039 HL^0.3917 C^-1.1309 S^-0.1985, tc ≥ 5 min'],
+  ['Gutter travel time', 'tt = L / (60 V); design tc = max(local tc, upstream tc + tt)'],
+  ['Weighted runoff coefficient', 'C = ΣAC / ΣA'],
+  ['Rational method', 'Q = I Σ(A C Cf) + Q bypass in, C Cf ≤ 1.0'],
+  ['Gutter spread, uniform section (HEC-22 Eq. 4-2)', 'Q = (0.56 / n) Sx^1.67 SL^0.5 T^2.67'],
+  ['Frontal flow ratio, composite section (HEC-22 Eq. 4-4)', 'Eo = 1 / {1 + (Sw/Sx) / [(1 + (Sw/Sx) / (T/W − 1))^2.67 − 1]}'],
+  ['Curb opening length for 100% interception (HEC-22 Eq. 4-22)', 'LT = 0.6 Q^0.42 SL^0.3 (1 / (n Se))^0.6, Se = Sx + (a/W) Eo'],
+  ['Curb opening efficiency (HEC-22 Eq. 4-24)', 'E = 1 − (1 − L/LT)^1.8'],
+  ['Grate efficiency (HEC-22 Eqs. 4-18 to 4-21)', 'Rf = 1 − 0.09 (V − Vo); Rs = 1 / [1 + 0.15 V^1.8 / (Sx L^2.3)]; E = Rf Eo + Rs (1 − Eo)'],
+  ['Sag grate (HEC-22 Eqs. 4-26, 4-27)', 'Qw = 3.0 P d^1.5; Qo = 0.67 A (2 g d)^0.5'],
+  ['Sag curb opening (HEC-22 Eqs. 4-28 to 4-31a)', 'Qw = 2.3 (L + 1.8 W) d^1.5 (depressed) or 3.0 L d^1.5; Qo = 0.67 h L (2 g do)^0.5'],
+  ['Pipe flow (rational method)', 'Q = I(tc) Σ(C A), C A = Qi / I at each inlet; tc = max(inlet tc, upstream tc + pipe travel time)'],
+  ['Pipe full-flow capacity (Manning)', 'Q full = (0.463 / n) D^2.67 S^0.5'],
+  ['Hydraulic grade line', 'HGL up = max(HGL down + Sf L, invert + normal depth); Sf = [Q n / (1.486 A R^0.67)]^2; HGL down ≥ invert + (dc + D) / 2'],
+  ['Junction loss (HEC-22 approximate method)', 'hj = K V^2 / 2g at the upstream structure'],
+];
+
+const describeIdfCurve = (curve) => {
+  if (!curve) return 'Not available';
+  if (curve.form === TABLE_FORM) return `Tabular IDF data, log-log interpolation between ${curve.durations.length} durations`;
+  const form = IDF_FORMS[curve.form];
+  return form ? `${form.label}; ${form.params.map(p => `${p} = ${curve[p]}`).join(', ')}` : curve.form;
+};
+
+// Substituted equations for one inlet, using its entered inputs and the calculator's stored results
+const inletCalculationHtml = (inlet, index, incoming, check) => {
+  const section = getGutterSection(inlet);
+  const lines = [
+    `tc (local) = 0.7039 (${escapeHtml(inlet.longestFlowPath)})^0.3917 (${fixed(inlet.weightedC, 3)})^-1.1309 (${escapeHtml(inlet.slopeOfFlowPath)})^-0.1985 = ${fixed(inlet.localTc)} min`,
+  ];
+  if (inlet.drainageSource === 'Sub-areas') {
+    // Sub-areas without a C are left out of ΣAC, so C is weighted over the area that was counted
+    const excluded = inlet.totalArea - inlet.countedArea > 1e-9 ? ` (${fixed(inlet.totalArea - inlet.countedArea, 4)} ac without a C left out)` : '';
+    lines.unshift(`ΣAC = ${fixed(inlet.sumAC, 4)} ac from ${inlet.subAreas.length} sub-area${inlet.subAreas.length === 1 ? '' : 's'} totalling ${fixed(inlet.totalArea, 4)} ac${excluded}; C = ${fixed(inlet.sumAC, 4)} / ${fixed(inlet.countedArea, 4)} = ${fixed(inlet.weightedC, 3)}`);
+  }
+  if (inlet.frequencyFactor !== 1) {
+    lines.push(`Σ(A C Cf) = ${fixed(inlet.adjustedSumAC, 4)} ac with Cf = ${fixed(inlet.frequencyFactor)} (C Cf ≤ 1.0)`);
+  }
+  if (inlet.tcControl && inlet.tcControl !== 'Local') {
+    lines.push(`tc (design) = tc at ${escapeHtml(inlet.tcControl)} + ${fixed(inlet.travelTime)} min travel = ${fixed(inlet.tc)} min`);
+  }
+  lines.push(`I = ${fixed(inlet.intensity, 3)} in/hr at tc = ${fixed(inlet.tc)} min`);
+  lines.push(`Q = ${fixed(inlet.intensity, 3)} × ${fixed(inlet.adjustedSumAC, 4)} + ${fixed(incoming, 3)} = ${fixed(inlet.qTotal, 3)} cfs`);
+  if (inlet.effectiveIsLowPoint) {
+    lines.push(inlet.sagIsManual
+      ? `Sag inlet, Qi entered manually = ${fixed(inlet.qi, 3)} cfs`
+      : `Sag inlet: ponded depth d = ${fixed(inlet.sagDepth, 3)} ft (${escapeHtml(inlet.sagControl || '—')} control), spread = ${fixed(inlet.widthOfFloodingOutput)} ft${inlet.sagPasses === null ? '' : `, ${inlet.sagPasses ? 'passes' : 'fails'} allowable`}`);
+  } else {
+    lines.push(`T = ${fixed(inlet.widthOfFloodingOutput)} ft for Q = ${fixed(inlet.qTotal, 3)} cfs, n = ${section.n}, Sx = ${section.crossSlope}, SL = ${fixed(inlet.effectiveGutterGrade, 3)}%${section.isComposite ? `, W = ${section.gutterWidth} ft, a = ${fixed(section.depression * 12, 1)} in` : ''}`);
+    lines.push(`d = ${fixed(inlet.gutterDepth, 3)} ft, V = ${fixed(inlet.gutterVelocity)} ft/s${inlet.frontalFlowRatio ? `, Eo = ${fixed(inlet.frontalFlowRatio, 3)}` : ''}`);
+    lines.push(`Qi = ${fixed(inlet.interceptionRatioUsed, 3)} × ${fixed(inlet.qTotal, 3)} = ${fixed(inlet.qi, 3)} cfs${inlet.interceptionIsManual ? ' (Qi/Q entered manually)' : ''}`);
+  }
+  lines.push(`Q bypass = ${fixed(inlet.qTotal, 3)} − ${fixed(inlet.qi, 3)} = ${fixed(inlet.qBypass, 3)} cfs`);
+  if (inlet.spreadPasses !== null && inlet.spreadPasses !== undefined) {
+    lines.push(`T = ${fixed(inlet.widthOfFloodingOutput)} ft ${inlet.spreadPasses ? '≤' : '>'} allowable ${fixed(inlet.allowableSpreadUsed)} ft (${inlet.spreadSource === 'Inlet' ? 'entered for this inlet' : 'roadway criteria'}): ${inlet.spreadPasses ? 'passes' : 'fails'}`);
+  }
+  if (check?.spreadPasses !== null && check?.spreadPasses !== undefined) {
+    lines.push(`Check storm: Q = ${fixed(check.qTotal, 3)} cfs, T = ${fixed(check.widthOfFloodingOutput)} ft ${check.spreadPasses ? '≤' : '>'} allowable ${fixed(check.allowableSpreadUsed)} ft: ${check.spreadPasses ? 'passes' : 'fails'}`);
+  }
+  return `
+    <div class="calc">
+      <h3>Inlet ${index + 1}: ${escapeHtml(inlet.strId)} ${escapeHtml(inlet.structureType)}, Sta ${escapeHtml(inlet.station)} (${escapeHtml(inlet.side)})</h3>
+      <ul>${lines.map(line => `<li>${line}</li>`).join('')}</ul>
+    </div>`;
+};
+
+// Roadway classification and allowable spread rules as a sentence for the package
+const describeRoadway = (roadway, profileModel) => {
+  const start = profileModel.limits.startStation;
+  const segments = roadway.segments.length > 0 ? ` ${roadway.segments.length} station range${roadway.segments.length === 1 ? '' : 's'} use their own classification or layout.` : '';
+  return `${ROADWAY_CLASSIFICATIONS[roadway.classification] || roadway.classification}, ${roadway.designSpeed} mph, ${roadway.laneWidth} ft lanes, ${roadway.shoulderWidth} ft shoulder. `
+    + `Allowable spread ${fixed(getAllowableSpread(roadway, start, 'design'))} ft in the design storm and ${fixed(getAllowableSpread(roadway, start, 'check'))} ft in the ${roadway.checkReturnPeriod} check storm.${segments}`;
+};
+
+export const buildCalculationPackage = ({ info = {}, profile, profileModel, inlets, routing, incoming, rainfallRegion, returnPeriod, rainfallData, profileImage, roadway = null, check = [], curveReview = [], runoff = null, network = null, networkInputs = null, scenarioRuns = [], catalog = null }) => {
+  const dataset = rainfallData?.[rainfallRegion];
+  const curve = dataset?.returnPeriods?.[returnPeriod];
+  const title = info.name || 'Inlet Spacing Calculations';
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8" />
+<title>${escapeHtml(title)}</title>
+<style>
+  @page { size: letter landscape; margin: 0.5in; }
+  body { font-family: Arial, Helvetica, sans-serif; font-size: 10pt; color: #111; }
+  h1 { font-size: 16pt; margin: 0; }
+  h2 { font-size: 12pt; border-bottom: 1px solid #444; padding-bottom: 2px; margin-top: 18px; }
+  h3 { font-size: 10pt; margin: 8px 0 2px; }
+  table { border-collapse: collapse; width: 100%; margin-top: 4px; }
+  th, td { border: 1px solid #999; padding: 2px 4px; text-align: left; }
+  th { background: #eee; }
+  td.num { text-align: right; }
+  table.inlets { font-size: 7pt; }
+  .title-block td { width: 25%; }
+  .title-block td span { display: block; font-size: 7pt; color: #555; }
+  .profile { width: 100%; border: 1px solid #999; }
+  .calc { page-break-inside: avoid; }
+  .calc ul { margin: 0; padding-left: 18px; }
+  .section { page-break-inside: avoid; }
+  .note { font-size: 8pt; color: #555; }
+</style>
+</head>
+<body>
+  <table class="title-block">
+    <tr>
+      <td colspan="2"><span>Project</span><h1>${escapeHtml(title)}</h1></td>
+      <td><span>Route</span>${escapeHtml(info.route)}</td>
+      <td><span>Date</span>${escapeHtml(info.date)}</td>
+    </tr>
+    <tr>
+      <td><span>Engineer</span>${escapeHtml(info.engineer)}</td>
+      <td><span>Rainfall</span>${escapeHtml(rainfallRegion)}, ${escapeHtml(returnPeriod)}</td>
+      <td><span>Project Limits</span>Sta ${fixed(profileModel.limits.startStation)} to ${fixed(profileModel.limits.endStation)}</td>
+      <td><span>Prepared with</span>Inlet Spacing Calculator</td>
+    </tr>
+  </table>
+
+  <div class="section">
+    <h2>Rainfall Parameters</h2>
+    <p>Data set: ${escapeHtml(rainfallRegion)}${dataset ? ` (${escapeHtml(dataset.source)})` : ''}. Return period: ${escapeHtml(returnPeriod)}.<br />IDF curve: ${escapeHtml(describeIdfCurve(curve))}.</p>
+  </div>
+
+  ${roadway ? `<div class="section">
+    <h2>Spread Criteria</h2>
+    <p>${escapeHtml(describeRoadway(roadway, profileModel))}${inlets.length > 0 && check.length === 0 ? ' The check storm could not be run with this rainfall data set.' : ''}</p>
+  </div>` : ''}
+
+  <div class="section">
+    <h2>Vertical Profile</h2>
+    ${profileImage ? `<img class="profile" src="${profileImage}" alt="Vertical profile" />` : ''}
+    <p>Beginning grade ${fixed(parseFloat(profile.beginningGrade), 3)}%, ending grade ${fixed(parseFloat(profile.endingGrade), 3)}%.</p>
+    ${profileModel.pviDetails.length > 0 ? tableHtml(buildProfileTable(profileModel)) : '<p>No PVIs defined.</p>'}
+  </div>
+
+  ${curveReview.length > 0 ? `<div class="section">
+    <h2>Vertical Curve Review</h2>
+    ${tableHtml(buildCurveReviewTable(curveReview), 'inlets')}
+    <p class="note">Crest curves are checked for stopping sight distance (eye 3.5 ft, object 2.0 ft) and sag curves for headlight sight distance (AASHTO). The flat zone is where the curve grade is under the minimum gutter grade.</p>
+  </div>` : ''}
+
+  ${inlets.length > 0 ? `<div class="section">
+    <h2>Drainage Areas</h2>
+    ${tableHtml(buildDrainageTable(inlets, { runoff, returnPeriod }), 'inlets')}
+    <p class="note">${runoff?.applyFrequencyFactor
+    ? `Frequency factor Cf: ${RUNOFF_FREQUENCY_FACTORS.slice().reverse().map(({ years, cf }) => `${cf} for ${years}-year`).join(', ')}; 1.0 for 10-year and more frequent storms (HEC-22 Table 3-2).`
+    : 'No frequency factor is applied to C.'} Land-use coefficients: ${(runoff?.landUses || []).map(landUse => `${escapeHtml(landUse.name)} ${landUse.c}`).join('; ')}.</p>
+  </div>` : ''}
+
+  <h2>Inlet Summary</h2>
+  ${inlets.length > 0 ? tableHtml(buildInletTable(inlets, { routes: routing.routes, incoming, check }), 'inlets') : '<p>No inlets defined.</p>'}
+
+  ${buildCatalogTable(catalog, inlets).length > 1 ? `<div class="section">
+    <h2>Inlet Structures</h2>
+    ${tableHtml(buildCatalogTable(catalog, inlets), 'inlets')}
+    <p class="note">Dimensions from the project's inlet structure catalog; curb opening, grate or clogging values entered on an inlet replace them for that inlet. A local depression applies at the inlet only.</p>
+  </div>` : ''}
+
+  ${scenarioRuns.length > 0 && inlets.length > 0 ? `<div class="section">
+    <h2>Storm Scenario Comparison</h2>
+    ${tableHtml(buildScenarioTable(scenarioRuns, inlets), 'inlets')}
+    ${scenarioRuns.filter(run => run.error).map(run => `<p class="note">${escapeHtml(run.name)} was not run: ${escapeHtml(run.error)}</p>`).join('')}
+    <p class="note">The governing scenario for each inlet has the highest spread as a fraction of its allowable spread, or the widest spread where no scenario has an allowable.</p>
+  </div>` : ''}
+
+  ${network ? `<div class="section">
+    <h2>Storm Drain Trunk Line</h2>
+    <p>Outfall: ${escapeHtml(network.outfall.name)}, ${Number.isFinite(network.outfall.tailwater) ? `tailwater ${fixed(network.outfall.tailwater)} ft` : 'free outfall'}, Q = ${fixed(network.outfall.q, 3)} cfs. Pipes are sized for full flow in the ${escapeHtml(returnPeriod)} storm${networkInputs?.minimumDiameter ? `, ${escapeHtml(networkInputs.minimumDiameter)} in minimum` : ''}.</p>
+    ${tableHtml(buildPipeTable(network, networkInputs?.pipes), 'inlets')}
+    <h3>Hydraulic Grade Line at Structures</h3>
+    ${tableHtml(buildStructureTable(network))}
+    <p class="note">Rims are the profile elevation at each inlet station. The HGL is worked upstream from the tailwater with full-flow friction losses and a junction loss at each structure; a structure fails when the HGL is within the ${fixed(network.freeboard)} ft freeboard of its rim.</p>
+  </div>` : ''}
+
+  <div class="section">
+    <h2>Governing Equations</h2>
+    ${tableHtml([['Quantity', 'Equation'], ...GOVERNING_EQUATIONS])}
+    <p class="note">U.S. customary units: Q in cfs, T, L, W, HL in ft, n Manning's roughness, Sx and Sw in ft/ft, SL and S in %, d in ft, V in ft/s, I in in/hr, A in ac. Pipe D is in ft in the equations and in inches in the tables.</p>
+  </div>
+
+  <h2>Calculations by Inlet</h2>
+  ${inlets.map((inlet, i) => inletCalculationHtml(inlet, i, incoming[i], check[i])).join('')}
+</body>
+</html>`;
+};
+
+// Opens the package in a new window and starts printing; returns false when the window was blocked
+export const printCalculationPackage = (html) => {
+  const printWindow = window.open('', '_blank');
+  if (!printWindow) return false;
+  printWindow.document.open();
+  printWindow.document.write(html);
+  printWindow.document.close();
+  // Give the profile image a moment to decode before the print dialog opens
+  setTimeout(() => {
+    printWindow.focus();
+    printWindow.print();
+  }, 300);
+  return true;
+};
@@ -0,0 +1,46 @@
+import { describe, expect, it } from 'vitest';
+import { computeCheckStorm, computeProject } from './calc/engine.js';
+import { BUILT_IN_RAINFALL } from './calc/rainfall.js';
+import { buildCalculationPackage } from './calcPackage.js';
+import { createSubArea } from './calc/runoff.js';
+import { createSampleProject } from './project.js';
+
+const buildPackage = (project) => {
+  const results = computeProject(project);
+  return buildCalculationPackage({
+    info: project.info, profile: project.profile, profileModel: results.profileModel, inlets: results.inlets, routing: results.routing,
+    incoming: results.bypass.incoming, rainfallRegion: project.rainfall.region, returnPeriod: project.rainfall.returnPeriod, rainfallData: BUILT_IN_RAINFALL,
+    roadway: project.roadway, check: computeCheckStorm(project)?.inlets || [], runoff: project.runoff, catalog: project.catalog,
+  });
+};
+
+describe('buildCalculationPackage', () => {
+  it('lays out the sections of the package for the project', () => {
+    const html = buildPackage(createSampleProject());
+    expect(html.startsWith('<!DOCTYPE html>')).toBe(true);
+    ['Rainfall Parameters', 'Spread Criteria', 'Vertical Profile', 'Drainage Areas', 'Inlet Summary', 'Inlet Structures', 'Governing Equations', 'Calculations by Inlet']
+      .forEach(heading => expect(html).toContain(`<h2>${heading}</h2>`));
+    expect(html).toContain('<h3>Inlet 2: INLET-2-SAG CB-08, Sta 10200 (Right)</h3>');
+    expect(html).not.toContain('Storm Drain Trunk Line');
+  });
+
+  it('escapes project and inlet text', () => {
+    const project = createSampleProject();
+    project.info = { ...project.info, name: '<script>alert("x")</script>', engineer: 'R&D' };
+    project.inlets[0].strId = '<b>A</b>';
+    const html = buildPackage(project);
+    expect(html).toContain('<title>&lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt;</title>');
+    expect(html).toContain('<span>Engineer</span>R&amp;D');
+    expect(html).toContain('<h3>Inlet 1: &lt;b&gt;A&lt;/b&gt; CB-06');
+    expect(html).toContain('<td class="">&lt;b&gt;A&lt;/b&gt;</td>');
+    expect(html).not.toContain('<script>');
+    expect(html).not.toContain('<b>A</b>');
+  });
+
+  it('weights C over the sub-areas that have one, as the calculator does', () => {
+    const project = createSampleProject();
+    project.inlets[0].subAreas = [createSubArea({ landUse: 'pavement', area: 1 }), createSubArea({ landUse: 'missing', area: 1 })];
+    const html = buildPackage(project);
+    expect(html).toContain('ΣAC = 0.9000 ac from 2 sub-areas totalling 2.0000 ac (1.0000 ac without a C left out); C = 0.9000 / 1.0000 = 0.900');
+  });
+});
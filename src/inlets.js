@@ -0,0 +1,30 @@
+// Inlet record factory: input fields with their defaults plus the calculated outputs
+
+const CALCULATED_DEFAULTS = {
+  effectiveGutterGrade: 0, effectiveIsLowPoint: false, interceptionRatioUsed: 0, interceptionIsManual: false,
+  drainageSource: '', totalArea: NaN, countedArea: NaN, sumAC: 0, weightedC: NaN, frequencyFactor: 1, adjustedSumAC: 0,
+  sagDepth: 0, sagControl: '', sagPasses: null, sagIsManual: false, gutterDepth: 0, gutterVelocity: 0, frontalFlowRatio: 0,
+  localTc: 0, travelTime: 0, tcControl: '', tc: 0, intensity: 0, qEnteringFromArea: 0, qTotal: 0, qi: 0, qBypass: 0, widthOfFloodingOutput: 0,
+  allowableSpreadUsed: NaN, spreadSource: '', spreadPasses: null,
+};
+
+export const createInlet = (fields = {}) => ({
+  strId: '', structureType: '', station: '', areaEnteringInlet: '', runoffCoefficient: 0.9, subAreas: [], longestFlowPath: '', slopeOfFlowPath: '',
+  side: 'Right', bypassTo: '',
+  crossSlope: '', manningsN: '', gutterWidth: '', gutterDepression: '',
+  gutterGrade: '', gutterGradeOverride: false, isLowPoint: false, isLowPointOverride: false,
+  interceptionRatio: '', interceptionRatioOverride: false,
+  curbOpeningLength: '', grateLength: '', grateWidth: '', grateType: '',
+  curbOpeningHeight: '', grateClogging: '', curbClogging: '', allowableDepth: '', allowableSpread: '', flankingDepth: '',
+  sagCapacityOverride: false, manualQi: '', manualWidthOfFlooding: '',
+  debrisRisk: 'low', bicycleTraffic: false,
+  ...CALCULATED_DEFAULTS,
+  ...fields,
+});
+
+export const CALCULATED_FIELDS = Object.keys(CALCULATED_DEFAULTS);
+
+// The entered fields of an inlet, without the values the calculator derives from them
+export const getInletInputs = (inlet) => Object.fromEntries(
+  Object.entries(inlet).filter(([key]) => !CALCULATED_FIELDS.includes(key))
+);
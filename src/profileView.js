@@ -0,0 +1,211 @@
+// Screen geometry for the interactive profile canvas: the station/elevation to pixel transform, axis ticks,
+// zooming and label placement. Nothing here touches React or the DOM; App issues the canvas calls.
+
+// Space (px) around the plot for the axis labels; the right margin holds the spread axis of the inlet track
+export const PROFILE_MARGIN = { left: 60, right: 44, top: 16, bottom: 36 };
+
+// Vertical scale choices: 'fit' stretches the visible elevations to the plot height, a number is a fixed
+// vertical exaggeration (1 is true scale)
+export const VERTICAL_SCALES = [
+  { value: 'fit', label: 'Fit to height' },
+  { value: 1, label: 'True scale (1:1)' },
+  { value: 5, label: '5× vertical' },
+  { value: 10, label: '10× vertical' },
+  { value: 20, label: '20× vertical' },
+  { value: 50, label: '50× vertical' },
+];
+
+// Narrowest station window (ft) zooming in allows
+export const MIN_VIEW_SPAN = 20;
+
+// Station range for the whole project with a small margin either side
+export const getFullStationRange = (limits) => {
+  const span = limits.endStation - limits.startStation;
+  const pad = span > 0 ? span * 0.03 : 50;
+  return [limits.startStation - pad, limits.endStation + pad];
+};
+
+// Stations to sample the profile at: about one per two pixels plus every curve end and PVI inside the window
+export const sampleStations = (pviDetails, [start, end], plotWidth) => {
+  const step = Math.max((end - start) / Math.max(plotWidth / 2, 1), 0.01);
+  const stations = [];
+  for (let s = start; s < end; s += step) stations.push(s);
+  stations.push(end);
+  pviDetails.forEach(p => stations.push(p.BVC_station, p.PVI_station, p.EVC_station));
+  return stations
+    .filter(s => s >= start && s <= end)
+    .sort((a, b) => a - b)
+    .filter((s, i, arr) => i === 0 || s !== arr[i - 1]);
+};
+
+// Transform for a canvas of width × height (px) showing stationRange. elevationRange is [min, max] of what
+// should be visible; with a fixed vertical scale it only sets the centre line.
+export const createProfileView = ({ width, height, stationRange, elevationRange, verticalScale = 'fit' }) => {
+  const plot = {
+    left: PROFILE_MARGIN.left,
+    top: PROFILE_MARGIN.top,
+    right: Math.max(width - PROFILE_MARGIN.right, PROFILE_MARGIN.left + 1),
+    bottom: Math.max(height - PROFILE_MARGIN.bottom, PROFILE_MARGIN.top + 1),
+  };
+  plot.width = plot.right - plot.left;
+  plot.height = plot.bottom - plot.top;
+
+  const [start, end] = stationRange;
+  const scaleX = plot.width / (end - start || 1);
+  const [low, high] = elevationRange;
+  let minElevation;
+  let maxElevation;
+  if (verticalScale === 'fit') {
+    const pad = high - low > 0 ? (high - low) * 0.1 : 5;
+    minElevation = low - pad;
+    maxElevation = high + pad;
+  } else {
+    const halfSpan = plot.height / (scaleX * verticalScale) / 2;
+    const middle = (low + high) / 2;
+    minElevation = middle - halfSpan;
+    maxElevation = middle + halfSpan;
+  }
+  const scaleY = plot.height / (maxElevation - minElevation || 1);
+
+  return {
+    plot,
+    stationRange: [start, end],
+    elevationRange: [minElevation, maxElevation],
+    exaggeration: scaleY / scaleX,
+    toX: (station) => plot.left + (station - start) * scaleX,
+    toY: (elevation) => plot.bottom - (elevation - minElevation) * scaleY,
+    toStation: (x) => start + (x - plot.left) / scaleX,
+    toElevation: (y) => minElevation + (plot.bottom - y) / scaleY,
+  };
+};
+
+// A 1, 2 or 5 × 10^n step giving about `count` intervals over the range
+export const niceStep = (range, count = 8) => {
+  if (!(range > 0)) return 1;
+  const raw = range / count;
+  const power = Math.pow(10, Math.floor(Math.log10(raw)));
+  const fraction = raw / power;
+  let nice = 10;
+  if (fraction <= 1) nice = 1;
+  else if (fraction <= 2) nice = 2;
+  else if (fraction <= 5) nice = 5;
+  return nice * power;
+};
+
+export const getTicks = ([start, end], count) => {
+  const step = niceStep(end - start, count);
+  const ticks = [];
+  for (let value = Math.ceil(start / step) * step; value <= end + step * 1e-9; value += step) ticks.push(Number(value.toFixed(10)));
+  return ticks;
+};
+
+// Zooms the station window by factor (< 1 zooms in) about an anchor station, staying within the full range
+export const zoomStationRange = ([start, end], factor, anchor, [fullStart, fullEnd]) => {
+  const fullSpan = fullEnd - fullStart;
+  const span = Math.min(Math.max((end - start) * factor, Math.min(MIN_VIEW_SPAN, fullSpan)), fullSpan);
+  const ratio = end > start ? (anchor - start) / (end - start) : 0.5;
+  return clampStationRange([anchor - ratio * span, anchor - ratio * span + span], [fullStart, fullEnd]);
+};
+
+// Shifts a window back inside the full range without changing its span
+export const clampStationRange = ([start, end], [fullStart, fullEnd]) => {
+  const span = end - start;
+  if (span >= fullEnd - fullStart) return [fullStart, fullEnd];
+  if (start < fullStart) return [fullStart, fullStart + span];
+  if (end > fullEnd) return [fullEnd - span, fullEnd];
+  return [start, end];
+};
+
+// Height (px) of one line of label text
+export const LABEL_LINE_HEIGHT = 12;
+
+// Candidate [dx, dy, textAlign] positions relative to the anchor: right then left of it, above then below,
+// then further out
+const LABEL_OFFSETS = [
+  [8, -6, 'left'], [8, 8 + LABEL_LINE_HEIGHT, 'left'], [-8, -6, 'right'], [-8, 8 + LABEL_LINE_HEIGHT, 'right'],
+  [8, -6 - 2 * LABEL_LINE_HEIGHT, 'left'], [-8, -6 - 2 * LABEL_LINE_HEIGHT, 'right'], [8, 8 + 3 * LABEL_LINE_HEIGHT, 'left'], [-8, 8 + 3 * LABEL_LINE_HEIGHT, 'right'],
+];
+
+const overlaps = (a, b) => a.left < b.right && b.left < a.right && a.top < b.bottom && b.top < a.bottom;
+
+// Places labels ({ x, y, lines, color, offsets? }) in order so none overlap each other, the reserved boxes or
+// the plot edge; measure(text) returns a width in px. Labels with no free position are left out, so the most
+// important ones should come first. Returns [{ lines, color, x, y, align }] with y the baseline of the first line.
+export const placeLabels = (labels, measure, plot, reserved = []) => {
+  const taken = [...reserved];
+  const placed = [];
+  labels.forEach(label => {
+    const width = Math.max(...label.lines.map(measure)) + 4;
+    const height = label.lines.length * LABEL_LINE_HEIGHT;
+    const position = (label.offsets || LABEL_OFFSETS).map(([dx, dy, align]) => {
+      const x = label.x + dx;
+      const top = label.y + dy - LABEL_LINE_HEIGHT + 2;
+      let left = align === 'left' ? x - 2 : x - width + 2;
+      if (align === 'center') left = x - width / 2;
+      return { x, y: label.y + dy, align, box: { left, right: left + width, top, bottom: top + height } };
+    }).find(({ box }) => box.left >= plot.left && box.right <= plot.right && box.top >= plot.top && box.bottom <= plot.bottom
+      && !taken.some(other => overlaps(box, other)));
+    if (!position) return;
+    taken.push(position.box);
+    placed.push({ lines: label.lines, color: label.color, x: position.x, y: position.y, align: position.align });
+  });
+  return placed;
+};
+
+// Height (px) of the flow and spread track drawn under the profile
+export const TRACK_HEIGHT = 150;
+
+// Vertical scales for the track: gutter flow (cfs) on the left axis and spread (ft) on the right, both from zero
+export const createTrackView = (view, top, { maxQ, maxSpread }) => {
+  const box = { left: view.plot.left, right: view.plot.right, top: top + 10, bottom: top + TRACK_HEIGHT - 14 };
+  box.width = box.right - box.left;
+  box.height = box.bottom - box.top;
+  const qRange = [0, maxQ > 0 ? maxQ * 1.15 : 1];
+  const spreadRange = [0, maxSpread > 0 ? maxSpread * 1.15 : 1];
+  return {
+    box,
+    qRange,
+    spreadRange,
+    toYQ: (q) => box.bottom - (q / qRange[1]) * box.height,
+    toYSpread: (spread) => box.bottom - (spread / spreadRange[1]) * box.height,
+  };
+};
+
+// One marker per inlet with a station: flows, spread, the spread check status ('pass', 'fail' or 'unchecked'
+// when no allowable applies) and where its bypass goes. check holds the check storm inlets when there is one;
+// designPeriod and checkPeriod name the storms that fail.
+export const buildInletMarkers = (inlets, { routes = [], check = [], designPeriod = '', checkPeriod = '' } = {}) => inlets.flatMap((inlet, index) => {
+  const station = parseFloat(inlet.station);
+  if (!Number.isFinite(station)) return [];
+  const checks = [inlet.spreadPasses, check[index]?.spreadPasses].filter(passes => passes === true || passes === false);
+  let status = 'unchecked';
+  if (checks.includes(false)) status = 'fail';
+  else if (checks.length > 0) status = 'pass';
+
+  const route = routes[index];
+  let bypassTo = null;
+  if (route && inlet.qBypass > 0) {
+    const targetStation = route.targetIndex !== null ? parseFloat(inlets[route.targetIndex].station) : route.terminal.station;
+    if (Number.isFinite(targetStation)) bypassTo = { station: targetStation, lost: route.targetIndex === null };
+  }
+
+  return [{
+    index,
+    station,
+    label: inlet.strId || `Inlet ${index + 1}`,
+    type: inlet.structureType || '',
+    status,
+    failingStorms: [inlet.spreadPasses === false && designPeriod, check[index]?.spreadPasses === false && checkPeriod].filter(Boolean).join(', '),
+    qTotal: inlet.qTotal || 0,
+    qi: inlet.qi || 0,
+    qBypass: inlet.qBypass || 0,
+    spread: inlet.widthOfFloodingOutput || 0,
+    allowableSpread: inlet.allowableSpreadUsed,
+    bypassTo,
+  }];
+});
+
+// The marker under a click at (x, y): within 8 px of its point on the profile, or within 6 px of its station
+// anywhere on the track when trackBox is given. points are markers with their canvas x and y.
+export const findInletMarker = (points, x, y, trackBox = null) => points.find(m => Math.hypot(m.x - x, m.y - y) <= 8
+  || (trackBox && Math.abs(m.x - x) <= 6 && y >= trackBox.top && y <= trackBox.bottom)) || null;
@@ -0,0 +1,90 @@
+import { describe, expect, it } from 'vitest';
+import { MIN_VIEW_SPAN, buildInletMarkers, clampStationRange, createProfileView, createTrackView, findInletMarker, zoomStationRange } from './profileView.js';
+
+const full = [-30, 1030];
+
+describe('zoomStationRange', () => {
+  it('keeps the anchor station under the same point of the window', () => {
+    const [start, end] = zoomStationRange([0, 1000], 0.5, 250, full);
+    expect(end - start).toBeCloseTo(500, 9);
+    expect((250 - start) / (end - start)).toBeCloseTo(0.25, 9);
+  });
+
+  it('zooms in no further than the minimum span and out no further than the full range', () => {
+    const [start, end] = zoomStationRange([500, 540], 0.1, 520, full);
+    expect(end - start).toBeCloseTo(MIN_VIEW_SPAN, 9);
+    expect((start + end) / 2).toBeCloseTo(520, 9);
+    expect(zoomStationRange([0, 1000], 4, 500, full)).toEqual(full);
+    // A project shorter than the minimum span zooms in to its whole length
+    expect(zoomStationRange([0, 10], 0.5, 5, [0, 10])).toEqual([0, 10]);
+  });
+
+  it('shifts a window zoomed out near an end back inside the full range', () => {
+    const [start, end] = zoomStationRange([0, 100], 2, 50, full);
+    expect(start).toBe(-30);
+    expect(end).toBeCloseTo(170, 9);
+  });
+});
+
+describe('clampStationRange', () => {
+  it('stops panning at either end without changing the span', () => {
+    expect(clampStationRange([-100, 100], full)).toEqual([-30, 170]);
+    expect(clampStationRange([950, 1150], full)).toEqual([830, 1030]);
+    expect(clampStationRange([400, 600], full)).toEqual([400, 600]);
+    expect(clampStationRange([-100, 2000], full)).toEqual(full);
+  });
+
+  it('pans by the stations between where the drag started and the pointer', () => {
+    const view = createProfileView({ width: 800, height: 400, stationRange: [0, 200], elevationRange: [90, 110] });
+    // Dragging 200 px to the right moves the window left, and not past the start of the project
+    const shift = view.toStation(300) - view.toStation(500);
+    expect(shift).toBeCloseTo(-200 * 200 / view.plot.width, 9);
+    expect(clampStationRange([0 + shift, 200 + shift], full)).toEqual([-30, 170]);
+  });
+});
+
+describe('createProfileView', () => {
+  it('maps the visible window onto the plot and back', () => {
+    const view = createProfileView({ width: 800, height: 400, stationRange: [100, 600], elevationRange: [90, 110] });
+    expect(view.toX(100)).toBe(view.plot.left);
+    expect(view.toX(600)).toBeCloseTo(view.plot.right, 9);
+    [100, 237.5, 600, 750].forEach(station => expect(view.toStation(view.toX(station))).toBeCloseTo(station, 9));
+    [85, 90, 103.25, 115].forEach(elevation => expect(view.toElevation(view.toY(elevation))).toBeCloseTo(elevation, 9));
+    // Fit pads the elevations by 10% so the profile clears the plot edges
+    expect(view.elevationRange).toEqual([88, 112]);
+    expect(view.toY(88)).toBeCloseTo(view.plot.bottom, 9);
+  });
+
+  it('uses the fixed vertical exaggeration chosen', () => {
+    const view = createProfileView({ width: 800, height: 400, stationRange: [0, 1000], elevationRange: [90, 110], verticalScale: 10 });
+    expect(view.exaggeration).toBeCloseTo(10, 9);
+    expect((view.elevationRange[0] + view.elevationRange[1]) / 2).toBeCloseTo(100, 9);
+    expect(view.toElevation(view.toY(97))).toBeCloseTo(97, 9);
+  });
+});
+
+describe('findInletMarker', () => {
+  const view = createProfileView({ width: 800, height: 400, stationRange: [0, 1000], elevationRange: [90, 110] });
+  const track = createTrackView(view, 400, { maxQ: 2, maxSpread: 8 });
+  // Inlets 40 ft (about 28 px) apart on a profile at elevation 100; the one without a station gets no marker
+  const points = buildInletMarkers([{ strId: 'A', station: 500 }, { strId: 'B', station: '' }, { strId: 'C', station: 540 }])
+    .map(marker => ({ ...marker, x: view.toX(marker.station), y: view.toY(100) }));
+
+  it('selects the inlet whose marker is nearest the click', () => {
+    const [a, c] = points;
+    expect(findInletMarker(points, a.x + 5, a.y - 5, track.box)).toMatchObject({ index: 0, label: 'A' });
+    expect(findInletMarker(points, c.x - 4, c.y + 6, track.box)).toMatchObject({ index: 2, label: 'C' });
+    // On the track a click anywhere in the inlet's column selects it
+    expect(findInletMarker(points, c.x + 5, track.box.bottom - 1, track.box)).toMatchObject({ index: 2 });
+  });
+
+  it('selects nothing for a click in empty space', () => {
+    const [a, c] = points;
+    expect(findInletMarker(points, (a.x + c.x) / 2, a.y, track.box)).toBeNull();
+    expect(findInletMarker(points, a.x, a.y - 20, track.box)).toBeNull();
+    expect(findInletMarker(points, a.x + 10, track.box.top + 20, track.box)).toBeNull();
+    // Without a track only the profile markers count
+    expect(findInletMarker(points, a.x, track.box.top + 20)).toBeNull();
+    expect(findInletMarker([], 100, 100, track.box)).toBeNull();
+  });
+});
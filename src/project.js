@@ -0,0 +1,185 @@
+// Project files: the profile, inlet inputs, rainfall settings and project metadata as versioned JSON
+
+import { createCatalogEntry, createDefaultCatalog } from './calc/catalog.js';
+import { createRoadway } from './calc/criteria.js';
+import { createNetwork, createPipe } from './calc/network.js';
+import { createRunoffSettings } from './calc/runoff.js';
+import { createDefaultScenarios, createScenario } from './calc/scenarios.js';
+import { createInlet, getInletInputs } from './inlets.js';
+
+export const PROJECT_SCHEMA_VERSION = 6;
+export const PROJECT_FILE_TYPE = 'inlet-spacing-calculator-project';
+export const PROJECT_FILE_EXTENSION = '.inlets.json';
+
+const AUTOSAVE_KEY = 'inletSpacingCalculator.autosave';
+
+export const createProjectInfo = (fields = {}) => ({ name: '', engineer: '', date: new Date().toISOString().slice(0, 10), route: '', ...fields });
+
+export const createEmptyProject = () => ({
+  info: createProjectInfo(),
+  profile: { beginningGrade: '', endingGrade: '', startStation: '', endStation: '', pvis: [] },
+  inlets: [],
+  rainfall: { region: 'Region 1', returnPeriod: '10-Year' },
+  roadway: createRoadway(),
+  runoff: createRunoffSettings(),
+  network: createNetwork(),
+  scenarios: [],
+  catalog: createDefaultCatalog(),
+});
+
+// Two-inlet example on a sag vertical curve, loaded on first start and from the Sample button
+export const createSampleProject = () => ({
+  info: createProjectInfo({ name: 'Sample Project', route: 'Example Route' }),
+  profile: {
+    beginningGrade: -1.0,
+    endingGrade: -0.4,
+    startStation: '',
+    endStation: '',
+    pvis: [
+      { station: 10200, elevation: 120.00, length: 400 },
+      { station: 10600, elevation: 124.00, length: 400 },
+    ],
+  },
+  inlets: [
+    createInlet({ strId: "INLET-1", structureType: 'CB-06', station: 10105, areaEnteringInlet: 0.19, runoffCoefficient: 1.0, longestFlowPath: 141.42, slopeOfFlowPath: 0.5, interceptionRatio: 0.75, }),
+    createInlet({ strId: "INLET-2-SAG", structureType: 'CB-08', station: 10200, areaEnteringInlet: 0.19, runoffCoefficient: 0.95, longestFlowPath: 106.07, slopeOfFlowPath: 0.5, manualQi: 0.95, manualWidthOfFlooding: 6.9, }),
+  ],
+  rainfall: { region: 'Region 1', returnPeriod: '10-Year' },
+  roadway: createRoadway({ classification: 'collector', designSpeed: 40, laneWidth: 12, shoulderWidth: 10 }),
+  runoff: createRunoffSettings(),
+  network: createNetwork(),
+  scenarios: createDefaultScenarios({ region: 'Region 1', returnPeriod: '10-Year' }, { checkReturnPeriod: '50-Year' }),
+  catalog: createDefaultCatalog(),
+});
+
+// Custom rainfall data sets in use, by the project or any scenario, are written into the file so the project
+// opens on another machine. The inlet structure catalog is saved whole, since inlets refer to its entries.
+export const serializeProject = ({ info, profile, inlets, rainfall, roadway, runoff, network, scenarios = [], catalog = createDefaultCatalog(), rainfallData }) => {
+  const regions = new Set([rainfall.region, ...scenarios.map(scenario => scenario.region)]);
+  const datasets = [...regions].map(region => rainfallData?.[region]).filter(dataset => dataset && !dataset.builtIn);
+  return JSON.stringify({
+    fileType: PROJECT_FILE_TYPE,
+    schemaVersion: PROJECT_SCHEMA_VERSION,
+    savedAt: new Date().toISOString(),
+    info,
+    profile,
+    inlets: inlets.map(getInletInputs),
+    rainfall: {
+      region: rainfall.region,
+      returnPeriod: rainfall.returnPeriod,
+      datasets: Object.fromEntries(datasets.map(dataset => [dataset.name, dataset])),
+    },
+    roadway,
+    runoff,
+    network,
+    scenarios,
+    catalog,
+  }, null, 2);
+};
+
+// Each migration takes a file of the version it is keyed by and returns the next version
+const MIGRATIONS = {
+  // Version 0: unversioned dumps of the app state ({ profile, inlets, rainfallRegion, returnPeriod })
+  0: (data) => ({
+    fileType: PROJECT_FILE_TYPE,
+    schemaVersion: 1,
+    info: createProjectInfo({ name: data.name || '' }),
+    profile: data.profile,
+    inlets: data.inlets,
+    rainfall: { region: data.rainfallRegion || 'Region 1', returnPeriod: data.returnPeriod || '10-Year', datasets: {} },
+  }),
+  // Version 1: no roadway classification; spread was only checked against per-inlet values
+  1: (data) => ({ ...data, schemaVersion: 2, roadway: createRoadway() }),
+  // Version 2: ΣAC and C only as typed values; the frequency factor stays off so results do not change
+  2: (data) => ({ ...data, schemaVersion: 3, runoff: createRunoffSettings({ applyFrequencyFactor: false }) }),
+  // Version 3: inlets only; the intercepted flow was not carried anywhere
+  3: (data) => ({ ...data, schemaVersion: 4, network: createNetwork() }),
+  // Version 4: one rainfall region and return period at a time
+  4: (data) => ({ ...data, schemaVersion: 5, scenarios: [] }),
+  // Version 5: structure types were the LADOTD standard inlets with built-in geometry
+  5: (data) => ({ ...data, schemaVersion: 6, catalog: createDefaultCatalog() }),
+};
+
+// Files without a schemaVersion are version 0; any other value must be a version this chain knows
+const getSchemaVersion = (data) => {
+  if (data.schemaVersion === undefined) return 0;
+  if (!Number.isInteger(data.schemaVersion) || data.schemaVersion < 0) {
+    throw new Error(`The project file has an unrecognized schema version (${JSON.stringify(data.schemaVersion)}).`);
+  }
+  return data.schemaVersion;
+};
+
+export const migrateProject = (data) => {
+  let migrated = data;
+  let version = getSchemaVersion(data);
+  if (version > PROJECT_SCHEMA_VERSION) {
+    throw new Error(`This project was saved by a newer version of the calculator (schema ${version}); this version reads up to schema ${PROJECT_SCHEMA_VERSION}.`);
+  }
+  while (version < PROJECT_SCHEMA_VERSION) {
+    migrated = MIGRATIONS[version](migrated);
+    version = migrated.schemaVersion;
+  }
+  return migrated;
+};
+
+// Reads a project file. Inputs missing from older files take the current defaults; derived values are recomputed.
+export const parseProject = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`The project file could not be read: ${error.message}`);
+  }
+  if (!data || typeof data !== 'object' || (data.fileType && data.fileType !== PROJECT_FILE_TYPE)) {
+    throw new Error('This file is not an inlet spacing project.');
+  }
+  const migratedFrom = getSchemaVersion(data);
+  const project = migrateProject(data);
+  if (!project.profile || !Array.isArray(project.profile.pvis) || !Array.isArray(project.inlets)) {
+    throw new Error('The project file has no profile or inlet list.');
+  }
+  const empty = createEmptyProject();
+  return {
+    info: createProjectInfo(project.info),
+    profile: { ...empty.profile, ...project.profile },
+    inlets: project.inlets.map(inlet => createInlet(getInletInputs(inlet))),
+    rainfall: { ...empty.rainfall, ...project.rainfall },
+    roadway: { ...empty.roadway, ...project.roadway },
+    runoff: { ...empty.runoff, ...project.runoff },
+    network: {
+      ...empty.network,
+      ...project.network,
+      outfall: { ...empty.network.outfall, ...project.network?.outfall },
+      pipes: (project.network?.pipes || []).map(pipe => createPipe(pipe)),
+    },
+    scenarios: (project.scenarios || []).map(scenario => createScenario(scenario)),
+    catalog: (project.catalog || createDefaultCatalog()).map(entry => createCatalogEntry(entry)),
+    savedAt: project.savedAt || '',
+    migratedFrom: migratedFrom < PROJECT_SCHEMA_VERSION ? migratedFrom : null,
+  };
+};
+
+// Autosave keeps the last edited state in the browser so it can be recovered after a crash or closed tab
+export const writeAutosave = (serializedProject) => {
+  if (typeof localStorage === 'undefined') return;
+  try {
+    localStorage.setItem(AUTOSAVE_KEY, serializedProject);
+  } catch {
+    // Storage full or disabled; the project can still be saved to a file
+  }
+};
+
+export const readAutosave = () => {
+  if (typeof localStorage === 'undefined') return null;
+  const text = localStorage.getItem(AUTOSAVE_KEY);
+  if (!text) return null;
+  try {
+    return parseProject(text);
+  } catch {
+    return null;
+  }
+};
+
+export const clearAutosave = () => {
+  if (typeof localStorage !== 'undefined') localStorage.removeItem(AUTOSAVE_KEY);
+};
@@ -0,0 +1,71 @@
+import { describe, expect, it } from 'vitest';
+import { createCatalogEntry, createDefaultCatalog } from './calc/catalog.js';
+import { createRoadway } from './calc/criteria.js';
+import { createNetwork } from './calc/network.js';
+import { createRunoffSettings } from './calc/runoff.js';
+import { PROJECT_FILE_TYPE, PROJECT_SCHEMA_VERSION, createSampleProject, migrateProject, parseProject, serializeProject } from './project.js';
+
+const profile = { beginningGrade: -1, endingGrade: 1, pvis: [{ station: 500, elevation: 100, length: 200 }] };
+const inlets = [{ strId: 'A', structureType: 'CB-06', station: 450, areaEnteringInlet: 0.3 }];
+
+// A file as each schema version wrote it, before the fields later versions added
+const versionFile = (schemaVersion, fields = {}) => ({
+  fileType: PROJECT_FILE_TYPE, schemaVersion, info: { name: 'Old' }, profile, inlets,
+  rainfall: { region: 'Region 2', returnPeriod: '25-Year', datasets: {} }, ...fields,
+});
+
+describe('migrateProject', () => {
+  it('reads an unversioned dump of the app state', () => {
+    const migrated = migrateProject({ name: 'Dump', profile, inlets, rainfallRegion: 'Region 3', returnPeriod: '5-Year' });
+    expect(migrated.schemaVersion).toBe(PROJECT_SCHEMA_VERSION);
+    expect(migrated).toMatchObject({ fileType: PROJECT_FILE_TYPE, info: { name: 'Dump' }, profile, inlets, rainfall: { region: 'Region 3', returnPeriod: '5-Year', datasets: {} } });
+  });
+
+  it('adds what each version lacked and keeps what it had', () => {
+    expect(migrateProject(versionFile(1)).roadway).toEqual(createRoadway());
+    const roadway = createRoadway({ classification: 'arterial' });
+    expect(migrateProject(versionFile(2, { roadway })).roadway).toEqual(roadway);
+    // Version 2 files keep their results: the frequency factor stays off
+    expect(migrateProject(versionFile(2)).runoff.applyFrequencyFactor).toBe(false);
+    expect(migrateProject(versionFile(3)).network).toEqual(createNetwork());
+    expect(migrateProject(versionFile(4)).scenarios).toEqual([]);
+    expect(migrateProject(versionFile(5)).catalog).toEqual(createDefaultCatalog());
+    const current = versionFile(PROJECT_SCHEMA_VERSION, { catalog: [] });
+    expect(migrateProject(current)).toBe(current);
+  });
+
+  it('refuses files from a newer version or with a version it does not know', () => {
+    expect(() => migrateProject(versionFile(PROJECT_SCHEMA_VERSION + 1))).toThrow(`This project was saved by a newer version of the calculator (schema ${PROJECT_SCHEMA_VERSION + 1})`);
+    expect(() => migrateProject(versionFile('6'))).toThrow('The project file has an unrecognized schema version ("6").');
+    expect(() => migrateProject(versionFile(5.5))).toThrow(/unrecognized schema version \(5\.5\)/);
+    expect(() => migrateProject(versionFile(null))).toThrow(/unrecognized schema version \(null\)/);
+  });
+});
+
+describe('parseProject', () => {
+  it('reads back what serializeProject writes', () => {
+    const sample = createSampleProject();
+    const catalog = [...sample.catalog, createCatalogEntry({ id: 'NG-1', source: 'manufacturer', grateLength: 3, grateWidth: 2, grateType: 'Vane' })];
+    const rainfallData = { County: { name: 'County', source: 'Imported JSON', builtIn: false, returnPeriods: { '10-Year': { form: 'power', a: 40, c: 0.6 } } } };
+    const project = { ...sample, catalog, rainfall: { region: 'County', returnPeriod: '10-Year' } };
+    const parsed = parseProject(serializeProject({ ...project, rainfallData }));
+    expect(parsed).toMatchObject({ ...project, rainfall: { ...project.rainfall, datasets: rainfallData }, migratedFrom: null });
+    expect(parsed.savedAt).not.toBe('');
+  });
+
+  it('fills inputs an older file lacks with defaults and reports the version it came from', () => {
+    const parsed = parseProject(JSON.stringify(versionFile(2)));
+    expect(parsed.migratedFrom).toBe(2);
+    expect(parsed.runoff).toEqual(createRunoffSettings({ applyFrequencyFactor: false }));
+    expect(parsed.info).toMatchObject({ name: 'Old', engineer: '' });
+    expect(parsed.inlets[0]).toMatchObject({ ...inlets[0], side: 'Right' });
+  });
+
+  it('refuses bad JSON, other file types, unknown versions and files without a profile or inlets', () => {
+    expect(() => parseProject('{"profile":')).toThrow(/^The project file could not be read: /);
+    expect(() => parseProject('null')).toThrow('This file is not an inlet spacing project.');
+    expect(() => parseProject(JSON.stringify({ ...versionFile(PROJECT_SCHEMA_VERSION), fileType: 'inlet-structure-catalog' }))).toThrow('This file is not an inlet spacing project.');
+    expect(() => parseProject(JSON.stringify(versionFile('6')))).toThrow(/unrecognized schema version/);
+    expect(() => parseProject(JSON.stringify(versionFile(PROJECT_SCHEMA_VERSION, { inlets: null })))).toThrow('The project file has no profile or inlet list.');
+  });
+});
@@ -0,0 +1,315 @@
+// Report tables shared by the on-screen summary and the CSV, XLSX and calculation package exports
+
+import { CATALOG_INLET_TYPES, CATALOG_SOURCES, DEFAULT_INLET_CATALOG } from './calc/catalog.js';
+import { ROADWAY_CLASSIFICATIONS } from './calc/criteria.js';
+import { MAX_DRAINAGE_K, reviewVerticalCurves } from './calc/curves.js';
+import { GRATE_TYPES } from './calc/interception.js';
+import { PIPE_MATERIALS } from './calc/network.js';
+import { AREA_UNITS, getFrequencyFactor, getInletDrainage } from './calc/runoff.js';
+import { SCENARIO_SPREAD_CRITERIA, compareScenarios, getScenarioName } from './calc/scenarios.js';
+import { buildTornado } from './calc/sensitivity.js';
+
+const round = (value, decimals) => (typeof value === 'number' && Number.isFinite(value) ? Number(value.toFixed(decimals)) : '');
+const fixed = (value, decimals = 2) => (typeof value === 'number' && Number.isFinite(value) ? value.toFixed(decimals) : '');
+const inletLabel = (inlets, index) => inlets[index]?.strId || `Inlet ${index + 1}`;
+
+const ROUTE_TERMINAL_LABELS = {
+  offsite: 'Leaves project',
+  sag: 'Ponds at sag (no inlet)',
+  'sag-inlet': 'Ponds at sag inlet',
+  flat: 'Stays on flat grade',
+  invalid: 'Target not found',
+  cycle: 'Loop cut',
+};
+
+// Where a routed bypass goes, e.g. "INLET-2 (Sta 10200.00)" or "Leaves project at Sta 10000.00"
+export const describeBypassRoute = (route, inlets) => {
+  if (!route) return '';
+  if (route.targetIndex !== null) {
+    return `${inletLabel(inlets, route.targetIndex)} (Sta ${fixed(parseFloat(inlets[route.targetIndex].station))})`;
+  }
+  const label = ROUTE_TERMINAL_LABELS[route.terminal.type] || route.terminal.type;
+  return isNaN(route.terminal.station) ? label : `${label} at Sta ${fixed(route.terminal.station)}`;
+};
+
+const interceptionSource = (inlet) => {
+  if (inlet.effectiveIsLowPoint) return 'Sag';
+  if (!inlet.interceptionIsManual) return 'HEC-22';
+  return inlet.interceptionRatioOverride ? 'Override' : 'Manual';
+};
+
+const passFail = (passes) => {
+  if (passes === null || passes === undefined) return '';
+  return passes ? 'Pass' : 'Fail';
+};
+
+const sagCheck = (inlet) => {
+  if (!inlet.effectiveIsLowPoint) return '';
+  if (inlet.sagIsManual) return 'Manual';
+  if (inlet.sagPasses === null || inlet.sagPasses === undefined) return '';
+  return inlet.sagPasses ? 'Pass' : 'Fail';
+};
+
+// Inlet table columns. value(inlet, index, context) returns a number or text; context carries the
+// routed bypass ({ inlets, routes, incoming }) that is not stored on the inlet records, and the check
+// storm results per inlet (check) when there is a check storm.
+export const INLET_REPORT_COLUMNS = [
+  { header: 'Inlet #', value: (inlet, i) => i + 1 },
+  { header: 'ID', value: (inlet) => inlet.strId },
+  { header: 'Type', value: (inlet) => inlet.structureType },
+  { header: 'Station (ft)', value: (inlet) => round(parseFloat(inlet.station), 2) },
+  { header: 'Side', value: (inlet) => inlet.side },
+  { header: 'Area (ac)', value: (inlet) => round(inlet.totalArea, 4) },
+  { header: 'ΣAC (ac)', value: (inlet) => round(inlet.sumAC, 4) },
+  { header: 'C', value: (inlet) => round(inlet.weightedC, 3) },
+  { header: 'ΣAC Source', value: (inlet) => inlet.drainageSource },
+  { header: 'Cf', value: (inlet) => round(inlet.frequencyFactor, 2) },
+  { header: 'ΣAC × Cf (ac)', value: (inlet) => round(inlet.adjustedSumAC, 4) },
+  { header: 'HL (ft)', value: (inlet) => round(parseFloat(inlet.longestFlowPath), 2) },
+  { header: 'S Path (%)', value: (inlet) => round(parseFloat(inlet.slopeOfFlowPath), 2) },
+  { header: 'Gutter S (%)', value: (inlet) => round(inlet.effectiveGutterGrade, 3) },
+  { header: 'Gutter S Source', value: (inlet) => (inlet.gutterGradeOverride ? 'Override' : 'Profile') },
+  { header: 'Sag', value: (inlet) => (inlet.effectiveIsLowPoint ? 'Yes' : 'No') },
+  { header: 'TC (min)', value: (inlet) => round(inlet.tc, 2) },
+  { header: 'TC Control', value: (inlet) => (inlet.tcControl && inlet.tcControl !== 'Local' ? `${inlet.tcControl} + ${fixed(inlet.travelTime)} min` : 'Local') },
+  { header: 'Intensity (in/hr)', value: (inlet) => round(inlet.intensity, 3) },
+  { header: 'Q Enter (cfs)', value: (inlet) => round(inlet.qEnteringFromArea, 3) },
+  { header: 'Q Bypass In (cfs)', value: (inlet, i, context) => round(context.incoming[i], 3) },
+  { header: 'Q Total (cfs)', value: (inlet) => round(inlet.qTotal, 3) },
+  { header: 'Qi/Q', value: (inlet) => (inlet.effectiveIsLowPoint ? '' : round(inlet.interceptionRatioUsed, 3)) },
+  { header: 'Qi/Q Source', value: interceptionSource },
+  { header: 'Qi (cfs)', value: (inlet) => round(inlet.qi, 3) },
+  { header: 'Q Bypass (cfs)', value: (inlet) => round(inlet.qBypass, 3) },
+  { header: 'Bypass To', value: (inlet, i, context) => describeBypassRoute(context.routes[i], context.inlets) },
+  { header: 'Spread (ft)', value: (inlet) => round(inlet.widthOfFloodingOutput, 2) },
+  { header: 'Allowable Spread (ft)', value: (inlet) => round(inlet.allowableSpreadUsed, 2) },
+  { header: 'Spread Check', value: (inlet) => passFail(inlet.spreadPasses) },
+  { header: 'Curb Depth (ft)', value: (inlet) => round(inlet.gutterDepth, 3) },
+  { header: 'Gutter V (ft/s)', value: (inlet) => (inlet.effectiveIsLowPoint ? '' : round(inlet.gutterVelocity, 2)) },
+  { header: 'Eo', value: (inlet) => (inlet.effectiveIsLowPoint || !inlet.frontalFlowRatio ? '' : round(inlet.frontalFlowRatio, 3)) },
+  { header: 'Sag Depth (ft)', value: (inlet) => (inlet.effectiveIsLowPoint && !inlet.sagIsManual ? round(inlet.sagDepth, 3) : '') },
+  { header: 'Sag Check', value: sagCheck },
+  { header: 'Check Storm Q Total (cfs)', value: (inlet, i, context) => round(context.check[i]?.qTotal, 3) },
+  { header: 'Check Storm Spread (ft)', value: (inlet, i, context) => round(context.check[i]?.widthOfFloodingOutput, 2) },
+  { header: 'Check Storm Allowable (ft)', value: (inlet, i, context) => round(context.check[i]?.allowableSpreadUsed, 2) },
+  { header: 'Check Storm Spread Check', value: (inlet, i, context) => passFail(context.check[i]?.spreadPasses) },
+];
+
+// Header row followed by one row per inlet
+export const buildInletTable = (inlets, { routes = [], incoming = [], check = [] } = {}) => {
+  const context = { inlets, routes, incoming, check };
+  return [
+    INLET_REPORT_COLUMNS.map(column => column.header),
+    ...inlets.map((inlet, i) => INLET_REPORT_COLUMNS.map(column => column.value(inlet, i, context))),
+  ];
+};
+
+// The inlet structure catalog entries the inlets use, with their dimensions and the inlets of each. Parts an
+// inlet type does not have are left blank; dimensions entered on an inlet replace these for that inlet.
+// Without a catalog the LADOTD standard inlets are listed, as the engine uses them.
+export const buildCatalogTable = (catalog, inlets) => [
+  ['Type', 'Description', 'Source', 'Inlet Type', 'Curb Opening L (ft)', 'Curb Opening H (ft)', 'Grate L (ft)', 'Grate W (ft)', 'Bar Configuration',
+    'Local Depression (in)', 'Depression Width (ft)', 'Grate Clogging', 'Curb Clogging', 'Inlets'],
+  ...(catalog || DEFAULT_INLET_CATALOG).flatMap(entry => {
+    const used = inlets.map((inlet, index) => (inlet.structureType === entry.id ? inletLabel(inlets, index) : null)).filter(Boolean);
+    if (used.length === 0) return [];
+    const curb = entry.inletType !== 'grate';
+    const grate = entry.inletType !== 'curb';
+    const depression = parseFloat(entry.localDepression) > 0;
+    return [[
+      entry.id, entry.name, entry.source === 'manufacturer' && entry.manufacturer ? entry.manufacturer : CATALOG_SOURCES[entry.source] || '',
+      CATALOG_INLET_TYPES[entry.inletType] || '',
+      curb ? round(parseFloat(entry.curbOpeningLength), 2) : '', curb ? round(parseFloat(entry.curbOpeningHeight), 2) : '',
+      grate ? round(parseFloat(entry.grateLength), 2) : '', grate ? round(parseFloat(entry.grateWidth), 2) : '',
+      grate ? GRATE_TYPES[entry.grateType]?.label || '' : '',
+      depression ? round(parseFloat(entry.localDepression), 2) : 0, depression ? round(parseFloat(entry.localDepressionWidth), 2) : '',
+      grate ? round(parseFloat(entry.grateClogging), 2) : '', curb ? round(parseFloat(entry.curbClogging), 2) : '',
+      used.join(', '),
+    ]];
+  }),
+];
+
+// PVI geometry table from the profile model
+export const buildProfileTable = (profileModel) => [
+  ['PVI #', 'PVI Station (ft)', 'PVI Elevation (ft)', 'Curve Length (ft)', 'Grade In (%)', 'Grade Out (%)', 'A (%)', 'K (ft/%)',
+    'BVC Station (ft)', 'EVC Station (ft)', 'Low/High Point', 'Low/High Station (ft)', 'Low/High Elevation (ft)'],
+  ...profileModel.pviDetails.map((p, i) => [
+    i + 1, round(p.PVI_station, 2), round(p.PVI_elevation, 3), round(p.L_curve, 2),
+    round(p.g_in_percent, 3), round(p.g_out_percent, 3), round(p.A_percent, 3),
+    p.L_curve > 0 && p.A_percent !== 0 ? round(p.L_curve / Math.abs(p.A_percent), 1) : '',
+    round(p.BVC_station, 2), round(p.EVC_station, 2),
+    p.lowHighPoint?.type || '', round(p.lowHighPoint?.station, 2), round(p.lowHighPoint?.elevation, 3),
+  ]),
+];
+
+// Vertical curve review table from reviewVerticalCurves
+export const buildCurveReviewTable = (review) => [
+  ['PVI #', 'PVI Station (ft)', 'Curve', 'A (%)', 'L (ft)', 'K (ft/%)', 'Design Speed (mph)', 'Sight Distance', 'S (ft)',
+    'Required L (ft)', 'Required K (ft/%)', 'Sight Distance Check', `K > ${MAX_DRAINAGE_K}`, 'Flat Zone Start (ft)', 'Flat Zone End (ft)', 'Flat Zone Length (ft)'],
+  ...review.map(curve => [
+    curve.index + 1, round(curve.station, 2), curve.type, round(curve.A, 3), round(curve.L, 2), round(curve.K, 1),
+    round(curve.designSpeed, 0), curve.sightDistanceType, round(curve.sightDistance, 0),
+    round(curve.requiredLength, 1), round(curve.requiredK, 1), passFail(curve.sightDistancePasses), curve.exceedsDrainageK ? 'Yes' : '',
+    round(curve.flatZone?.startStation, 2), round(curve.flatZone?.endStation, 2), round(curve.flatZone?.length, 1),
+  ]),
+];
+
+// ΣAC backup: one row per sub-area with its land use, area, C and C × Cf, then the inlet's totals. Inlets
+// with a typed ΣAC get a single row saying so.
+export const buildDrainageTable = (inlets, { runoff = null, returnPeriod = '' } = {}) => [
+  ['Inlet', 'Sub-area', 'Land Use', 'Area', 'Unit', 'Area (ac)', 'C', 'C Source', 'Cf', 'C × Cf', 'A × C (ac)', 'A × C × Cf (ac)'],
+  ...inlets.flatMap((inlet, i) => {
+    const drainage = getInletDrainage(inlet, { runoff, returnPeriod });
+    const label = inletLabel(inlets, i);
+    const cf = round(drainage.frequencyFactor, 2);
+    if (drainage.source === 'Entered') {
+      return [[label, 'ΣAC entered', '', '', '', '', round(drainage.weightedC, 3), 'Entered', cf, '', round(drainage.sumAC, 4), round(drainage.adjustedSumAC, 4)]];
+    }
+    return [
+      ...drainage.rows.map((row, r) => [
+        label, row.description || `Sub-area ${r + 1}`, row.landUseName || row.landUse, round(parseFloat(row.area), 4), AREA_UNITS[row.unit]?.label || row.unit,
+        round(row.acres, 4), round(row.c, 3), row.cSource, cf, round(row.adjustedC, 3), round(row.ac, 4), round(row.adjustedAC, 4),
+      ]),
+      [label, 'Total', '', '', '', round(drainage.totalArea, 4), round(drainage.weightedC, 3), 'Weighted', cf, '', round(drainage.sumAC, 4), round(drainage.adjustedSumAC, 4)],
+    ];
+  }),
+];
+
+// Trunk line pipes from a design run (results.network) with the entered pipes for the material. A pipe that
+// could not be connected gets its From and To and the reason in the Note column.
+export const buildPipeTable = (network, inputs = []) => [
+  ['Pipe #', 'From', 'To', 'Length (ft)', 'Material', 'n', 'US Invert (ft)', 'DS Invert (ft)', 'Slope (%)', 'ΣCA (ac)', 'tc (min)', 'tc Control',
+    'I (in/hr)', 'Q (cfs)', 'Required D (in)', 'D (in)', 'D Source', 'Q Full (cfs)', 'Q / Q Full', 'V (ft/s)', 'Travel Time (min)',
+    'HGL DS (ft)', 'Friction Loss (ft)', 'HGL US (ft)', 'K', 'Junction Loss (ft)', 'Note'],
+  ...network.pipes.map((pipe, i) => {
+    if (pipe.error) return [i + 1, pipe.from, pipe.toLabel, ...Array(23).fill(''), pipe.error];
+    return [
+      i + 1, pipe.fromLabel, pipe.toLabel, round(pipe.length, 2), PIPE_MATERIALS[inputs[i]?.material]?.label || inputs[i]?.material || '', round(pipe.n, 3),
+      round(pipe.upstreamInvert, 2), round(pipe.downstreamInvert, 2), round(pipe.slope * 100, 3), round(pipe.sumCA, 4), round(pipe.tc, 2), pipe.tcControl,
+      round(pipe.intensity, 3), round(pipe.q, 3), round(pipe.requiredDiameter, 1), pipe.diameter ?? '', pipe.diameterSource, round(pipe.capacity, 3),
+      round(pipe.flowRatio, 3), round(pipe.velocity, 2), round(pipe.travelTime, 2),
+      round(pipe.hglDown, 2), round(pipe.frictionLoss, 3), round(pipe.hglUp, 2), round(pipe.junctionLossCoefficient, 2), round(pipe.junctionLoss, 3),
+      [pipe.undersized && 'Surcharged', pipe.deadEnd && 'No outlet pipe downstream'].filter(Boolean).join('; '),
+    ];
+  }),
+];
+
+// Each structure a pipe leaves, upstream first, with its rim, HGL and clearance against the freeboard
+export const buildStructureTable = (network) => [
+  ['Structure', 'Station (ft)', 'Rim (ft)', 'HGL (ft)', 'Rim − HGL (ft)', 'Freeboard Check'],
+  ...network.structures.map(structure => [
+    structure.label, round(structure.station, 2), round(structure.rim, 2), round(structure.hgl, 2), round(structure.clearance, 2),
+    { OK: 'Pass', Freeboard: 'Within freeboard', Flooded: 'Overflows' }[structure.status] || '',
+  ]),
+];
+
+// Scenario comparison with one row per inlet and scenario (computeScenarios runs); Governs marks the
+// scenario that governs each inlet and scenarios that did not run are left out
+export const buildScenarioTable = (runs, inlets) => {
+  const { rows } = compareScenarios(runs, inlets.length);
+  return [
+    ['Inlet', 'Scenario', 'Region', 'Return Period', 'Spread Criteria', 'Q Total (cfs)', 'Qi (cfs)', 'Bypass (cfs)', 'Spread (ft)', 'Allowable (ft)', 'Spread Check', 'Governs'],
+    ...rows.flatMap((row, index) => runs.flatMap((run, r) => {
+      const value = row.values[r];
+      if (!value) return [];
+      return [[
+        inletLabel(inlets, index), run.name, run.scenario.region, run.scenario.returnPeriod, SCENARIO_SPREAD_CRITERIA[run.scenario.spreadCriteria] || '',
+        round(value.qTotal, 3), round(value.qi, 3), round(value.qBypass, 3), round(value.spread, 2), round(value.allowable, 2),
+        passFail(value.passes), row.governing === r ? 'Yes' : '',
+      ]];
+    })),
+  ];
+};
+
+// Sensitivity sweeps (runSensitivity) with one row per parameter, step and inlet and the change from the baseline
+export const buildSensitivityTable = (analysis, inlets) => [
+  ['Parameter', 'Change (%)', 'Inlet', 'Spread (ft)', 'Δ Spread (ft)', 'Bypass (cfs)', 'Δ Bypass (cfs)'],
+  ...analysis.sweeps.flatMap(sweep => sweep.points.flatMap(point => point.inlets.map((outputs, index) => [
+    sweep.label, round(point.percent, 2), inletLabel(inlets, index),
+    round(outputs.spread, 2), round(outputs.spread - analysis.baseline[index].spread, 2),
+    round(outputs.qBypass, 3), round(outputs.qBypass - analysis.baseline[index].qBypass, 3),
+  ]))),
+];
+
+// Tornado ranking for one inlet's spread and bypass, largest spread swing first
+export const buildTornadoTable = (analysis, inletIndex) => {
+  const bypass = buildTornado(analysis, inletIndex, 'qBypass');
+  return [
+    ['Parameter', 'Low (%)', 'High (%)', 'Δ Spread at Low (ft)', 'Δ Spread at High (ft)', 'Spread Swing (ft)', 'Bypass Swing (cfs)'],
+    ...buildTornado(analysis, inletIndex, 'spread').map(row => [
+      row.label, round(row.lowPercent, 2), round(row.highPercent, 2), round(row.lowChange, 2), round(row.highChange, 2), round(row.swing, 2),
+      round(bypass.find(entry => entry.parameter === row.parameter)?.swing, 3),
+    ]),
+  ];
+};
+
+// Project, rainfall, roadway criteria and limits as label/value rows
+export const buildProjectTable = ({ info = {}, profile, profileModel, rainfallRegion, returnPeriod, rainfallSource, roadway, runoff, network, scenarios = [] }) => [
+  ['Item', 'Value'],
+  ['Project', info.name || ''],
+  ['Route', info.route || ''],
+  ['Engineer', info.engineer || ''],
+  ['Date', info.date || ''],
+  ['Rainfall Region / Data Set', rainfallRegion],
+  ['Rainfall Source', rainfallSource || ''],
+  ['Return Period', returnPeriod],
+  ['Runoff Frequency Factor Cf', runoff?.applyFrequencyFactor ? round(getFrequencyFactor(returnPeriod), 2) : 'Off'],
+  ['Check Storm Return Period', roadway?.checkReturnPeriod || ''],
+  ['Roadway Classification', ROADWAY_CLASSIFICATIONS[roadway?.classification] || ''],
+  ['Design Speed (mph)', round(parseFloat(roadway?.designSpeed), 0)],
+  ['Lane Width (ft)', round(parseFloat(roadway?.laneWidth), 2)],
+  ['Shoulder Width (ft)', round(parseFloat(roadway?.shoulderWidth), 2)],
+  ['Roadway Segments', roadway?.segments?.length || 0],
+  ['Beginning Grade (%)', round(parseFloat(profile.beginningGrade), 3)],
+  ['Ending Grade (%)', round(parseFloat(profile.endingGrade), 3)],
+  ['Project Start Station (ft)', round(profileModel.limits.startStation, 2)],
+  ['Project End Station (ft)', round(profileModel.limits.endStation, 2)],
+  ['Storm Drain Pipes', network?.pipes?.length || 0],
+  ['Outfall Tailwater (ft)', network?.pipes?.length ? (Number.isFinite(parseFloat(network.outfall?.tailwater)) ? round(parseFloat(network.outfall.tailwater), 2) : 'Free outfall') : ''],
+  ['HGL Freeboard (ft)', network?.pipes?.length ? round(parseFloat(network.freeboard), 2) : ''],
+  ['Storm Scenarios', scenarios.map(getScenarioName).join('; ')],
+];
+
+const tableToRecords = ([header, ...rows]) => rows.map(row => Object.fromEntries(header.map((name, c) => [name, row[c]])));
+
+// Plain JSON view of an engine run (computeProject) for the command-line tool and scripting; scenarioRuns are
+// the computeScenarios runs
+export const buildResultsJson = (project, results, checkResults = null, scenarioRuns = []) => ({
+  project: project.info || {},
+  rainfall: results.rainfall,
+  roadway: project.roadway || null,
+  runoff: project.runoff || null,
+  profile: {
+    limits: results.profileModel.limits,
+    lowHighPoints: results.profileModel.lowHighPoints,
+    pvis: tableToRecords(buildProfileTable(results.profileModel)),
+    curves: reviewVerticalCurves(results.profileModel, { roadway: project.roadway }),
+  },
+  drainage: tableToRecords(buildDrainageTable(results.inlets, { runoff: project.runoff, returnPeriod: results.rainfall.returnPeriod })),
+  inletTypes: tableToRecords(buildCatalogTable(project.catalog, results.inlets)),
+  inlets: results.inlets.map((inlet, i) => ({
+    ...inlet,
+    incomingBypassQ: results.bypass.incoming[i],
+    bypassReceivedFrom: results.bypass.sources[i].map(from => inletLabel(results.inlets, from)),
+    bypassGoesTo: describeBypassRoute(results.routing.routes[i], results.inlets),
+  })),
+  bypassLosses: results.bypass.losses.map(loss => ({ inlet: inletLabel(results.inlets, loss.index), q: loss.q, type: loss.type, station: Number.isFinite(loss.station) ? loss.station : null })),
+  bypassCycles: results.routing.cycles.map(({ from, to }) => ({ from: inletLabel(results.inlets, from), to: inletLabel(results.inlets, to) })),
+  network: results.network && {
+    outfall: results.network.outfall,
+    freeboard: results.network.freeboard,
+    pipes: tableToRecords(buildPipeTable(results.network, project.network?.pipes)),
+    structures: tableToRecords(buildStructureTable(results.network)),
+  },
+  checkStorm: checkResults && {
+    rainfall: checkResults.rainfall,
+    inlets: checkResults.inlets.map(inlet => ({
+      strId: inlet.strId, qTotal: inlet.qTotal, widthOfFloodingOutput: inlet.widthOfFloodingOutput,
+      allowableSpreadUsed: inlet.allowableSpreadUsed, spreadPasses: inlet.spreadPasses,
+    })),
+  },
+  scenarios: scenarioRuns.length ? {
+    runs: scenarioRuns.map(run => ({ ...run.scenario, name: run.name, rainfall: run.results?.rainfall || null, error: run.error })),
+    comparison: tableToRecords(buildScenarioTable(scenarioRuns, results.inlets)),
+  } : null,
+});
@@ -0,0 +1,61 @@
+import { describe, expect, it } from 'vitest';
+import { createCatalogEntry } from './calc/catalog.js';
+import { computeProject } from './calc/engine.js';
+import { DEFAULT_CLOGGING } from './calc/sag.js';
+import { parseCSV, toCSV } from './csv.js';
+import { createSampleProject } from './project.js';
+import { INLET_REPORT_COLUMNS, buildCatalogTable, buildInletTable, describeBypassRoute } from './report.js';
+
+describe('buildInletTable', () => {
+  it('gives a header row and one row per inlet with the routed bypass', () => {
+    const results = computeProject(createSampleProject());
+    const table = buildInletTable(results.inlets, { routes: results.routing.routes, incoming: results.bypass.incoming });
+    const column = (header) => INLET_REPORT_COLUMNS.findIndex(c => c.header === header);
+    expect(table[0]).toEqual(INLET_REPORT_COLUMNS.map(c => c.header));
+    expect(table).toHaveLength(3);
+    expect(table[1].slice(0, 4)).toEqual([1, 'INLET-1', 'CB-06', 10105]);
+    expect(table[1][column('Bypass To')]).toBe('INLET-2-SAG (Sta 10200.00)');
+    expect(table[2][column('Q Bypass In (cfs)')]).toBe(Number(results.inlets[0].qBypass.toFixed(3)));
+    expect(table[2][column('Sag')]).toBe('Yes');
+    // No check storm was run, so its columns are blank
+    expect(table[1][column('Check Storm Spread Check')]).toBe('');
+  });
+});
+
+describe('describeBypassRoute', () => {
+  it('names the target inlet or where the flow ends up', () => {
+    const inlets = [{ strId: 'A', station: '100' }, { strId: '', station: 250.5 }];
+    expect(describeBypassRoute({ targetIndex: 1 }, inlets)).toBe('Inlet 2 (Sta 250.50)');
+    expect(describeBypassRoute({ targetIndex: null, terminal: { type: 'offsite', station: 0 } }, inlets)).toBe('Leaves project at Sta 0.00');
+    expect(describeBypassRoute({ targetIndex: null, terminal: { type: 'cycle', station: NaN } }, inlets)).toBe('Loop cut');
+  });
+});
+
+describe('buildCatalogTable', () => {
+  it('lists the catalog entries in use with the parts each type has', () => {
+    const catalog = [
+      createCatalogEntry({ id: 'NG-1', name: 'Vane grate', source: 'manufacturer', manufacturer: 'Neenah', grateLength: 3, grateWidth: 2, grateType: 'Vane' }),
+      createCatalogEntry({ id: 'UNUSED' }),
+    ];
+    const table = buildCatalogTable(catalog, [{ strId: 'A', structureType: 'NG-1' }, { strId: 'B', structureType: 'NG-1' }]);
+    expect(table).toHaveLength(2);
+    expect(table[1]).toEqual(['NG-1', 'Vane grate', 'Neenah', 'Grate', '', '', 3, 2, 'Curved vane', 0, '', DEFAULT_CLOGGING.grate, '', 'A, B']);
+  });
+});
+
+describe('summary CSV', () => {
+  it('quotes fields with commas, quotes and line breaks and reads back the same cells', () => {
+    const sample = createSampleProject();
+    sample.inlets[0].strId = 'MAIN ST, "A"\nLT';
+    const results = computeProject(sample);
+    const table = buildInletTable(results.inlets, { routes: results.routing.routes, incoming: results.bypass.incoming });
+    const csv = toCSV(table);
+    expect(csv.split('\r\n')[1]).toMatch(/^1,"MAIN ST, ""A""\nLT",CB-06,10105,Right,/);
+    const read = parseCSV(csv);
+    expect(read).toHaveLength(3);
+    expect(read[1][1]).toBe('MAIN ST, "A"\nLT');
+    expect(read[0]).toEqual(table[0]);
+    // Non-finite numbers and missing values are written as empty cells
+    expect(toCSV([['Q', 1.5, NaN, null, undefined]])).toBe('Q,1.5,,,');
+  });
+});
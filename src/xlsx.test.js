@@ -0,0 +1,44 @@
+import { strFromU8, unzipSync } from 'fflate';
+import { describe, expect, it } from 'vitest';
+import { buildXlsx } from './xlsx.js';
+
+const unzip = (bytes) => Object.fromEntries(Object.entries(unzipSync(bytes)).map(([path, data]) => [path, strFromU8(data)]));
+
+describe('buildXlsx', () => {
+  it('writes a workbook part, relationship and content type for every sheet', () => {
+    const files = unzip(buildXlsx([{ name: 'Inlets', rows: [['ID']] }, { name: 'Profile', rows: [['Sta']] }]));
+    expect(Object.keys(files).sort()).toEqual([
+      '[Content_Types].xml', '_rels/.rels', 'xl/_rels/workbook.xml.rels', 'xl/styles.xml', 'xl/workbook.xml', 'xl/worksheets/sheet1.xml', 'xl/worksheets/sheet2.xml',
+    ]);
+    expect(files['xl/workbook.xml']).toContain('<sheets><sheet name="Inlets" sheetId="1" r:id="rId1"/><sheet name="Profile" sheetId="2" r:id="rId2"/></sheets>');
+    expect(files['xl/_rels/workbook.xml.rels']).toContain('<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet2.xml"/>');
+    expect(files['xl/_rels/workbook.xml.rels']).toContain('Id="rId3" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles"');
+    expect(files['[Content_Types].xml'].match(/PartName="\/xl\/worksheets\/sheet\d\.xml"/g)).toHaveLength(2);
+  });
+
+  it('writes numbers as values, text inline and the header row bold', () => {
+    const rows = [['ID', 'Q (cfs)'], ['A', 1.25], ['B', NaN], [null, '']];
+    const sheet = unzip(buildXlsx([{ name: 'Inlets', rows }]))['xl/worksheets/sheet1.xml'];
+    expect(sheet).toContain('<row r="1"><c r="A1" t="inlineStr" s="1"><is><t xml:space="preserve">ID</t></is></c>');
+    expect(sheet).toContain('<c r="B2"><v>1.25</v></c>');
+    // Non-finite numbers are written as text; blank cells are left out
+    expect(sheet).toContain('<c r="B3" t="inlineStr"><is><t xml:space="preserve">NaN</t></is></c>');
+    expect(sheet).toContain('<row r="4"></row>');
+    expect(sheet).toContain('<pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/>');
+  });
+
+  it('names columns past Z', () => {
+    const sheet = unzip(buildXlsx([{ name: 'Wide', rows: [Array.from({ length: 28 }, (_, i) => i)] }]))['xl/worksheets/sheet1.xml'];
+    expect(sheet).toContain('<c r="Z1" s="1"><v>25</v></c><c r="AA1" s="1"><v>26</v></c><c r="AB1" s="1"><v>27</v></c>');
+  });
+
+  it('escapes markup, drops control characters XML cannot hold and cleans sheet names', () => {
+    const files = unzip(buildXlsx([{ name: 'Q<1> & [bypass]: "A/B"?', rows: [['<b>"A" & B</b>', 'line\u0001one\ttab\r\nnext\u001F']] }, { name: '', rows: [] }]));
+    const sheet = files['xl/worksheets/sheet1.xml'];
+    expect(sheet).toContain('<t xml:space="preserve">&lt;b&gt;&quot;A&quot; &amp; B&lt;/b&gt;</t>');
+    expect(sheet).toContain('<t xml:space="preserve">lineone\ttab\r\nnext</t>');
+    expect(files['xl/workbook.xml']).toContain('<sheet name="Q&lt;1&gt; &amp;  bypass   &quot;A B&quot; " sheetId="1" r:id="rId1"/>');
+    expect(files['xl/workbook.xml']).toContain('<sheet name="Sheet2" sheetId="2" r:id="rId2"/>');
+    expect(files['xl/worksheets/sheet2.xml']).toContain('<sheetData></sheetData>');
+  });
+});